@@ -0,0 +1,45 @@
+// Complaint status workflow
+//
+// Each key is the current status and maps the statuses it may move to onto
+// the rule for that transition:
+//   roles          - who may perform it ('owner' is the user who filed the complaint,
+//                    'agent' is the agent the complaint is assigned to)
+//   requiresReason - the caller must explain the change (kept in the timeline)
+const statuses = ['pending', 'in-progress', 'resolved', 'rejected', 'reopened'];
+
+// Statuses that still need work (count towards an agent's load)
+const openStatuses = ['pending', 'in-progress', 'reopened'];
+
+const transitions = {
+	pending: {
+		'in-progress': { roles: ['admin', 'agent'] },
+		resolved: { roles: ['admin', 'agent'] },
+		rejected: { roles: ['admin', 'agent'], requiresReason: true }
+	},
+	'in-progress': {
+		pending: { roles: ['admin', 'agent'] },
+		resolved: { roles: ['admin', 'agent'] },
+		rejected: { roles: ['admin', 'agent'], requiresReason: true }
+	},
+	resolved: {
+		reopened: { roles: ['owner'], requiresReason: true }
+	},
+	rejected: {
+		reopened: { roles: ['owner', 'admin'], requiresReason: true }
+	},
+	reopened: {
+		'in-progress': { roles: ['admin', 'agent'] },
+		resolved: { roles: ['admin', 'agent'] },
+		rejected: { roles: ['admin', 'agent'], requiresReason: true }
+	}
+};
+
+// Fields whose changes are written to the complaint history
+const trackedFields = ['status', 'priority', 'assignedTo', 'category', 'subCategory', 'resolution'];
+
+module.exports = {
+	statuses,
+	openStatuses,
+	transitions,
+	trackedFields
+};
\ No newline at end of file
@@ -1,7 +1,10 @@
 const Category = require('../models/Category');
 const { validateCategory, validateSubCategory } = require('../validators/categoryValidator');
+const assetService = require('../utils/assetService');
 const ApiError = require('../utils/ApiError');
 
+const ICON_PATTERN = /^([a-f0-9]{24}$|data:image\/[a-zA-Z+]+;base64,)/i;
+
 // Get all categories
 exports.getCategories = async (req, res, next) => {
 	try {
@@ -50,10 +53,6 @@ exports.createCategory = async (req, res, next) => {
 			throw new ApiError(400, error.details[0].message);
 		}
 
-		if (!icon || !icon.startsWith('data:image/')) {
-			throw new ApiError(400, 'Invalid image format. Must be a base64 encoded image');
-		}
-
 		const existingCategory = await Category.findOne({ name });
 		if (existingCategory) {
 			throw new ApiError(400, 'Category already exists');
@@ -61,6 +60,7 @@ exports.createCategory = async (req, res, next) => {
 
 		const category = new Category({
 			...categoryData,
+			icon: await assetService.resolveIcon(icon, req.user._id),
 			subCategories: []
 		});
 
@@ -80,8 +80,8 @@ exports.addSubCategory = async (req, res, next) => {
 			throw new ApiError(400, 'Subcategory icon is required');
 		}
 
-		// Validate base64 image
-		if (!icon.startsWith('data:image/')) {
+		// An uploaded asset id or a base64 image
+		if (!ICON_PATTERN.test(icon)) {
 			throw new ApiError(400, 'Invalid image format');
 		}
 
@@ -103,7 +103,7 @@ exports.addSubCategory = async (req, res, next) => {
 		category.subCategories.push({
 			name,
 			description,
-			icon
+			icon: await assetService.resolveIcon(icon, req.user._id)
 		});
 
 		await category.save();
@@ -135,23 +135,22 @@ exports.updateCategory = async (req, res, next) => {
 			description
 		};
 
-		if (icon) {
-			if (!icon.startsWith('data:image/')) {
-				throw new ApiError(400, 'Invalid image format');
-			}
-			updateData.icon = icon;
-		}
-
 		const { error } = validateCategory({
 			...updateData,
-			icon: updateData.icon || category.icon
+			icon: icon || category.icon?.toString()
 		});
 		if (error) {
 			throw new ApiError(400, error.details[0].message);
 		}
 
+		const previousIcon = category.icon;
+		if (icon) {
+			updateData.icon = await assetService.resolveIcon(icon, req.user._id);
+		}
+
 		Object.assign(category, updateData);
 		await category.save();
+		await assetService.removeUnused([previousIcon]);
 		res.json(category);
 	} catch (error) {
 		next(error);
@@ -178,11 +177,8 @@ exports.updateSubCategory = async (req, res, next) => {
 			description
 		};
 
-		if (icon) {
-			if (!icon.startsWith('data:image/')) {
-				throw new ApiError(400, 'Invalid image format');
-			}
-			updateData.icon = icon;
+		if (icon && !ICON_PATTERN.test(icon)) {
+			throw new ApiError(400, 'Invalid image format');
 		}
 
 		const { error } = validateSubCategory({
@@ -193,8 +189,14 @@ exports.updateSubCategory = async (req, res, next) => {
 			throw new ApiError(400, error.details[0].message);
 		}
 
+		const previousIcon = subCategory.icon;
+		if (icon) {
+			updateData.icon = await assetService.resolveIcon(icon, req.user._id);
+		}
+
 		Object.assign(subCategory, updateData);
 		await category.save();
+		await assetService.removeUnused([previousIcon]);
 		res.json(category);
 	} catch (error) {
 		next(error);
@@ -214,6 +216,7 @@ exports.deleteCategory = async (req, res, next) => {
 		}
 
 		await category.deleteOne();
+		await assetService.removeUnused([category.icon, ...category.subCategories.map(sub => sub.icon)]);
 		res.status(204).send();
 	} catch (error) {
 		next(error);
@@ -239,6 +242,7 @@ exports.deleteSubCategory = async (req, res, next) => {
 
 		category.subCategories.pull(req.params.subCategoryId);
 		await category.save();
+		await assetService.removeUnused([subCategory.icon]);
 		res.status(204).send();
 	} catch (error) {
 		next(error);
@@ -12,9 +12,24 @@ const categoryRoutes = require('./routes/categories');
 const settingsRoutes = require('./routes/settings');
 const faqRoutes = require('./routes/faqs');
 const adminRoutes = require('./routes/admin');
+const queueRoutes = require('./routes/queues');
+const slaPolicyRoutes = require('./routes/slaPolicies');
+const recategorizationRoutes = require('./routes/recategorizations');
+const eventRoutes = require('./routes/events');
+const notificationRoutes = require('./routes/notifications');
+const inboundRoutes = require('./routes/inbound');
+const savedFilterRoutes = require('./routes/savedFilters');
+const assetRoutes = require('./routes/assets');
 
-// Import error handler
+// Import background jobs
+const slaService = require('./utils/slaService');
+const notificationOutbox = require('./utils/notificationOutbox');
+const digestService = require('./utils/digestService');
+const attachmentProcessor = require('./utils/attachmentProcessor');
+
+// Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { rateLimit } = require('./middleware/rateLimit');
 
 // Create Express app
 const app = express();
@@ -35,19 +50,41 @@ if (process.env.NODE_ENV !== 'production') {
 	}));
 }
 
+// Fails at startup when no virus scanner is configured (see utils/scanners)
+attachmentProcessor.getScanner();
+
 // Middleware
-app.use(cors());
+// Behind a reverse proxy, req.ip (used for rate limits) comes from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+	app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// The frontend may send credentials, which it needs for the single sign-on
+// state cookie (see utils/oidcService.js); other origins get the open policy
+const frontendOrigin = new URL(process.env.FRONTEND_URL || 'http://localhost:3000').origin;
+app.use(cors((req, callback) => {
+	callback(null, req.header('Origin') === frontendOrigin ? { origin: true, credentials: true } : {});
+}));
+// Inbound email parses its own (larger) bodies, so it is mounted before the global body parsers
+app.use('/api/inbound', inboundRoutes);
 app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true, limit: '5mb' }));
 
 // Routes
-app.use('/api/auth', authRoutes);
+app.use('/api/auth', rateLimit('auth'), authRoutes);
 app.use('/api/complaints', complaintRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/faqs', faqRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/queues', queueRoutes);
+app.use('/api/sla-policies', slaPolicyRoutes);
+app.use('/api/recategorizations', recategorizationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved-filters', savedFilterRoutes);
+app.use('/api/assets', assetRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -62,7 +99,13 @@ mongoose.connect(process.env.MONGODB_URI, {
 	useNewUrlParser: true,
 	useUnifiedTopology: true
 })
-	.then(() => logger.info('Connected to MongoDB'))
+	.then(() => {
+		logger.info('Connected to MongoDB');
+		slaService.startScheduler();
+		digestService.startScheduler();
+		attachmentProcessor.startScheduler();
+		notificationOutbox.startWorker();
+	})
 	.catch((err) => logger.error('MongoDB connection error:', err));
 
 // Start server
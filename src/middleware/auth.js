@@ -1,17 +1,16 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const speakeasy = require('speakeasy');
+const sessionService = require('../utils/sessionService');
+const twoFactorService = require('../utils/twoFactorService');
 
-const auth = async (req, res, next) => {
+// Verify an access token and its session, and attach the user to the request
+const authenticate = async (token, req, res, next) => {
 	try {
-		const token = req.header('Authorization')?.replace('Bearer ', '');
-
 		if (!token) {
 			return res.status(401).json({ message: 'Authentication required' });
 		}
 
-		const decoded = jwt.verify(token, process.env.JWT_SECRET);
-		const user = await User.findOne({ _id: decoded.userId });
+		const { userId, sessionId } = await sessionService.verifyAccessToken(token, { ip: req.ip });
+		const user = await User.findOne({ _id: userId });
 
 		if (!user) {
 			return res.status(401).json({ message: 'User not found' });
@@ -19,18 +18,57 @@ const auth = async (req, res, next) => {
 
 		req.user = user;
 		req.token = token;
+		req.sessionId = sessionId;
 		next();
 	} catch (error) {
 		res.status(401).json({ message: 'Invalid authentication token' });
 	}
 };
 
+const auth = async (req, res, next) => {
+	const token = req.header('Authorization')?.replace('Bearer ', '');
+	return authenticate(token, req, res, next);
+};
+
+// Same check for event streams: EventSource cannot send headers, so the
+// token may also be passed as ?token=
+const streamAuth = async (req, res, next) => {
+	const token = req.header('Authorization')?.replace('Bearer ', '') || req.query.token;
+	return authenticate(token, req, res, next);
+};
+
+// Admins who have not set up 2FA while it is required for them (see
+// utils/twoFactorService.js) may only reach their own account and settings
+const sendTwoFactorSetupRequired = (res) => res.status(403).json({
+	message: 'Two-factor authentication is required for admin accounts',
+	twoFactorSetupRequired: true
+});
+
 const adminAuth = async (req, res, next) => {
 	try {
 		await auth(req, res, () => {
 			if (req.user.role !== 'admin') {
 				return res.status(403).json({ message: 'Admin access required' });
 			}
+			if (twoFactorService.requiresSetup(req.user)) {
+				return sendTwoFactorSetupRequired(res);
+			}
+			next();
+		});
+	} catch (error) {
+		res.status(401).json({ message: 'Authentication failed' });
+	}
+};
+
+const staffAuth = async (req, res, next) => {
+	try {
+		await auth(req, res, () => {
+			if (!['agent', 'admin'].includes(req.user.role)) {
+				return res.status(403).json({ message: 'Staff access required' });
+			}
+			if (twoFactorService.requiresSetup(req.user)) {
+				return sendTwoFactorSetupRequired(res);
+			}
 			next();
 		});
 	} catch (error) {
@@ -51,30 +89,33 @@ const verifiedAuth = async (req, res, next) => {
 	}
 };
 
+// Asks for the second factor again (`twoFactorToken` or `backupCode` in the
+// body) before sensitive actions
 const twoFactorAuth = async (req, res, next) => {
 	try {
-		await auth(req, res, () => {
+		await auth(req, res, async () => {
 			// Skip 2FA check if it's not enabled for the user
 			if (!req.user.twoFactorAuth?.enabled) {
 				return next();
 			}
 
-			const { twoFactorToken } = req.body;
+			const { twoFactorToken, backupCode } = req.body;
 
-			// If 2FA is enabled but no token provided
-			if (!twoFactorToken) {
+			// If 2FA is enabled but no code provided
+			if (!twoFactorToken && !backupCode) {
 				return res.status(403).json({
 					message: '2FA token required',
 					requires2FA: true
 				});
 			}
 
-			// Verify the token
-			const verified = speakeasy.totp.verify({
-				secret: req.user.twoFactorAuth.secret,
-				encoding: 'base32',
-				token: twoFactorToken
-			});
+			// Verify the code; each one is accepted only once
+			let verified;
+			try {
+				verified = await twoFactorService.verify(req.user, { token: twoFactorToken, backupCode });
+			} catch (error) {
+				return res.status(500).json({ message: 'Server error', error: error.message });
+			}
 
 			if (!verified) {
 				return res.status(403).json({
@@ -92,7 +133,9 @@ const twoFactorAuth = async (req, res, next) => {
 
 module.exports = {
 	auth,
+	streamAuth,
 	adminAuth,
+	staffAuth,
 	verifiedAuth,
 	twoFactorAuth
 }; 
\ No newline at end of file
@@ -0,0 +1,80 @@
+const { validationResult } = require('express-validator');
+const rateLimiter = require('../utils/rateLimiter');
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+
+// Limits per route: by client IP and by account (the signed-in user, or the
+// email address the request is about)
+const LIMITS = {
+	auth: {
+		ip: { windowSeconds: 15 * MINUTE, max: 300 }
+	},
+	login: {
+		ip: { windowSeconds: 15 * MINUTE, max: 20 },
+		account: { windowSeconds: 15 * MINUTE, max: 10 }
+	},
+	// Second login step; codes are also limited per login ticket
+	'login-2fa': {
+		ip: { windowSeconds: 15 * MINUTE, max: 20 }
+	},
+	// Security key or passkey login, with or without a password first
+	'login-webauthn': {
+		ip: { windowSeconds: 15 * MINUTE, max: 30 }
+	},
+	// Exchange of single sign-on codes
+	'login-sso': {
+		ip: { windowSeconds: 15 * MINUTE, max: 30 }
+	},
+	'forgot-password': {
+		ip: { windowSeconds: HOUR, max: 5 },
+		account: { windowSeconds: HOUR, max: 3 }
+	},
+	'resend-verification': {
+		ip: { windowSeconds: HOUR, max: 5 },
+		account: { windowSeconds: HOUR, max: 3 }
+	},
+	'2fa-validate': {
+		ip: { windowSeconds: 15 * MINUTE, max: 20 },
+		account: { windowSeconds: 15 * MINUTE, max: 5 }
+	}
+};
+
+const accountId = (req) => {
+	if (req.user) return req.user._id.toString();
+	return typeof req.body?.email === 'string' ? req.body.email.toLowerCase() : null;
+};
+
+// Rejects requests over the limits of a route with 429 and Retry-After.
+// Goes after validation (so emails are normalized) and after auth when the
+// route has one. Requests that failed validation are not counted: the route
+// rejects them without trying a password or code.
+const rateLimit = (route) => async (req, res, next) => {
+	if (!validationResult(req).isEmpty()) return next();
+
+	try {
+		for (const [scope, limit] of Object.entries(LIMITS[route])) {
+			const id = scope === 'ip' ? req.ip : accountId(req);
+			if (!id) continue;
+
+			const result = await rateLimiter.hit(`${route}:${scope}`, id, limit);
+			if (!result.allowed) {
+				res.set('Retry-After', String(result.retryAfter));
+				return res.status(429).json({
+					message: 'Too many requests, please try again later',
+					retryAfter: result.retryAfter
+				});
+			}
+		}
+		next();
+	} catch (error) {
+		// Fail open: an unavailable counter store must not lock everyone out
+		console.error(`Rate limiting ${route} failed:`, error.message);
+		next();
+	}
+};
+
+module.exports = {
+	LIMITS,
+	rateLimit
+};
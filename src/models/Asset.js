@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A managed image (category and subcategory icons) kept in storage and served
+// by GET /api/assets/:id. The content of an asset never changes: replacing an
+// icon creates a new asset, so responses can be cached for good.
+const storedFileFields = {
+	mimeType: {
+		type: String,
+		required: true
+	},
+	size: Number,
+	width: Number,
+	height: Number,
+	// SHA-256 of the content (hex), also the ETag
+	checksum: {
+		type: String,
+		required: true
+	},
+	key: {
+		type: String,
+		required: true
+	}
+};
+
+const assetSchema = new mongoose.Schema({
+	kind: {
+		type: String,
+		enum: ['icon'],
+		default: 'icon'
+	},
+	name: String,
+	driver: {
+		type: String,
+		enum: ['local', 's3', 'cloudinary'],
+		required: true
+	},
+	...storedFileFields,
+	// Resized copies, created on first request
+	variants: [{
+		_id: false,
+		...storedFileFields
+	}],
+	uploadedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+// Identical uploads share one asset
+assetSchema.index({ kind: 1, checksum: 1 });
+
+const Asset = mongoose.model('Asset', assetSchema);
+
+module.exports = Asset;
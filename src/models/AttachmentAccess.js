@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Audit log of attachment downloads
+const attachmentAccessSchema = new mongoose.Schema({
+	complaint: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Complaint',
+		required: true
+	},
+	attachment: {
+		type: mongoose.Schema.Types.ObjectId,
+		required: true
+	},
+	// Set for attachments of a comment
+	comment: mongoose.Schema.Types.ObjectId,
+	user: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User',
+		required: true
+	},
+	variant: {
+		type: String,
+		enum: ['original', 'thumbnail'],
+		default: 'original'
+	},
+	disposition: {
+		type: String,
+		enum: ['inline', 'attachment']
+	},
+	// Whether the file was streamed by the API or the client was redirected to a signed URL
+	delivery: {
+		type: String,
+		enum: ['stream', 'redirect']
+	},
+	ip: String,
+	userAgent: String,
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+attachmentAccessSchema.index({ complaint: 1, createdAt: -1 });
+attachmentAccessSchema.index({ attachment: 1, createdAt: -1 });
+
+const AttachmentAccess = mongoose.model('AttachmentAccess', attachmentAccessSchema);
+
+module.exports = AttachmentAccess;
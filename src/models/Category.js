@@ -1,16 +1,24 @@
 const mongoose = require('mongoose');
 
+// Clients get the icon as a URL next to its asset id
+const toJSON = {
+	transform(doc, ret) {
+		ret.iconUrl = ret.icon ? `/api/assets/${ret.icon}` : null;
+		return ret;
+	}
+};
+
 const subCategorySchema = new mongoose.Schema({
 	name: {
 		type: String,
 		required: true,
 		trim: true
 	},
+	// Managed image served by GET /api/assets/:id (see utils/assetService.js)
 	icon: {
-		type: String,
-		required: true,
-		// Store base64 string
-		maxLength: 5242880 // 5MB max size
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Asset',
+		required: true
 	},
 	description: {
 		type: String,
@@ -29,7 +37,7 @@ const subCategorySchema = new mongoose.Schema({
 		type: Date,
 		default: Date.now
 	}
-});
+}, { toJSON });
 
 const categorySchema = new mongoose.Schema({
 	name: {
@@ -38,11 +46,11 @@ const categorySchema = new mongoose.Schema({
 		unique: true,
 		trim: true
 	},
+	// Managed image served by GET /api/assets/:id (see utils/assetService.js)
 	icon: {
-		type: String,
-		required: true,
-		// Store base64 string
-		maxLength: 5242880 // 5MB max size
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Asset',
+		required: true
 	},
 	description: {
 		type: String,
@@ -72,7 +80,7 @@ const categorySchema = new mongoose.Schema({
 		type: Date,
 		default: Date.now
 	}
-});
+}, { toJSON });
 
 // Update timestamps on save
 categorySchema.pre('save', function (next) {
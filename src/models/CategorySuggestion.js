@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// AI category suggestion for a complaint and the decision taken on it
+const categorySuggestionSchema = new mongoose.Schema({
+	complaint: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Complaint',
+		required: true
+	},
+	fromCategory: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Category'
+	},
+	fromSubCategory: mongoose.Schema.Types.ObjectId,
+	suggestedCategory: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Category',
+		required: true
+	},
+	suggestedSubCategory: {
+		type: mongoose.Schema.Types.ObjectId,
+		required: true
+	},
+	confidence: {
+		type: Number,
+		min: 0,
+		max: 1
+	},
+	// matched: the complaint was already filed under the suggested subcategory
+	// auto-applied: confidence was above the threshold and the change was made
+	// pending: waiting for an admin to accept or reject
+	// superseded: a newer suggestion replaced it before a decision was made
+	status: {
+		type: String,
+		enum: ['matched', 'auto-applied', 'pending', 'accepted', 'rejected', 'superseded'],
+		required: true
+	},
+	provider: String,
+	decidedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	decidedAt: Date,
+	reason: {
+		type: String,
+		trim: true
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+categorySuggestionSchema.index({ status: 1, createdAt: -1 });
+categorySuggestionSchema.index({ complaint: 1 });
+categorySuggestionSchema.index({ suggestedCategory: 1, status: 1 });
+
+const CategorySuggestion = mongoose.model('CategorySuggestion', categorySuggestionSchema);
+
+module.exports = CategorySuggestion;
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { statuses } = require('../config/workflow');
+const attachmentSchema = require('./attachmentSchema');
 
 const complaintSchema = new mongoose.Schema({
 	user: {
@@ -27,7 +29,7 @@ const complaintSchema = new mongoose.Schema({
 	},
 	status: {
 		type: String,
-		enum: ['pending', 'in-progress', 'resolved', 'rejected'],
+		enum: statuses,
 		default: 'pending'
 	},
 	priority: {
@@ -39,18 +41,65 @@ const complaintSchema = new mongoose.Schema({
 		type: Number,
 		default: 1 // 0 for low, 1 for medium, 2 for high
 	},
-	attachments: [{
-		type: String // URLs to uploaded files
-	}],
+	attachments: [attachmentSchema],
+	// True while attachments of the complaint or its comments are still being processed
+	attachmentsProcessing: {
+		type: Boolean,
+		default: false
+	},
+	// Where the complaint came in
+	source: {
+		type: String,
+		enum: ['web', 'email'],
+		default: 'web'
+	},
+	// Filled in by the AI intake pipeline after the complaint is saved
 	aiResponse: {
 		category: String,
+		categoryId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Category'
+		},
+		subCategoryId: mongoose.Schema.Types.ObjectId,
 		suggestion: String,
-		confidence: Number
+		priority: String,
+		confidence: Number,
+		sentiment: {
+			label: String,
+			urgency: String,
+			emotionalTone: String,
+			keyEmotions: [String]
+		},
+		tags: [String],
+		summary: String,
+		status: {
+			type: String,
+			enum: ['pending', 'completed', 'failed']
+		},
+		error: String,
+		provider: String,
+		model: String,
+		processedAt: Date
 	},
 	assignedTo: {
 		type: mongoose.Schema.Types.ObjectId,
 		ref: 'User'
 	},
+	sla: {
+		policy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'SlaPolicy'
+		},
+		firstResponseDueAt: Date,
+		resolutionDueAt: Date,
+		firstRespondedAt: Date,
+		resolvedAt: Date,
+		state: {
+			type: String,
+			enum: ['on-track', 'at-risk', 'breached', 'met']
+		},
+		escalatedAt: Date
+	},
 	resolution: {
 		text: String,
 		date: Date,
@@ -65,6 +114,34 @@ const complaintSchema = new mongoose.Schema({
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User'
 		},
+		// Comment this one replies to (threads)
+		parent: {
+			type: mongoose.Schema.Types.ObjectId,
+			default: null
+		},
+		// Internal notes are only visible to agents and admins
+		internal: {
+			type: Boolean,
+			default: false
+		},
+		attachments: [attachmentSchema],
+		// Staff mentioned with @[Name](userId)
+		mentions: [{
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User'
+		}],
+		// Previous versions, oldest first
+		revisions: [{
+			text: String,
+			editedAt: Date
+		}],
+		editedAt: Date,
+		// Soft delete: the comment stays in its thread but its content is hidden
+		deletedAt: Date,
+		deletedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User'
+		},
 		createdAt: {
 			type: Date,
 			default: Date.now
@@ -80,6 +157,14 @@ const complaintSchema = new mongoose.Schema({
 			date: Date
 		}]
 	},
+	// Text of the public, non-deleted comments, kept for the text index so
+	// internal notes and deleted comments are never searchable
+	commentText: {
+		type: String,
+		select: false
+	},
+	// Last public comment from an agent or admin ("no reply in N days" filters)
+	lastStaffReplyAt: Date,
 	createdAt: {
 		type: Date,
 		default: Date.now
@@ -90,6 +175,14 @@ const complaintSchema = new mongoose.Schema({
 	}
 });
 
+// Public comment text as stored in commentText
+complaintSchema.statics.buildCommentText = function (comments = []) {
+	return comments
+		.filter(comment => !comment.internal && !comment.deletedAt && comment.text)
+		.map(comment => comment.text)
+		.join('\n');
+};
+
 // Update the updatedAt timestamp on save
 complaintSchema.pre('save', function (next) {
 	this.updatedAt = Date.now();
@@ -106,6 +199,10 @@ complaintSchema.pre('save', function (next) {
 			this.priorityValue = 1;
 	}
 
+	if (this.isNew || this.isModified('comments')) {
+		this.commentText = this.constructor.buildCommentText(this.comments);
+	}
+
 	next();
 });
 
@@ -146,6 +243,19 @@ complaintSchema.post('save', async function () {
 complaintSchema.index({ user: 1, status: 1 });
 complaintSchema.index({ category: 1, subCategory: 1 });
 complaintSchema.index({ createdAt: -1 });
+complaintSchema.index({ 'sla.state': 1, status: 1 });
+complaintSchema.index({ attachmentsProcessing: 1 });
+complaintSchema.index({ lastStaffReplyAt: 1 });
+// Full-text search (see utils/complaintSearch.js)
+complaintSchema.index({
+	title: 'text',
+	description: 'text',
+	'resolution.text': 'text',
+	commentText: 'text'
+}, {
+	name: 'complaint_text',
+	weights: { title: 10, description: 5, 'resolution.text': 3, commentText: 2 }
+});
 
 const Complaint = mongoose.model('Complaint', complaintSchema);
 
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const complaintHistorySchema = new mongoose.Schema({
+	complaint: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Complaint',
+		required: true
+	},
+	action: {
+		type: String,
+		enum: ['created', 'status', 'priority', 'assignedTo', 'category', 'subCategory', 'resolution'],
+		required: true
+	},
+	from: mongoose.Schema.Types.Mixed,
+	to: mongoose.Schema.Types.Mixed,
+	reason: {
+		type: String,
+		trim: true
+	},
+	// Empty when the change was made by the system (e.g. a scheduled job)
+	by: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+// History entries are append-only
+const rejectChange = function (next) {
+	next(new Error('Complaint history entries cannot be modified'));
+};
+
+complaintHistorySchema.pre('save', function (next) {
+	if (!this.isNew) {
+		return rejectChange(next);
+	}
+	next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+	'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'].forEach(op => {
+	complaintHistorySchema.pre(op, rejectChange);
+});
+
+complaintHistorySchema.index({ complaint: 1, createdAt: 1 });
+
+const ComplaintHistory = mongoose.model('ComplaintHistory', complaintHistorySchema);
+
+module.exports = ComplaintHistory;
\ No newline at end of file
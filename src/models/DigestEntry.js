@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Notification held back for a user's next digest email
+const digestEntrySchema = new mongoose.Schema({
+	user: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User',
+		required: true
+	},
+	// Notification event (e.g. "status-update", "new-comment")
+	event: {
+		type: String,
+		required: true
+	},
+	complaint: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Complaint'
+	},
+	title: String,
+	message: String,
+	data: {
+		type: mongoose.Schema.Types.Mixed,
+		default: {}
+	},
+	idempotencyKey: {
+		type: String,
+		unique: true,
+		sparse: true
+	},
+	// Set once the entry was included in a digest
+	sentAt: Date,
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+digestEntrySchema.index({ user: 1, sentAt: 1, createdAt: 1 });
+
+const DigestEntry = mongoose.model('DigestEntry', digestEntrySchema);
+
+module.exports = DigestEntry;
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const attachmentSchema = require('./attachmentSchema');
+
+// An email received on the inbound endpoint and what was done with it.
+// Messages that could not be handled automatically wait here for moderation.
+const inboundMessageSchema = new mongoose.Schema({
+	// How the message arrived: raw MIME or a provider's webhook JSON
+	source: {
+		type: String,
+		enum: ['mime', 'webhook'],
+		required: true
+	},
+	messageId: {
+		type: String,
+		unique: true,
+		sparse: true
+	},
+	inReplyTo: String,
+	from: {
+		address: { type: String, lowercase: true, trim: true },
+		name: String
+	},
+	to: String,
+	subject: String,
+	text: String,
+	// SPF, DKIM and DMARC results the receiving mail server reported for the sender
+	authentication: {
+		spf: String,
+		dkim: String,
+		dmarc: String
+	},
+	attachments: [attachmentSchema],
+	rejectedAttachments: [{
+		filename: String,
+		reason: String
+	}],
+	status: {
+		type: String,
+		// approving: claimed by a moderator while the complaint is created
+		enum: ['processed', 'pending', 'approving', 'approved', 'rejected', 'failed'],
+		default: 'pending'
+	},
+	// What the message turned into
+	action: {
+		type: String,
+		enum: ['complaint', 'comment']
+	},
+	// Why the message needs moderation (unknown-sender, unverified-sender, unauthenticated-sender,
+	// unknown-reference, uncategorized) or why it was rejected
+	reason: String,
+	error: String,
+	user: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	complaint: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Complaint'
+	},
+	reviewedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	reviewedAt: Date,
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+inboundMessageSchema.index({ status: 1, createdAt: -1 });
+
+const InboundMessage = mongoose.model('InboundMessage', inboundMessageSchema);
+
+module.exports = InboundMessage;
\ No newline at end of file
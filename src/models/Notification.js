@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in the user's inbox (independent of email/push delivery)
+const notificationSchema = new mongoose.Schema({
+	user: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User',
+		required: true
+	},
+	// Event that produced the notification (e.g. "status-update", "new-comment")
+	type: {
+		type: String,
+		required: true
+	},
+	title: {
+		type: String,
+		required: true
+	},
+	message: String,
+	complaint: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Complaint'
+	},
+	data: {
+		type: mongoose.Schema.Types.Mixed,
+		default: {}
+	},
+	// Makes repeated notify calls for the same event create a single notification
+	idempotencyKey: {
+		type: String,
+		unique: true,
+		sparse: true
+	},
+	read: {
+		type: Boolean,
+		default: false
+	},
+	readAt: Date,
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
\ No newline at end of file
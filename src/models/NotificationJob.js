@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Sent jobs are deleted after this long
+const SENT_JOB_TTL_SECONDS = (parseInt(process.env.SENT_NOTIFICATION_RETENTION_DAYS) || 30) * 24 * 60 * 60;
+
+// Outbox entry: a notification waiting to be (or already) delivered by the worker
+const notificationJobSchema = new mongoose.Schema({
+	channel: {
+		type: String,
+		enum: ['email', 'push'],
+		default: 'email'
+	},
+	// What the notification is about (e.g. "status-update"), for inspection only
+	type: {
+		type: String,
+		required: true
+	},
+	// Fully rendered message: nodemailer mail options for email, { token, title, body, data } for push.
+	// Once sent only a summary is kept (recipient and subject or title), as bodies may hold links with tokens.
+	message: {
+		type: mongoose.Schema.Types.Mixed,
+		required: true
+	},
+	idempotencyKey: {
+		type: String,
+		unique: true,
+		sparse: true
+	},
+	status: {
+		type: String,
+		enum: ['pending', 'processing', 'sent', 'dead'],
+		default: 'pending'
+	},
+	attempts: {
+		type: Number,
+		default: 0
+	},
+	maxAttempts: {
+		type: Number,
+		default: 5
+	},
+	nextAttemptAt: {
+		type: Date,
+		default: Date.now
+	},
+	lockedAt: Date,
+	lastError: String,
+	sentAt: Date,
+	providerMessageId: String,
+	createdAt: {
+		type: Date,
+		default: Date.now
+	},
+	updatedAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+notificationJobSchema.pre('save', function (next) {
+	this.updatedAt = Date.now();
+	next();
+});
+
+notificationJobSchema.index({ status: 1, nextAttemptAt: 1 });
+// Only sent jobs have sentAt
+notificationJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_JOB_TTL_SECONDS });
+
+const NotificationJob = mongoose.model('NotificationJob', notificationJobSchema);
+
+module.exports = NotificationJob;
\ No newline at end of file
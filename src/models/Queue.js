@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const queueSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: true,
+		unique: true,
+		trim: true
+	},
+	category: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Category',
+		required: true
+	},
+	// Empty means the queue covers every subcategory of the category
+	subCategories: [{
+		type: mongoose.Schema.Types.ObjectId
+	}],
+	agents: [{
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	}],
+	strategy: {
+		type: String,
+		enum: ['round-robin', 'least-loaded'],
+		default: 'round-robin'
+	},
+	// Position of the next agent for round-robin routing
+	cursor: {
+		type: Number,
+		default: 0
+	},
+	isActive: {
+		type: Boolean,
+		default: true
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	},
+	updatedAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+queueSchema.pre('save', function (next) {
+	this.updatedAt = Date.now();
+	next();
+});
+
+queueSchema.index({ category: 1, isActive: 1 });
+queueSchema.index({ agents: 1 });
+
+const Queue = mongoose.model('Queue', queueSchema);
+
+module.exports = Queue;
\ No newline at end of file
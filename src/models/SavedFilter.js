@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A named complaint list view: a structured filter (utils/complaintFilter.js) and a sort
+const savedFilterSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: true,
+		trim: true
+	},
+	owner: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User',
+		required: true
+	},
+	filter: {
+		type: mongoose.Schema.Types.Mixed,
+		required: true
+	},
+	sort: {
+		type: String,
+		default: 'newest'
+	},
+	// Shared filters are visible to (and usable by) every admin
+	shared: {
+		type: Boolean,
+		default: false
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	},
+	updatedAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+savedFilterSchema.pre('save', function (next) {
+	this.updatedAt = Date.now();
+	next();
+});
+
+// A filter the user may use: their own, or a shared one when they are an admin
+savedFilterSchema.statics.findVisible = function (id, user) {
+	const visibility = [{ owner: user._id }];
+	if (user.role === 'admin') {
+		visibility.push({ shared: true });
+	}
+	return this.findOne({ _id: id, $or: visibility });
+};
+
+savedFilterSchema.index({ owner: 1, name: 1 }, { unique: true });
+savedFilterSchema.index({ shared: 1 });
+
+const SavedFilter = mongoose.model('SavedFilter', savedFilterSchema);
+
+module.exports = SavedFilter;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const slaPolicySchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: true,
+		trim: true
+	},
+	// Empty means the policy is the default for categories without their own
+	category: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'Category',
+		default: null
+	},
+	priority: {
+		type: String,
+		enum: ['low', 'medium', 'high'],
+		required: true
+	},
+	firstResponseMinutes: {
+		type: Number,
+		required: true,
+		min: 1
+	},
+	resolutionMinutes: {
+		type: Number,
+		required: true,
+		min: 1
+	},
+	// Share of the allowed time after which a complaint is flagged as at risk
+	atRiskPercent: {
+		type: Number,
+		default: 80,
+		min: 1,
+		max: 99
+	},
+	escalation: {
+		actions: [{
+			type: String,
+			enum: ['raise-priority', 'reassign', 'notify-admins']
+		}]
+	},
+	isActive: {
+		type: Boolean,
+		default: true
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	},
+	updatedAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+slaPolicySchema.pre('save', function (next) {
+	this.updatedAt = Date.now();
+	next();
+});
+
+slaPolicySchema.index({ category: 1, priority: 1 }, { unique: true });
+
+const SlaPolicy = mongoose.model('SlaPolicy', slaPolicySchema);
+
+module.exports = SlaPolicy;
\ No newline at end of file
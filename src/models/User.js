@@ -1,6 +1,55 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const webauthnCredentialSchema = new mongoose.Schema({
+	// Base64url credential id, as sent by the browser
+	credentialId: {
+		type: String,
+		required: true
+	},
+	publicKey: {
+		type: Buffer,
+		required: true
+	},
+	// Signature counter; a counter that goes backwards points to a cloned key
+	counter: {
+		type: Number,
+		default: 0
+	},
+	transports: [String],
+	// 'singleDevice' (security key) or 'multiDevice' (synced passkey)
+	deviceType: String,
+	backedUp: Boolean,
+	name: {
+		type: String,
+		trim: true
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	},
+	lastUsedAt: Date
+});
+
+// Account at an OpenID Connect provider used to sign in (see utils/oidcService.js)
+const identitySchema = new mongoose.Schema({
+	provider: {
+		type: String,
+		required: true
+	},
+	// The provider's stable user id ("sub" claim)
+	subject: {
+		type: String,
+		required: true
+	},
+	email: String,
+	linkedAt: {
+		type: Date,
+		default: Date.now
+	},
+	lastLoginAt: Date
+});
+
 const userSchema = new mongoose.Schema({
 	email: {
 		type: String,
@@ -9,11 +58,15 @@ const userSchema = new mongoose.Schema({
 		trim: true,
 		lowercase: true
 	},
+	// Optional for users who sign in through an identity provider
 	password: {
 		type: String,
-		required: true,
+		required: function () {
+			return this.identities.length === 0;
+		},
 		minlength: 6
 	},
+	identities: [identitySchema],
 	name: {
 		type: String,
 		required: true,
@@ -29,7 +82,7 @@ const userSchema = new mongoose.Schema({
 	},
 	role: {
 		type: String,
-		enum: ['user', 'admin'],
+		enum: ['user', 'agent', 'admin'],
 		default: 'user'
 	},
 	isVerified: {
@@ -66,12 +119,39 @@ const userSchema = new mongoose.Schema({
 			default: false
 		},
 		secret: String,
-		backupCodes: [String],
+		// Single-use recovery codes, stored as SHA-256 hashes (see utils/twoFactorService.js)
+		backupCodes: [{
+			_id: false,
+			hash: String,
+			usedAt: Date
+		}],
+		// Time step of the last accepted TOTP code; it and older codes are rejected
+		lastUsedStep: Number,
 		verified: {
 			type: Boolean,
 			default: false
 		}
 	},
+	// Security keys and passkeys (see utils/webauthnService.js)
+	webauthn: {
+		// Random WebAuthn user handle, so authenticators never see the user id
+		userHandle: String,
+		credentials: [webauthnCredentialSchema]
+	},
+	// Failed sign-ins and the resulting lockouts (see utils/accountLockout.js)
+	lockout: {
+		failedAttempts: {
+			type: Number,
+			default: 0
+		},
+		lastFailureAt: Date,
+		lockedUntil: Date,
+		// Lockouts since the last successful sign-in; each one lasts longer
+		count: {
+			type: Number,
+			default: 0
+		}
+	},
 	createdAt: {
 		type: Date,
 		default: Date.now
@@ -82,9 +162,9 @@ const userSchema = new mongoose.Schema({
 	}
 });
 
-// Pre-save middleware to hash password
+// Pre-save middleware to hash password (removing it, e.g. for SSO-only accounts, needs no hash)
 userSchema.pre('save', async function (next) {
-	if (!this.isModified('password')) return next();
+	if (!this.isModified('password') || !this.password) return next();
 
 	try {
 		const salt = await bcrypt.genSalt(10);
@@ -97,6 +177,7 @@ userSchema.pre('save', async function (next) {
 
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
+	if (!this.password) return false;
 	return bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -106,6 +187,17 @@ userSchema.pre('save', function (next) {
 	next();
 });
 
+// Finds the user of an identity at single sign-on
+userSchema.index(
+	{ 'identities.provider': 1, 'identities.subject': 1 },
+	{ unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+// Finds the owner of a credential at passkey login
+userSchema.index(
+	{ 'webauthn.credentials.credentialId': 1 },
+	{ unique: true, partialFilterExpression: { 'webauthn.credentials.credentialId': { $exists: true } } }
+);
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User; 
\ No newline at end of file
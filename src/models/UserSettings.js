@@ -14,7 +14,17 @@ const userSettingsSchema = new mongoose.Schema({
 				statusUpdates: { type: Boolean, default: true },
 				newComments: { type: Boolean, default: true },
 				systemUpdates: { type: Boolean, default: true }
-			}
+			},
+			// Status and comment emails are sent right away or batched into a summary
+			digest: {
+				type: String,
+				enum: ['immediate', 'daily', 'weekly'],
+				default: 'immediate'
+			},
+			// Local hour (in the user's timezone) at which digests are sent
+			digestHour: { type: Number, min: 0, max: 23, default: 8 },
+			// Admins only: daily overview of new, unassigned and SLA-breached complaints
+			adminDigest: { type: Boolean, default: false }
 		},
 		push: {
 			enabled: { type: Boolean, default: false },
@@ -24,7 +34,9 @@ const userSettingsSchema = new mongoose.Schema({
 				systemUpdates: { type: Boolean, default: true }
 			},
 			token: String
-		}
+		},
+		digestSentAt: Date,
+		adminDigestSentAt: Date
 	},
 	preferences: {
 		language: {
@@ -40,14 +52,15 @@ const userSettingsSchema = new mongoose.Schema({
 		timezone: {
 			type: String,
 			default: 'UTC'
+		},
+		// Notifications are held back during quiet hours (HH:mm, in the user's timezone)
+		quietHours: {
+			enabled: { type: Boolean, default: false },
+			start: { type: String, default: '22:00' },
+			end: { type: String, default: '07:00' }
 		}
 	},
 	security: {
-		twoFactorAuth: {
-			enabled: { type: Boolean, default: false },
-			secret: String,
-			backupCodes: [String]
-		},
 		loginNotifications: { type: Boolean, default: true },
 		lastPasswordChange: Date
 	},
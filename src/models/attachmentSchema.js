@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A stored file, embedded wherever files are attached (complaints, comments,
+// inbound email). `driver` and `key` locate the object in storage.
+const attachmentSchema = new mongoose.Schema({
+	name: {
+		type: String,
+		required: true
+	},
+	mimeType: String,
+	size: Number,
+	// SHA-256 of the content (hex)
+	checksum: String,
+	driver: {
+		type: String,
+		enum: ['local', 's3', 'cloudinary'],
+		required: true
+	},
+	key: {
+		type: String,
+		required: true
+	},
+	// Public URL, when the driver has one
+	url: String,
+	// Type detected from the content (magic bytes)
+	detectedType: String,
+	// Outcome of the processing pipeline (utils/attachmentProcessor.js). Not set on
+	// attachments stored before the pipeline existed.
+	processing: {
+		status: {
+			type: String,
+			enum: ['pending', 'ready', 'rejected', 'failed']
+		},
+		// Why the file was rejected or processing failed
+		reason: String,
+		steps: [{
+			_id: false,
+			name: String,
+			status: {
+				type: String,
+				enum: ['passed', 'failed', 'skipped']
+			},
+			detail: String,
+			at: Date
+		}],
+		attempts: Number,
+		lastAttemptAt: Date,
+		error: String,
+		completedAt: Date
+	},
+	// Preview image, stored with the same driver as the file
+	thumbnail: {
+		key: String,
+		mimeType: String,
+		size: Number,
+		width: Number,
+		height: Number
+	},
+	uploadedBy: {
+		type: mongoose.Schema.Types.ObjectId,
+		ref: 'User'
+	},
+	createdAt: {
+		type: Date,
+		default: Date.now
+	}
+});
+
+module.exports = attachmentSchema;
@@ -2,20 +2,46 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const FAQ = require('../models/FAQ');
+const NotificationJob = require('../models/NotificationJob');
+const notificationOutbox = require('../utils/notificationOutbox');
+const templateEngine = require('../utils/templateEngine');
+const sessionService = require('../utils/sessionService');
+const accountLockout = require('../utils/accountLockout');
+const { isCursorMode, paginateByCursor, parseFields } = require('../utils/pagination');
+const ApiError = require('../utils/ApiError');
 const { adminAuth } = require('../middleware/auth');
 const router = express.Router();
 
-// Get all users (admin only)
+// Fields that can be requested with ?fields= on the user list
+const USER_FIELDS = [
+	'email', 'name', 'phone', 'profilePicture', 'role', 'isVerified', 'lastLogin', 'notifications',
+	'theme', 'language', 'twoFactorAuth.enabled', 'lockout', 'createdAt', 'updatedAt'
+];
+const FAQ_FIELDS = ['question', 'answer', 'category', 'order', 'isActive', 'createdAt', 'updatedAt'];
+
+// Get all users (admin only); page/limit or ?pagination=cursor (see utils/pagination.js)
 router.get('/users', adminAuth, async (req, res) => {
 	try {
+		const fields = parseFields(req.query.fields, USER_FIELDS);
+		const findUsers = () => User.find().select(fields || '-password');
+		const sort = { createdAt: -1 };
+
+		if (isCursorMode(req.query)) {
+			const { items, nextCursor, hasMore } = await paginateByCursor(findUsers(), {
+				sort,
+				cursor: req.query.cursor,
+				limit: req.query.limit
+			});
+			return res.json({ users: items, nextCursor, hasMore });
+		}
+
 		const page = parseInt(req.query.page) || 1;
 		const limit = parseInt(req.query.limit) || 10;
 		const skip = (page - 1) * limit;
 
 		const [users, total] = await Promise.all([
-			User.find()
-				.select('-password')
-				.sort({ createdAt: -1 })
+			findUsers()
+				.sort(sort)
 				.skip(skip)
 				.limit(limit),
 			User.countDocuments()
@@ -28,6 +54,9 @@ router.get('/users', adminAuth, async (req, res) => {
 			total
 		});
 	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
 		res.status(500).json({ message: 'Server error', error: error.message });
 	}
 });
@@ -47,7 +76,7 @@ router.post('/users',
 			.trim()
 			.notEmpty().withMessage('Name is required'),
 		body('role')
-			.isIn(['user', 'admin']).withMessage('Invalid role'),
+			.isIn(['user', 'agent', 'admin']).withMessage('Invalid role'),
 		body('status')
 			.optional()
 			.isIn(['active', 'inactive', 'blocked']).withMessage('Invalid status')
@@ -109,7 +138,7 @@ router.put('/users/:id',
 	[
 		body('name').optional().trim().notEmpty(),
 		body('email').optional().isEmail().normalizeEmail(),
-		body('role').optional().isIn(['user', 'admin']),
+		body('role').optional().isIn(['user', 'agent', 'admin']),
 		body('status').optional().isIn(['active', 'inactive', 'blocked'])
 	],
 	async (req, res) => {
@@ -142,6 +171,45 @@ router.put('/users/:id',
 	}
 );
 
+// Unlock an account locked after failed sign-ins (admin only)
+router.post('/users/:id/unlock', adminAuth, async (req, res) => {
+	try {
+		const user = await User.findById(req.params.id);
+		if (!user) {
+			return res.status(404).json({ message: 'User not found' });
+		}
+		await accountLockout.unlock(user);
+		res.json({ message: 'Account unlocked successfully' });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Turn off 2FA for a user who lost their authenticator, backup codes and security
+// keys, ending their sessions; they log in with the password and set it up again (admin only)
+router.post('/users/:id/2fa/reset', adminAuth, async (req, res) => {
+	try {
+		const user = await User.findById(req.params.id);
+		if (!user) {
+			return res.status(404).json({ message: 'User not found' });
+		}
+
+		user.twoFactorAuth = {
+			enabled: false,
+			secret: null,
+			verified: false,
+			backupCodes: []
+		};
+		user.set('webauthn.credentials', []);
+		await user.save();
+		await sessionService.revokeAll(user._id);
+
+		res.json({ message: '2FA reset successfully' });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
 // Delete user (admin only)
 router.delete('/users/:id', adminAuth, async (req, res) => {
 	try {
@@ -149,22 +217,36 @@ router.delete('/users/:id', adminAuth, async (req, res) => {
 		if (!user) {
 			return res.status(404).json({ message: 'User not found' });
 		}
+		await sessionService.revokeAll(user._id);
 		res.json({ message: 'User deleted successfully' });
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
 	}
 });
 
-// Get all FAQs (admin only)
+// Get all FAQs (admin only); page/limit or ?pagination=cursor (see utils/pagination.js)
 router.get('/faqs', adminAuth, async (req, res) => {
 	try {
+		const fields = parseFields(req.query.fields, FAQ_FIELDS);
+		const findFaqs = () => (fields ? FAQ.find().select(fields) : FAQ.find());
+		const sort = { order: 1, createdAt: -1 };
+
+		if (isCursorMode(req.query)) {
+			const { items, nextCursor, hasMore } = await paginateByCursor(findFaqs(), {
+				sort,
+				cursor: req.query.cursor,
+				limit: req.query.limit
+			});
+			return res.json({ faqs: items, nextCursor, hasMore });
+		}
+
 		const page = parseInt(req.query.page) || 1;
 		const limit = parseInt(req.query.limit) || 10;
 		const skip = (page - 1) * limit;
 
 		const [faqs, total] = await Promise.all([
-			FAQ.find()
-				.sort({ order: 1, createdAt: -1 })
+			findFaqs()
+				.sort(sort)
 				.skip(skip)
 				.limit(limit),
 			FAQ.countDocuments()
@@ -177,6 +259,9 @@ router.get('/faqs', adminAuth, async (req, res) => {
 			total
 		});
 	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
 		res.status(500).json({ message: 'Server error', error: error.message });
 	}
 });
@@ -255,4 +340,94 @@ router.delete('/faqs/:id', adminAuth, async (req, res) => {
 	}
 });
 
-module.exports = router; 
\ No newline at end of file
+// Get notification outbox jobs, failed (dead) ones by default (admin only)
+router.get('/notifications', adminAuth, async (req, res) => {
+	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 10;
+		const skip = (page - 1) * limit;
+
+		const query = {};
+		if (req.query.status !== 'all') query.status = req.query.status || 'dead';
+		if (req.query.type) query.type = req.query.type;
+
+		const [jobs, total, counts] = await Promise.all([
+			NotificationJob.find(query)
+				.sort({ updatedAt: -1 })
+				.skip(skip)
+				.limit(limit),
+			NotificationJob.countDocuments(query),
+			NotificationJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+		]);
+
+		res.json({
+			jobs: jobs.map(job => notificationOutbox.redact(job)),
+			counts: counts.reduce((acc, c) => ({ ...acc, [c._id]: c.count }), {}),
+			currentPage: page,
+			totalPages: Math.ceil(total / limit),
+			total
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Get a single notification job (admin only)
+router.get('/notifications/:id', adminAuth, async (req, res) => {
+	try {
+		const job = await NotificationJob.findById(req.params.id);
+		if (!job) {
+			return res.status(404).json({ message: 'Notification not found' });
+		}
+		res.json(notificationOutbox.redact(job));
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Retry a failed (dead) notification (admin only)
+router.post('/notifications/:id/retry', adminAuth, async (req, res) => {
+	try {
+		const job = await notificationOutbox.retry(req.params.id);
+		if (!job) {
+			return res.status(404).json({ message: 'No failed notification found with this id' });
+		}
+		res.json(notificationOutbox.redact(job));
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// List email templates and supported locales (admin only)
+router.get('/email-templates', adminAuth, (req, res) => {
+	res.json({ templates: templateEngine.TEMPLATES, locales: templateEngine.LOCALES });
+});
+
+// Preview an email template with sample data (admin only)
+// ?locale=es&format=html|text|json (default html)
+router.get('/email-templates/:name/preview', adminAuth, (req, res) => {
+	try {
+		if (!templateEngine.TEMPLATES.includes(req.params.name)) {
+			return res.status(404).json({ message: 'Template not found' });
+		}
+		if (req.query.locale && !templateEngine.LOCALES.includes(req.query.locale)) {
+			return res.status(400).json({ message: 'Unsupported locale' });
+		}
+
+		const template = templateEngine.loadTemplate(req.params.name);
+		const email = templateEngine.render(req.params.name, template.sample(), req.query.locale);
+
+		switch (req.query.format) {
+			case 'text':
+				return res.type('text/plain').send(email.text);
+			case 'json':
+				return res.json(email);
+			default:
+				return res.type('html').send(email.html);
+		}
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+module.exports = router;
\ No newline at end of file
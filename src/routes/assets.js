@@ -0,0 +1,83 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+const Asset = require('../models/Asset');
+const { adminAuth } = require('../middleware/auth');
+const assetService = require('../utils/assetService');
+const ApiError = require('../utils/ApiError');
+const router = express.Router();
+
+// Asset content never changes (see models/Asset.js)
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Rejected uploads (wrong type, too large) are answered with a 400
+const uploadFile = (req, res, next) => {
+	assetService.upload.single('file')(req, res, (error) => {
+		if (error) {
+			return res.status(400).json({ message: error.message });
+		}
+		next();
+	});
+};
+
+// Upload an icon (admin only); multipart field "file". Returns the asset,
+// whose id can be used as the icon of a category or subcategory.
+router.post('/', adminAuth, uploadFile, async (req, res) => {
+	try {
+		if (!req.file) {
+			return res.status(400).json({ message: 'No file uploaded' });
+		}
+
+		const asset = await assetService.create(req.file.buffer, {
+			name: req.file.originalname,
+			uploadedBy: req.user._id
+		});
+
+		res.status(201).json({ ...asset.toObject(), url: assetService.url(asset._id) });
+	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Serve an asset; ?w=<width> for a resized variant (see assetService.variantWidths).
+// Public, cacheable and revalidated with the ETag.
+router.get('/:id', async (req, res) => {
+	try {
+		const width = req.query.w === undefined ? null : parseInt(req.query.w);
+		if (width !== null && !assetService.variantWidths.includes(width)) {
+			return res.status(400).json({ message: `Width must be one of ${assetService.variantWidths.join(', ')}` });
+		}
+
+		const asset = mongoose.isValidObjectId(req.params.id) ? await Asset.findById(req.params.id) : null;
+		if (!asset) {
+			return res.status(404).json({ message: 'Asset not found' });
+		}
+
+		const file = width ? await assetService.getVariant(asset, width) : asset;
+		res.set({
+			ETag: `"${file.checksum}"`,
+			'Cache-Control': CACHE_CONTROL,
+			'X-Content-Type-Options': 'nosniff'
+		});
+		if (req.fresh) {
+			return res.status(304).end();
+		}
+
+		res.set({
+			'Content-Type': file.mimeType,
+			'Content-Length': String(file.size)
+		});
+		await pipeline(await assetService.open(asset, file), res);
+	} catch (error) {
+		// Too late for an error response once streaming has started
+		if (res.headersSent) {
+			return res.destroy(error);
+		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const Complaint = require('../models/Complaint');
+const AttachmentAccess = require('../models/AttachmentAccess');
+const { auth, adminAuth } = require('../middleware/auth');
+const attachmentService = require('../utils/attachmentService');
+const { getAccessFilter, canSeeComment } = require('../utils/complaintAccess');
+
+// Mounted at /api/complaints/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+// Download an attachment of the complaint or one of its comments
+// (?variant=thumbnail for the preview image of a picture).
+// Images and PDFs are shown inline unless ?download=true; other files are
+// always sent as downloads. The file is streamed, or the client is redirected
+// to a short-lived signed URL when the storage driver supports it.
+// Files are only available once processing has passed.
+router.get('/:attachmentId', auth, async (req, res) => {
+	try {
+		const complaint = await Complaint.findOne({
+			_id: req.params.id,
+			...(await getAccessFilter(req.user))
+		});
+		if (!complaint) {
+			return res.status(404).json({ message: 'Complaint not found' });
+		}
+
+		const found = attachmentService.findAttachment(complaint, req.params.attachmentId);
+		// Attachments of internal notes and deleted comments are hidden like the comments
+		if (!found || (found.comment && (found.comment.deletedAt || !canSeeComment(found.comment, req.user)))) {
+			return res.status(404).json({ message: 'Attachment not found' });
+		}
+
+		const { comment } = found;
+		const status = found.attachment.processing?.status;
+		if (status === 'pending') {
+			return res.status(409).json({ message: 'Attachment is still being processed' });
+		}
+		if (status === 'rejected' || status === 'failed') {
+			return res.status(410).json({ message: found.attachment.processing.reason || 'Attachment is not available' });
+		}
+
+		const variant = req.query.variant === 'thumbnail' ? 'thumbnail' : 'original';
+		let attachment = found.attachment;
+		if (variant === 'thumbnail') {
+			if (!attachment.thumbnail?.key) {
+				return res.status(404).json({ message: 'Attachment has no thumbnail' });
+			}
+			attachment = {
+				_id: attachment._id,
+				name: `thumbnail-${attachment.name.replace(/\.[^.]+$/, '')}.jpg`,
+				driver: attachment.driver,
+				key: attachment.thumbnail.key,
+				mimeType: attachment.thumbnail.mimeType,
+				size: attachment.thumbnail.size
+			};
+		}
+
+		const disposition = req.query.download !== 'true' && attachmentService.isPreviewable(attachment.mimeType)
+			? 'inline'
+			: 'attachment';
+		const delivery = await attachmentService.open(attachment, { disposition });
+
+		await AttachmentAccess.create({
+			complaint: complaint._id,
+			attachment: attachment._id,
+			comment: comment?._id,
+			user: req.user._id,
+			variant,
+			disposition,
+			delivery: delivery.url ? 'redirect' : 'stream',
+			ip: req.ip,
+			userAgent: req.get('User-Agent')
+		});
+
+		res.set({
+			'Cache-Control': 'private, no-store',
+			'X-Content-Type-Options': 'nosniff'
+		});
+		if (delivery.url) {
+			return res.redirect(delivery.url);
+		}
+
+		res.set({
+			'Content-Type': attachment.mimeType || 'application/octet-stream',
+			'Content-Disposition': attachmentService.contentDisposition(disposition, attachment.name)
+		});
+		if (attachment.size) {
+			res.set('Content-Length', String(attachment.size));
+		}
+		await pipeline(delivery.stream, res);
+	} catch (error) {
+		// Too late for an error response once streaming has started
+		if (res.headersSent) {
+			return res.destroy(error);
+		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Who downloaded an attachment and when (admin only)
+router.get('/:attachmentId/access-log', adminAuth, async (req, res) => {
+	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 20;
+		const skip = (page - 1) * limit;
+		const query = { complaint: req.params.id, attachment: req.params.attachmentId };
+
+		const [entries, total] = await Promise.all([
+			AttachmentAccess.find(query)
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit)
+				.populate('user', 'name email role'),
+			AttachmentAccess.countDocuments(query)
+		]);
+
+		res.json({
+			entries,
+			currentPage: page,
+			totalPages: Math.ceil(total / limit),
+			total
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+module.exports = router;
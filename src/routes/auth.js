@@ -3,8 +3,15 @@ const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { auth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const emailService = require('../utils/emailService');
-const speakeasy = require('speakeasy');
+const notificationOutbox = require('../utils/notificationOutbox');
+const sessionService = require('../utils/sessionService');
+const accountLockout = require('../utils/accountLockout');
+const twoFactorService = require('../utils/twoFactorService');
+const webauthnService = require('../utils/webauthnService');
+const oidcService = require('../utils/oidcService');
+const ApiError = require('../utils/ApiError');
 const router = express.Router();
 
 // Register validation middleware
@@ -18,9 +25,55 @@ const registerValidation = [
 // Login validation middleware
 const loginValidation = [
 	body('email').isEmail().normalizeEmail(),
-	body('password').notEmpty()
+	body('password').notEmpty(),
+	body('deviceName').optional().trim().isLength({ max: 100 })
 ];
 
+// Where a request comes from, as recorded on its session
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') });
+
+const sendLocked = (res, lockedUntil) => res.status(423).json({
+	message: 'Account temporarily locked after too many failed sign-in attempts',
+	lockedUntil
+});
+
+// Wrong passwords and 2FA codes count towards a lockout
+const rejectLogin = async (res, user, status, body) => {
+	const { locked, lockedUntil } = await accountLockout.recordFailure(user);
+	if (locked) {
+		return sendLocked(res, lockedUntil);
+	}
+	return res.status(status).json(body);
+};
+
+// Starts a session for a user who passed every login check and responds with
+// its tokens: a short-lived access token plus a refresh token
+const completeLogin = async (req, res, user, { deviceName, ...extra } = {}) => {
+	const { token, refreshToken, expiresIn } = await sessionService.create(user, { ...clientInfo(req), deviceName });
+
+	// Update last login
+	user.lastLogin = Date.now();
+	accountLockout.recordSuccess(user);
+	await user.save();
+
+	res.json({
+		token,
+		refreshToken,
+		expiresIn,
+		...extra,
+		user: {
+			id: user._id,
+			name: user.name,
+			email: user.email,
+			role: user.role,
+			isVerified: user.isVerified,
+			twoFactorEnabled: user.twoFactorAuth?.enabled || false,
+			// Admins without 2FA must set it up before they can use admin features
+			twoFactorSetupRequired: twoFactorService.requiresSetup(user)
+		}
+	});
+};
+
 // Register route
 router.post('/register', registerValidation, async (req, res) => {
 	try {
@@ -66,13 +119,12 @@ router.post('/register', registerValidation, async (req, res) => {
 		user.verificationToken = verificationToken;
 		await user.save();
 
-		// Send verification email
-		try {
-			await emailService.sendVerificationEmail(email, verificationToken);
-		} catch (emailError) {
-			console.error('Failed to send verification email:', emailError);
-			// Don't return error to client, but log it
-		}
+		// Queue verification email
+		await notificationOutbox.enqueueEmail(
+			'verification',
+			emailService.buildVerificationEmail(email, verificationToken, user.language),
+			{ idempotencyKey: `verification:${user._id}:${user.updatedAt.getTime()}` }
+		);
 
 		res.status(201).json({
 			message: 'Registration successful. Please check your email for verification.',
@@ -88,15 +140,33 @@ router.post('/register', registerValidation, async (req, res) => {
 	}
 });
 
-// Login route
-router.post('/login', loginValidation, async (req, res) => {
+// Last login step once the user is known: users with a second factor get a
+// ticket for it, everyone else is logged in
+const finishLogin = async (req, res, user, { deviceName } = {}) => {
+	if (twoFactorService.hasSecondFactor(user)) {
+		const ticket = await twoFactorService.createLoginTicket(user, { deviceName });
+		return res.json({
+			requires2FA: true,
+			ticket,
+			ticketExpiresIn: twoFactorService.loginTicketTtl,
+			methods: twoFactorService.methods(user)
+		});
+	}
+
+	await completeLogin(req, res, user, { deviceName });
+};
+
+// Login route. Users with 2FA get a short-lived ticket instead of tokens and
+// finish at POST /login/2fa with a code or POST /login/webauthn with a security
+// key, without sending the password again.
+router.post('/login', loginValidation, rateLimit('login'), async (req, res) => {
 	try {
 		const errors = validationResult(req);
 		if (!errors.isEmpty()) {
 			return res.status(400).json({ errors: errors.array() });
 		}
 
-		const { email, password, twoFactorToken } = req.body;
+		const { email, password } = req.body;
 
 		// Find user
 		const user = await User.findOne({ email });
@@ -104,10 +174,14 @@ router.post('/login', loginValidation, async (req, res) => {
 			return res.status(401).json({ message: 'Invalid credentials' });
 		}
 
+		if (accountLockout.isLocked(user)) {
+			return sendLocked(res, user.lockout.lockedUntil);
+		}
+
 		// Check password
 		const isMatch = await user.comparePassword(password);
 		if (!isMatch) {
-			return res.status(401).json({ message: 'Invalid credentials' });
+			return rejectLogin(res, user, 401, { message: 'Invalid credentials' });
 		}
 
 		// Check if email is verified
@@ -119,51 +193,321 @@ router.post('/login', loginValidation, async (req, res) => {
 			});
 		}
 
-		// Check 2FA if enabled
-		if (user.twoFactorAuth?.enabled) {
-			if (!twoFactorToken) {
-				return res.status(403).json({
+		await finishLogin(req, res, user, { deviceName: req.body.deviceName });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Second login step: a ticket from POST /login plus a TOTP `token` or a `backupCode`
+router.post('/login/2fa',
+	[
+		body('ticket').isString().notEmpty(),
+		body('token').optional().isLength({ min: 6, max: 6 }).isNumeric(),
+		body('backupCode').optional().isString().isLength({ max: 20 })
+	],
+	rateLimit('login-2fa'),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const { ticket, token, backupCode } = req.body;
+			if (!token && !backupCode) {
+				return res.status(400).json({ message: 'A 2FA code or a backup code is required' });
+			}
+
+			const pending = await twoFactorService.getLoginTicket(ticket);
+			const user = await User.findById(pending.userId);
+			if (!user) {
+				await twoFactorService.consumeLoginTicket(ticket);
+				return res.status(401).json({ message: 'Invalid or expired login ticket' });
+			}
+			// E.g. an account secured with security keys only
+			if (!user.twoFactorAuth?.enabled) {
+				return res.status(400).json({ message: '2FA codes are not enabled for this account' });
+			}
+
+			if (accountLockout.isLocked(user)) {
+				await twoFactorService.consumeLoginTicket(ticket);
+				return sendLocked(res, user.lockout.lockedUntil);
+			}
+
+			await twoFactorService.useTicketAttempt(ticket, pending);
+			const method = await twoFactorService.verify(user, { token, backupCode });
+			if (!method) {
+				return rejectLogin(res, user, 401, {
 					requires2FA: true,
-					message: '2FA token required'
+					message: backupCode ? 'Invalid backup code' : 'Invalid 2FA code'
 				});
 			}
 
-			const verified = speakeasy.totp.verify({
-				secret: user.twoFactorAuth.secret,
-				encoding: 'base32',
-				token: twoFactorToken
+			if (!await twoFactorService.consumeLoginTicket(ticket)) {
+				return res.status(401).json({ message: 'Invalid or expired login ticket' });
+			}
+			await completeLogin(req, res, user, {
+				deviceName: pending.deviceName,
+				// Lets clients warn when the user is running out of backup codes
+				...(method === 'backup-code' && { backupCodesRemaining: twoFactorService.remainingBackupCodes(user) })
 			});
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// WebAuthn login, step 1: options for navigator.credentials.get(). With a
+// `ticket` from POST /login the user's security keys confirm the login (second
+// factor); without one any passkey of an account can sign in (passwordless).
+router.post('/login/webauthn/options',
+	body('ticket').optional().isString(),
+	rateLimit('login-webauthn'),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			let user = null;
+			if (req.body.ticket) {
+				const pending = await twoFactorService.getLoginTicket(req.body.ticket);
+				user = await User.findById(pending.userId);
+				if (!user || !webauthnService.hasCredentials(user)) {
+					return res.status(400).json({ message: 'No security keys or passkeys are registered' });
+				}
+			}
+
+			res.json(await webauthnService.authenticationOptions(user));
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// WebAuthn login, step 2: the authenticator's `response`, plus the `ticket` when
+// it confirms a password login
+router.post('/login/webauthn',
+	[
+		body('response').isObject(),
+		body('response.id').isString().notEmpty(),
+		body('ticket').optional().isString(),
+		body('deviceName').optional().trim().isLength({ max: 100 })
+	],
+	rateLimit('login-webauthn'),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const { response, ticket } = req.body;
+			let pending = null;
+			let expectedUser = null;
+			if (ticket) {
+				pending = await twoFactorService.getLoginTicket(ticket);
+				expectedUser = await User.findById(pending.userId);
+				if (!expectedUser) {
+					await twoFactorService.consumeLoginTicket(ticket);
+					return res.status(401).json({ message: 'Invalid or expired login ticket' });
+				}
+				await twoFactorService.useTicketAttempt(ticket, pending);
+			}
+
+			const { verified, user } = await webauthnService.authenticate(response, { user: expectedUser });
+
+			if (accountLockout.isLocked(user)) {
+				if (ticket) await twoFactorService.consumeLoginTicket(ticket);
+				return sendLocked(res, user.lockout.lockedUntil);
+			}
 
 			if (!verified) {
+				return rejectLogin(res, user, 401, { message: 'Security key or passkey could not be verified' });
+			}
+
+			// Passwordless logins skip the password check, not the others
+			if (!user.isVerified) {
 				return res.status(403).json({
-					requires2FA: true,
-					message: 'Invalid 2FA token'
+					isVerified: false,
+					email: user.email,
+					message: 'Please verify your email before logging in'
 				});
 			}
+
+			if (ticket && !await twoFactorService.consumeLoginTicket(ticket)) {
+				return res.status(401).json({ message: 'Invalid or expired login ticket' });
+			}
+			await completeLogin(req, res, user, { deviceName: pending ? pending.deviceName : req.body.deviceName });
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
 		}
+	}
+);
 
-		// Generate token
-		const token = jwt.sign(
-			{ userId: user._id },
-			process.env.JWT_SECRET,
-			{ expiresIn: '7d' }
-		);
+// Sends the browser back to the frontend after single sign-on
+const redirectToFrontend = (res, pathname, params) => {
+	res.redirect(`${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}?${new URLSearchParams(params)}`);
+};
 
-		// Update last login
-		user.lastLogin = Date.now();
-		await user.save();
+// Identity providers users can sign in with
+router.get('/oidc/providers', (req, res) => {
+	res.json({ providers: oidcService.list() });
+});
 
-		res.json({
-			token,
-			user: {
-				id: user._id,
-				name: user.name,
-				email: user.email,
-				role: user.role,
-				isVerified: user.isVerified,
-				twoFactorEnabled: user.twoFactorAuth?.enabled || false
+// Single sign-on, step 1: the browser is sent to the provider's sign-in page
+router.get('/oidc/:provider/start', async (req, res) => {
+	try {
+		const { url, state } = await oidcService.authorizationUrl(req.params.provider);
+		oidcService.setStateCookie(res, state);
+		res.redirect(url);
+	} catch (error) {
+		redirectToFrontend(res, '/login', { sso: 'failed', message: error instanceof ApiError ? error.message : 'Single sign-on is unavailable' });
+	}
+});
+
+// Single sign-on, step 2: the provider sends the browser back here. The frontend
+// gets a one-time code to exchange at POST /oidc/exchange (or, when an account
+// was being linked, lands on the settings page).
+router.get('/oidc/:provider/callback', async (req, res) => {
+	let linking = false;
+	try {
+		if (req.query.error) {
+			return redirectToFrontend(res, '/login', { sso: 'failed', message: String(req.query.error_description || req.query.error) });
+		}
+
+		const search = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+		const stateHash = oidcService.stateCookie(req);
+		oidcService.clearStateCookie(res);
+		const { provider, claims, link } = await oidcService.handleCallback(req.params.provider, search, { stateHash });
+
+		if (link) {
+			linking = true;
+			await oidcService.linkIdentity(link, provider, claims);
+			return redirectToFrontend(res, '/settings', { sso: 'linked', provider: provider.id });
+		}
+
+		const user = await oidcService.resolveUser(provider, claims);
+		if (accountLockout.isLocked(user)) {
+			return redirectToFrontend(res, '/login', {
+				sso: 'failed',
+				message: 'Account temporarily locked after too many failed sign-in attempts'
+			});
+		}
+
+		redirectToFrontend(res, '/login/sso', { code: await oidcService.createLoginCode(user) });
+	} catch (error) {
+		redirectToFrontend(res, linking ? '/settings' : '/login', {
+			sso: 'failed',
+			message: error instanceof ApiError ? error.message : 'Single sign-on failed'
+		});
+	}
+});
+
+// Single sign-on, step 3: the one-time code from the redirect for the same
+// response as POST /login (tokens, or a ticket when a second factor is needed)
+router.post('/oidc/exchange',
+	[
+		body('code').isString().notEmpty(),
+		body('deviceName').optional().trim().isLength({ max: 100 })
+	],
+	rateLimit('login-sso'),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
 			}
+
+			const user = await User.findById(await oidcService.redeemLoginCode(req.body.code));
+			if (!user) {
+				return res.status(401).json({ message: 'Invalid or expired sign-in code' });
+			}
+
+			await finishLogin(req, res, user, { deviceName: req.body.deviceName });
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Exchange a refresh token for a new access token and refresh token (the old
+// refresh token stops working; using it again revokes the session)
+router.post('/refresh',
+	body('refreshToken').isString().notEmpty(),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const { token, refreshToken, expiresIn } = await sessionService.refresh(req.body.refreshToken, clientInfo(req));
+			res.json({ token, refreshToken, expiresIn });
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Log out: ends the current session
+router.post('/logout', auth, async (req, res) => {
+	try {
+		await sessionService.revoke(req.user._id, req.sessionId);
+		res.json({ message: 'Logged out successfully' });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Active sessions of the current user (device, IP, last seen)
+router.get('/sessions', auth, async (req, res) => {
+	try {
+		const sessions = await sessionService.list(req.user._id);
+		res.json({
+			sessions: sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Revoke every session, including the current one; ?keepCurrent=true keeps it
+router.delete('/sessions', auth, async (req, res) => {
+	try {
+		const revoked = await sessionService.revokeAll(req.user._id, {
+			except: req.query.keepCurrent === 'true' ? req.sessionId : undefined
 		});
+		res.json({ message: 'Sessions revoked successfully', revoked });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Revoke one session
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+	try {
+		if (!await sessionService.revoke(req.user._id, req.params.sessionId)) {
+			return res.status(404).json({ message: 'Session not found' });
+		}
+		res.json({ message: 'Session revoked successfully' });
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
 	}
@@ -172,6 +516,7 @@ router.post('/login', loginValidation, async (req, res) => {
 // Resend verification email
 router.post('/resend-verification',
 	body('email').isEmail().normalizeEmail(),
+	rateLimit('resend-verification'),
 	async (req, res) => {
 		try {
 			const errors = validationResult(req);
@@ -200,8 +545,12 @@ router.post('/resend-verification',
 			user.verificationToken = verificationToken;
 			await user.save();
 
-			// Send verification email
-			await emailService.sendVerificationEmail(email, verificationToken);
+			// Queue verification email
+			await notificationOutbox.enqueueEmail(
+				'verification',
+				emailService.buildVerificationEmail(email, verificationToken, user.language),
+				{ idempotencyKey: `verification:${user._id}:${user.updatedAt.getTime()}` }
+			);
 
 			res.json({ message: 'Verification email sent successfully' });
 		} catch (error) {
@@ -255,6 +604,7 @@ router.get('/me', auth, async (req, res) => {
 // Forgot password route
 router.post('/forgot-password',
 	body('email').isEmail().normalizeEmail(),
+	rateLimit('forgot-password'),
 	async (req, res) => {
 		try {
 			const errors = validationResult(req);
@@ -280,8 +630,12 @@ router.post('/forgot-password',
 			user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
 			await user.save();
 
-			// Send password reset email
-			await emailService.sendPasswordResetEmail(email, resetToken);
+			// Queue password reset email
+			await notificationOutbox.enqueueEmail(
+				'password-reset',
+				emailService.buildPasswordResetEmail(email, resetToken, user.language),
+				{ idempotencyKey: `password-reset:${user._id}:${user.resetPasswordExpires.getTime()}` }
+			);
 
 			res.json({ message: 'Password reset email sent' });
 		} catch (error) {
@@ -319,8 +673,15 @@ router.post('/reset-password/:token',
 			user.resetPasswordExpires = undefined;
 			await user.save();
 
-			// Send confirmation email
-			await emailService.sendPasswordResetConfirmationEmail(user.email);
+			// Whoever knew the old password is logged out everywhere
+			await sessionService.revokeAll(user._id);
+
+			// Queue confirmation email
+			await notificationOutbox.enqueueEmail(
+				'password-reset-confirmation',
+				emailService.buildPasswordResetConfirmationEmail(user.email, user.language),
+				{ idempotencyKey: `password-reset-confirmation:${user._id}:${user.updatedAt.getTime()}` }
+			);
 
 			res.json({ message: 'Password reset successful' });
 		} catch (error) {
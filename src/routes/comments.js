@@ -0,0 +1,167 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Complaint = require('../models/Complaint');
+const { auth } = require('../middleware/auth');
+const attachmentService = require('../utils/attachmentService');
+const complaintService = require('../utils/complaintService');
+const { isStaff, getAccessFilter, canSeeComment, formatComment } = require('../utils/complaintAccess');
+const ApiError = require('../utils/ApiError');
+
+// Mounted at /api/complaints/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// The complaint from the URL, if the user can see it
+const findComplaint = async (req) => {
+	const complaint = await Complaint.findOne({
+		_id: req.params.id,
+		...(await getAccessFilter(req.user))
+	}).populate('user', 'name email language');
+
+	if (!complaint) {
+		throw new ApiError(404, 'Complaint not found');
+	}
+	return complaint;
+};
+
+// Visible comments as a tree: [{ ...comment, replies: [...] }], oldest first
+const buildThread = (comments, user) => {
+	const nodes = new Map();
+	comments
+		.filter(comment => canSeeComment(comment, user))
+		.forEach(comment => nodes.set(comment._id.toString(), { ...formatComment(comment), replies: [] }));
+
+	const roots = [];
+	for (const node of nodes.values()) {
+		const parent = node.parent && nodes.get(node.parent.toString());
+		(parent ? parent.replies : roots).push(node);
+	}
+	return roots;
+};
+
+// Get the comment thread (internal notes are only included for staff)
+router.get('/', auth, async (req, res) => {
+	try {
+		const complaint = await findComplaint(req);
+		await complaint.populate('comments.user', 'name email');
+
+		res.json({ comments: buildThread(complaint.comments, req.user) });
+	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Add a comment or reply; mentions are user ids (or @[Name](id) tokens in the text)
+router.post('/',
+	auth,
+	attachmentService.upload.array('attachments', attachmentService.maxFiles),
+	[
+		body('text').trim().notEmpty(),
+		body('parentId').optional({ values: 'null' }).isMongoId(),
+		body('internal').optional().isBoolean().toBoolean(),
+		body('mentions').optional().toArray(),
+		body('mentions.*').isMongoId()
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const complaint = await findComplaint(req);
+			const attachments = await attachmentService.storeUploads(req.files, req.user._id);
+
+			const comment = await complaintService.addComment(complaint, req.user, {
+				text: req.body.text,
+				parent: req.body.parentId || null,
+				internal: req.body.internal || false,
+				attachments,
+				mentions: req.body.mentions || []
+			});
+
+			res.json(comment);
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Edit a comment (author only)
+router.patch('/:commentId',
+	auth,
+	[
+		body('text').trim().notEmpty(),
+		body('mentions').optional().toArray(),
+		body('mentions.*').isMongoId()
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const complaint = await findComplaint(req);
+			const comment = await complaintService.editComment(complaint, req.params.commentId, req.user, {
+				text: req.body.text,
+				mentions: req.body.mentions || []
+			});
+
+			res.json(formatComment(comment));
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Delete a comment (author or admin); it stays in the thread as a placeholder
+router.delete('/:commentId', auth, async (req, res) => {
+	try {
+		const complaint = await findComplaint(req);
+		await complaintService.deleteComment(complaint, req.params.commentId, req.user);
+
+		res.json({ message: 'Comment deleted successfully' });
+	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Edit history of a comment (author or staff)
+router.get('/:commentId/revisions', auth, async (req, res) => {
+	try {
+		const complaint = await findComplaint(req);
+		const comment = complaintService.getComment(complaint, req.params.commentId);
+
+		if (!canSeeComment(comment, req.user) || (!comment.user.equals(req.user._id) && !isStaff(req.user))) {
+			return res.status(403).json({ message: 'Access denied' });
+		}
+		if (comment.deletedAt) {
+			return res.status(410).json({ message: 'Comment has been deleted' });
+		}
+
+		res.json({
+			text: comment.text,
+			editedAt: comment.editedAt,
+			revisions: comment.revisions
+		});
+	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+module.exports = router;
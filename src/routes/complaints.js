@@ -1,43 +1,27 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const multer = require('multer');
-const path = require('path');
-const OpenAI = require('openai');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Complaint = require('../models/Complaint');
-const { auth, verifiedAuth } = require('../middleware/auth');
+const User = require('../models/User');
+const SavedFilter = require('../models/SavedFilter');
+const { auth, adminAuth, verifiedAuth, staffAuth } = require('../middleware/auth');
 const router = express.Router();
-const aiService = require('../utils/aiService');
 const emailService = require('../utils/emailService');
-const cloudinary = require('../utils/cloudinaryConfig');
-
-// Configure OpenAI
-const openai = new OpenAI({
-	apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-	destination: (req, file, cb) => {
-		cb(null, 'uploads/');
-	},
-	filename: (req, file, cb) => {
-		cb(null, Date.now() + path.extname(file.originalname));
-	}
-});
-
-const upload = multer({
-	storage,
-	limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-	fileFilter: (req, file, cb) => {
-		const allowedTypes = /jpeg|jpg|png|pdf/;
-		const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-		const mimetype = allowedTypes.test(file.mimetype);
-		if (extname && mimetype) {
-			return cb(null, true);
-		}
-		cb(new Error('Invalid file type. Only JPEG, JPG, PNG, and PDF files are allowed.'));
-	}
-});
+const notificationOutbox = require('../utils/notificationOutbox');
+const notificationDispatcher = require('../utils/notificationDispatcher');
+const attachmentService = require('../utils/attachmentService');
+const complaintService = require('../utils/complaintService');
+const complaintWorkflow = require('../utils/complaintWorkflow');
+const complaintSearch = require('../utils/complaintSearch');
+const complaintFilter = require('../utils/complaintFilter');
+const routingService = require('../utils/routingService');
+const slaService = require('../utils/slaService');
+const eventBus = require('../utils/eventBus');
+const { isStaff, getAccessFilter, redactComplaint } = require('../utils/complaintAccess');
+const { isCursorMode, paginateByCursor, parseFields } = require('../utils/pagination');
+const ApiError = require('../utils/ApiError');
+const commentRoutes = require('./comments');
+const attachmentRoutes = require('./attachments');
 
 // Validation middleware
 const complaintValidation = [
@@ -46,10 +30,17 @@ const complaintValidation = [
 	body('category').trim().notEmpty()
 ];
 
+// Fields that can be requested with ?fields= on the complaint list
+const LIST_FIELDS = [
+	'title', 'description', 'category', 'subCategory', 'status', 'priority', 'user', 'assignedTo',
+	'source', 'sla', 'resolution', 'aiResponse', 'attachments', 'attachmentsProcessing', 'comments',
+	'lastStaffReplyAt', 'createdAt', 'updatedAt'
+];
+
 // Create complaint
 router.post('/',
 	verifiedAuth,
-	upload.array('attachments', 5),
+	attachmentService.upload.array('attachments', attachmentService.maxFiles),
 	complaintValidation,
 	async (req, res) => {
 		try {
@@ -59,57 +50,18 @@ router.post('/',
 			}
 
 			const { title, description, category, subCategory, priority } = req.body;
-			const attachments = [];
+			const attachments = await attachmentService.storeUploads(req.files, req.user._id);
 
-			// Upload files to Cloudinary
-			if (req.files) {
-				for (const file of req.files) {
-					const result = await cloudinary.uploader.upload(file.path);
-					attachments.push(result.secure_url); // Store the secure URL
-				}
-			}
-
-			// Get AI categorization and suggestion
-			// const completion = await openai.chat.completions.create({
-			// 	model: "gpt-3.5-turbo",
-			// 	messages: [
-			// 		{
-			// 			role: "system",
-			// 			content: "You are a helpful assistant that analyzes complaints and provides suggestions."
-			// 		},
-			// 		{
-			// 			role: "user",
-			// 			content: `Analyze this complaint and provide suggestions:
-			//     Title: ${title}
-			//     Description: ${description}`
-			// 		}
-			// 	],
-			// 	max_tokens: 150
-			// });
-
-			// const aiSuggestion = completion.choices[0].message.content;
-			const aiSuggestion = "Can't provide suggestion as the developer was broke and not able to afford the key as he already have utilized the free credits on his other personal projects";
-
-			const complaint = new Complaint({
-				user: req.user._id,
+			const complaint = await complaintService.create(req.user, {
 				title,
 				description,
 				category,
 				subCategory,
-				priority: priority || 'medium',
+				priority,
 				attachments,
-				aiResponse: {
-					category: category,
-					suggestion: aiSuggestion,
-					confidence: 0.9
-				}
+				source: 'web'
 			});
 
-			await complaint.save();
-
-			// Send notification email
-			await emailService.sendComplaintCreationEmail(req.user.email, complaint);
-
 			res.status(201).json(complaint);
 		} catch (error) {
 			res.status(500).json({ message: 'Server error', error: error.message });
@@ -117,69 +69,97 @@ router.post('/',
 	}
 );
 
-// Get all complaints with filters and pagination
+// Get all complaints with filters and pagination (page/limit, or cursor pagination with
+// ?pagination=cursor and then ?cursor=<nextCursor>)
 router.get('/', auth, async (req, res) => {
 	try {
 		const page = parseInt(req.query.page) || 1;
 		const limit = parseInt(req.query.limit) || 10;
 		const skip = (page - 1) * limit;
 
-		// Check if the user is an admin
-		const query = req.user.role === 'admin' ? {} : { user: req.user._id };
+		// Admins see everything, agents their own work, users their own complaints
+		const query = { $and: [await getAccessFilter(req.user)] };
 		if (req.query.status && req.query.status !== 'all') query.status = req.query.status;
 		if (req.query.priority) query.priority = req.query.priority;
 		if (req.query.category) query.category = req.query.category;
+		if (req.query.slaState) query['sla.state'] = req.query.slaState;
 		if (req.query.search) {
+			// Plain substring match; ranked full-text search is GET /search
+			const search = complaintSearch.escapeRegex(String(req.query.search));
 			query.$or = [
-				{ title: { $regex: req.query.search, $options: 'i' } },
-				{ description: { $regex: req.query.search, $options: 'i' } }
+				{ title: { $regex: search, $options: 'i' } },
+				{ description: { $regex: search, $options: 'i' } }
 			];
 		}
 
-		let sortOptions = { createdAt: -1 }; // default sort
+		// Structured filter (utils/complaintFilter.js), given inline or as a saved view
+		let sort = req.query.sort;
+		let filter = null;
+		if (req.query.view) {
+			const view = mongoose.isValidObjectId(req.query.view)
+				? await SavedFilter.findVisible(req.query.view, req.user)
+				: null;
+			if (!view) {
+				return res.status(404).json({ message: 'Saved filter not found' });
+			}
+			filter = view.filter;
+			sort = sort || view.sort;
+		}
+		if (req.query.filter) {
+			const parsed = complaintFilter.parse(String(req.query.filter));
+			filter = filter ? { and: [filter, parsed] } : parsed;
+		}
+		if (filter) {
+			query.$and.push(complaintFilter.toQuery(filter));
+		}
+		const sortOptions = complaintFilter.sortFor(sort);
 
-		// Handle different sort options
-		switch (req.query.sort) {
-			case 'oldest':
-				sortOptions = { createdAt: 1 };
-				break;
-			case 'priority-high':
-				sortOptions = {
-					priorityValue: -1, // high to low (2 to 0)
-					createdAt: -1  // then by date
-				};
-				break;
-			case 'priority-low':
-				sortOptions = {
-					priorityValue: 1,  // low to high (0 to 2)
-					createdAt: -1 // then by date
-				};
-				break;
-			case 'status':
-				sortOptions = { status: 1, createdAt: -1 };
-				break;
-			default: // 'newest' or undefined
-				sortOptions = { createdAt: -1 };
+		const fields = parseFields(req.query.fields, LIST_FIELDS);
+		const findComplaints = () => {
+			const find = Complaint.find(query);
+			if (!fields) {
+				return find.populate('user', 'name email').populate('category').populate('subCategory');
+			}
+			// Projected lists only get the names of referenced documents (no category icons)
+			const selected = fields.split(' ');
+			find.select(fields);
+			if (selected.includes('user')) find.populate('user', 'name email');
+			if (selected.includes('assignedTo')) find.populate('assignedTo', 'name email');
+			if (selected.includes('category')) find.populate('category', 'name');
+			return find;
+		};
+
+		if (isCursorMode(req.query)) {
+			const { items, nextCursor, hasMore } = await paginateByCursor(findComplaints(), {
+				sort: sortOptions,
+				cursor: req.query.cursor,
+				limit: req.query.limit
+			});
+			return res.json({
+				complaints: items.map(complaint => redactComplaint(complaint, req.user)),
+				nextCursor,
+				hasMore
+			});
 		}
 
 		const [complaints, total] = await Promise.all([
-			Complaint.find(query)
+			findComplaints()
 				.sort(sortOptions)
 				.skip(skip)
-				.limit(limit)
-				.populate('user', 'name email')
-				.populate('category')
-				.populate('subCategory'),
+				.limit(limit),
 			Complaint.countDocuments(query)
 		]);
 
 		res.json({
-			complaints,
+			complaints: complaints.map(complaint => redactComplaint(complaint, req.user)),
 			currentPage: page,
 			totalPages: Math.ceil(total / limit),
 			totalComplaints: total
 		});
 	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
 		res.status(500).json({ message: 'Server error', error: error.message });
 	}
 });
@@ -227,6 +207,33 @@ router.get('/stats', auth, async (req, res) => {
 	}
 });
 
+// Full-text search with relevance ranking, highlights and facet counts.
+// Filters (comma-separated lists): status, priority, category, subCategory,
+// assignedTo (user ids or "none"); from/to limit dateField (createdAt by default)
+router.get('/search',
+	auth,
+	[
+		query('q').trim().notEmpty().isLength({ max: 200 }),
+		query('from').optional().isISO8601(),
+		query('to').optional().isISO8601(),
+		query('dateField').optional().isIn(['createdAt', 'updatedAt', 'resolution.date']),
+		query('page').optional().isInt({ min: 1 }),
+		query('limit').optional().isInt({ min: 1, max: 100 })
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			res.json(await complaintSearch.search(req.user, req.query));
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
 // Get complaint history
 router.get('/history', auth, async (req, res) => {
 	try {
@@ -240,15 +247,69 @@ router.get('/history', auth, async (req, res) => {
 	}
 });
 
-// Get single complaint
-router.get('/:id', auth, async (req, res) => {
+// Get agent work queue: assigned complaints plus unassigned ones from the agent's queues
+router.get('/queue', staffAuth, async (req, res) => {
 	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 10;
+		const skip = (page - 1) * limit;
 
-		const userFilter = req.user.role === 'admin' ? {} : { user: req.user._id };
+		const scopes = await routingService.getQueueScopes(req.user._id);
+		const assigned = { assignedTo: req.user._id };
+		const unassigned = scopes.length > 0 ? { assignedTo: null, $or: scopes } : null;
+
+		let scopeFilter;
+		switch (req.query.scope) {
+			case 'assigned':
+				scopeFilter = assigned;
+				break;
+			case 'unassigned':
+				scopeFilter = unassigned;
+				break;
+			default:
+				scopeFilter = unassigned ? { $or: [assigned, unassigned] } : assigned;
+		}
+
+		if (!scopeFilter) {
+			return res.json({ complaints: [], currentPage: page, totalPages: 0, totalComplaints: 0 });
+		}
+
+		const query = {
+			$and: [scopeFilter],
+			status: req.query.status && req.query.status !== 'all'
+				? req.query.status
+				: { $in: complaintWorkflow.openStatuses }
+		};
+		if (req.query.slaState) query['sla.state'] = req.query.slaState;
+
+		const [complaints, total] = await Promise.all([
+			Complaint.find(query)
+				.sort({ priorityValue: -1, createdAt: 1 })
+				.skip(skip)
+				.limit(limit)
+				.populate('user', 'name email')
+				.populate('assignedTo', 'name email')
+				.populate('category', 'name'),
+			Complaint.countDocuments(query)
+		]);
+
+		res.json({
+			complaints: complaints.map(complaint => redactComplaint(complaint, req.user)),
+			currentPage: page,
+			totalPages: Math.ceil(total / limit),
+			totalComplaints: total
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
 
+// Get single complaint
+router.get('/:id', auth, async (req, res) => {
+	try {
 		const complaint = await Complaint.findOne({
 			_id: req.params.id,
-			...userFilter
+			...(await getAccessFilter(req.user))
 		})
 			.populate('user', 'name email')
 			.populate('assignedTo', 'name email')
@@ -260,7 +321,30 @@ router.get('/:id', auth, async (req, res) => {
 			return res.status(404).json({ message: 'Complaint not found' });
 		}
 
-		res.json(complaint);
+		res.json(redactComplaint(complaint, req.user));
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Get complaint timeline (status, priority, assignee and category changes)
+router.get('/:id/timeline', auth, async (req, res) => {
+	try {
+		const complaint = await Complaint.findOne({
+			_id: req.params.id,
+			...(await getAccessFilter(req.user))
+		});
+
+		if (!complaint) {
+			return res.status(404).json({ message: 'Complaint not found' });
+		}
+
+		const timeline = await complaintWorkflow.getTimeline(complaint._id);
+
+		res.json({
+			timeline,
+			allowedTransitions: complaintWorkflow.getAllowedTransitions(complaint, req.user)
+		});
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
 	}
@@ -273,7 +357,9 @@ router.put('/:id',
 		body('title').optional().trim().notEmpty(),
 		body('description').optional().trim().notEmpty(),
 		body('category').optional().trim().notEmpty(),
-		body('priority').optional().isIn(['low', 'medium', 'high'])
+		body('subCategory').optional().trim().notEmpty(),
+		body('priority').optional().isIn(['low', 'medium', 'high']),
+		body('reason').optional().trim()
 	],
 	async (req, res) => {
 		try {
@@ -282,20 +368,30 @@ router.put('/:id',
 				return res.status(400).json({ errors: errors.array() });
 			}
 
-			const complaint = await Complaint.findOneAndUpdate(
-				{ _id: req.params.id, user: req.user._id },
-				{ $set: req.body },
-				{ new: true }
-			);
+			const complaint = await Complaint.findOne({ _id: req.params.id, user: req.user._id });
 
 			if (!complaint) {
 				return res.status(404).json({ message: 'Complaint not found' });
 			}
 
-			// Send status update email
-			await emailService.sendStatusUpdateEmail(complaint);
+			// Status changes go through PATCH /:id/status so only editable fields are applied here
+			const before = complaintWorkflow.snapshot(complaint);
+			['title', 'description', 'category', 'subCategory', 'priority'].forEach(field => {
+				if (req.body[field] !== undefined) complaint[field] = req.body[field];
+			});
+
+			await complaint.save();
+			await complaintWorkflow.recordChanges(complaint, before, req.user, req.body.reason);
+
+			// Notify the owner about the update
+			await complaint.populate('user', 'name email language');
+			await notificationDispatcher.notify(complaint.user._id, 'status-update', {
+				email: emailService.buildStatusUpdateEmail(complaint),
+				push: { title: 'Complaint updated', body: complaint.title },
+				data: { complaintId: complaint._id.toString() }
+			}, { idempotencyKey: `complaint-updated:${complaint._id}:${complaint.updatedAt.getTime()}` });
 
-			res.json(complaint);
+			res.json(redactComplaint(complaint, req.user));
 		} catch (error) {
 			res.status(500).json({ message: 'Server error', error: error.message });
 		}
@@ -314,7 +410,8 @@ router.delete('/:id', auth, async (req, res) => {
 			return res.status(404).json({ message: 'Complaint not found' });
 		}
 
-		// TODO: Delete associated files
+		// Files of the complaint and its comments go with it
+		await attachmentService.remove(attachmentService.complaintAttachments(complaint));
 
 		res.json({ message: 'Complaint deleted successfully' });
 	} catch (error) {
@@ -322,10 +419,18 @@ router.delete('/:id', auth, async (req, res) => {
 	}
 });
 
-// Add comment to complaint
-router.post('/:id/comments',
+// Threaded comments, internal notes, edits and deletion
+router.use('/:id/comments', commentRoutes);
+
+// Authorized attachment downloads
+router.use('/:id/attachments', attachmentRoutes);
+
+// Share complaint via email
+router.post('/:id/share/email',
 	auth,
-	body('text').trim().notEmpty(),
+	[
+		body('email').isEmail().normalizeEmail()
+	],
 	async (req, res) => {
 		try {
 			const errors = validationResult(req);
@@ -333,54 +438,57 @@ router.post('/:id/comments',
 				return res.status(400).json({ errors: errors.array() });
 			}
 
+			// Only complaints the user can see may be shared
 			const complaint = await Complaint.findOne({
 				_id: req.params.id,
-				user: req.user._id
+				...(await getAccessFilter(req.user))
 			}).populate('user', 'name email');
-
 			if (!complaint) {
 				return res.status(404).json({ message: 'Complaint not found' });
 			}
 
-			const comment = {
-				text: req.body.text,
-				user: req.user._id,
-				createdAt: new Date()
-			};
-
-			complaint.comments.push(comment);
+			// Update share history
+			complaint.sharedOn.email.push({
+				to: req.body.email,
+				date: new Date()
+			});
 			await complaint.save();
 
-			// Populate the user information for the new comment
-			const populatedComplaint = await Complaint.findById(complaint._id)
-				.populate('user', 'name email')
-				.populate('comments.user', 'name email');
-
-			const newComment = populatedComplaint.comments[populatedComplaint.comments.length - 1];
+			// Queue email
+			const share = complaint.sharedOn.email[complaint.sharedOn.email.length - 1];
+			await notificationOutbox.enqueueEmail(
+				'complaint-share',
+				emailService.buildComplaintShareEmail(req.body.email, complaint, req.user),
+				{ idempotencyKey: `share:${share._id}` }
+			);
 
-			// Only send email notification if the comment is from someone other than the complaint owner
-			if (req.user._id.toString() !== complaint.user._id.toString()) {
-				try {
-					await emailService.sendNewCommentEmail(complaint, newComment);
-				} catch (emailError) {
-					console.error('Failed to send comment notification email:', emailError);
-					// Continue with the response even if email fails
-				}
+			// In-app notifications for the recipient (if registered) and the owner (if shared by someone else)
+			const shareData = { complaintId: complaint._id.toString(), shareId: share._id.toString() };
+			const recipient = await User.findOne({ email: req.body.email });
+			if (recipient && !recipient._id.equals(req.user._id)) {
+				await notificationDispatcher.notify(recipient, 'complaint-shared', {
+					inApp: { title: `${req.user.name} shared a complaint with you`, message: complaint.title },
+					data: shareData
+				}, { idempotencyKey: `share:${share._id}` });
+			}
+			if (!complaint.user._id.equals(req.user._id)) {
+				await notificationDispatcher.notify(complaint.user._id, 'complaint-shared', {
+					inApp: { title: `${req.user.name} shared your complaint`, message: complaint.title },
+					data: shareData
+				}, { idempotencyKey: `share:${share._id}` });
 			}
 
-			res.json(newComment);
+			res.json({ message: 'Complaint shared successfully' });
 		} catch (error) {
 			res.status(500).json({ message: 'Server error', error: error.message });
 		}
 	}
 );
 
-// Share complaint via email
-router.post('/:id/share/email',
+// Share complaint on social media
+router.post('/:id/share/social',
 	auth,
-	[
-		body('email').isEmail().normalizeEmail()
-	],
+	body('platform').isIn(['twitter', 'facebook', 'linkedin']),
 	async (req, res) => {
 		try {
 			const errors = validationResult(req);
@@ -388,32 +496,39 @@ router.post('/:id/share/email',
 				return res.status(400).json({ errors: errors.array() });
 			}
 
-			const complaint = await Complaint.findById(req.params.id).populate('user', 'name email');
+			const complaint = await Complaint.findOne({
+				_id: req.params.id,
+				user: req.user._id
+			});
+
 			if (!complaint) {
 				return res.status(404).json({ message: 'Complaint not found' });
 			}
 
-			// Send email
-			await emailService.sendComplaintShareEmail(req.body.email, complaint, req.user);
+			// TODO: Implement social media sharing logic
 
-			// Update share history
-			complaint.sharedOn.email.push({
-				to: req.body.email,
-				date: new Date()
+			complaint.sharedOn.social.push({
+				platform: req.body.platform,
+				date: Date.now()
 			});
-			await complaint.save();
 
-			res.json({ message: 'Complaint shared successfully' });
+			await complaint.save();
+			res.json({ message: 'Complaint shared on social media successfully' });
 		} catch (error) {
 			res.status(500).json({ message: 'Server error', error: error.message });
 		}
 	}
 );
 
-// Share complaint on social media
-router.post('/:id/share/social',
-	auth,
-	body('platform').isIn(['twitter', 'facebook', 'linkedin']),
+// Assign complaint to an agent
+// Admins may assign anyone on staff; agents may claim an unassigned complaint
+// from their queues or release one assigned to them
+router.patch('/:id/assign',
+	staffAuth,
+	[
+		body('assignedTo').optional({ values: 'null' }).isMongoId(),
+		body('reason').optional().trim()
+	],
 	async (req, res) => {
 		try {
 			const errors = validationResult(req);
@@ -421,36 +536,98 @@ router.post('/:id/share/social',
 				return res.status(400).json({ errors: errors.array() });
 			}
 
+			const assignedTo = req.body.assignedTo || null;
 			const complaint = await Complaint.findOne({
 				_id: req.params.id,
-				user: req.user._id
+				...(await getAccessFilter(req.user))
 			});
 
 			if (!complaint) {
 				return res.status(404).json({ message: 'Complaint not found' });
 			}
 
-			// TODO: Implement social media sharing logic
+			if (req.user.role !== 'admin') {
+				const current = complaint.assignedTo?.toString() || null;
+				const self = req.user._id.toString();
+				const claiming = assignedTo === self && current === null;
+				const releasing = assignedTo === null && current === self;
+				if (!claiming && !releasing) {
+					return res.status(403).json({ message: 'Agents can only claim unassigned complaints or release their own' });
+				}
+			}
 
-			complaint.sharedOn.social.push({
-				platform: req.body.platform,
-				date: Date.now()
-			});
+			if (assignedTo) {
+				const assignee = await User.findOne({ _id: assignedTo, role: { $in: ['agent', 'admin'] } });
+				if (!assignee) {
+					return res.status(400).json({ message: 'Complaints can only be assigned to agents or admins' });
+				}
+			}
 
+			const before = complaintWorkflow.snapshot(complaint);
+			complaint.assignedTo = assignedTo;
 			await complaint.save();
-			res.json({ message: 'Complaint shared on social media successfully' });
+			await complaintWorkflow.recordChanges(complaint, before, req.user, req.body.reason);
+
+			// The previous assignee is told too, so it can drop the complaint from its queue
+			await eventBus.publishComplaintEvent('complaint.assigned', complaint, {
+				from: before.assignedTo,
+				to: complaint.assignedTo
+			}, [before.assignedTo]);
+
+			if (complaint.assignedTo && !complaint.assignedTo.equals(req.user._id)) {
+				await complaintService.notifyAssignee(complaint, req.user);
+			}
+
+			const populatedComplaint = await Complaint.findById(complaint._id)
+				.populate('assignedTo', 'name email');
+
+			res.json(redactComplaint(populatedComplaint, req.user));
 		} catch (error) {
 			res.status(500).json({ message: 'Server error', error: error.message });
 		}
 	}
 );
 
+// Re-run queue routing for a complaint (admin only)
+router.post('/:id/route', adminAuth, async (req, res) => {
+	try {
+		const complaint = await Complaint.findById(req.params.id);
+		if (!complaint) {
+			return res.status(404).json({ message: 'Complaint not found' });
+		}
+
+		const route = await routingService.routeComplaint(complaint);
+		if (!route) {
+			return res.status(409).json({ message: 'No queue with available agents matches this complaint' });
+		}
+
+		const before = complaintWorkflow.snapshot(complaint);
+		complaint.assignedTo = route.agent;
+		await complaint.save();
+		await complaintWorkflow.recordChanges(complaint, before, req.user, `Routed via queue ${route.queue.name}`);
+
+		await eventBus.publishComplaintEvent('complaint.assigned', complaint, {
+			from: before.assignedTo,
+			to: complaint.assignedTo
+		}, [before.assignedTo]);
+		await complaintService.notifyAssignee(complaint, req.user);
+
+		const populatedComplaint = await Complaint.findById(complaint._id)
+			.populate('assignedTo', 'name email');
+
+		res.json(redactComplaint(populatedComplaint, req.user));
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
 // Update complaint status
 router.patch('/:id/status',
 	auth,
 	[
-		body('status').isIn(['pending', 'in-progress', 'resolved', 'rejected']),
-		body('resolution').optional().trim().notEmpty()
+		body('status').isIn(complaintWorkflow.statuses),
+		body('resolution').optional().trim().notEmpty(),
+		body('reason').optional().trim()
 	],
 	async (req, res) => {
 		try {
@@ -459,38 +636,64 @@ router.patch('/:id/status',
 				return res.status(400).json({ errors: errors.array() });
 			}
 
-			const { status, resolution } = req.body;
+			const { status, resolution, reason } = req.body;
 			const complaint = await Complaint.findById(req.params.id);
 
 			if (!complaint) {
 				return res.status(404).json({ message: 'Complaint not found' });
 			}
 
-			// Only admin can update status
-			if (req.user.role !== 'admin') {
-				return res.status(403).json({ message: 'Not authorized to update complaint status' });
-			}
+			// Transition rules (allowed moves, roles, required reasons) live in config/workflow.js
+			const before = complaintWorkflow.snapshot(complaint);
+			complaintWorkflow.applyTransition(complaint, status, req.user, { reason, resolution });
 
-			complaint.status = status;
-			if (resolution) {
-				complaint.resolution = {
-					text: resolution,
-					by: req.user._id,
-					date: new Date()
-				};
+			// A status change by staff counts as a response for the SLA
+			if (isStaff(req.user)) {
+				slaService.recordResponse(complaint);
 			}
+			await slaService.syncStatus(complaint);
 
 			await complaint.save();
+			await complaintWorkflow.recordChanges(complaint, before, req.user, reason);
+
+			await eventBus.publishComplaintEvent('complaint.status', complaint, {
+				from: before.status,
+				to: complaint.status,
+				reason,
+				resolution: complaint.resolution
+			});
 
 			// Populate user information before sending email
 			const populatedComplaint = await Complaint.findById(complaint._id)
-				.populate('user', 'name email');
-
-			// Send status update email
-			await emailService.sendStatusUpdateEmail(populatedComplaint);
+				.populate('user', 'name email language');
+
+			// Notify the owner about the new status (and the assignee when someone else changed it)
+			const statusKey = `status:${complaint._id}:${complaint.updatedAt.getTime()}`;
+			const statusNotification = {
+				inApp: {
+					title: `Complaint ${complaint.status}`,
+					message: `"${complaint.title}" moved from ${before.status} to ${complaint.status}`
+				},
+				data: { complaintId: complaint._id.toString(), from: before.status, status: complaint.status }
+			};
+			const isOwner = populatedComplaint.user._id.equals(req.user._id);
+			await notificationDispatcher.notify(populatedComplaint.user._id, 'status-update', {
+				...statusNotification,
+				inApp: isOwner ? undefined : statusNotification.inApp,
+				email: emailService.buildStatusUpdateEmail(populatedComplaint)
+			}, { idempotencyKey: statusKey });
+
+			if (complaint.assignedTo && !complaint.assignedTo.equals(req.user._id)) {
+				await notificationDispatcher.notify(complaint.assignedTo, 'status-update', statusNotification, {
+					idempotencyKey: statusKey
+				});
+			}
 
-			res.json(complaint);
+			res.json(redactComplaint(complaint, req.user));
 		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
 			res.status(500).json({ message: 'Server error', error: error.message });
 		}
 	}
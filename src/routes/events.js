@@ -0,0 +1,71 @@
+const express = require('express');
+const { streamAuth } = require('../middleware/auth');
+const eventBus = require('../utils/eventBus');
+const sessionService = require('../utils/sessionService');
+const { isStaff } = require('../utils/complaintAccess');
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// Streams also re-check their session this often, in case a revocation event was missed
+const SESSION_CHECK_INTERVAL = 60 * 1000;
+
+// Whether a user may receive an event: admins get every complaint event, everyone
+// else only events for complaints they own or are assigned to. Exclusive events
+// (e.g. inbox updates) only go to the listed users, staff-only events only to agents and admins.
+const canReceive = (user, event) => {
+	if (event.audience?.staffOnly && !isStaff(user)) return false;
+	if (user.role === 'admin' && !event.audience?.exclusive) return true;
+	return Boolean(event.audience?.users?.includes(user._id.toString()));
+};
+
+// Server-Sent Events stream of complaint updates
+// Optional ?complaint=<id> limits the stream to a single complaint.
+// The stream is closed when the session it was opened with is revoked.
+router.get('/', streamAuth, (req, res) => {
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		Connection: 'keep-alive',
+		'X-Accel-Buffering': 'no'
+	});
+	res.flushHeaders();
+	res.write('retry: 5000\n\n');
+
+	const close = () => {
+		cleanup();
+		res.end();
+	};
+
+	const send = (event) => {
+		if (event.type === 'session.revoked') {
+			if (event.data?.sessionIds?.includes(req.sessionId)) close();
+			return;
+		}
+		if (!canReceive(req.user, event)) return;
+		if (req.query.complaint && event.complaintId !== req.query.complaint) return;
+
+		// The audience list is only used for routing and is not sent to clients
+		const { audience, ...payload } = event;
+		res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+	};
+
+	const unsubscribe = eventBus.subscribe(send);
+	const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+	const sessionCheck = setInterval(async () => {
+		try {
+			const session = await sessionService.getSession(req.sessionId);
+			if (!session) close();
+		} catch (error) {
+			console.error('Failed to check event stream session:', error.message);
+		}
+	}, SESSION_CHECK_INTERVAL);
+
+	const cleanup = () => {
+		clearInterval(heartbeat);
+		clearInterval(sessionCheck);
+		unsubscribe();
+	};
+	req.on('close', cleanup);
+});
+
+module.exports = router;
\ No newline at end of file
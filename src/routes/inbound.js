@@ -0,0 +1,156 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const InboundMessage = require('../models/InboundMessage');
+const { adminAuth } = require('../middleware/auth');
+const inboundEmailService = require('../utils/inboundEmailService');
+const ApiError = require('../utils/ApiError');
+const router = express.Router();
+
+// Raw messages and webhook payloads carry attachments, so they get a larger body limit
+const MAX_MESSAGE_SIZE = '30mb';
+
+// Mail providers authenticate with the shared INBOUND_EMAIL_SECRET
+// (X-Inbound-Secret header or ?secret= for providers that only support URLs)
+const inboundAuth = (req, res, next) => {
+	const secret = process.env.INBOUND_EMAIL_SECRET;
+	if (!secret) {
+		return res.status(503).json({ message: 'Inbound email is not configured' });
+	}
+
+	const provided = Buffer.from(String(req.header('X-Inbound-Secret') || req.query.secret || ''));
+	const expected = Buffer.from(secret);
+	if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+		return res.status(401).json({ message: 'Invalid inbound secret' });
+	}
+	next();
+};
+
+// Receive an email: raw RFC 822 MIME (Content-Type message/rfc822 or text/plain)
+// or a webhook JSON payload (see inboundEmailService.parseWebhook)
+router.post('/email',
+	inboundAuth,
+	express.raw({ type: ['message/rfc822', 'text/plain'], limit: MAX_MESSAGE_SIZE }),
+	express.json({ limit: MAX_MESSAGE_SIZE }),
+	async (req, res) => {
+		try {
+			let message;
+			let source;
+			if (Buffer.isBuffer(req.body)) {
+				message = await inboundEmailService.parseMime(req.body);
+				source = 'mime';
+			} else if (req.body?.from) {
+				message = inboundEmailService.parseWebhook(req.body);
+				source = 'webhook';
+			} else {
+				return res.status(400).json({ message: 'Expected a MIME message or a webhook payload' });
+			}
+
+			const inbound = await inboundEmailService.ingest(message, source);
+
+			res.status(202).json({
+				id: inbound._id,
+				status: inbound.status,
+				action: inbound.action,
+				reason: inbound.reason,
+				complaint: inbound.complaint
+			});
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Get inbound messages, pending moderation by default (admin only)
+router.get('/messages', adminAuth, async (req, res) => {
+	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 20;
+		const skip = (page - 1) * limit;
+
+		const status = req.query.status || 'pending';
+		const query = status === 'all' ? {} : { status };
+
+		const [messages, total] = await Promise.all([
+			InboundMessage.find(query)
+				.select('-text')
+				.populate('user', 'name email')
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit),
+			InboundMessage.countDocuments(query)
+		]);
+
+		res.json({
+			messages,
+			currentPage: page,
+			totalPages: Math.ceil(total / limit),
+			total
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Get a single inbound message (admin only)
+router.get('/messages/:id', adminAuth, async (req, res) => {
+	try {
+		const message = await InboundMessage.findById(req.params.id)
+			.populate('user', 'name email')
+			.populate('reviewedBy', 'name email');
+		if (!message) {
+			return res.status(404).json({ message: 'Inbound message not found' });
+		}
+
+		res.json(message);
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Approve a queued message: create a complaint for the sender or the given user (admin only)
+router.post('/messages/:id/approve',
+	adminAuth,
+	express.json(),
+	[
+		body('userId').optional().isMongoId(),
+		body('category').optional().isMongoId(),
+		body('subCategory').optional().isMongoId()
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const message = await inboundEmailService.approve(req.params.id, req.user, req.body);
+			res.json(message);
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Reject a queued message (admin only)
+router.post('/messages/:id/reject',
+	adminAuth,
+	express.json(),
+	body('reason').optional().trim(),
+	async (req, res) => {
+		try {
+			const message = await inboundEmailService.reject(req.params.id, req.user, req.body.reason);
+			res.json(message);
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+module.exports = router;
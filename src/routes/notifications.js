@@ -0,0 +1,108 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+const notificationDispatcher = require('../utils/notificationDispatcher');
+const router = express.Router();
+
+// Get the current user's notifications, newest first
+// ?unread=true returns unread notifications only
+router.get('/', auth, async (req, res) => {
+	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+		const skip = (page - 1) * limit;
+
+		const query = { user: req.user._id };
+		if (req.query.unread === 'true') {
+			query.read = false;
+		}
+
+		const [notifications, total, unreadCount] = await Promise.all([
+			Notification.find(query)
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit),
+			Notification.countDocuments(query),
+			Notification.countDocuments({ user: req.user._id, read: false })
+		]);
+
+		res.json({
+			notifications,
+			unreadCount,
+			currentPage: page,
+			totalPages: Math.ceil(total / limit),
+			total
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Get the unread count (for the bell icon)
+router.get('/unread-count', auth, async (req, res) => {
+	try {
+		const unreadCount = await Notification.countDocuments({ user: req.user._id, read: false });
+		res.json({ unreadCount });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Mark all notifications as read
+router.patch('/read-all', auth, async (req, res) => {
+	try {
+		const result = await Notification.updateMany(
+			{ user: req.user._id, read: false },
+			{ $set: { read: true, readAt: new Date() } }
+		);
+
+		await notificationDispatcher.publishInboxUpdate(req.user._id, 'notification.read', { all: true });
+
+		res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Mark a notification as read
+router.patch('/:id/read', auth, async (req, res) => {
+	try {
+		const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+		if (!notification) {
+			return res.status(404).json({ message: 'Notification not found' });
+		}
+
+		if (!notification.read) {
+			notification.read = true;
+			notification.readAt = new Date();
+			await notification.save();
+			await notificationDispatcher.publishInboxUpdate(req.user._id, 'notification.read', {
+				notificationId: notification._id.toString()
+			});
+		}
+
+		res.json(notification);
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Delete a notification
+router.delete('/:id', auth, async (req, res) => {
+	try {
+		const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+		if (!notification) {
+			return res.status(404).json({ message: 'Notification not found' });
+		}
+
+		await notificationDispatcher.publishInboxUpdate(req.user._id, 'notification.deleted', {
+			notificationId: notification._id.toString()
+		});
+
+		res.json({ message: 'Notification deleted successfully' });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Queue = require('../models/Queue');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const routingService = require('../utils/routingService');
+const { adminAuth } = require('../middleware/auth');
+const router = express.Router();
+
+const queueValidation = [
+	body('name').optional().trim().notEmpty(),
+	body('category').optional().isMongoId(),
+	body('subCategories').optional().isArray(),
+	body('subCategories.*').isMongoId(),
+	body('agents').optional().isArray(),
+	body('agents.*').isMongoId(),
+	body('strategy').optional().isIn(['round-robin', 'least-loaded']),
+	body('isActive').optional().isBoolean()
+];
+
+// Check that subcategories belong to the category and agents hold a staff role
+const validateQueueRefs = async ({ category, subCategories = [], agents = [] }) => {
+	const categoryDoc = await Category.findById(category);
+	if (!categoryDoc) {
+		return 'Category not found';
+	}
+
+	const unknownSub = subCategories.find(id => !categoryDoc.subCategories.id(id));
+	if (unknownSub) {
+		return `Subcategory ${unknownSub} does not belong to this category`;
+	}
+
+	const staffCount = await User.countDocuments({ _id: { $in: agents }, role: { $in: ['agent', 'admin'] } });
+	if (staffCount !== new Set(agents.map(String)).size) {
+		return 'Queue members must be agents or admins';
+	}
+
+	return null;
+};
+
+// Get all queues with current agent load (admin only)
+router.get('/', adminAuth, async (req, res) => {
+	try {
+		const queues = await Queue.find()
+			.sort({ name: 1 })
+			.populate('category', 'name')
+			.populate('agents', 'name email role');
+
+		const agentIds = [...new Set(queues.flatMap(q => q.agents.map(a => a._id.toString())))];
+		const loads = await routingService.getAgentLoads(agentIds);
+
+		res.json({ queues, loads });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Create queue (admin only)
+router.post('/',
+	adminAuth,
+	[
+		body('name').trim().notEmpty(),
+		body('category').isMongoId(),
+		...queueValidation
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const { name, category, subCategories, agents, strategy, isActive } = req.body;
+
+			const refError = await validateQueueRefs({ category, subCategories, agents });
+			if (refError) {
+				return res.status(400).json({ message: refError });
+			}
+
+			if (await Queue.findOne({ name })) {
+				return res.status(400).json({ message: 'Queue already exists' });
+			}
+
+			const queue = new Queue({ name, category, subCategories, agents, strategy, isActive });
+			await queue.save();
+
+			res.status(201).json(queue);
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Update queue (admin only)
+router.put('/:id',
+	adminAuth,
+	queueValidation,
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const queue = await Queue.findById(req.params.id);
+			if (!queue) {
+				return res.status(404).json({ message: 'Queue not found' });
+			}
+
+			['name', 'category', 'subCategories', 'agents', 'strategy', 'isActive'].forEach(field => {
+				if (req.body[field] !== undefined) queue[field] = req.body[field];
+			});
+
+			const refError = await validateQueueRefs({
+				category: queue.category,
+				subCategories: queue.subCategories.map(String),
+				agents: queue.agents.map(String)
+			});
+			if (refError) {
+				return res.status(400).json({ message: refError });
+			}
+
+			await queue.save();
+			res.json(queue);
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Delete queue (admin only)
+router.delete('/:id', adminAuth, async (req, res) => {
+	try {
+		const queue = await Queue.findByIdAndDelete(req.params.id);
+		if (!queue) {
+			return res.status(404).json({ message: 'Queue not found' });
+		}
+		res.json({ message: 'Queue deleted successfully' });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+module.exports = router;
\ No newline at end of file
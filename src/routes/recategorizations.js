@@ -0,0 +1,80 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const CategorySuggestion = require('../models/CategorySuggestion');
+const recategorizationService = require('../utils/recategorizationService');
+const ApiError = require('../utils/ApiError');
+const { adminAuth } = require('../middleware/auth');
+const router = express.Router();
+
+// Get AI category suggestions, pending ones by default (admin only)
+router.get('/', adminAuth, async (req, res) => {
+	try {
+		const page = parseInt(req.query.page) || 1;
+		const limit = parseInt(req.query.limit) || 10;
+		const skip = (page - 1) * limit;
+
+		const query = { status: req.query.status || 'pending' };
+		if (req.query.status === 'all') delete query.status;
+
+		const [suggestions, total] = await Promise.all([
+			CategorySuggestion.find(query)
+				.sort({ createdAt: -1 })
+				.skip(skip)
+				.limit(limit)
+				.populate('complaint', 'title description status subCategory')
+				.populate('fromCategory', 'name subCategories._id subCategories.name')
+				.populate('suggestedCategory', 'name subCategories._id subCategories.name')
+				.populate('decidedBy', 'name email'),
+			CategorySuggestion.countDocuments(query)
+		]);
+
+		res.json({
+			suggestions,
+			currentPage: page,
+			totalPages: Math.ceil(total / limit),
+			total
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Get suggestion accuracy per category (admin only)
+router.get('/accuracy', adminAuth, async (req, res) => {
+	try {
+		const report = await recategorizationService.getAccuracyReport();
+		res.json({
+			autoApplyThreshold: recategorizationService.autoApplyThreshold,
+			categories: report
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Accept or reject a pending suggestion (admin only)
+const decisionRoute = (accepted) => [
+	adminAuth,
+	body('reason').optional().trim(),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const suggestion = await recategorizationService.decide(req.params.id, accepted, req.user, req.body.reason);
+			res.json(suggestion);
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+];
+
+router.post('/:id/accept', ...decisionRoute(true));
+router.post('/:id/reject', ...decisionRoute(false));
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SavedFilter = require('../models/SavedFilter');
+const { auth } = require('../middleware/auth');
+const complaintFilter = require('../utils/complaintFilter');
+const router = express.Router();
+
+const savedFilterValidation = [
+	body('name').optional().trim().isLength({ min: 1, max: 100 }),
+	// Parsed here so invalid filters are rejected with the reason
+	body('filter').optional().custom(value => {
+		complaintFilter.parse(value);
+		return true;
+	}).customSanitizer(value => (typeof value === 'string' ? JSON.parse(value) : value)),
+	body('sort').optional().isIn(complaintFilter.sorts),
+	body('shared').optional().isBoolean().toBoolean(),
+	// Only admins can share, since shared filters are listed for every admin
+	body('shared').custom((value, { req }) => {
+		if (value && req.user.role !== 'admin') {
+			throw new Error('Only admins can share filters');
+		}
+		return true;
+	})
+];
+
+const findOwnFilter = (req) => SavedFilter.findOne({ _id: req.params.id, owner: req.user._id });
+
+// Get the user's saved filters (and the shared ones for admins)
+router.get('/', auth, async (req, res) => {
+	try {
+		const visibility = [{ owner: req.user._id }];
+		if (req.user.role === 'admin') {
+			visibility.push({ shared: true });
+		}
+
+		const filters = await SavedFilter.find({ $or: visibility })
+			.sort({ name: 1 })
+			.populate('owner', 'name');
+
+		res.json({ filters });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Save a filter
+router.post('/',
+	auth,
+	[
+		body('name').exists(),
+		body('filter').exists(),
+		...savedFilterValidation
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const { name, filter, sort, shared } = req.body;
+			if (await SavedFilter.findOne({ owner: req.user._id, name })) {
+				return res.status(400).json({ message: 'You already have a filter with this name' });
+			}
+
+			const savedFilter = new SavedFilter({ name, owner: req.user._id, filter, sort, shared });
+			await savedFilter.save();
+
+			res.status(201).json(savedFilter);
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Get a saved filter
+router.get('/:id', auth, async (req, res) => {
+	try {
+		const savedFilter = await SavedFilter.findVisible(req.params.id, req.user).populate('owner', 'name');
+		if (!savedFilter) {
+			return res.status(404).json({ message: 'Filter not found' });
+		}
+		res.json(savedFilter);
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Update a saved filter (owner only)
+router.put('/:id',
+	auth,
+	savedFilterValidation,
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const savedFilter = await findOwnFilter(req);
+			if (!savedFilter) {
+				return res.status(404).json({ message: 'Filter not found' });
+			}
+
+			const { name } = req.body;
+			if (name && name !== savedFilter.name
+				&& await SavedFilter.findOne({ owner: req.user._id, name })) {
+				return res.status(400).json({ message: 'You already have a filter with this name' });
+			}
+
+			['name', 'filter', 'sort', 'shared'].forEach(field => {
+				if (req.body[field] !== undefined) savedFilter[field] = req.body[field];
+			});
+			await savedFilter.save();
+
+			res.json(savedFilter);
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Delete a saved filter (owner only)
+router.delete('/:id', auth, async (req, res) => {
+	try {
+		const savedFilter = await SavedFilter.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+		if (!savedFilter) {
+			return res.status(404).json({ message: 'Filter not found' });
+		}
+		res.json({ message: 'Filter deleted successfully' });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+module.exports = router;
@@ -2,10 +2,28 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../middleware/auth');
 const User = require('../models/User');
+const UserSettings = require('../models/UserSettings');
+const notificationDispatcher = require('../utils/notificationDispatcher');
+const digestService = require('../utils/digestService');
+const { isValidTimezone } = require('../utils/timezone');
+const sessionService = require('../utils/sessionService');
+const twoFactorService = require('../utils/twoFactorService');
+const webauthnService = require('../utils/webauthnService');
+const oidcService = require('../utils/oidcService');
+const ApiError = require('../utils/ApiError');
+const { rateLimit } = require('../middleware/rateLimit');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const router = express.Router();
 
+const formatTwoFactorAuth = (user) => ({
+	enabled: user.twoFactorAuth?.enabled || false,
+	verified: user.twoFactorAuth?.verified || false,
+	backupCodesRemaining: twoFactorService.remainingBackupCodes(user),
+	webauthnCredentials: webauthnService.list(user).length,
+	required: user.role === 'admin' && twoFactorService.adminPolicyEnabled
+});
+
 // Get user settings
 router.get('/', auth, async (req, res) => {
 	try {
@@ -21,10 +39,7 @@ router.get('/', auth, async (req, res) => {
 			},
 			theme: user.theme || 'light',
 			language: user.language || 'en',
-			twoFactorAuth: {
-				enabled: user.twoFactorAuth?.enabled || false,
-				verified: user.twoFactorAuth?.verified || false
-			}
+			twoFactorAuth: formatTwoFactorAuth(user)
 		});
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
@@ -65,10 +80,7 @@ router.patch('/preferences', auth, [
 			notifications: user.notifications,
 			theme: user.theme,
 			language: user.language,
-			twoFactorAuth: {
-				enabled: user.twoFactorAuth?.enabled || false,
-				verified: user.twoFactorAuth?.verified || false
-			}
+			twoFactorAuth: formatTwoFactorAuth(user)
 		});
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
@@ -95,16 +107,140 @@ router.put('/', auth, async (req, res) => {
 			notifications: user.notifications,
 			theme: user.theme,
 			language: user.language,
-			twoFactorAuth: {
-				enabled: user.twoFactorAuth?.enabled || false,
-				verified: user.twoFactorAuth?.verified || false
-			}
+			twoFactorAuth: formatTwoFactorAuth(user)
 		});
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
 	}
 });
 
+const NOTIFICATION_TYPES = ['statusUpdates', 'newComments', 'systemUpdates'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const getUserSettings = async (userId) => {
+	return await UserSettings.findOne({ user: userId }) || new UserSettings({ user: userId });
+};
+
+const formatNotificationSettings = (settings) => ({
+	email: settings.notifications.email,
+	push: {
+		enabled: settings.notifications.push.enabled,
+		types: settings.notifications.push.types,
+		registered: Boolean(settings.notifications.push.token)
+	},
+	timezone: settings.preferences.timezone,
+	quietHours: settings.preferences.quietHours
+});
+
+// Get notification preferences
+router.get('/notifications', auth, async (req, res) => {
+	try {
+		const settings = await getUserSettings(req.user._id);
+		res.json(formatNotificationSettings(settings));
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Update notification preferences (per channel and type, push token, quiet hours)
+router.put('/notifications', auth, [
+	body('email.enabled').optional().isBoolean(),
+	body('email.digest').optional().isIn(['immediate', 'daily', 'weekly']),
+	body('email.digestHour').optional().isInt({ min: 0, max: 23 }).toInt(),
+	body('email.adminDigest').optional().isBoolean(),
+	body('push.enabled').optional().isBoolean(),
+	body('push.token').optional({ nullable: true }).isString(),
+	...NOTIFICATION_TYPES.flatMap(type => [
+		body(`email.types.${type}`).optional().isBoolean(),
+		body(`push.types.${type}`).optional().isBoolean()
+	]),
+	body('timezone').optional().custom(isValidTimezone).withMessage('Invalid timezone'),
+	body('quietHours.enabled').optional().isBoolean(),
+	body('quietHours.start').optional().matches(TIME_PATTERN).withMessage('Use HH:mm'),
+	body('quietHours.end').optional().matches(TIME_PATTERN).withMessage('Use HH:mm')
+], async (req, res) => {
+	try {
+		const errors = validationResult(req);
+		if (!errors.isEmpty()) {
+			return res.status(400).json({ errors: errors.array() });
+		}
+
+		const settings = await getUserSettings(req.user._id);
+		const { email, push, timezone, quietHours } = req.body;
+		const previousDigest = settings.notifications.email.digest;
+
+		for (const [channel, update] of [['email', email], ['push', push]]) {
+			if (!update) continue;
+			if (update.enabled !== undefined) settings.notifications[channel].enabled = update.enabled;
+			for (const type of NOTIFICATION_TYPES) {
+				if (update.types?.[type] !== undefined) {
+					settings.notifications[channel].types[type] = update.types[type];
+				}
+			}
+		}
+		if (email?.digest) settings.notifications.email.digest = email.digest;
+		if (email?.digestHour !== undefined) settings.notifications.email.digestHour = email.digestHour;
+		if (email?.adminDigest !== undefined) {
+			if (req.user.role !== 'admin') {
+				return res.status(403).json({ message: 'The admin digest is only available to admins' });
+			}
+			settings.notifications.email.adminDigest = email.adminDigest;
+		}
+		if (push?.token !== undefined) settings.notifications.push.token = push.token || undefined;
+		if (timezone) settings.preferences.timezone = timezone;
+		if (quietHours) {
+			for (const key of ['enabled', 'start', 'end']) {
+				if (quietHours[key] !== undefined) settings.preferences.quietHours[key] = quietHours[key];
+			}
+		}
+
+		await settings.save();
+
+		// Switching back to immediate emails sends whatever was waiting for the digest
+		if (previousDigest !== 'immediate' && settings.notifications.email.digest === 'immediate') {
+			await digestService.sendUserDigest(settings, new Date(), previousDigest);
+		}
+
+		res.json(formatNotificationSettings(settings));
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Apply an unsubscribe link: turn off the email type it was issued for
+const unsubscribe = async (token) => {
+	const { userId, type } = notificationDispatcher.verifyUnsubscribeToken(token);
+	const settings = await getUserSettings(userId);
+
+	if (type === 'all' || !NOTIFICATION_TYPES.includes(type)) {
+		settings.notifications.email.enabled = false;
+	} else {
+		settings.notifications.email.types[type] = false;
+	}
+	await settings.save();
+	return type;
+};
+
+// Unsubscribe link from a notification email (no login required, the token is signed)
+router.get('/unsubscribe/:token', async (req, res) => {
+	try {
+		await unsubscribe(req.params.token);
+		res.send('<p>You have been unsubscribed. You can change your notification settings at any time in your account.</p>');
+	} catch (error) {
+		res.status(400).send('<p>This unsubscribe link is invalid.</p>');
+	}
+});
+
+// One-click unsubscribe (RFC 8058) sent by mail clients
+router.post('/unsubscribe/:token', async (req, res) => {
+	try {
+		const type = await unsubscribe(req.params.token);
+		res.json({ message: 'Unsubscribed successfully', type });
+	} catch (error) {
+		res.status(400).json({ message: 'Invalid unsubscribe link' });
+	}
+});
+
 // Enable 2FA - Step 1: Generate secret and QR code
 router.post('/2fa/enable', auth, async (req, res) => {
 	try {
@@ -112,6 +248,10 @@ router.post('/2fa/enable', auth, async (req, res) => {
 		if (!user) {
 			return res.status(404).json({ message: 'User not found' });
 		}
+		// Starting over would switch off the current 2FA; disable it first
+		if (user.twoFactorAuth?.enabled) {
+			return res.status(400).json({ message: '2FA is already enabled' });
+		}
 
 		// Generate new secret
 		const secret = speakeasy.generateSecret({
@@ -159,30 +299,127 @@ router.post('/2fa/verify',
 			if (!user?.twoFactorAuth?.secret) {
 				return res.status(400).json({ message: '2FA not set up' });
 			}
+			if (user.twoFactorAuth.enabled) {
+				return res.status(400).json({ message: '2FA is already enabled' });
+			}
+
+			if (!await twoFactorService.verifyTotp(user, req.body.token)) {
+				return res.status(400).json({ message: 'Invalid verification code' });
+			}
+
+			// Backup codes are shown this once; only their hashes are kept
+			const { codes, backupCodes } = twoFactorService.generateBackupCodes();
+
+			user.twoFactorAuth.enabled = true;
+			user.twoFactorAuth.verified = true;
+			user.twoFactorAuth.backupCodes = backupCodes;
+			await user.save();
 
-			const verified = speakeasy.totp.verify({
-				secret: user.twoFactorAuth.secret,
-				encoding: 'base32',
-				token: req.body.token
+			// Sessions started without the second factor are ended
+			await sessionService.revokeAll(user._id, { except: req.sessionId });
+
+			res.json({
+				message: '2FA enabled successfully',
+				backupCodes: codes
 			});
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
 
-			if (!verified) {
-				return res.status(400).json({ message: 'Invalid verification code' });
+// Checks shared by the routes that remove a second factor
+const confirmationValidation = [
+	body('password').optional().isString(),
+	body('token').optional().isLength({ min: 6, max: 6 }).isNumeric(),
+	body('backupCode').optional().isString().isLength({ max: 20 }),
+	body('webauthnResponse').optional().isObject()
+];
+
+// Disable 2FA; confirmed with the password, a 2FA or backup code or a security
+// key, so a stolen session cannot switch it off
+router.post('/2fa/disable',
+	auth,
+	confirmationValidation,
+	rateLimit('2fa-validate'),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
 			}
 
-			// Generate backup codes
-			const backupCodes = generateBackupCodes();
+			const user = await User.findById(req.user._id);
+			if (!user) {
+				return res.status(404).json({ message: 'User not found' });
+			}
+			// Admins may only switch codes off while a security key keeps their account protected
+			if (user.role === 'admin' && twoFactorService.adminPolicyEnabled && !webauthnService.hasCredentials(user)) {
+				return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+			}
+
+			if (!await twoFactorService.confirmUser(user, req.body)) {
+				return res.status(400).json({ message: 'Confirm with your password, a 2FA code or a security key' });
+			}
 
 			user.twoFactorAuth = {
-				...user.twoFactorAuth,
-				enabled: true,
-				verified: true,
-				backupCodes
+				enabled: false,
+				secret: null,
+				verified: false,
+				backupCodes: []
 			};
 			await user.save();
 
+			res.json({ message: '2FA disabled successfully' });
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Number of unused backup codes
+router.get('/2fa/backup-codes', auth, async (req, res) => {
+	try {
+		if (!req.user.twoFactorAuth?.enabled) {
+			return res.status(400).json({ message: '2FA not enabled' });
+		}
+
+		res.json({
+			remaining: twoFactorService.remainingBackupCodes(req.user),
+			total: req.user.twoFactorAuth.backupCodes.length
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Replace all backup codes with new ones (confirmed with a current 2FA code)
+router.post('/2fa/backup-codes',
+	auth,
+	body('token').isLength({ min: 6, max: 6 }).isNumeric(),
+	rateLimit('2fa-validate'),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const user = await User.findById(req.user._id);
+			if (!user?.twoFactorAuth?.enabled) {
+				return res.status(400).json({ message: '2FA not enabled' });
+			}
+
+			if (!await twoFactorService.verifyTotp(user, req.body.token)) {
+				return res.status(400).json({ message: 'Invalid verification code' });
+			}
+
+			const backupCodes = await twoFactorService.regenerateBackupCodes(user);
 			res.json({
-				message: '2FA enabled successfully',
+				message: 'Backup codes regenerated successfully',
 				backupCodes
 			});
 		} catch (error) {
@@ -191,32 +428,182 @@ router.post('/2fa/verify',
 	}
 );
 
-// Disable 2FA
-router.post('/2fa/disable', auth, async (req, res) => {
+// Registered security keys and passkeys
+router.get('/webauthn/credentials', auth, async (req, res) => {
 	try {
-		const user = await User.findById(req.user._id);
-		if (!user) {
-			return res.status(404).json({ message: 'User not found' });
+		res.json({ credentials: webauthnService.list(req.user) });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Register a security key or passkey - Step 1: options for navigator.credentials.create()
+router.post('/webauthn/registration/options', auth, async (req, res) => {
+	try {
+		res.json(await webauthnService.registrationOptions(req.user));
+	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
 		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
 
-		user.twoFactorAuth = {
-			enabled: false,
-			secret: null,
-			verified: false,
-			backupCodes: []
-		};
-		await user.save();
+// Register a security key or passkey - Step 2: verify and store the authenticator's response
+router.post('/webauthn/registration',
+	auth,
+	[
+		body('response').isObject(),
+		body('response.id').isString().notEmpty(),
+		body('name').optional().trim().isLength({ min: 1, max: 100 })
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const hadSecondFactor = twoFactorService.hasSecondFactor(req.user);
+			const credential = await webauthnService.register(req.user, req.body.response, { name: req.body.name });
+
+			// Like enabling 2FA: sessions started without a second factor are ended
+			if (!hadSecondFactor) {
+				await sessionService.revokeAll(req.user._id, { except: req.sessionId });
+			}
+
+			res.status(201).json(credential);
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
 
-		res.json({ message: '2FA disabled successfully' });
+// Rename a security key or passkey
+router.patch('/webauthn/credentials/:id',
+	auth,
+	body('name').trim().isLength({ min: 1, max: 100 }),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			res.json(await webauthnService.rename(req.user, req.params.id, req.body.name));
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Options for confirming a sensitive change with a security key or passkey
+// (navigator.credentials.get()); the response is sent as `webauthnResponse`
+router.post('/webauthn/confirmation/options', auth, async (req, res) => {
+	try {
+		if (!webauthnService.hasCredentials(req.user)) {
+			return res.status(400).json({ message: 'No security keys or passkeys are registered' });
+		}
+		res.json(await webauthnService.authenticationOptions(req.user, { purpose: 'confirmation' }));
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
 	}
 });
 
+// Remove a security key or passkey; confirmed with the password, a 2FA code or
+// another (or the same) security key, so a stolen session cannot remove it
+router.delete('/webauthn/credentials/:id',
+	auth,
+	confirmationValidation,
+	rateLimit('2fa-validate'),
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const user = req.user;
+			// Admins keep at least one second factor
+			const lastFactor = !user.twoFactorAuth?.enabled && webauthnService.list(user).length === 1;
+			if (user.role === 'admin' && twoFactorService.adminPolicyEnabled && lastFactor) {
+				return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+			}
+
+			if (!await twoFactorService.confirmUser(user, req.body)) {
+				return res.status(400).json({ message: 'Confirm with your password, a 2FA code or a security key' });
+			}
+
+			await webauthnService.remove(user, req.params.id);
+			res.json({ message: 'Security key removed successfully' });
+		} catch (error) {
+			if (error instanceof ApiError) {
+				return res.status(error.statusCode).json({ message: error.message });
+			}
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Accounts at identity providers linked for single sign-on, and the providers available
+router.get('/identities', auth, async (req, res) => {
+	try {
+		res.json({
+			identities: req.user.identities.map(identity => ({
+				id: identity._id,
+				provider: identity.provider,
+				email: identity.email,
+				linkedAt: identity.linkedAt,
+				lastLoginAt: identity.lastLoginAt
+			})),
+			providers: oidcService.list(),
+			hasPassword: Boolean(req.user.password)
+		});
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Link an identity provider account: returns the provider's sign-in URL to open
+// in the browser; it comes back through /api/auth/oidc/:provider/callback.
+// The request must be sent with credentials so the browser keeps the state cookie.
+router.post('/identities/:provider/link', auth, async (req, res) => {
+	try {
+		const { url, state } = await oidcService.authorizationUrl(req.params.provider, { link: req.user._id });
+		oidcService.setStateCookie(res, state);
+		res.json({ url });
+	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Unlink an identity provider account
+router.delete('/identities/:id', auth, async (req, res) => {
+	try {
+		await oidcService.unlinkIdentity(req.user, req.params.id);
+		res.json({ message: 'Account unlinked successfully' });
+	} catch (error) {
+		if (error instanceof ApiError) {
+			return res.status(error.statusCode).json({ message: error.message });
+		}
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
 // Verify 2FA token (for testing)
 router.post('/2fa/validate',
 	auth,
 	body('token').isLength({ min: 6, max: 6 }).isNumeric(),
+	rateLimit('2fa-validate'),
 	async (req, res) => {
 		try {
 			const errors = validationResult(req);
@@ -229,11 +616,8 @@ router.post('/2fa/validate',
 				return res.status(400).json({ message: '2FA not enabled' });
 			}
 
-			const verified = speakeasy.totp.verify({
-				secret: user.twoFactorAuth.secret,
-				encoding: 'base32',
-				token: req.body.token
-			});
+			// Like at login, a code is accepted once
+			const verified = await twoFactorService.verifyTotp(user, req.body.token);
 
 			res.json({ valid: verified });
 		} catch (error) {
@@ -242,13 +626,4 @@ router.post('/2fa/validate',
 	}
 );
 
-// Helper function to generate backup codes
-function generateBackupCodes(count = 8) {
-	const codes = [];
-	for (let i = 0; i < count; i++) {
-		codes.push(Math.random().toString(36).substr(2, 8).toUpperCase());
-	}
-	return codes;
-}
-
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,134 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SlaPolicy = require('../models/SlaPolicy');
+const Category = require('../models/Category');
+const { adminAuth } = require('../middleware/auth');
+const router = express.Router();
+
+const policyValidation = [
+	body('name').optional().trim().notEmpty(),
+	body('category').optional({ values: 'null' }).isMongoId(),
+	body('priority').optional().isIn(['low', 'medium', 'high']),
+	body('firstResponseMinutes').optional().isInt({ min: 1 }).toInt(),
+	body('resolutionMinutes').optional().isInt({ min: 1 }).toInt(),
+	body('atRiskPercent').optional().isInt({ min: 1, max: 99 }).toInt(),
+	body('escalation.actions').optional().isArray(),
+	body('escalation.actions.*').isIn(['raise-priority', 'reassign', 'notify-admins']),
+	body('isActive').optional().isBoolean()
+];
+
+const policyFields = ['name', 'category', 'priority', 'firstResponseMinutes', 'resolutionMinutes', 'atRiskPercent', 'escalation', 'isActive'];
+
+// Get all SLA policies (admin only)
+router.get('/', adminAuth, async (req, res) => {
+	try {
+		const policies = await SlaPolicy.find()
+			.sort({ category: 1, priority: 1 })
+			.populate('category', 'name');
+		res.json(policies);
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+// Create SLA policy (admin only)
+router.post('/',
+	adminAuth,
+	[
+		body('name').trim().notEmpty(),
+		body('priority').isIn(['low', 'medium', 'high']),
+		body('firstResponseMinutes').isInt({ min: 1 }),
+		body('resolutionMinutes').isInt({ min: 1 }),
+		...policyValidation
+	],
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const data = {};
+			policyFields.forEach(field => {
+				if (req.body[field] !== undefined) data[field] = req.body[field];
+			});
+
+			if (data.resolutionMinutes < data.firstResponseMinutes) {
+				return res.status(400).json({ message: 'Resolution time cannot be shorter than first response time' });
+			}
+
+			if (data.category && !(await Category.exists({ _id: data.category }))) {
+				return res.status(400).json({ message: 'Category not found' });
+			}
+
+			const existing = await SlaPolicy.findOne({ category: data.category || null, priority: data.priority });
+			if (existing) {
+				return res.status(400).json({ message: 'A policy already exists for this category and priority' });
+			}
+
+			const policy = new SlaPolicy(data);
+			await policy.save();
+
+			res.status(201).json(policy);
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Update SLA policy (admin only)
+// Changes apply to complaints created afterwards; existing due dates are kept
+router.put('/:id',
+	adminAuth,
+	policyValidation,
+	async (req, res) => {
+		try {
+			const errors = validationResult(req);
+			if (!errors.isEmpty()) {
+				return res.status(400).json({ errors: errors.array() });
+			}
+
+			const policy = await SlaPolicy.findById(req.params.id);
+			if (!policy) {
+				return res.status(404).json({ message: 'SLA policy not found' });
+			}
+
+			policyFields.forEach(field => {
+				if (req.body[field] !== undefined) policy[field] = req.body[field];
+			});
+
+			if (policy.resolutionMinutes < policy.firstResponseMinutes) {
+				return res.status(400).json({ message: 'Resolution time cannot be shorter than first response time' });
+			}
+
+			const duplicate = await SlaPolicy.findOne({
+				_id: { $ne: policy._id },
+				category: policy.category || null,
+				priority: policy.priority
+			});
+			if (duplicate) {
+				return res.status(400).json({ message: 'A policy already exists for this category and priority' });
+			}
+
+			await policy.save();
+			res.json(policy);
+		} catch (error) {
+			res.status(500).json({ message: 'Server error', error: error.message });
+		}
+	}
+);
+
+// Delete SLA policy (admin only)
+router.delete('/:id', adminAuth, async (req, res) => {
+	try {
+		const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+		if (!policy) {
+			return res.status(404).json({ message: 'SLA policy not found' });
+		}
+		res.json({ message: 'SLA policy deleted successfully' });
+	} catch (error) {
+		res.status(500).json({ message: 'Server error', error: error.message });
+	}
+});
+
+module.exports = router;
\ No newline at end of file
@@ -5,6 +5,7 @@ const { auth, adminAuth } = require('../middleware/auth');
 const multer = require('multer');
 const path = require('path');
 const cloudinary = require('../utils/cloudinaryConfig');
+const sessionService = require('../utils/sessionService');
 const router = express.Router();
 
 // Configure multer for file uploads
@@ -101,11 +102,12 @@ router.put('/profile/picture', auth, upload.single('profilePicture'), async (req
 	}
 });
 
-// Change password
+// Change password (users who only sign in through an identity provider set
+// their first one without a current password)
 router.put('/password',
 	auth,
 	[
-		body('currentPassword').notEmpty(),
+		body('currentPassword').optional().isString(),
 		body('newPassword').isLength({ min: 6 })
 	],
 	async (req, res) => {
@@ -119,7 +121,7 @@ router.put('/password',
 			const user = await User.findById(req.user._id);
 
 			// Verify current password
-			const isMatch = await user.comparePassword(currentPassword);
+			const isMatch = !user.password || await user.comparePassword(currentPassword || '');
 			if (!isMatch) {
 				return res.status(400).json({ message: 'Current password is incorrect' });
 			}
@@ -128,6 +130,9 @@ router.put('/password',
 			user.password = newPassword;
 			await user.save();
 
+			// Log out every other device
+			await sessionService.revokeAll(user._id, { except: req.sessionId });
+
 			res.json({ message: 'Password updated successfully' });
 		} catch (error) {
 			res.status(500).json({ message: 'Server error', error: error.message });
@@ -142,6 +147,7 @@ router.delete('/me', auth, async (req, res) => {
 		if (!user) {
 			return res.status(404).json({ message: 'User not found' });
 		}
+		await sessionService.revokeAll(user._id);
 		res.json({ message: 'Account deleted successfully' });
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
@@ -176,7 +182,7 @@ router.get('/:id', adminAuth, async (req, res) => {
 // Update user role (admin only)
 router.patch('/:id/role',
 	adminAuth,
-	body('role').isIn(['user', 'admin']),
+	body('role').isIn(['user', 'agent', 'admin']),
 	async (req, res) => {
 		try {
 			const errors = validationResult(req);
@@ -208,6 +214,7 @@ router.delete('/:id', adminAuth, async (req, res) => {
 		if (!user) {
 			return res.status(404).json({ message: 'User not found' });
 		}
+		await sessionService.revokeAll(user._id);
 		res.json({ message: 'User deleted successfully' });
 	} catch (error) {
 		res.status(500).json({ message: 'Server error', error: error.message });
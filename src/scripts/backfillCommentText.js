@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Complaint = require('../models/Complaint');
+
+// Fills in Complaint.commentText (searchable public comment text) for complaints
+// saved before it existed, and builds the text index.
+async function backfillCommentText() {
+	try {
+		// Connect to MongoDB
+		await mongoose.connect(process.env.MONGODB_URI);
+		console.log('Connected to MongoDB');
+
+		let updated = 0;
+		const complaints = Complaint.find({ commentText: { $exists: false } })
+			.select('comments.text comments.internal comments.deletedAt')
+			.lean()
+			.cursor();
+		for await (const complaint of complaints) {
+			await Complaint.updateOne(
+				{ _id: complaint._id },
+				{ $set: { commentText: Complaint.buildCommentText(complaint.comments) } }
+			);
+			updated++;
+		}
+
+		await Complaint.createIndexes();
+
+		console.log(`Backfill completed: ${updated} complaint(s) updated`);
+		process.exit(0);
+	} catch (error) {
+		console.error('Backfill failed:', error);
+		process.exit(1);
+	}
+}
+
+backfillCommentText();
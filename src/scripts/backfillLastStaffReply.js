@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+
+// Fills in Complaint.lastStaffReplyAt from the public comments of agents and
+// admins for complaints saved before it existed.
+async function backfillLastStaffReply() {
+	try {
+		// Connect to MongoDB
+		await mongoose.connect(process.env.MONGODB_URI);
+		console.log('Connected to MongoDB');
+
+		const staff = await User.find({ role: { $in: ['agent', 'admin'] } }).select('_id').lean();
+		const staffIds = new Set(staff.map(user => user._id.toString()));
+
+		let updated = 0;
+		const complaints = Complaint.find({ lastStaffReplyAt: { $exists: false }, 'comments.0': { $exists: true } })
+			.select('comments.user comments.internal comments.createdAt')
+			.lean()
+			.cursor();
+		for await (const complaint of complaints) {
+			const replies = complaint.comments
+				.filter(comment => !comment.internal && comment.user && staffIds.has(comment.user.toString()))
+				.map(comment => comment.createdAt);
+			if (replies.length === 0) continue;
+
+			await Complaint.updateOne(
+				{ _id: complaint._id },
+				{ $set: { lastStaffReplyAt: new Date(Math.max(...replies)) } }
+			);
+			updated++;
+		}
+
+		console.log(`Backfill completed: ${updated} complaint(s) updated`);
+		process.exit(0);
+	} catch (error) {
+		console.error('Backfill failed:', error);
+		process.exit(1);
+	}
+}
+
+backfillLastStaffReply();
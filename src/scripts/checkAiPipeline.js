@@ -0,0 +1,90 @@
+const { createProvider } = require('../utils/aiProviders');
+const aiService = require('../utils/aiService');
+
+// Runs the complaint intake analysis (aiService.analyzeComplaint) with the local
+// keyword provider on sample complaints and checks the results. Needs neither a
+// database nor network access, so it can run before every deploy or in CI.
+//
+// Usage: node src/scripts/checkAiPipeline.js
+
+const TREE = [
+	{
+		id: 'billing',
+		name: 'Billing',
+		description: 'Charges, invoices and refunds',
+		subCategories: [
+			{ id: 'billing-refunds', name: 'Refunds', description: 'Refund requests' },
+			{ id: 'billing-invoices', name: 'Invoices', description: 'Wrong or missing invoice' }
+		]
+	},
+	{
+		id: 'delivery',
+		name: 'Delivery',
+		description: 'Shipping and couriers',
+		subCategories: [
+			{ id: 'delivery-late', name: 'Late delivery', description: 'Package arrived late or not at all' }
+		]
+	}
+];
+
+const CASES = [
+	{
+		input: {
+			title: 'Refund not received',
+			description: 'I was charged twice and still have no refund. This is unacceptable, please fix it immediately.'
+		},
+		expect: { categoryId: 'billing', subCategoryId: 'billing-refunds', priority: 'high', sentiment: 'negative' }
+	},
+	{
+		input: {
+			title: 'Late package',
+			description: 'My package delivery is a week late and the courier tracking has not changed.'
+		},
+		expect: { categoryId: 'delivery', subCategoryId: 'delivery-late', priority: 'medium', sentiment: 'neutral' }
+	},
+	{
+		input: {
+			title: 'Small suggestion',
+			description: 'Thanks for the great service. A minor idea: a dark mode would be nice.'
+		},
+		expect: { categoryId: undefined, subCategoryId: undefined, priority: 'low', sentiment: 'positive' }
+	}
+];
+
+async function checkAiPipeline() {
+	aiService.setProvider(createProvider('local'));
+	let failed = 0;
+
+	for (const { input, expect } of CASES) {
+		const { aiResponse } = await aiService.analyzeComplaint(input, TREE);
+		const actual = {
+			categoryId: aiResponse.categoryId,
+			subCategoryId: aiResponse.subCategoryId,
+			priority: aiResponse.priority,
+			sentiment: aiResponse.sentiment?.label
+		};
+
+		const problems = Object.keys(expect)
+			.filter(field => actual[field] !== expect[field])
+			.map(field => `${field}: expected ${expect[field]}, got ${actual[field]}`);
+		if (aiResponse.status !== 'completed') problems.push(`status: ${aiResponse.status} (${aiResponse.error})`);
+		if (!aiResponse.summary) problems.push('summary is empty');
+		if (aiResponse.tags.length === 0) problems.push('no tags');
+
+		if (problems.length > 0) {
+			failed++;
+			console.error(`FAIL "${input.title}"\n  ${problems.join('\n  ')}`);
+		} else {
+			console.log(`ok   "${input.title}"`);
+		}
+	}
+
+	if (failed > 0) {
+		console.error(`${failed} of ${CASES.length} checks failed`);
+		process.exit(1);
+	}
+	console.log(`All ${CASES.length} checks passed`);
+	process.exit(0);
+}
+
+checkAiPipeline();
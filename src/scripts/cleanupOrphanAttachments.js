@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const attachmentService = require('../utils/attachmentService');
+
+// Deletes stored attachment files that no complaint, comment or inbound email
+// refers to (e.g. uploads whose request failed half-way). Only files older than
+// the grace period are touched, so uploads in progress are left alone.
+//
+// Usage: node src/scripts/cleanupOrphanAttachments.js [--driver=<name>] [--older-than-hours=24] [--dry-run]
+
+const option = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+const dryRun = process.argv.includes('--dry-run');
+const olderThanHours = parseFloat(option('older-than-hours') || '24');
+
+async function referencedKeys(driverName) {
+	const keys = new Set();
+	const add = (attachments = []) => attachments.forEach(attachment => {
+		if (attachment?.driver !== driverName) return;
+		keys.add(attachment.key);
+		if (attachment.thumbnail?.key) keys.add(attachment.thumbnail.key);
+	});
+
+	const complaints = mongoose.connection.collection('complaints')
+		.find({}, { projection: { attachments: 1, 'comments.attachments': 1 } });
+	for await (const complaint of complaints) {
+		add(complaint.attachments);
+		(complaint.comments || []).forEach(comment => add(comment.attachments));
+	}
+
+	const messages = mongoose.connection.collection('inboundmessages')
+		.find({}, { projection: { attachments: 1 } });
+	for await (const message of messages) {
+		add(message.attachments);
+	}
+	return keys;
+}
+
+async function cleanupOrphanAttachments() {
+	try {
+		// Connect to MongoDB
+		await mongoose.connect(process.env.MONGODB_URI);
+		console.log('Connected to MongoDB');
+
+		const driver = attachmentService.getDriver(option('driver'));
+		const keys = await referencedKeys(driver.name);
+		const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
+		let deleted = 0;
+
+		for await (const object of driver.list(attachmentService.keyPrefix)) {
+			if (keys.has(object.key) || object.lastModified > cutoff) continue;
+
+			console.log(`${dryRun ? '[dry run] ' : ''}Deleting ${driver.name}:${object.key}`);
+			if (!dryRun) {
+				await driver.delete(object.key);
+			}
+			deleted++;
+		}
+
+		console.log(`${deleted} orphaned attachment(s) ${dryRun ? 'found' : 'deleted'}`);
+		process.exit(0);
+	} catch (error) {
+		console.error('Cleanup failed:', error);
+		process.exit(1);
+	}
+}
+
+cleanupOrphanAttachments();
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+const attachmentService = require('../utils/attachmentService');
+
+// Converts attachments stored as bare URL strings (complaints and their comments)
+// and inbound email { filename, url } entries into attachment records.
+// Cloudinary files stay where they are; files at other URLs are copied into the
+// configured storage driver. Entries that cannot be downloaded are left unchanged.
+//
+// Usage: node src/scripts/migrateAttachments.js [--dry-run]
+
+const CLOUDINARY_URL_PATTERN = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|raw|video)\/upload\/(?:v\d+\/)?(.+)$/;
+
+const dryRun = process.argv.includes('--dry-run');
+const stats = { converted: 0, failed: 0 };
+
+// Attachment record for a legacy URL, or null when it cannot be downloaded
+async function toRecord(url, name, uploadedBy) {
+	try {
+		const response = await fetch(url);
+		if (!response.ok) {
+			throw new Error(`download failed with status ${response.status}`);
+		}
+		const content = Buffer.from(await response.arrayBuffer());
+		const filename = name || decodeURIComponent(path.basename(new URL(url).pathname));
+		const contentType = (response.headers.get('content-type') || '').split(';')[0] || undefined;
+
+		const cloudinaryMatch = url.match(CLOUDINARY_URL_PATTERN);
+		if (cloudinaryMatch) {
+			const [, resourceType, file] = cloudinaryMatch;
+			// Images and PDFs are addressed without their extension, raw files with it
+			const publicId = resourceType === 'raw' ? file : file.slice(0, file.length - path.extname(file).length);
+			return {
+				_id: new mongoose.Types.ObjectId(),
+				name: filename,
+				mimeType: contentType,
+				size: content.length,
+				checksum: crypto.createHash('sha256').update(content).digest('hex'),
+				driver: 'cloudinary',
+				key: `${resourceType}/${publicId}`,
+				url,
+				uploadedBy,
+				createdAt: new Date()
+			};
+		}
+
+		if (dryRun) {
+			return { name: filename, url };
+		}
+		const record = await attachmentService.store({ filename, contentType, content }, uploadedBy);
+		return { _id: new mongoose.Types.ObjectId(), ...record, createdAt: new Date() };
+	} catch (error) {
+		console.error(`Could not migrate ${url}: ${error.message}`);
+		return null;
+	}
+}
+
+// Converts the legacy entries of a list; unconvertible entries are kept as they are
+async function convertList(list = [], uploadedBy, toLegacy = entry => ({ url: entry })) {
+	let changed = false;
+	const converted = [];
+
+	for (const entry of list) {
+		const legacy = typeof entry === 'string' ? toLegacy(entry) : (!entry.key && entry.url ? entry : null);
+		if (!legacy) {
+			converted.push(entry);
+			continue;
+		}
+
+		const record = await toRecord(legacy.url, legacy.filename, uploadedBy);
+		if (record) {
+			converted.push(record);
+			changed = true;
+			stats.converted++;
+		} else {
+			converted.push(entry);
+			stats.failed++;
+		}
+	}
+	return { converted, changed };
+}
+
+async function migrateAttachments() {
+	try {
+		// Connect to MongoDB
+		await mongoose.connect(process.env.MONGODB_URI);
+		console.log('Connected to MongoDB');
+
+		const complaints = mongoose.connection.collection('complaints').find({
+			$or: [
+				{ attachments: { $type: 'string' } },
+				{ 'comments.attachments': { $type: 'string' } }
+			]
+		});
+		for await (const complaint of complaints) {
+			const update = {};
+			const attachments = await convertList(complaint.attachments, complaint.user);
+			if (attachments.changed) update.attachments = attachments.converted;
+
+			let commentsChanged = false;
+			const comments = [];
+			for (const comment of complaint.comments || []) {
+				const result = await convertList(comment.attachments, comment.user);
+				commentsChanged = commentsChanged || result.changed;
+				comments.push({ ...comment, attachments: result.converted });
+			}
+			if (commentsChanged) update.comments = comments;
+
+			if (!dryRun && Object.keys(update).length > 0) {
+				await mongoose.connection.collection('complaints').updateOne({ _id: complaint._id }, { $set: update });
+			}
+		}
+
+		const messages = mongoose.connection.collection('inboundmessages').find({
+			attachments: { $elemMatch: { url: { $exists: true }, key: { $exists: false } } }
+		});
+		for await (const message of messages) {
+			const attachments = await convertList(message.attachments, message.user);
+			if (!dryRun && attachments.changed) {
+				await mongoose.connection.collection('inboundmessages').updateOne(
+					{ _id: message._id },
+					{ $set: { attachments: attachments.converted } }
+				);
+			}
+		}
+
+		console.log(`${dryRun ? '[dry run] ' : ''}Converted ${stats.converted} attachment(s), ${stats.failed} failed`);
+		process.exit(0);
+	} catch (error) {
+		console.error('Migration failed:', error);
+		process.exit(1);
+	}
+}
+
+migrateAttachments();
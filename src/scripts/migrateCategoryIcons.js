@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const assetService = require('../utils/assetService');
+
+// Converts category and subcategory icons stored as base64 data URIs into
+// assets (written through the configured storage driver) and replaces them
+// with the asset ids. Identical icons share one asset. Icons that cannot be
+// decoded are left unchanged and reported.
+//
+// Usage: node src/scripts/migrateCategoryIcons.js [--dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+const stats = { converted: 0, failed: 0 };
+
+// Asset id for a legacy icon, or null when it cannot be converted
+async function convertIcon(icon, label) {
+	if (dryRun) {
+		stats.converted++;
+		return null;
+	}
+
+	try {
+		const asset = await assetService.createFromDataUri(icon, { name: `${label} icon` });
+		stats.converted++;
+		return asset._id;
+	} catch (error) {
+		console.error(`Could not migrate the icon of ${label}: ${error.message}`);
+		stats.failed++;
+		return null;
+	}
+}
+
+async function migrateCategoryIcons() {
+	try {
+		// Connect to MongoDB
+		await mongoose.connect(process.env.MONGODB_URI);
+		console.log('Connected to MongoDB');
+
+		// Read without the model: the icon paths now hold asset ids
+		const categories = mongoose.connection.collection('categories').find({
+			$or: [
+				{ icon: { $type: 'string' } },
+				{ 'subCategories.icon': { $type: 'string' } }
+			]
+		});
+		for await (const category of categories) {
+			const update = {};
+			if (typeof category.icon === 'string') {
+				const assetId = await convertIcon(category.icon, `category "${category.name}"`);
+				if (assetId) update.icon = assetId;
+			}
+
+			for (const [index, sub] of (category.subCategories || []).entries()) {
+				if (typeof sub.icon !== 'string') continue;
+
+				const assetId = await convertIcon(sub.icon, `subcategory "${category.name} / ${sub.name}"`);
+				if (assetId) update[`subCategories.${index}.icon`] = assetId;
+			}
+
+			if (!dryRun && Object.keys(update).length > 0) {
+				await mongoose.connection.collection('categories').updateOne({ _id: category._id }, { $set: update });
+			}
+		}
+
+		console.log(`${dryRun ? '[dry run] ' : ''}Converted ${stats.converted} icon(s), ${stats.failed} failed`);
+		process.exit(0);
+	} catch (error) {
+		console.error('Migration failed:', error);
+		process.exit(1);
+	}
+}
+
+migrateCategoryIcons();
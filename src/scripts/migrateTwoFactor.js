@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const twoFactorService = require('../utils/twoFactorService');
+
+// Replaces plaintext 2FA backup codes on users with their hashes (unused codes
+// keep working) and removes the unused copy of the 2FA state from user settings
+// (security.twoFactorAuth); User.twoFactorAuth is the only one.
+//
+// Usage: node src/scripts/migrateTwoFactor.js [--dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateTwoFactor() {
+	try {
+		// Connect to MongoDB
+		await mongoose.connect(process.env.MONGODB_URI);
+		console.log('Connected to MongoDB');
+
+		// Read without the model: backup codes are now subdocuments
+		const users = mongoose.connection.collection('users').find({ 'twoFactorAuth.backupCodes': { $type: 'string' } });
+		let hashed = 0;
+		for await (const user of users) {
+			const backupCodes = user.twoFactorAuth.backupCodes.map(code => (
+				typeof code === 'string' ? { hash: twoFactorService.hashBackupCode(code) } : code
+			));
+
+			if (!dryRun) {
+				await mongoose.connection.collection('users').updateOne(
+					{ _id: user._id },
+					{ $set: { 'twoFactorAuth.backupCodes': backupCodes } }
+				);
+			}
+			hashed++;
+		}
+
+		const settingsFilter = { 'security.twoFactorAuth': { $exists: true } };
+		const settings = dryRun
+			? await mongoose.connection.collection('usersettings').countDocuments(settingsFilter)
+			: (await mongoose.connection.collection('usersettings').updateMany(
+				settingsFilter,
+				{ $unset: { 'security.twoFactorAuth': '' } }
+			)).modifiedCount;
+
+		console.log(`${dryRun ? '[dry run] ' : ''}Hashed the backup codes of ${hashed} user(s), cleaned ${settings} user setting(s)`);
+		process.exit(0);
+	} catch (error) {
+		console.error('Migration failed:', error);
+		process.exit(1);
+	}
+}
+
+migrateTwoFactor();
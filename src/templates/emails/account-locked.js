@@ -0,0 +1,13 @@
+const { frontendUrl } = require('./partials');
+
+module.exports = {
+	sample: () => ({ attempts: 5, minutes: 15 }),
+
+	render: ({ attempts, minutes }, { t }) => ({
+		subject: t('accountLocked.subject'),
+		heading: t('accountLocked.heading'),
+		intro: t('accountLocked.intro', { attempts, minutes }),
+		action: { label: t('accountLocked.button'), url: frontendUrl('/forgot-password') },
+		outro: [t('accountLocked.warning')]
+	})
+};
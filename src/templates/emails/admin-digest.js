@@ -0,0 +1,36 @@
+const { html } = require('../../utils/templateEngine');
+const { complaintList, complaintListText } = require('./partials');
+const sample = require('./sample');
+
+const SECTIONS = [
+	['newComplaints', 'adminDigest.newComplaints'],
+	['unassigned', 'adminDigest.unassigned'],
+	['breached', 'adminDigest.breached']
+];
+
+module.exports = {
+	sample: () => ({
+		date: new Date().toISOString().slice(0, 10),
+		newComplaints: [sample.complaint()],
+		unassigned: [],
+		breached: [{ ...sample.complaint(), status: 'pending' }]
+	}),
+
+	render: (data, context) => {
+		const { t } = context;
+
+		return {
+			subject: t('adminDigest.subject', {
+				new: data.newComplaints.length,
+				unassigned: data.unassigned.length,
+				breached: data.breached.length
+			}),
+			heading: t('adminDigest.heading'),
+			intro: t('adminDigest.intro', { date: data.date }),
+			body: SECTIONS.map(([key, label]) => html`
+			<h2>${t(label)}</h2>
+			${complaintList(data[key], context)}`),
+			text: SECTIONS.map(([key, label]) => `${t(label)}\n${complaintListText(data[key], context)}`).join('\n\n')
+		};
+	}
+};
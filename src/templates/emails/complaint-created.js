@@ -0,0 +1,24 @@
+const { complaintUrl, details, detailsText, complaintSummaryRows, withReference } = require('./partials');
+const sample = require('./sample');
+
+module.exports = {
+	sample: () => ({ complaint: { ...sample.complaint(), status: 'pending' } }),
+
+	render: ({ complaint }, context) => {
+		const { t } = context;
+		const rows = [
+			...complaintSummaryRows(complaint, context),
+			[t('fields.reference'), complaint._id]
+		];
+
+		return {
+			subject: withReference(t('complaintCreated.subject', { title: complaint.title }), complaint),
+			heading: t('complaintCreated.heading'),
+			intro: t('complaintCreated.intro'),
+			body: details(rows),
+			text: detailsText(rows),
+			action: { label: t('common.viewComplaint'), url: complaintUrl(complaint) },
+			outro: [t('complaintCreated.track')]
+		};
+	}
+};
@@ -0,0 +1,24 @@
+const { html } = require('../../utils/templateEngine');
+const { complaintUrl, details, detailsText, quote, complaintSummaryRows } = require('./partials');
+const sample = require('./sample');
+
+module.exports = {
+	sample: () => ({ complaint: sample.complaint(), sharedBy: sample.user() }),
+
+	render: ({ complaint, sharedBy }, context) => {
+		const { t } = context;
+		const rows = complaintSummaryRows(complaint, context);
+
+		return {
+			subject: t('complaintShare.subject', { title: complaint.title }),
+			heading: t('complaintShare.heading'),
+			intro: t('complaintShare.intro', { name: sharedBy.name, email: sharedBy.email }),
+			body: html`
+			${details(rows)}
+			<p><strong>${t('fields.description')}:</strong></p>
+			${quote(complaint.description)}`,
+			text: `${detailsText(rows)}\n\n${t('fields.description')}:\n${complaint.description}`,
+			action: { label: t('common.viewComplaint'), url: complaintUrl(complaint) }
+		};
+	}
+};
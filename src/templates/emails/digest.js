@@ -0,0 +1,42 @@
+const { html } = require('../../utils/templateEngine');
+const { complaintUrl } = require('./partials');
+const sample = require('./sample');
+
+// One line per update: the resolution, status updates and the number of new comments
+const summarize = ({ updates, comments, resolved }, { t }) => [
+	resolved && t('digest.resolved'),
+	...updates.map(entry => entry.message || entry.title),
+	comments.length > 0 && t('digest.comments', { count: comments.length })
+].filter(Boolean);
+
+module.exports = {
+	sample: () => ({
+		frequency: 'daily',
+		complaints: [{
+			complaint: sample.complaint(),
+			updates: [{ title: 'Complaint in-progress', message: '"Streetlight out on Main Street" moved from pending to in-progress' }],
+			comments: [{ title: 'New comment' }, { title: 'New comment' }],
+			resolved: false
+		}]
+	}),
+
+	render: ({ frequency, complaints }, context) => {
+		const { t } = context;
+		const weekly = frequency === 'weekly';
+
+		return {
+			subject: t(weekly ? 'digest.subjectWeekly' : 'digest.subjectDaily', { count: complaints.length }),
+			heading: t(weekly ? 'digest.headingWeekly' : 'digest.headingDaily'),
+			intro: t('digest.intro'),
+			body: complaints.map(group => html`
+			<div style="background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 10px 0;">
+				<p><strong><a href="${complaintUrl(group.complaint)}">${group.complaint.title}</a></strong> (${t(`statuses.${group.complaint.status}`)})</p>
+				<ul>${summarize(group, context).map(line => html`<li>${line}</li>`)}</ul>
+			</div>`),
+			text: complaints.map(group => [
+				`${group.complaint.title} (${t(`statuses.${group.complaint.status}`)}): ${complaintUrl(group.complaint)}`,
+				...summarize(group, context).map(line => `- ${line}`)
+			].join('\n')).join('\n\n')
+		};
+	}
+};
@@ -0,0 +1,42 @@
+const { html, UNSUBSCRIBE_MARKER, raw } = require('../../utils/templateEngine');
+const { button, BRAND_COLOR } = require('./partials');
+
+// Shared layout for every email.
+// content: { subject, heading, intro, body (html), text, action: { label, url }, outro: [paragraphs] }
+const layout = {
+	html: (content, { t, locale }) => html`<!DOCTYPE html>
+<html lang="${locale}">
+	<head>
+		<meta charset="utf-8">
+		<meta name="viewport" content="width=device-width, initial-scale=1">
+		<title>${content.subject}</title>
+	</head>
+	<body style="margin: 0; padding: 20px; background-color: #ffffff;">
+		<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+			<h1 style="color: ${BRAND_COLOR};">${content.heading}</h1>
+			${content.intro && html`<p>${content.intro}</p>`}
+			${content.body}
+			${content.action && html`
+			${button(content.action.label, content.action.url)}
+			<p>${t('common.copyLink')}</p>
+			<p style="word-break: break-all;">${content.action.url}</p>`}
+			${content.outro?.map(paragraph => html`<p>${paragraph}</p>`)}
+			<hr style="border: 1px solid #eee; margin: 20px 0;">
+			<p style="color: #666; font-size: 12px;">${t('common.automated')}</p>
+			${raw(UNSUBSCRIBE_MARKER)}
+		</div>
+	</body>
+</html>`,
+
+	text: (content, { t }) => [
+		content.heading,
+		content.intro,
+		content.text,
+		content.action && `${content.action.label}: ${content.action.url}`,
+		...(content.outro || []),
+		'--',
+		t('common.automated')
+	].filter(Boolean).join('\n\n')
+};
+
+module.exports = layout;
\ No newline at end of file
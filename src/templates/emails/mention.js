@@ -0,0 +1,30 @@
+const { html } = require('../../utils/templateEngine');
+const { complaintUrl, details, detailsText, quote, plainMentions } = require('./partials');
+const sample = require('./sample');
+
+module.exports = {
+	sample: () => ({
+		complaint: sample.complaint(),
+		comment: { text: '@[Priya Shah](64b7f0c2a1b2c3d4e5f60718) can you confirm the crew schedule?', internal: true },
+		author: sample.user()
+	}),
+
+	render: ({ complaint, comment, author }, { t }) => {
+		const rows = [
+			[t('fields.title'), complaint.title],
+			[t('fields.by'), author.name]
+		];
+		const text = plainMentions(comment.text);
+
+		return {
+			subject: t('mention.subject', { name: author.name, title: complaint.title }),
+			heading: t('mention.heading'),
+			intro: t(comment.internal ? 'mention.introInternal' : 'mention.intro', { name: author.name }),
+			body: html`
+			${details(rows)}
+			${quote(text)}`,
+			text: `${detailsText(rows)}\n\n${t('fields.comment')}:\n${text}`,
+			action: { label: t('common.viewComplaint'), url: complaintUrl(complaint) }
+		};
+	}
+};
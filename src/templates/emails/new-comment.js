@@ -0,0 +1,29 @@
+const { html } = require('../../utils/templateEngine');
+const { complaintUrl, details, detailsText, quote, withReference, plainMentions } = require('./partials');
+const sample = require('./sample');
+
+module.exports = {
+	sample: () => ({
+		complaint: sample.complaint(),
+		comment: { text: 'A crew is scheduled to replace the lamp on Thursday.', user: sample.user() }
+	}),
+
+	render: ({ complaint, comment }, { t }) => {
+		const rows = [
+			[t('fields.title'), complaint.title],
+			[t('fields.by'), comment.user?.name]
+		];
+		const text = plainMentions(comment.text);
+
+		return {
+			subject: withReference(t('newComment.subject', { title: complaint.title }), complaint),
+			heading: t('newComment.heading'),
+			intro: t('newComment.intro'),
+			body: html`
+			${details(rows)}
+			${quote(text)}`,
+			text: `${detailsText(rows)}\n\n${t('fields.comment')}:\n${text}`,
+			action: { label: t('common.viewComplaint'), url: complaintUrl(complaint) }
+		};
+	}
+};
@@ -0,0 +1,80 @@
+const { html } = require('../../utils/templateEngine');
+
+const BRAND_COLOR = '#FF5A5F';
+
+const frontendUrl = (pathname) => `${process.env.FRONTEND_URL}${pathname}`;
+
+const complaintUrl = (complaint) => frontendUrl(`/complaints/${complaint._id}`);
+
+// Replies to subjects with a "[#<id>]" reference are added to the complaint as comments
+const withReference = (subject, complaint) => `${subject} [#${complaint._id}]`;
+
+const button = (label, url) => html`
+			<div style="text-align: center; margin: 30px 0;">
+				<a href="${url}"
+					style="background-color: ${BRAND_COLOR}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+					${label}
+				</a>
+			</div>`;
+
+const hasValue = ([, value]) => value !== undefined && value !== null && value !== '';
+
+// rows: [[label, value], ...]; rows without a value are skipped
+const details = (rows) => html`
+			<div style="background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 20px 0;">
+				${rows.filter(hasValue).map(([label, value]) => html`<p><strong>${label}:</strong> ${value}</p>`)}
+			</div>`;
+
+const detailsText = (rows) => rows
+	.filter(hasValue)
+	.map(([label, value]) => `${label}: ${value}`)
+	.join('\n');
+
+// Quoted user-written text (descriptions, comments); line breaks are kept
+const quote = (text) => html`
+			<blockquote style="border-left: 3px solid #eee; margin: 10px 0; padding-left: 12px; white-space: pre-line;">${text}</blockquote>`;
+
+// "@[Name](id)" mention tokens in comments are shown as "@Name"
+const plainMentions = (text) => text.replace(/@\[([^\]]*)\]\([a-f0-9]{24}\)/gi, '@$1');
+
+const complaintSummaryRows = (complaint, { t }) => [
+	[t('fields.title'), complaint.title],
+	[t('fields.category'), complaint.category],
+	[t('fields.status'), complaint.status && t(`statuses.${complaint.status}`)],
+	[t('fields.priority'), complaint.priority && t(`priorities.${complaint.priority}`)]
+];
+
+const complaintList = (complaints, { t }) => (complaints.length
+	? html`<ul>${complaints.map(c => html`
+				<li><a href="${complaintUrl(c)}">${c.title}</a> (${t(`priorities.${c.priority}`)}, ${t(`statuses.${c.status}`)})</li>`)}
+			</ul>`
+	: html`<p>${t('common.none')}</p>`);
+
+const complaintListText = (complaints, { t }) => (complaints.length
+	? complaints.map(c => `- ${c.title} (${t(`priorities.${c.priority}`)}, ${t(`statuses.${c.status}`)}): ${complaintUrl(c)}`).join('\n')
+	: t('common.none'));
+
+const unsubscribe = (url, { t }) => html`
+			<p style="color: #666; font-size: 12px;">
+				${t('common.unsubscribeReason')}
+				<a href="${url}">${t('common.unsubscribe')}</a>
+			</p>`;
+
+const unsubscribeText = (url, { t }) => `${t('common.unsubscribeReason')}\n${t('common.unsubscribe')}: ${url}`;
+
+module.exports = {
+	BRAND_COLOR,
+	frontendUrl,
+	complaintUrl,
+	withReference,
+	button,
+	details,
+	detailsText,
+	quote,
+	plainMentions,
+	complaintSummaryRows,
+	complaintList,
+	complaintListText,
+	unsubscribe,
+	unsubscribeText
+};
\ No newline at end of file
@@ -0,0 +1,13 @@
+const { frontendUrl } = require('./partials');
+
+module.exports = {
+	sample: () => ({}),
+
+	render: (data, { t }) => ({
+		subject: t('passwordResetConfirmation.subject'),
+		heading: t('passwordResetConfirmation.heading'),
+		intro: t('passwordResetConfirmation.intro'),
+		action: { label: t('passwordResetConfirmation.button'), url: frontendUrl('/login') },
+		outro: [t('passwordResetConfirmation.warning')]
+	})
+};
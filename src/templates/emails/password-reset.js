@@ -0,0 +1,13 @@
+const { frontendUrl } = require('./partials');
+
+module.exports = {
+	sample: () => ({ token: 'sample-reset-token' }),
+
+	render: ({ token }, { t }) => ({
+		subject: t('passwordReset.subject'),
+		heading: t('passwordReset.heading'),
+		intro: t('passwordReset.intro'),
+		action: { label: t('passwordReset.button'), url: frontendUrl(`/reset-password/${token}`) },
+		outro: [t('passwordReset.ignore'), t('passwordReset.expires')]
+	})
+};
@@ -0,0 +1,17 @@
+// Sample data shared by the template previews
+const complaint = () => ({
+	_id: '64b7f0c2e4b0a1a2b3c4d5e6',
+	title: 'Streetlight out on Main Street',
+	description: 'The streetlight in front of number 42 has been out for two weeks.\nThe street is very dark at night.',
+	category: 'Infrastructure',
+	status: 'in-progress',
+	priority: 'high',
+	user: { name: 'Jane Doe', email: 'jane@example.com' }
+});
+
+const user = () => ({ name: 'Alex Agent', email: 'alex@example.com' });
+
+module.exports = {
+	complaint,
+	user
+};
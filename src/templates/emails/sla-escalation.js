@@ -0,0 +1,28 @@
+const { complaintUrl, details, detailsText } = require('./partials');
+const sample = require('./sample');
+
+module.exports = {
+	sample: () => ({
+		complaint: sample.complaint(),
+		breach: { targets: ['first response'], actions: ['priority raised to high'] }
+	}),
+
+	render: ({ complaint, breach }, { t }) => {
+		const rows = [
+			[t('fields.title'), complaint.title],
+			[t('fields.priority'), t(`priorities.${complaint.priority}`)],
+			[t('fields.status'), t(`statuses.${complaint.status}`)],
+			[t('fields.breached'), breach.targets.map(target => t(`slaTargets.${target}`)).join(', ')],
+			[t('fields.escalation'), breach.actions.join(', ') || t('common.none')]
+		];
+
+		return {
+			subject: t('slaEscalation.subject', { title: complaint.title }),
+			heading: t('slaEscalation.heading'),
+			intro: t('slaEscalation.intro'),
+			body: details(rows),
+			text: detailsText(rows),
+			action: { label: t('common.viewComplaint'), url: complaintUrl(complaint) }
+		};
+	}
+};
@@ -0,0 +1,22 @@
+const { complaintUrl, details, detailsText, withReference } = require('./partials');
+const sample = require('./sample');
+
+module.exports = {
+	sample: () => ({ complaint: sample.complaint() }),
+
+	render: ({ complaint }, { t }) => {
+		const rows = [
+			[t('fields.title'), complaint.title],
+			[t('fields.newStatus'), t(`statuses.${complaint.status}`)]
+		];
+
+		return {
+			subject: withReference(t('statusUpdate.subject', { title: complaint.title }), complaint),
+			heading: t('statusUpdate.heading'),
+			intro: t('statusUpdate.intro'),
+			body: details(rows),
+			text: detailsText(rows),
+			action: { label: t('common.viewComplaint'), url: complaintUrl(complaint) }
+		};
+	}
+};
@@ -0,0 +1,13 @@
+const { frontendUrl } = require('./partials');
+
+module.exports = {
+	sample: () => ({ token: 'sample-verification-token' }),
+
+	render: ({ token }, { t }) => ({
+		subject: t('verification.subject'),
+		heading: t('verification.heading'),
+		intro: t('verification.intro'),
+		action: { label: t('verification.button'), url: frontendUrl(`/verify-email/${token}`) },
+		outro: [t('verification.expires'), t('verification.ignore')]
+	})
+};
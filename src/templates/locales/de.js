@@ -0,0 +1,118 @@
+module.exports = {
+	common: {
+		viewComplaint: 'Beschwerde ansehen',
+		copyLink: 'Oder kopieren Sie diesen Link in Ihren Browser:',
+		automated: 'Dies ist eine automatische Nachricht, bitte antworten Sie nicht auf diese E-Mail.',
+		unsubscribeReason: 'Sie erhalten diese E-Mail aufgrund Ihrer Benachrichtigungseinstellungen.',
+		unsubscribe: 'Diese E-Mails abbestellen',
+		none: 'Keine'
+	},
+	fields: {
+		title: 'Titel',
+		category: 'Kategorie',
+		status: 'Status',
+		newStatus: 'Neuer Status',
+		priority: 'Priorität',
+		description: 'Beschreibung',
+		reference: 'Referenz-ID',
+		comment: 'Kommentar',
+		by: 'Von',
+		breached: 'Verletzt',
+		escalation: 'Eskalation'
+	},
+	statuses: {
+		pending: 'Offen',
+		'in-progress': 'In Bearbeitung',
+		resolved: 'Gelöst',
+		rejected: 'Abgelehnt',
+		reopened: 'Wieder eröffnet'
+	},
+	priorities: {
+		low: 'Niedrig',
+		medium: 'Mittel',
+		high: 'Hoch'
+	},
+	slaTargets: {
+		'first response': 'Erstreaktion',
+		resolution: 'Lösung'
+	},
+	verification: {
+		subject: 'Bestätigen Sie Ihre E-Mail-Adresse - Speak Up',
+		heading: 'Willkommen bei Speak Up!',
+		intro: 'Danke für Ihre Registrierung. Bitte bestätigen Sie Ihre E-Mail-Adresse über die Schaltfläche unten:',
+		button: 'E-Mail bestätigen',
+		expires: 'Dieser Link ist 24 Stunden gültig.',
+		ignore: 'Wenn Sie kein Konto erstellt haben, ignorieren Sie diese E-Mail bitte.'
+	},
+	passwordReset: {
+		subject: 'Passwort zurücksetzen - Speak Up',
+		heading: 'Anfrage zum Zurücksetzen des Passworts',
+		intro: 'Sie haben das Zurücksetzen Ihres Passworts angefordert. Klicken Sie auf die Schaltfläche unten, um es zurückzusetzen:',
+		button: 'Passwort zurücksetzen',
+		ignore: 'Wenn Sie dies nicht angefordert haben, ignorieren Sie diese E-Mail bitte.',
+		expires: 'Dieser Link ist 1 Stunde gültig.'
+	},
+	passwordResetConfirmation: {
+		subject: 'Passwort zurückgesetzt - Speak Up',
+		heading: 'Passwort erfolgreich zurückgesetzt',
+		intro: 'Ihr Passwort wurde erfolgreich zurückgesetzt. Sie können sich jetzt mit Ihrem neuen Passwort anmelden.',
+		button: 'Bei Ihrem Konto anmelden',
+		warning: 'Wenn Sie diese Aktion nicht selbst durchgeführt haben, wenden Sie sich bitte umgehend an unser Support-Team.'
+	},
+	accountLocked: {
+		subject: 'Ihr Konto wurde gesperrt - Speak Up',
+		heading: 'Konto vorübergehend gesperrt',
+		intro: 'Wir haben Ihr Konto nach {attempts} fehlgeschlagenen Anmeldeversuchen für {minutes} Minuten gesperrt.',
+		button: 'Passwort zurücksetzen',
+		warning: 'Wenn diese Versuche nicht von Ihnen stammen, setzen Sie Ihr Passwort jetzt zurück. Ihr Konto wird nach Ablauf der Zeit automatisch entsperrt.'
+	},
+	complaintShare: {
+		subject: 'Beschwerde geteilt: {title}',
+		heading: 'Details der Beschwerde',
+		intro: '{name} ({email}) hat eine Beschwerde mit Ihnen geteilt.'
+	},
+	complaintCreated: {
+		subject: 'Beschwerde erstellt: {title}',
+		heading: 'Beschwerde erfolgreich erstellt',
+		intro: 'Ihre Beschwerde wurde erfolgreich erstellt und wird bearbeitet.',
+		track: 'Über den obigen Link können Sie den Status Ihrer Beschwerde jederzeit verfolgen.'
+	},
+	statusUpdate: {
+		subject: 'Status der Beschwerde aktualisiert: {title}',
+		heading: 'Statusaktualisierung',
+		intro: 'Der Status Ihrer Beschwerde wurde aktualisiert.'
+	},
+	newComment: {
+		subject: 'Neuer Kommentar zu Ihrer Beschwerde: {title}',
+		heading: 'Neuer Kommentar',
+		intro: 'Zu Ihrer Beschwerde wurde ein neuer Kommentar hinzugefügt.'
+	},
+	mention: {
+		subject: '{name} hat Sie erwähnt: {title}',
+		heading: 'Sie wurden erwähnt',
+		intro: '{name} hat Sie in einem Kommentar erwähnt.',
+		introInternal: '{name} hat Sie in einer internen Notiz erwähnt.'
+	},
+	slaEscalation: {
+		subject: 'SLA verletzt: {title}',
+		heading: 'SLA-Verletzung',
+		intro: 'Eine Beschwerde hat ihr Service-Level-Agreement verletzt und wurde eskaliert.'
+	},
+	digest: {
+		subjectDaily: 'Tägliche Zusammenfassung: {count} Beschwerde(n) aktualisiert',
+		subjectWeekly: 'Wöchentliche Zusammenfassung: {count} Beschwerde(n) aktualisiert',
+		headingDaily: 'Ihre tägliche Zusammenfassung',
+		headingWeekly: 'Ihre wöchentliche Zusammenfassung',
+		intro: 'Das ist seit der letzten Zusammenfassung mit Ihren Beschwerden passiert.',
+		resolved: 'Gelöst',
+		comments: 'Neue Kommentare: {count}'
+	},
+	adminDigest: {
+		subject: 'Täglicher Admin-Bericht: {new} neu, {unassigned} nicht zugewiesen, {breached} mit SLA-Verletzung',
+		heading: 'Täglicher Admin-Bericht',
+		intro: 'Übersicht für {date}.',
+		newComplaints: 'Neue Beschwerden (letzte 24 Stunden)',
+		unassigned: 'Offene, nicht zugewiesene Beschwerden',
+		breached: 'Offene Beschwerden mit SLA-Verletzung'
+	}
+};
\ No newline at end of file
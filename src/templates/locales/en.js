@@ -0,0 +1,118 @@
+module.exports = {
+	common: {
+		viewComplaint: 'View Complaint',
+		copyLink: 'Or copy and paste this link in your browser:',
+		automated: 'This is an automated message, please do not reply to this email.',
+		unsubscribeReason: 'You received this email because of your notification settings.',
+		unsubscribe: 'Unsubscribe from these emails',
+		none: 'None'
+	},
+	fields: {
+		title: 'Title',
+		category: 'Category',
+		status: 'Status',
+		newStatus: 'New status',
+		priority: 'Priority',
+		description: 'Description',
+		reference: 'Reference ID',
+		comment: 'Comment',
+		by: 'By',
+		breached: 'Breached',
+		escalation: 'Escalation'
+	},
+	statuses: {
+		pending: 'Pending',
+		'in-progress': 'In progress',
+		resolved: 'Resolved',
+		rejected: 'Rejected',
+		reopened: 'Reopened'
+	},
+	priorities: {
+		low: 'Low',
+		medium: 'Medium',
+		high: 'High'
+	},
+	slaTargets: {
+		'first response': 'first response',
+		resolution: 'resolution'
+	},
+	verification: {
+		subject: 'Verify Your Email - Speak Up',
+		heading: 'Welcome to Speak Up!',
+		intro: 'Thank you for registering. Please verify your email address by clicking the button below:',
+		button: 'Verify Email',
+		expires: 'This link will expire in 24 hours.',
+		ignore: "If you didn't create an account, please ignore this email."
+	},
+	passwordReset: {
+		subject: 'Reset Your Password - Speak Up',
+		heading: 'Password Reset Request',
+		intro: 'You requested to reset your password. Click the button below to reset it:',
+		button: 'Reset Password',
+		ignore: "If you didn't request this, please ignore this email.",
+		expires: 'This link will expire in 1 hour.'
+	},
+	passwordResetConfirmation: {
+		subject: 'Password Reset Successful - Speak Up',
+		heading: 'Password Reset Successful',
+		intro: 'Your password has been successfully reset. You can now log in with your new password.',
+		button: 'Log in to your account',
+		warning: 'If you did not perform this action, please contact our support team immediately.'
+	},
+	accountLocked: {
+		subject: 'Your account has been locked - Speak Up',
+		heading: 'Account temporarily locked',
+		intro: 'We locked your account for {minutes} minutes after {attempts} failed sign-in attempts.',
+		button: 'Reset your password',
+		warning: 'If these attempts were not yours, reset your password now. Your account unlocks automatically once the time is up.'
+	},
+	complaintShare: {
+		subject: 'Complaint Shared: {title}',
+		heading: 'Complaint Details',
+		intro: '{name} ({email}) shared a complaint with you.'
+	},
+	complaintCreated: {
+		subject: 'Complaint Created: {title}',
+		heading: 'Complaint Created Successfully',
+		intro: 'Your complaint has been successfully created and is being processed.',
+		track: 'You can track the status of your complaint at any time using the link above.'
+	},
+	statusUpdate: {
+		subject: 'Complaint Status Updated: {title}',
+		heading: 'Complaint Status Update',
+		intro: 'The status of your complaint has been updated.'
+	},
+	newComment: {
+		subject: 'New Comment on Your Complaint: {title}',
+		heading: 'New Comment',
+		intro: 'A new comment has been added to your complaint.'
+	},
+	mention: {
+		subject: '{name} mentioned you: {title}',
+		heading: 'You were mentioned',
+		intro: '{name} mentioned you in a comment.',
+		introInternal: '{name} mentioned you in an internal note.'
+	},
+	slaEscalation: {
+		subject: 'SLA Breached: {title}',
+		heading: 'SLA Breach',
+		intro: 'A complaint has breached its service level agreement and was escalated.'
+	},
+	digest: {
+		subjectDaily: 'Daily Summary: {count} complaint(s) updated',
+		subjectWeekly: 'Weekly Summary: {count} complaint(s) updated',
+		headingDaily: 'Your Daily Summary',
+		headingWeekly: 'Your Weekly Summary',
+		intro: 'Here is what happened with your complaints since the last summary.',
+		resolved: 'Resolved',
+		comments: 'New comments: {count}'
+	},
+	adminDigest: {
+		subject: 'Daily Admin Digest: {new} new, {unassigned} unassigned, {breached} SLA breached',
+		heading: 'Daily Admin Digest',
+		intro: 'Overview for {date}.',
+		newComplaints: 'New complaints (last 24 hours)',
+		unassigned: 'Unassigned open complaints',
+		breached: 'Open complaints with a breached SLA'
+	}
+};
\ No newline at end of file
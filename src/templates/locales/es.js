@@ -0,0 +1,118 @@
+module.exports = {
+	common: {
+		viewComplaint: 'Ver queja',
+		copyLink: 'O copia y pega este enlace en tu navegador:',
+		automated: 'Este es un mensaje automático, por favor no respondas a este correo.',
+		unsubscribeReason: 'Recibiste este correo debido a tu configuración de notificaciones.',
+		unsubscribe: 'Darse de baja de estos correos',
+		none: 'Ninguna'
+	},
+	fields: {
+		title: 'Título',
+		category: 'Categoría',
+		status: 'Estado',
+		newStatus: 'Nuevo estado',
+		priority: 'Prioridad',
+		description: 'Descripción',
+		reference: 'ID de referencia',
+		comment: 'Comentario',
+		by: 'Por',
+		breached: 'Incumplido',
+		escalation: 'Escalamiento'
+	},
+	statuses: {
+		pending: 'Pendiente',
+		'in-progress': 'En curso',
+		resolved: 'Resuelta',
+		rejected: 'Rechazada',
+		reopened: 'Reabierta'
+	},
+	priorities: {
+		low: 'Baja',
+		medium: 'Media',
+		high: 'Alta'
+	},
+	slaTargets: {
+		'first response': 'primera respuesta',
+		resolution: 'resolución'
+	},
+	verification: {
+		subject: 'Verifica tu correo - Speak Up',
+		heading: '¡Bienvenido a Speak Up!',
+		intro: 'Gracias por registrarte. Verifica tu dirección de correo haciendo clic en el botón de abajo:',
+		button: 'Verificar correo',
+		expires: 'Este enlace caducará en 24 horas.',
+		ignore: 'Si no creaste una cuenta, ignora este correo.'
+	},
+	passwordReset: {
+		subject: 'Restablece tu contraseña - Speak Up',
+		heading: 'Solicitud de restablecimiento de contraseña',
+		intro: 'Solicitaste restablecer tu contraseña. Haz clic en el botón de abajo para hacerlo:',
+		button: 'Restablecer contraseña',
+		ignore: 'Si no lo solicitaste, ignora este correo.',
+		expires: 'Este enlace caducará en 1 hora.'
+	},
+	passwordResetConfirmation: {
+		subject: 'Contraseña restablecida - Speak Up',
+		heading: 'Contraseña restablecida',
+		intro: 'Tu contraseña se restableció correctamente. Ya puedes iniciar sesión con tu nueva contraseña.',
+		button: 'Iniciar sesión en tu cuenta',
+		warning: 'Si no realizaste esta acción, contacta de inmediato a nuestro equipo de soporte.'
+	},
+	accountLocked: {
+		subject: 'Tu cuenta ha sido bloqueada - Speak Up',
+		heading: 'Cuenta bloqueada temporalmente',
+		intro: 'Bloqueamos tu cuenta durante {minutes} minutos tras {attempts} intentos fallidos de inicio de sesión.',
+		button: 'Restablecer tu contraseña',
+		warning: 'Si no fuiste tú, restablece tu contraseña ahora. Tu cuenta se desbloqueará automáticamente cuando termine el plazo.'
+	},
+	complaintShare: {
+		subject: 'Queja compartida: {title}',
+		heading: 'Detalles de la queja',
+		intro: '{name} ({email}) compartió una queja contigo.'
+	},
+	complaintCreated: {
+		subject: 'Queja creada: {title}',
+		heading: 'Queja creada correctamente',
+		intro: 'Tu queja se creó correctamente y está siendo procesada.',
+		track: 'Puedes seguir el estado de tu queja en cualquier momento con el enlace de arriba.'
+	},
+	statusUpdate: {
+		subject: 'Estado de la queja actualizado: {title}',
+		heading: 'Actualización del estado de la queja',
+		intro: 'El estado de tu queja ha sido actualizado.'
+	},
+	newComment: {
+		subject: 'Nuevo comentario en tu queja: {title}',
+		heading: 'Nuevo comentario',
+		intro: 'Se agregó un nuevo comentario a tu queja.'
+	},
+	mention: {
+		subject: '{name} te mencionó: {title}',
+		heading: 'Te han mencionado',
+		intro: '{name} te mencionó en un comentario.',
+		introInternal: '{name} te mencionó en una nota interna.'
+	},
+	slaEscalation: {
+		subject: 'SLA incumplido: {title}',
+		heading: 'Incumplimiento de SLA',
+		intro: 'Una queja incumplió su acuerdo de nivel de servicio y fue escalada.'
+	},
+	digest: {
+		subjectDaily: 'Resumen diario: {count} queja(s) actualizada(s)',
+		subjectWeekly: 'Resumen semanal: {count} queja(s) actualizada(s)',
+		headingDaily: 'Tu resumen diario',
+		headingWeekly: 'Tu resumen semanal',
+		intro: 'Esto es lo que pasó con tus quejas desde el último resumen.',
+		resolved: 'Resuelta',
+		comments: 'Comentarios nuevos: {count}'
+	},
+	adminDigest: {
+		subject: 'Resumen diario de administración: {new} nuevas, {unassigned} sin asignar, {breached} con SLA incumplido',
+		heading: 'Resumen diario de administración',
+		intro: 'Resumen del {date}.',
+		newComplaints: 'Quejas nuevas (últimas 24 horas)',
+		unassigned: 'Quejas abiertas sin asignar',
+		breached: 'Quejas abiertas con SLA incumplido'
+	}
+};
\ No newline at end of file
@@ -0,0 +1,118 @@
+module.exports = {
+	common: {
+		viewComplaint: 'Voir la plainte',
+		copyLink: 'Ou copiez et collez ce lien dans votre navigateur :',
+		automated: 'Ceci est un message automatique, merci de ne pas y répondre.',
+		unsubscribeReason: 'Vous recevez cet e-mail en raison de vos paramètres de notification.',
+		unsubscribe: 'Se désabonner de ces e-mails',
+		none: 'Aucune'
+	},
+	fields: {
+		title: 'Titre',
+		category: 'Catégorie',
+		status: 'Statut',
+		newStatus: 'Nouveau statut',
+		priority: 'Priorité',
+		description: 'Description',
+		reference: 'Référence',
+		comment: 'Commentaire',
+		by: 'Par',
+		breached: 'Non respecté',
+		escalation: 'Escalade'
+	},
+	statuses: {
+		pending: 'En attente',
+		'in-progress': 'En cours',
+		resolved: 'Résolue',
+		rejected: 'Rejetée',
+		reopened: 'Rouverte'
+	},
+	priorities: {
+		low: 'Basse',
+		medium: 'Moyenne',
+		high: 'Haute'
+	},
+	slaTargets: {
+		'first response': 'première réponse',
+		resolution: 'résolution'
+	},
+	verification: {
+		subject: 'Vérifiez votre e-mail - Speak Up',
+		heading: 'Bienvenue sur Speak Up !',
+		intro: 'Merci pour votre inscription. Veuillez vérifier votre adresse e-mail en cliquant sur le bouton ci-dessous :',
+		button: "Vérifier l'e-mail",
+		expires: 'Ce lien expirera dans 24 heures.',
+		ignore: "Si vous n'avez pas créé de compte, ignorez cet e-mail."
+	},
+	passwordReset: {
+		subject: 'Réinitialisez votre mot de passe - Speak Up',
+		heading: 'Demande de réinitialisation du mot de passe',
+		intro: 'Vous avez demandé à réinitialiser votre mot de passe. Cliquez sur le bouton ci-dessous pour le faire :',
+		button: 'Réinitialiser le mot de passe',
+		ignore: "Si vous n'êtes pas à l'origine de cette demande, ignorez cet e-mail.",
+		expires: 'Ce lien expirera dans 1 heure.'
+	},
+	passwordResetConfirmation: {
+		subject: 'Mot de passe réinitialisé - Speak Up',
+		heading: 'Mot de passe réinitialisé',
+		intro: 'Votre mot de passe a bien été réinitialisé. Vous pouvez maintenant vous connecter avec votre nouveau mot de passe.',
+		button: 'Se connecter à votre compte',
+		warning: "Si vous n'êtes pas à l'origine de cette action, contactez immédiatement notre équipe d'assistance."
+	},
+	accountLocked: {
+		subject: 'Votre compte a été verrouillé - Speak Up',
+		heading: 'Compte temporairement verrouillé',
+		intro: 'Nous avons verrouillé votre compte pendant {minutes} minutes après {attempts} tentatives de connexion échouées.',
+		button: 'Réinitialiser votre mot de passe',
+		warning: "Si ces tentatives ne viennent pas de vous, réinitialisez votre mot de passe maintenant. Votre compte sera déverrouillé automatiquement à l'issue de ce délai."
+	},
+	complaintShare: {
+		subject: 'Plainte partagée : {title}',
+		heading: 'Détails de la plainte',
+		intro: '{name} ({email}) a partagé une plainte avec vous.'
+	},
+	complaintCreated: {
+		subject: 'Plainte créée : {title}',
+		heading: 'Plainte créée avec succès',
+		intro: 'Votre plainte a bien été créée et est en cours de traitement.',
+		track: 'Vous pouvez suivre le statut de votre plainte à tout moment grâce au lien ci-dessus.'
+	},
+	statusUpdate: {
+		subject: 'Statut de la plainte mis à jour : {title}',
+		heading: 'Mise à jour du statut de la plainte',
+		intro: 'Le statut de votre plainte a été mis à jour.'
+	},
+	newComment: {
+		subject: 'Nouveau commentaire sur votre plainte : {title}',
+		heading: 'Nouveau commentaire',
+		intro: 'Un nouveau commentaire a été ajouté à votre plainte.'
+	},
+	mention: {
+		subject: '{name} vous a mentionné : {title}',
+		heading: 'Vous avez été mentionné',
+		intro: '{name} vous a mentionné dans un commentaire.',
+		introInternal: '{name} vous a mentionné dans une note interne.'
+	},
+	slaEscalation: {
+		subject: 'SLA non respecté : {title}',
+		heading: 'Non-respect du SLA',
+		intro: "Une plainte n'a pas respecté son accord de niveau de service et a été escaladée."
+	},
+	digest: {
+		subjectDaily: 'Résumé quotidien : {count} plainte(s) mise(s) à jour',
+		subjectWeekly: 'Résumé hebdomadaire : {count} plainte(s) mise(s) à jour',
+		headingDaily: 'Votre résumé quotidien',
+		headingWeekly: 'Votre résumé hebdomadaire',
+		intro: "Voici ce qui s'est passé pour vos plaintes depuis le dernier résumé.",
+		resolved: 'Résolue',
+		comments: 'Nouveaux commentaires : {count}'
+	},
+	adminDigest: {
+		subject: "Résumé quotidien d'administration : {new} nouvelles, {unassigned} non attribuées, {breached} SLA non respectés",
+		heading: "Résumé quotidien d'administration",
+		intro: 'Aperçu du {date}.',
+		newComplaints: 'Nouvelles plaintes (dernières 24 heures)',
+		unassigned: 'Plaintes ouvertes non attribuées',
+		breached: 'Plaintes ouvertes avec un SLA non respecté'
+	}
+};
\ No newline at end of file
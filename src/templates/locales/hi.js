@@ -0,0 +1,118 @@
+module.exports = {
+	common: {
+		viewComplaint: 'शिकायत देखें',
+		copyLink: 'या इस लिंक को अपने ब्राउज़र में कॉपी करके पेस्ट करें:',
+		automated: 'यह एक स्वचालित संदेश है, कृपया इस ईमेल का उत्तर न दें।',
+		unsubscribeReason: 'आपको यह ईमेल आपकी सूचना सेटिंग्स के कारण मिला है।',
+		unsubscribe: 'इन ईमेल की सदस्यता छोड़ें',
+		none: 'कोई नहीं'
+	},
+	fields: {
+		title: 'शीर्षक',
+		category: 'श्रेणी',
+		status: 'स्थिति',
+		newStatus: 'नई स्थिति',
+		priority: 'प्राथमिकता',
+		description: 'विवरण',
+		reference: 'संदर्भ आईडी',
+		comment: 'टिप्पणी',
+		by: 'द्वारा',
+		breached: 'उल्लंघन',
+		escalation: 'एस्केलेशन'
+	},
+	statuses: {
+		pending: 'लंबित',
+		'in-progress': 'प्रगति में',
+		resolved: 'हल हो गई',
+		rejected: 'अस्वीकृत',
+		reopened: 'फिर से खोली गई'
+	},
+	priorities: {
+		low: 'कम',
+		medium: 'मध्यम',
+		high: 'उच्च'
+	},
+	slaTargets: {
+		'first response': 'पहली प्रतिक्रिया',
+		resolution: 'समाधान'
+	},
+	verification: {
+		subject: 'अपना ईमेल सत्यापित करें - Speak Up',
+		heading: 'Speak Up में आपका स्वागत है!',
+		intro: 'पंजीकरण के लिए धन्यवाद। कृपया नीचे दिए गए बटन पर क्लिक करके अपना ईमेल पता सत्यापित करें:',
+		button: 'ईमेल सत्यापित करें',
+		expires: 'यह लिंक 24 घंटे में समाप्त हो जाएगा।',
+		ignore: 'यदि आपने खाता नहीं बनाया है, तो कृपया इस ईमेल को अनदेखा करें।'
+	},
+	passwordReset: {
+		subject: 'अपना पासवर्ड रीसेट करें - Speak Up',
+		heading: 'पासवर्ड रीसेट अनुरोध',
+		intro: 'आपने अपना पासवर्ड रीसेट करने का अनुरोध किया है। इसे रीसेट करने के लिए नीचे दिए गए बटन पर क्लिक करें:',
+		button: 'पासवर्ड रीसेट करें',
+		ignore: 'यदि आपने यह अनुरोध नहीं किया है, तो कृपया इस ईमेल को अनदेखा करें।',
+		expires: 'यह लिंक 1 घंटे में समाप्त हो जाएगा।'
+	},
+	passwordResetConfirmation: {
+		subject: 'पासवर्ड सफलतापूर्वक रीसेट हुआ - Speak Up',
+		heading: 'पासवर्ड सफलतापूर्वक रीसेट हुआ',
+		intro: 'आपका पासवर्ड सफलतापूर्वक रीसेट हो गया है। अब आप अपने नए पासवर्ड से लॉग इन कर सकते हैं।',
+		button: 'अपने खाते में लॉग इन करें',
+		warning: 'यदि यह कार्य आपने नहीं किया है, तो कृपया तुरंत हमारी सहायता टीम से संपर्क करें।'
+	},
+	accountLocked: {
+		subject: 'आपका खाता लॉक कर दिया गया है - Speak Up',
+		heading: 'खाता अस्थायी रूप से लॉक',
+		intro: '{attempts} असफल साइन-इन प्रयासों के बाद हमने आपका खाता {minutes} मिनट के लिए लॉक कर दिया है।',
+		button: 'अपना पासवर्ड रीसेट करें',
+		warning: 'यदि ये प्रयास आपके नहीं थे, तो अभी अपना पासवर्ड रीसेट करें। समय पूरा होने पर आपका खाता अपने आप अनलॉक हो जाएगा।'
+	},
+	complaintShare: {
+		subject: 'शिकायत साझा की गई: {title}',
+		heading: 'शिकायत का विवरण',
+		intro: '{name} ({email}) ने आपके साथ एक शिकायत साझा की है।'
+	},
+	complaintCreated: {
+		subject: 'शिकायत दर्ज हुई: {title}',
+		heading: 'शिकायत सफलतापूर्वक दर्ज हुई',
+		intro: 'आपकी शिकायत सफलतापूर्वक दर्ज हो गई है और उस पर कार्रवाई की जा रही है।',
+		track: 'ऊपर दिए गए लिंक से आप किसी भी समय अपनी शिकायत की स्थिति देख सकते हैं।'
+	},
+	statusUpdate: {
+		subject: 'शिकायत की स्थिति अपडेट हुई: {title}',
+		heading: 'शिकायत की स्थिति में बदलाव',
+		intro: 'आपकी शिकायत की स्थिति अपडेट कर दी गई है।'
+	},
+	newComment: {
+		subject: 'आपकी शिकायत पर नई टिप्पणी: {title}',
+		heading: 'नई टिप्पणी',
+		intro: 'आपकी शिकायत पर एक नई टिप्पणी जोड़ी गई है।'
+	},
+	mention: {
+		subject: '{name} ने आपका उल्लेख किया: {title}',
+		heading: 'आपका उल्लेख किया गया',
+		intro: '{name} ने एक टिप्पणी में आपका उल्लेख किया।',
+		introInternal: '{name} ने एक आंतरिक नोट में आपका उल्लेख किया।'
+	},
+	slaEscalation: {
+		subject: 'SLA का उल्लंघन: {title}',
+		heading: 'SLA उल्लंघन',
+		intro: 'एक शिकायत ने अपने सेवा स्तर समझौते का उल्लंघन किया है और उसे एस्केलेट किया गया है।'
+	},
+	digest: {
+		subjectDaily: 'दैनिक सारांश: {count} शिकायत(ें) अपडेट हुईं',
+		subjectWeekly: 'साप्ताहिक सारांश: {count} शिकायत(ें) अपडेट हुईं',
+		headingDaily: 'आपका दैनिक सारांश',
+		headingWeekly: 'आपका साप्ताहिक सारांश',
+		intro: 'पिछले सारांश के बाद से आपकी शिकायतों पर यह हुआ है।',
+		resolved: 'हल हो गई',
+		comments: 'नई टिप्पणियाँ: {count}'
+	},
+	adminDigest: {
+		subject: 'दैनिक एडमिन सारांश: {new} नई, {unassigned} असाइन नहीं, {breached} SLA उल्लंघन',
+		heading: 'दैनिक एडमिन सारांश',
+		intro: '{date} का सारांश।',
+		newComplaints: 'नई शिकायतें (पिछले 24 घंटे)',
+		unassigned: 'खुली शिकायतें जो असाइन नहीं हैं',
+		breached: 'SLA उल्लंघन वाली खुली शिकायतें'
+	}
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+const User = require('../models/User');
+const emailService = require('./emailService');
+const notificationOutbox = require('./notificationOutbox');
+const rateLimiter = require('./rateLimiter');
+const { LIMITS } = require('../middleware/rateLimit');
+
+const MINUTE = 60 * 1000;
+// Failed sign-ins (wrong password or 2FA code) within FAILURE_WINDOW_MS that lock the account
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILURE_WINDOW_MS = 15 * MINUTE;
+// Length of the first, second, ... lockout; the last one repeats
+const LOCKOUT_MINUTES = [5, 15, 60, 240, 1440];
+
+// Progressive account lockout after repeated failed sign-ins. The owner is
+// emailed on every lockout; admins can unlock accounts early.
+class AccountLockout {
+	isLocked(user, now = new Date()) {
+		return Boolean(user.lockout?.lockedUntil && user.lockout.lockedUntil > now);
+	}
+
+	// Records a failed sign-in. Returns { locked, lockedUntil }.
+	async recordFailure(user, now = new Date()) {
+		const lockout = user.lockout || {};
+		const recent = lockout.lastFailureAt && now - lockout.lastFailureAt < FAILURE_WINDOW_MS;
+		const failedAttempts = (recent ? lockout.failedAttempts || 0 : 0) + 1;
+
+		if (failedAttempts < MAX_FAILED_ATTEMPTS) {
+			await User.updateOne({ _id: user._id }, {
+				$set: { 'lockout.failedAttempts': failedAttempts, 'lockout.lastFailureAt': now }
+			});
+			return { locked: false };
+		}
+
+		const count = (lockout.count || 0) + 1;
+		const minutes = LOCKOUT_MINUTES[Math.min(count, LOCKOUT_MINUTES.length) - 1];
+		const lockedUntil = new Date(now.getTime() + minutes * MINUTE);
+		await User.updateOne({ _id: user._id }, {
+			$set: {
+				'lockout.failedAttempts': 0,
+				'lockout.lastFailureAt': now,
+				'lockout.lockedUntil': lockedUntil,
+				'lockout.count': count
+			}
+		});
+
+		await notificationOutbox.enqueueEmail(
+			'account-locked',
+			emailService.buildAccountLockedEmail(user.email, { attempts: failedAttempts, minutes }, user.language),
+			{ idempotencyKey: `account-locked:${user._id}:${lockedUntil.getTime()}` }
+		);
+		return { locked: true, lockedUntil };
+	}
+
+	// Clears the failure count after a successful sign-in (the caller saves the user)
+	recordSuccess(user) {
+		user.lockout = { failedAttempts: 0, count: 0 };
+	}
+
+	// Lifts a lockout and forgets recent failures and rate limit hits for the account
+	async unlock(user) {
+		user.lockout = { failedAttempts: 0, count: 0 };
+		await user.save();
+		await rateLimiter.reset('login:account', user.email, LIMITS.login.account);
+	}
+}
+
+module.exports = new AccountLockout();
@@ -0,0 +1,27 @@
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+
+const providers = {
+	openai: OpenAIProvider,
+	local: LocalProvider
+};
+
+// Defaults to OpenAI when an API key is configured, otherwise the local provider
+const createProvider = (name = process.env.AI_PROVIDER, options = {}) => {
+	const providerName = name || (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+	const Provider = providers[providerName];
+	if (!Provider) {
+		throw new Error(`Unknown AI provider: ${providerName}`);
+	}
+
+	return new Provider({
+		apiKey: process.env.OPENAI_API_KEY,
+		model: process.env.AI_MODEL,
+		...options
+	});
+};
+
+module.exports = {
+	providers,
+	createProvider
+};
\ No newline at end of file
@@ -0,0 +1,154 @@
+// Deterministic keyword-based provider. Needs no network access, so the
+// intake pipeline can run in development and tests without an API key.
+
+const CATEGORY_RULES = {
+	billing: ['bill', 'billing', 'charge', 'charged', 'refund', 'payment', 'invoice', 'price', 'fee', 'overcharged'],
+	delivery: ['deliver', 'delivery', 'delivered', 'shipping', 'shipment', 'package', 'parcel', 'courier', 'tracking'],
+	technical: ['error', 'bug', 'crash', 'login', 'website', 'app', 'password', 'loading', 'broken link', 'server'],
+	service: ['rude', 'staff', 'support', 'agent', 'wait', 'waiting', 'call', 'unhelpful', 'behaviour', 'behavior'],
+	product: ['defect', 'defective', 'damaged', 'quality', 'broken', 'faulty', 'expired', 'missing part']
+};
+
+const SUGGESTIONS = {
+	billing: 'Review the transaction history and confirm whether a refund or correction is due.',
+	delivery: 'Check the shipment tracking details and contact the courier about the delay.',
+	technical: 'Collect device, browser and error details and forward them to the technical team.',
+	service: 'Review the interaction with the staff involved and follow up with the customer.',
+	product: 'Verify the product issue and offer a replacement or repair.',
+	uncategorized: 'A support representative should review this complaint manually.'
+};
+
+const URGENT_WORDS = ['urgent', 'immediately', 'asap', 'emergency', 'critical', 'dangerous', 'unsafe', 'right now'];
+const MINOR_WORDS = ['minor', 'suggestion', 'small', 'slight', 'whenever', 'not urgent'];
+const NEGATIVE_WORDS = ['angry', 'frustrated', 'terrible', 'awful', 'worst', 'bad', 'disappointed', 'unacceptable', 'poor', 'annoyed', 'upset', 'horrible'];
+const POSITIVE_WORDS = ['thank', 'thanks', 'great', 'good', 'appreciate', 'happy', 'pleased', 'excellent'];
+const EMOTIONS = {
+	anger: ['angry', 'furious', 'outraged', 'unacceptable'],
+	frustration: ['frustrated', 'annoyed', 'again', 'still'],
+	disappointment: ['disappointed', 'expected', 'poor'],
+	worry: ['worried', 'concerned', 'afraid', 'unsafe']
+};
+const STOP_WORDS = new Set([
+	'the', 'and', 'for', 'that', 'this', 'with', 'was', 'were', 'have', 'has', 'had', 'not', 'but', 'are',
+	'you', 'your', 'they', 'them', 'from', 'been', 'would', 'could', 'there', 'their', 'about', 'when',
+	'what', 'which', 'will', 'just', 'after', 'before', 'into', 'than', 'then', 'also', 'very', 'because', 'please'
+]);
+
+const normalize = (text = '') => ` ${String(text).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ')} `;
+const countMatches = (text, words) => words.filter(word => text.includes(` ${word} `)).length;
+const keywordsOf = (text) => normalize(text).trim().split(' ')
+	.filter(word => word.length > 3 && !STOP_WORDS.has(word));
+
+class LocalProvider {
+	constructor() {
+		this.name = 'local';
+		this.model = 'keyword-rules';
+	}
+
+	scoreCategories(text) {
+		return Object.entries(CATEGORY_RULES)
+			.map(([category, words]) => ({ category, hits: countMatches(text, words) }))
+			.sort((a, b) => b.hits - a.hits);
+	}
+
+	getPriority(text) {
+		if (countMatches(text, URGENT_WORDS) > 0) return 'high';
+		if (countMatches(text, MINOR_WORDS) > 0) return 'low';
+		return 'medium';
+	}
+
+	// Best subcategory by keyword overlap with the category tree. Category and
+	// subcategory names that match a rule topic (e.g. "Billing") also pick up
+	// that topic's keywords.
+	matchCategoryTree(text, categories) {
+		let best = null;
+
+		categories.forEach(category => {
+			const categoryWords = keywordsOf(`${category.name} ${category.description || ''}`);
+
+			(category.subCategories || []).forEach(sub => {
+				const words = new Set([...categoryWords, ...keywordsOf(`${sub.name} ${sub.description || ''}`)]);
+				Object.entries(CATEGORY_RULES).forEach(([topic, topicWords]) => {
+					if (words.has(topic)) topicWords.forEach(word => words.add(word));
+				});
+
+				const hits = countMatches(text, [...words]);
+				if (hits > 0 && (!best || hits > best.hits)) {
+					best = { category, sub, hits };
+				}
+			});
+		});
+
+		return best;
+	}
+
+	async categorizeComplaint(title, description, categories = []) {
+		const text = normalize(`${title} ${description}`);
+		const [topic] = this.scoreCategories(text);
+		const fallback = topic.hits > 0 ? topic.category : 'uncategorized';
+		const match = this.matchCategoryTree(text, categories);
+
+		return {
+			category: match ? match.category.name : fallback,
+			categoryId: match ? String(match.category.id) : null,
+			subCategoryId: match ? String(match.sub.id) : null,
+			suggestion: SUGGESTIONS[fallback],
+			priority: this.getPriority(text),
+			confidence: match ? Math.round((match.hits / (match.hits + 2)) * 100) / 100 : 0
+		};
+	}
+
+	async generateResponse(complaint) {
+		return `Thank you for reporting "${complaint.title}". We are sorry for the inconvenience. `
+			+ 'Our team has received your complaint and will review it shortly. '
+			+ 'Please reply with any additional details that could help us resolve it faster.';
+	}
+
+	async analyzeSentiment(text) {
+		const normalized = normalize(text);
+		const negative = countMatches(normalized, NEGATIVE_WORDS);
+		const positive = countMatches(normalized, POSITIVE_WORDS);
+
+		let sentiment = 'neutral';
+		if (negative > positive) sentiment = 'negative';
+		else if (positive > negative) sentiment = 'positive';
+
+		const keyEmotions = Object.entries(EMOTIONS)
+			.filter(([, words]) => countMatches(normalized, words) > 0)
+			.map(([emotion]) => emotion);
+
+		return {
+			sentiment,
+			urgency: this.getPriority(normalized),
+			emotionalTone: keyEmotions[0] || (sentiment === 'negative' ? 'dissatisfied' : 'calm'),
+			keyEmotions
+		};
+	}
+
+	async suggestTags(complaint) {
+		const words = normalize(`${complaint.title} ${complaint.description}`).trim().split(' ');
+		const counts = words
+			.filter(word => word.length > 3 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+			.reduce((acc, word) => acc.set(word, (acc.get(word) || 0) + 1), new Map());
+
+		// Most frequent words first, alphabetical on ties so output is stable
+		const keywords = [...counts.entries()]
+			.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+			.slice(0, 5)
+			.map(([word]) => word);
+
+		const category = complaint.category ? String(complaint.category).toLowerCase() : null;
+		return [...new Set([category, ...keywords].filter(Boolean))];
+	}
+
+	async summarizeComplaint(complaint) {
+		const sentences = String(complaint.description).split(/(?<=[.!?])\s+/);
+		let summary = sentences.slice(0, 2).join(' ');
+		if (summary.length > 280) {
+			summary = `${summary.slice(0, 277)}...`;
+		}
+		return `${complaint.title}: ${summary}`;
+	}
+}
+
+module.exports = LocalProvider;
\ No newline at end of file
@@ -0,0 +1,120 @@
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+	constructor({ apiKey, model } = {}) {
+		this.name = 'openai';
+		this.model = model || 'gpt-3.5-turbo';
+		this.openai = new OpenAI({ apiKey });
+	}
+
+	async chat(system, prompt) {
+		const completion = await this.openai.chat.completions.create({
+			model: this.model,
+			messages: [
+				{ role: "system", content: system },
+				{ role: "user", content: prompt }
+			]
+		});
+
+		return completion.choices[0].message.content.trim();
+	}
+
+	async chatJSON(system, prompt) {
+		return JSON.parse(await this.chat(system, prompt));
+	}
+
+	// categories: [{ id, name, description, subCategories: [{ id, name, description }] }]
+	async categorizeComplaint(title, description, categories = []) {
+		return this.chatJSON(
+			`You are an AI assistant that analyzes complaints and provides structured responses.
+			You should return only valid JSON in the specified format.`,
+			`Analyze the following complaint and provide:
+			1. The most appropriate category and subcategory, chosen only from the list below
+			2. A helpful suggestion or resolution
+			3. Priority level (low, medium, high)
+			4. Confidence score (0-1) that the chosen subcategory is correct
+
+			Available categories (JSON):
+			${JSON.stringify(categories)}
+
+			Title: ${title}
+			Description: ${description}
+
+			Format the response as JSON, using ids from the list (null if nothing fits):
+			{
+				"categoryId": "string",
+				"subCategoryId": "string",
+				"suggestion": "string",
+				"priority": "string",
+				"confidence": number
+			}`
+		);
+	}
+
+	async generateResponse(complaint) {
+		return this.chat(
+			"You are a helpful customer service assistant that generates empathetic and professional responses to complaints.",
+			`Generate a helpful response for the following complaint:
+
+			Title: ${complaint.title}
+			Category: ${complaint.category}
+			Description: ${complaint.description}
+
+			The response should:
+			1. Be empathetic and professional
+			2. Address the specific issues mentioned
+			3. Provide actionable steps or solutions
+			4. Include any relevant follow-up questions if needed`
+		);
+	}
+
+	async analyzeSentiment(text) {
+		return this.chatJSON(
+			`You are an AI assistant that analyzes text sentiment and provides structured responses.
+			You should return only valid JSON in the specified format.`,
+			`Analyze the sentiment and urgency of the following text:
+			"${text}"
+
+			Provide the analysis as JSON:
+			{
+				"sentiment": "positive/negative/neutral",
+				"urgency": "low/medium/high",
+				"emotionalTone": "string",
+				"keyEmotions": ["string"]
+			}`
+		);
+	}
+
+	async suggestTags(complaint) {
+		return this.chatJSON(
+			`You are an AI assistant that generates relevant tags for complaints.
+			You should return only a JSON array of strings.`,
+			`Generate relevant tags for the following complaint:
+
+			Title: ${complaint.title}
+			Category: ${complaint.category}
+			Description: ${complaint.description}
+
+			Return only an array of tags in JSON format:
+			["tag1", "tag2", "tag3"]`
+		);
+	}
+
+	async summarizeComplaint(complaint) {
+		return this.chat(
+			"You are an AI assistant that provides concise summaries of complaints.",
+			`Provide a concise summary of the following complaint:
+
+			Title: ${complaint.title}
+			Category: ${complaint.category}
+			Description: ${complaint.description}
+
+			The summary should:
+			1. Be no more than 2-3 sentences
+			2. Highlight the main issue
+			3. Include any critical details`
+		);
+	}
+}
+
+module.exports = OpenAIProvider;
\ No newline at end of file
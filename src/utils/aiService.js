@@ -1,50 +1,27 @@
-const OpenAI = require('openai');
+const Complaint = require('../models/Complaint');
+const { createProvider } = require('./aiProviders');
+const recategorizationService = require('./recategorizationService');
 
 class AIService {
-	constructor() {
-		this.openai = new OpenAI({
-			apiKey: process.env.OPENAI_API_KEY,
-		});
+	constructor(provider = createProvider()) {
+		this.provider = provider;
 	}
 
-	async categorizeComplaint(title, description) {
+	// Swap the provider at runtime (e.g. the local provider in tests)
+	setProvider(provider) {
+		this.provider = provider;
+	}
+
+	// categories: tree from recategorizationService.getCategoryTree()
+	async categorizeComplaint(title, description, categories = []) {
 		try {
-			const completion = await this.openai.chat.completions.create({
-				model: "gpt-3.5-turbo",
-				messages: [
-					{
-						role: "system",
-						content: `You are an AI assistant that analyzes complaints and provides structured responses.
-						You should return only valid JSON in the specified format.`
-					},
-					{
-						role: "user",
-						content: `Analyze the following complaint and provide:
-						1. Most appropriate category
-						2. A helpful suggestion or resolution
-						3. Priority level (low, medium, high)
-						4. Confidence score (0-1)
-
-						Title: ${title}
-						Description: ${description}
-
-						Format the response as JSON:
-						{
-							"category": "string",
-							"suggestion": "string",
-							"priority": "string",
-							"confidence": number
-						}`
-					}
-				]
-			});
-
-			const result = JSON.parse(completion.choices[0].message.content.trim());
-			return result;
+			return await this.provider.categorizeComplaint(title, description, categories);
 		} catch (error) {
 			console.error('AI Categorization Error:', error);
 			return {
 				category: 'uncategorized',
+				categoryId: null,
+				subCategoryId: null,
 				suggestion: 'Unable to generate suggestion at this time.',
 				priority: 'medium',
 				confidence: 0
@@ -54,31 +31,7 @@ class AIService {
 
 	async generateResponse(complaint) {
 		try {
-			const completion = await this.openai.chat.completions.create({
-				model: "gpt-3.5-turbo",
-				messages: [
-					{
-						role: "system",
-						content: "You are a helpful customer service assistant that generates empathetic and professional responses to complaints."
-					},
-					{
-						role: "user",
-						content: `Generate a helpful response for the following complaint:
-						
-						Title: ${complaint.title}
-						Category: ${complaint.category}
-						Description: ${complaint.description}
-
-						The response should:
-						1. Be empathetic and professional
-						2. Address the specific issues mentioned
-						3. Provide actionable steps or solutions
-						4. Include any relevant follow-up questions if needed`
-					}
-				]
-			});
-
-			return completion.choices[0].message.content.trim();
+			return await this.provider.generateResponse(complaint);
 		} catch (error) {
 			console.error('AI Response Generation Error:', error);
 			return 'We apologize, but we are unable to generate a specific response at this time. A support representative will review your complaint shortly.';
@@ -87,31 +40,7 @@ class AIService {
 
 	async analyzeSentiment(text) {
 		try {
-			const completion = await this.openai.chat.completions.create({
-				model: "gpt-3.5-turbo",
-				messages: [
-					{
-						role: "system",
-						content: `You are an AI assistant that analyzes text sentiment and provides structured responses.
-						You should return only valid JSON in the specified format.`
-					},
-					{
-						role: "user",
-						content: `Analyze the sentiment and urgency of the following text:
-						"${text}"
-						
-						Provide the analysis as JSON:
-						{
-							"sentiment": "positive/negative/neutral",
-							"urgency": "low/medium/high",
-							"emotionalTone": "string",
-							"keyEmotions": ["string"]
-						}`
-					}
-				]
-			});
-
-			return JSON.parse(completion.choices[0].message.content.trim());
+			return await this.provider.analyzeSentiment(text);
 		} catch (error) {
 			console.error('Sentiment Analysis Error:', error);
 			return {
@@ -125,29 +54,7 @@ class AIService {
 
 	async suggestTags(complaint) {
 		try {
-			const completion = await this.openai.chat.completions.create({
-				model: "gpt-3.5-turbo",
-				messages: [
-					{
-						role: "system",
-						content: `You are an AI assistant that generates relevant tags for complaints.
-						You should return only a JSON array of strings.`
-					},
-					{
-						role: "user",
-						content: `Generate relevant tags for the following complaint:
-						
-						Title: ${complaint.title}
-						Category: ${complaint.category}
-						Description: ${complaint.description}
-
-						Return only an array of tags in JSON format:
-						["tag1", "tag2", "tag3"]`
-					}
-				]
-			});
-
-			return JSON.parse(completion.choices[0].message.content.trim());
+			return await this.provider.suggestTags(complaint);
 		} catch (error) {
 			console.error('Tag Suggestion Error:', error);
 			return [complaint.category];
@@ -156,35 +63,80 @@ class AIService {
 
 	async summarizeComplaint(complaint) {
 		try {
-			const completion = await this.openai.chat.completions.create({
-				model: "gpt-3.5-turbo",
-				messages: [
-					{
-						role: "system",
-						content: "You are an AI assistant that provides concise summaries of complaints."
-					},
-					{
-						role: "user",
-						content: `Provide a concise summary of the following complaint:
-						
-						Title: ${complaint.title}
-						Category: ${complaint.category}
-						Description: ${complaint.description}
-
-						The summary should:
-						1. Be no more than 2-3 sentences
-						2. Highlight the main issue
-						3. Include any critical details`
-					}
-				]
-			});
-
-			return completion.choices[0].message.content.trim();
+			return await this.provider.summarizeComplaint(complaint);
 		} catch (error) {
 			console.error('Summarization Error:', error);
 			return complaint.title;
 		}
 	}
+
+	// Run every analysis for a complaint ({ title, description, category name })
+	// against a category tree. Needs no database, so the pipeline can be checked
+	// offline with the local provider (see scripts/checkAiPipeline.js).
+	// Returns { aiResponse, pair } (pair: the suggested category, when valid).
+	async analyzeComplaint(input, tree) {
+		const results = await Promise.allSettled([
+			this.provider.categorizeComplaint(input.title, input.description, tree),
+			this.provider.analyzeSentiment(`${input.title}\n${input.description}`),
+			this.provider.suggestTags(input),
+			this.provider.summarizeComplaint(input)
+		]);
+		const failures = results.filter(r => r.status === 'rejected').map(r => r.reason?.message || String(r.reason));
+		const [categorization, sentiment, tags, summary] = results.map(r => (r.status === 'fulfilled' ? r.value : null));
+
+		// Ignore ids that are not a real category/subcategory pair
+		const pair = categorization && recategorizationService.resolvePair(tree, categorization.categoryId, categorization.subCategoryId);
+
+		const aiResponse = {
+			category: pair ? pair.category.name : categorization?.category,
+			categoryId: pair?.category.id,
+			subCategoryId: pair?.subCategory.id,
+			suggestion: categorization?.suggestion,
+			priority: categorization?.priority,
+			confidence: categorization?.confidence ?? 0,
+			sentiment: sentiment && {
+				label: sentiment.sentiment,
+				urgency: sentiment.urgency,
+				emotionalTone: sentiment.emotionalTone,
+				keyEmotions: sentiment.keyEmotions
+			},
+			tags: Array.isArray(tags) ? tags.map(String) : [],
+			summary,
+			status: failures.length === results.length ? 'failed' : 'completed',
+			error: failures.length > 0 ? failures.join('; ') : undefined,
+			provider: this.provider.name,
+			model: this.provider.model,
+			processedAt: new Date()
+		};
+
+		return { aiResponse, pair };
+	}
+
+	// Run every analysis for a complaint and persist the results on it
+	async processComplaint(complaintId) {
+		const complaint = await Complaint.findById(complaintId).populate('category', 'name');
+		if (!complaint) return null;
+
+		const tree = await recategorizationService.getCategoryTree();
+		const { aiResponse, pair } = await this.analyzeComplaint({
+			title: complaint.title,
+			description: complaint.description,
+			category: complaint.category?.name
+		}, tree);
+
+		// Only touch aiResponse so concurrent edits to the complaint are not overwritten
+		await Complaint.updateOne({ _id: complaint._id }, { $set: { aiResponse } });
+
+		if (pair) {
+			await recategorizationService.handleSuggestion(
+				await Complaint.findById(complaint._id),
+				{ categoryId: pair.category.id, subCategoryId: pair.subCategory.id, confidence: aiResponse.confidence },
+				this.provider.name
+			);
+		}
+
+		return aiResponse;
+	}
 }
 
-module.exports = new AIService(); 
\ No newline at end of file
+module.exports = new AIService();
\ No newline at end of file
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const sharp = require('sharp');
+const Asset = require('../models/Asset');
+const Category = require('../models/Category');
+const attachmentService = require('./attachmentService');
+const ApiError = require('./ApiError');
+
+const MAX_ASSET_SIZE = 5 * 1024 * 1024; // 5MB
+// sharp format -> content type and file extension
+const FORMATS = {
+	jpeg: { mimeType: 'image/jpeg', ext: '.jpg' },
+	png: { mimeType: 'image/png', ext: '.png' },
+	webp: { mimeType: 'image/webp', ext: '.webp' }
+};
+// Widths resized variants can be requested in (?w=)
+const VARIANT_WIDTHS = [32, 64, 128, 256];
+const DATA_URI_PATTERN = /^data:(image\/[a-zA-Z0-9.+-]+);base64,(.*)$/s;
+// Storage keys of assets start with this prefix
+const KEY_PREFIX = 'assets/';
+
+const streamToBuffer = async (stream) => {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(Buffer.from(chunk));
+	}
+	return Buffer.concat(chunks);
+};
+
+// Managed images (category icons): stored once through the storage layer,
+// referenced by id and served with resized variants by routes/assets.js
+class AssetService {
+	constructor() {
+		this.variantWidths = VARIANT_WIDTHS;
+
+		// Multer middleware for icon uploads
+		this.upload = multer({
+			storage: multer.memoryStorage(),
+			limits: { fileSize: MAX_ASSET_SIZE },
+			fileFilter: (req, file, cb) => {
+				if (Object.values(FORMATS).some(format => format.mimeType === file.mimetype)) {
+					return cb(null, true);
+				}
+				cb(new Error('Invalid file type. Only JPEG, PNG and WebP images are allowed.'));
+			}
+		});
+	}
+
+	// assets/<year>/<month>/<random id><ext>
+	createKey(ext, date = new Date()) {
+		const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+		return `${KEY_PREFIX}${date.getUTCFullYear()}/${month}/${crypto.randomUUID()}${ext}`;
+	}
+
+	// URL the asset (or one of its variants) is served from
+	url(assetId, width) {
+		return assetId ? `/api/assets/${assetId}${width ? `?w=${width}` : ''}` : null;
+	}
+
+	// Stores an image and returns its asset; an identical image that is
+	// already stored is reused. The image is re-encoded, which drops metadata.
+	async create(content, { name, uploadedBy } = {}) {
+		if (content.length > MAX_ASSET_SIZE) {
+			throw new ApiError(400, 'Image is too large (5MB max)');
+		}
+
+		let image;
+		try {
+			image = await sharp(content).rotate().toBuffer({ resolveWithObject: true });
+		} catch (error) {
+			throw new ApiError(400, 'Invalid image');
+		}
+		const format = FORMATS[image.info.format];
+		if (!format) {
+			throw new ApiError(400, 'Invalid image format. Only JPEG, PNG and WebP images are allowed');
+		}
+
+		const checksum = crypto.createHash('sha256').update(image.data).digest('hex');
+		const existing = await Asset.findOne({ kind: 'icon', checksum });
+		if (existing) {
+			return existing;
+		}
+
+		const driver = attachmentService.getDriver();
+		const { key } = await driver.put(this.createKey(format.ext), image.data, { contentType: format.mimeType });
+		try {
+			return await Asset.create({
+				name,
+				driver: driver.name,
+				mimeType: format.mimeType,
+				size: image.data.length,
+				width: image.info.width,
+				height: image.info.height,
+				checksum,
+				key,
+				uploadedBy
+			});
+		} catch (error) {
+			await driver.delete(key).catch(() => {});
+			throw error;
+		}
+	}
+
+	// Stores an image given as a base64 data URI (data:image/png;base64,...)
+	async createFromDataUri(dataUri, options) {
+		const match = DATA_URI_PATTERN.exec(dataUri || '');
+		if (!match) {
+			throw new ApiError(400, 'Invalid image format. Must be a base64 encoded image');
+		}
+		return this.create(Buffer.from(match[2], 'base64'), options);
+	}
+
+	// Asset id for an icon given as an asset id or a base64 data URI
+	async resolveIcon(icon, uploadedBy) {
+		if (typeof icon === 'string' && icon.startsWith('data:')) {
+			const asset = await this.createFromDataUri(icon, { name: 'icon', uploadedBy });
+			return asset._id;
+		}
+		if (typeof icon !== 'string' || !mongoose.isValidObjectId(icon) || !await Asset.exists({ _id: icon })) {
+			throw new ApiError(400, 'Icon asset not found');
+		}
+		return icon;
+	}
+
+	// Resized copy of an asset (no wider than the original), created and stored
+	// on first request. Returns the stored file fields.
+	async getVariant(asset, width) {
+		if (width >= asset.width) {
+			return asset;
+		}
+		const existing = asset.variants.find(variant => variant.width === width);
+		if (existing) {
+			return existing;
+		}
+
+		const driver = attachmentService.getDriver(asset.driver);
+		const content = await streamToBuffer(await driver.get(asset.key, { filename: asset.key }));
+		const { data, info } = await sharp(content).resize({ width }).toBuffer({ resolveWithObject: true });
+		const format = FORMATS[info.format];
+		const { key } = await driver.put(this.createKey(format.ext), data, { contentType: format.mimeType });
+		const variant = {
+			mimeType: format.mimeType,
+			size: data.length,
+			width: info.width,
+			height: info.height,
+			checksum: crypto.createHash('sha256').update(data).digest('hex'),
+			key
+		};
+
+		// Another request may have created the same variant in the meantime
+		const result = await Asset.updateOne(
+			{ _id: asset._id, 'variants.width': { $ne: width } },
+			{ $push: { variants: variant } }
+		);
+		if (result.modifiedCount === 0) {
+			await driver.delete(key).catch(() => {});
+			const current = await Asset.findById(asset._id);
+			return current.variants.find(v => v.width === width) || asset;
+		}
+		return variant;
+	}
+
+	// Readable stream of a stored asset file (the asset itself or a variant)
+	async open(asset, file = asset) {
+		return attachmentService.getDriver(asset.driver).get(file.key, { filename: file.key });
+	}
+
+	// Deletes assets no category or subcategory refers to anymore
+	async removeUnused(assetIds = []) {
+		for (const assetId of assetIds.filter(Boolean)) {
+			const inUse = await Category.exists({ $or: [{ icon: assetId }, { 'subCategories.icon': assetId }] });
+			if (inUse) continue;
+
+			const asset = await Asset.findByIdAndDelete(assetId);
+			if (!asset) continue;
+			await attachmentService.remove([asset, ...asset.variants].map(file => ({ driver: asset.driver, key: file.key })));
+		}
+	}
+}
+
+module.exports = new AssetService();
@@ -0,0 +1,311 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const Complaint = require('../models/Complaint');
+const attachmentService = require('./attachmentService');
+const eventBus = require('./eventBus');
+const { createScanner } = require('./scanners');
+
+const MINUTE = 60 * 1000;
+// File signatures (magic bytes) of the accepted types
+const SIGNATURES = [
+	{ mimeType: 'image/jpeg', bytes: Buffer.from([0xff, 0xd8, 0xff]) },
+	{ mimeType: 'image/png', bytes: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+	{ mimeType: 'application/pdf', bytes: Buffer.from('%PDF-') }
+];
+const PDF_SCRIPT_PATTERN = /\/(JavaScript|JS)(?![A-Za-z0-9])/;
+const PDF_STREAM_PATTERN = /stream\r?\n/g;
+// Upper bound for decompressing a single PDF stream
+const MAX_INFLATED_SIZE = 10 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+const MAX_ATTEMPTS = 3;
+// Attachments still pending this long after their last attempt are picked up again
+const RETRY_AFTER_MS = 5 * MINUTE;
+
+// PDF names may hide characters as #xx escapes (e.g. /J#61vaScript)
+const decodePdfNames = (text) => text.replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const streamToBuffer = async (stream) => {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(Buffer.from(chunk));
+	}
+	return Buffer.concat(chunks);
+};
+
+// Checks and cleans uploaded attachments after they are stored: real type from
+// the magic bytes, virus scan, no JavaScript in PDFs, image metadata (EXIF/GPS)
+// stripped and a thumbnail for images. Each step is recorded on the attachment;
+// rejected files are deleted from storage.
+class AttachmentProcessor {
+	constructor() {
+		this.interval = parseInt(process.env.ATTACHMENT_PROCESSING_INTERVAL_MS) || MINUTE;
+		this.scanner = null;
+		this.timer = null;
+		this.running = false;
+	}
+
+	getScanner() {
+		if (!this.scanner) {
+			this.scanner = createScanner();
+		}
+		return this.scanner;
+	}
+
+	detectType(content) {
+		const match = SIGNATURES.find(({ bytes }) => content.subarray(0, bytes.length).equals(bytes));
+		return match ? match.mimeType : null;
+	}
+
+	// Looks for JavaScript actions in the document, including compressed streams
+	hasPdfJavaScript(content) {
+		const text = content.toString('latin1');
+		if (PDF_SCRIPT_PATTERN.test(decodePdfNames(text))) return true;
+
+		for (const match of text.matchAll(PDF_STREAM_PATTERN)) {
+			const start = match.index + match[0].length;
+			const end = text.indexOf('endstream', start);
+			if (end === -1) break;
+
+			try {
+				const inflated = zlib.inflateSync(content.subarray(start, end), { maxOutputLength: MAX_INFLATED_SIZE });
+				if (PDF_SCRIPT_PATTERN.test(decodePdfNames(inflated.toString('latin1')))) return true;
+			} catch (error) {
+				// Not Flate-compressed (or truncated): nothing to look at
+			}
+		}
+		return false;
+	}
+
+	// Runs the pipeline on the content of a file.
+	// Returns { status: 'ready' | 'rejected', reason, steps, detectedType, content, thumbnail }
+	// where content is the cleaned file (null when unchanged).
+	async inspect(attachment, content) {
+		const steps = [];
+		const step = (name, status, detail) => steps.push({ name, status, detail, at: new Date() });
+		const reject = (reason) => ({ status: 'rejected', reason, steps });
+
+		const detectedType = this.detectType(content);
+		if (!detectedType) {
+			step('type', 'failed', 'Unrecognized file content');
+			return reject('File content is not a JPEG, PNG or PDF file');
+		}
+		step('type', 'passed', detectedType === attachment.mimeType
+			? detectedType
+			: `Declared ${attachment.mimeType}, detected ${detectedType}`);
+
+		const scan = await this.getScanner().scan(content);
+		if (!scan.clean) {
+			step('virus-scan', 'failed', scan.signature);
+			return reject(`Malware detected: ${scan.signature}`);
+		}
+		step('virus-scan', 'passed', this.getScanner().name);
+
+		if (detectedType === 'application/pdf') {
+			if (this.hasPdfJavaScript(content)) {
+				step('pdf-javascript', 'failed', 'JavaScript found');
+				return reject('PDF files with embedded JavaScript are not allowed');
+			}
+			step('pdf-javascript', 'passed');
+			step('strip-metadata', 'skipped', 'Not an image');
+			step('thumbnail', 'skipped', 'Not an image');
+			return { status: 'ready', steps, detectedType, content: null, thumbnail: null };
+		}
+		step('pdf-javascript', 'skipped', 'Not a PDF');
+
+		let cleaned;
+		let thumbnail;
+		try {
+			// Re-encoding drops EXIF/GPS and other metadata; rotate() applies the EXIF orientation first
+			cleaned = await sharp(content).rotate().toBuffer();
+			step('strip-metadata', 'passed');
+
+			const { data, info } = await sharp(cleaned)
+				.resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+				.jpeg({ quality: 80 })
+				.toBuffer({ resolveWithObject: true });
+			thumbnail = { content: data, width: info.width, height: info.height };
+			step('thumbnail', 'passed', `${info.width}x${info.height}`);
+		} catch (error) {
+			step(cleaned ? 'thumbnail' : 'strip-metadata', 'failed', error.message);
+			return reject('Image could not be decoded');
+		}
+
+		return { status: 'ready', steps, detectedType, content: cleaned, thumbnail };
+	}
+
+	// Processes one stored attachment. Returns { record, obsolete }: the updated
+	// attachment record and the stored files to delete once it is saved.
+	async processAttachment(attachment) {
+		const driver = attachmentService.getDriver(attachment.driver);
+		const content = await streamToBuffer(await driver.get(attachment.key, { filename: attachment.name }));
+		const result = await this.inspect(attachment, content);
+		const now = new Date();
+		const processing = {
+			status: result.status,
+			reason: result.reason,
+			steps: result.steps,
+			attempts: (attachment.processing?.attempts || 0) + 1,
+			lastAttemptAt: now,
+			completedAt: now
+		};
+
+		if (result.status === 'rejected') {
+			return { record: { ...attachment, processing }, obsolete: [attachment] };
+		}
+
+		const record = { ...attachment, processing, detectedType: result.detectedType, mimeType: result.detectedType };
+		const obsolete = [];
+		if (result.content) {
+			// Cleaned files are written under a new key; the original goes once the record points there
+			const stored = await driver.put(attachmentService.createKey(attachment.name), result.content, {
+				contentType: result.detectedType
+			});
+			Object.assign(record, {
+				key: stored.key,
+				url: stored.url || undefined,
+				size: result.content.length,
+				checksum: attachmentService.checksum(result.content)
+			});
+			obsolete.push({ driver: attachment.driver, key: attachment.key });
+		}
+		if (result.thumbnail) {
+			const stored = await driver.put(attachmentService.createKey('thumbnail.jpg'), result.thumbnail.content, {
+				contentType: 'image/jpeg'
+			});
+			record.thumbnail = {
+				key: stored.key,
+				mimeType: 'image/jpeg',
+				size: result.thumbnail.content.length,
+				width: result.thumbnail.width,
+				height: result.thumbnail.height
+			};
+		}
+		return { record, obsolete };
+	}
+
+	// Array filters addressing an attachment of the complaint or of one of its comments
+	target(commentId, attachmentId, condition = {}) {
+		const path = commentId ? 'comments.$[comment].attachments.$[attachment]' : 'attachments.$[attachment]';
+		const arrayFilters = [{ 'attachment._id': attachmentId, ...condition }];
+		if (commentId) {
+			arrayFilters.unshift({ 'comment._id': commentId });
+		}
+		return { path, arrayFilters };
+	}
+
+	// Marks an attachment as being worked on; false when another run already has it
+	async claim(complaintId, commentId, attachmentId, now) {
+		const { path, arrayFilters } = this.target(commentId, attachmentId, {
+			'attachment.processing.lastAttemptAt': { $not: { $gte: new Date(now.getTime() - RETRY_AFTER_MS) } }
+		});
+		const result = await Complaint.updateOne(
+			{ _id: complaintId },
+			{ $set: { [`${path}.processing.lastAttemptAt`]: now } },
+			{ arrayFilters }
+		);
+		return result.modifiedCount > 0;
+	}
+
+	async saveAttachment(complaintId, commentId, record) {
+		const { path, arrayFilters } = this.target(commentId, record._id);
+		await Complaint.updateOne({ _id: complaintId }, { $set: { [path]: record } }, { arrayFilters });
+	}
+
+	// Clears the complaint's processing flag once nothing is pending anymore
+	async updateFlag(complaintId) {
+		await Complaint.updateOne({
+			_id: complaintId,
+			attachmentsProcessing: true,
+			'attachments.processing.status': { $ne: 'pending' },
+			'comments.attachments.processing.status': { $ne: 'pending' }
+		}, { $set: { attachmentsProcessing: false } });
+	}
+
+	// Process the pending attachments of a complaint and its comments
+	async processComplaint(complaintId) {
+		const complaint = await Complaint.findById(complaintId)
+			.select('user assignedTo attachments comments._id comments.internal comments.attachments')
+			.lean();
+		if (!complaint) return;
+
+		const targets = [
+			...complaint.attachments.map(attachment => ({ attachment, comment: null })),
+			...complaint.comments.flatMap(comment => comment.attachments.map(attachment => ({ attachment, comment })))
+		].filter(({ attachment }) => attachment.processing?.status === 'pending');
+
+		for (const { attachment, comment } of targets) {
+			const now = new Date();
+			if (!await this.claim(complaint._id, comment?._id, attachment._id, now)) continue;
+
+			let record;
+			let obsolete = [];
+			try {
+				({ record, obsolete } = await this.processAttachment(attachment));
+			} catch (error) {
+				// Retried by the scheduler (e.g. the virus scanner was unavailable)
+				const attempts = (attachment.processing.attempts || 0) + 1;
+				const failed = attempts >= MAX_ATTEMPTS;
+				record = {
+					...attachment,
+					processing: {
+						...attachment.processing,
+						status: failed ? 'failed' : 'pending',
+						reason: failed ? 'Processing failed' : undefined,
+						attempts,
+						lastAttemptAt: now,
+						error: error.message,
+						completedAt: failed ? now : undefined
+					}
+				};
+				console.error(`Processing attachment ${attachment._id} failed:`, error.message);
+			}
+
+			await this.saveAttachment(complaint._id, comment?._id, record);
+			await attachmentService.remove(obsolete);
+			if (record.processing.status !== 'pending') {
+				await eventBus.publishComplaintEvent('complaint.attachment.processed', complaint, {
+					attachmentId: record._id.toString(),
+					commentId: comment?._id.toString(),
+					status: record.processing.status,
+					reason: record.processing.reason
+				}, [], { staffOnly: Boolean(comment?.internal) });
+			}
+		}
+
+		await this.updateFlag(complaint._id);
+	}
+
+	// Picks up attachments whose processing was interrupted or failed temporarily
+	async runPending() {
+		if (this.running) return;
+		this.running = true;
+
+		try {
+			const complaints = await Complaint.find({ attachmentsProcessing: true }).select('_id');
+			for (const complaint of complaints) {
+				try {
+					await this.processComplaint(complaint._id);
+				} catch (error) {
+					console.error(`Processing attachments of complaint ${complaint._id} failed:`, error);
+				}
+			}
+		} catch (error) {
+			console.error('Attachment processing run failed:', error);
+		} finally {
+			this.running = false;
+		}
+	}
+
+	startScheduler() {
+		if (this.timer) return;
+		this.timer = setInterval(() => this.runPending(), this.interval);
+		this.timer.unref();
+	}
+
+	stopScheduler() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+}
+
+module.exports = new AttachmentProcessor();
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const path = require('path');
+const { createDriver } = require('./storage');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_FILES = 5;
+const ALLOWED_TYPES = /jpeg|jpg|png|pdf/;
+// Types browsers can safely preview inline
+const PREVIEWABLE_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+// Lifetime of signed download URLs
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.ATTACHMENT_URL_TTL_SECONDS) || 300;
+// Storage keys of attachments start with this prefix (see cleanupOrphanAttachments)
+const KEY_PREFIX = 'attachments/';
+
+// Complaint attachments: validation and storage, shared by the upload
+// endpoints and inbound email. Files are written through the configured
+// storage driver (STORAGE_DRIVER) and described by attachment records
+// (models/attachmentSchema.js).
+class AttachmentService {
+	constructor() {
+		this.maxFileSize = MAX_FILE_SIZE;
+		this.maxFiles = MAX_FILES;
+		this.keyPrefix = KEY_PREFIX;
+		this.drivers = {};
+
+		// Multer middleware for multipart uploads (files are kept in memory until stored)
+		this.upload = multer({
+			storage: multer.memoryStorage(),
+			limits: { fileSize: MAX_FILE_SIZE },
+			fileFilter: (req, file, cb) => {
+				if (this.isAllowed(file.originalname, file.mimetype)) {
+					return cb(null, true);
+				}
+				cb(new Error('Invalid file type. Only JPEG, JPG, PNG, and PDF files are allowed.'));
+			}
+		});
+	}
+
+	// Driver by name; without a name, the one new files are written to
+	getDriver(name) {
+		const cacheKey = name || 'default';
+		if (!this.drivers[cacheKey]) {
+			this.drivers[cacheKey] = createDriver(name);
+		}
+		return this.drivers[cacheKey];
+	}
+
+	isAllowed(filename, mimetype) {
+		const extname = ALLOWED_TYPES.test(path.extname(filename || '').toLowerCase());
+		return extname && ALLOWED_TYPES.test(mimetype || '');
+	}
+
+	// attachments/<year>/<month>/<random id><ext>
+	createKey(filename, date = new Date()) {
+		const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+		const ext = path.extname(filename || '').toLowerCase();
+		return `${KEY_PREFIX}${date.getUTCFullYear()}/${month}/${crypto.randomUUID()}${ext}`;
+	}
+
+	// Store one file: { filename, contentType, content: Buffer }. Returns its attachment record.
+	async store(file, uploadedBy) {
+		const driver = this.getDriver();
+		const { key, url } = await driver.put(this.createKey(file.filename), file.content, {
+			contentType: file.contentType
+		});
+
+		return {
+			name: file.filename,
+			mimeType: file.contentType,
+			size: file.content.length,
+			checksum: this.checksum(file.content),
+			driver: driver.name,
+			key,
+			url: url || undefined,
+			// Checked by attachmentProcessor before the file can be downloaded
+			processing: { status: 'pending', steps: [], attempts: 0 },
+			uploadedBy
+		};
+	}
+
+	checksum(content) {
+		return crypto.createHash('sha256').update(content).digest('hex');
+	}
+
+	// Store files uploaded through multer; returns their attachment records.
+	// Nothing is left behind in storage when one of them fails.
+	async storeUploads(files = [], uploadedBy) {
+		const records = [];
+		try {
+			for (const file of files) {
+				records.push(await this.store({
+					filename: file.originalname,
+					contentType: file.mimetype,
+					content: file.buffer
+				}, uploadedBy));
+			}
+		} catch (error) {
+			await this.remove(records);
+			throw error;
+		}
+		return records;
+	}
+
+	// Store in-memory files (e.g. email attachments): [{ filename, contentType, content: Buffer }].
+	// Returns { stored: [attachment records], rejected: [{ filename, reason }] }; files that
+	// fail validation are skipped.
+	async storeBuffers(files = [], uploadedBy) {
+		const stored = [];
+		const rejected = [];
+
+		for (const file of files.slice(0, MAX_FILES)) {
+			if (!this.isAllowed(file.filename, file.contentType)) {
+				rejected.push({ filename: file.filename, reason: 'Invalid file type' });
+				continue;
+			}
+			if (file.content.length > MAX_FILE_SIZE) {
+				rejected.push({ filename: file.filename, reason: 'File too large' });
+				continue;
+			}
+
+			stored.push(await this.store(file, uploadedBy));
+		}
+		for (const file of files.slice(MAX_FILES)) {
+			rejected.push({ filename: file.filename, reason: 'Too many files' });
+		}
+
+		return { stored, rejected };
+	}
+
+	// Delete attachments (and their thumbnails) from the storage they were written to.
+	// Failures are logged and left for cleanupOrphanAttachments.
+	async remove(attachments = []) {
+		for (const attachment of attachments) {
+			const keys = [attachment.key, attachment.thumbnail?.key].filter(Boolean);
+			for (const key of keys) {
+				try {
+					await this.getDriver(attachment.driver).delete(key);
+				} catch (error) {
+					console.error(`Failed to delete attachment ${attachment.driver}:${key}:`, error.message);
+				}
+			}
+		}
+	}
+
+	// An attachment of a complaint or of one of its comments: { attachment, comment }
+	findAttachment(complaint, attachmentId) {
+		const attachment = complaint.attachments.id(attachmentId);
+		if (attachment) {
+			return { attachment, comment: null };
+		}
+
+		for (const comment of complaint.comments) {
+			const commentAttachment = comment.attachments.id(attachmentId);
+			if (commentAttachment) {
+				return { attachment: commentAttachment, comment };
+			}
+		}
+		return null;
+	}
+
+	isPreviewable(mimeType) {
+		return PREVIEWABLE_TYPES.includes(mimeType);
+	}
+
+	// Content-Disposition with an ASCII fallback and the UTF-8 file name (RFC 6266)
+	contentDisposition(type, filename) {
+		const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+		const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+		return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+	}
+
+	// How to deliver an attachment: { url } (a short-lived signed URL) when the
+	// driver supports it, otherwise { stream }
+	async open(attachment, { disposition }) {
+		const driver = this.getDriver(attachment.driver);
+		if (typeof driver.getSignedUrl === 'function') {
+			const url = await driver.getSignedUrl(attachment.key, {
+				expiresIn: DOWNLOAD_URL_TTL_SECONDS,
+				contentType: attachment.mimeType,
+				contentDisposition: this.contentDisposition(disposition, attachment.name)
+			});
+			return { url };
+		}
+
+		return { stream: await driver.get(attachment.key, { filename: attachment.name }) };
+	}
+
+	// Every attachment of a complaint, including the ones on its comments
+	complaintAttachments(complaint) {
+		return [
+			...complaint.attachments,
+			...complaint.comments.flatMap(comment => comment.attachments)
+		];
+	}
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,79 @@
+const routingService = require('./routingService');
+
+const isStaff = (user) => ['agent', 'admin'].includes(user.role);
+
+// Query filter limiting complaints to the ones a user may see:
+// admins see everything, agents see their own, assigned and unassigned
+// complaints from their queues, users see their own
+const getAccessFilter = async (user) => {
+	if (user.role === 'admin') return {};
+
+	if (user.role === 'agent') {
+		const scopes = await routingService.getQueueScopes(user._id);
+		const filters = [{ user: user._id }, { assignedTo: user._id }];
+		if (scopes.length > 0) {
+			filters.push({ assignedTo: null, $or: scopes });
+		}
+		return { $or: filters };
+	}
+
+	return { user: user._id };
+};
+
+// Id of a reference that may or may not be populated
+const idOf = (ref) => (ref?._id || ref)?.toString();
+
+// Owners, the assigned agent and admins may comment on a complaint
+const canComment = (complaint, user) => {
+	if (user.role === 'admin') return true;
+	const userId = user._id.toString();
+	if (idOf(complaint.user) === userId) return true;
+	return user.role === 'agent' && idOf(complaint.assignedTo) === userId;
+};
+
+const canSeeComment = (comment, user) => !comment.internal || isStaff(user);
+
+// Attachment as returned to clients: where it is stored stays private, files are
+// downloaded through GET /api/complaints/:id/attachments/:attachmentId
+const formatAttachment = (attachment) => {
+	const { driver, key, url, thumbnail, processing, ...data } = typeof attachment.toObject === 'function' ? attachment.toObject() : attachment;
+	return {
+		...data,
+		// ?variant=thumbnail on the download endpoint
+		thumbnail: thumbnail?.key ? { mimeType: thumbnail.mimeType, width: thumbnail.width, height: thumbnail.height } : undefined,
+		processing: processing?.status
+			? { status: processing.status, reason: processing.reason, steps: processing.steps, completedAt: processing.completedAt }
+			: undefined
+	};
+};
+
+// Comment as returned to clients: deleted comments keep their place in the
+// thread without their content, revisions are only listed on request
+const formatComment = (comment) => {
+	const { revisions, ...data } = typeof comment.toObject === 'function' ? comment.toObject() : comment;
+	if (data.deletedAt) {
+		return { ...data, text: null, attachments: [], mentions: [], edited: false };
+	}
+	return { ...data, attachments: (data.attachments || []).map(formatAttachment), edited: revisions?.length > 0 };
+};
+
+// Complaint as returned to a user: internal notes are removed for non-staff.
+// Attachments and comments left out by a projection stay out.
+const redactComplaint = (complaint, user) => {
+	const data = typeof complaint.toObject === 'function' ? complaint.toObject() : complaint;
+	return {
+		...data,
+		attachments: data.attachments && data.attachments.map(formatAttachment),
+		comments: data.comments && data.comments.filter(comment => canSeeComment(comment, user)).map(formatComment)
+	};
+};
+
+module.exports = {
+	isStaff,
+	getAccessFilter,
+	canComment,
+	canSeeComment,
+	formatAttachment,
+	formatComment,
+	redactComplaint
+};
\ No newline at end of file
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const { statuses } = require('../config/workflow');
+const complaintSearch = require('./complaintSearch');
+const ApiError = require('./ApiError');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+
+// Filterable fields: kind decides the accepted operators and values
+const FIELDS = {
+	status: { kind: 'enum', path: 'status', values: statuses },
+	priority: { kind: 'enum', path: 'priority', values: ['low', 'medium', 'high'] },
+	slaState: { kind: 'enum', path: 'sla.state', values: ['on-track', 'at-risk', 'breached', 'met'] },
+	source: { kind: 'enum', path: 'source', values: ['web', 'email'] },
+	category: { kind: 'id', path: 'category' },
+	subCategory: { kind: 'id', path: 'subCategory' },
+	// null matches unassigned complaints
+	assignedTo: { kind: 'id', path: 'assignedTo', nullable: true },
+	user: { kind: 'id', path: 'user' },
+	tags: { kind: 'tags', path: 'aiResponse.tags' },
+	createdAt: { kind: 'date', path: 'createdAt' },
+	updatedAt: { kind: 'date', path: 'updatedAt' },
+	resolvedAt: { kind: 'date', path: 'resolution.date' },
+	firstResponseDueAt: { kind: 'date', path: 'sla.firstResponseDueAt' },
+	resolutionDueAt: { kind: 'date', path: 'sla.resolutionDueAt' },
+	hasAttachments: { kind: 'boolean' },
+	// Days since the last public reply from staff (or since creation when there was none)
+	noStaffReplyDays: { kind: 'days' },
+	text: { kind: 'text' }
+};
+
+const OPERATORS = {
+	enum: ['eq', 'ne', 'in', 'nin'],
+	id: ['eq', 'ne', 'in', 'nin'],
+	tags: ['in', 'all', 'nin'],
+	date: ['before', 'after', 'between', 'withinDays', 'olderThanDays'],
+	boolean: ['eq'],
+	days: ['gte'],
+	text: ['contains']
+};
+
+// Sort orders of complaint lists by name
+const SORTS = {
+	newest: { createdAt: -1 },
+	oldest: { createdAt: 1 },
+	'priority-high': { priorityValue: -1, createdAt: -1 }, // high to low (2 to 0), then by date
+	'priority-low': { priorityValue: 1, createdAt: -1 }, // low to high (0 to 2), then by date
+	status: { status: 1, createdAt: -1 }
+};
+
+// Structured complaint filters for lists and saved views. A filter is a tree of
+//   { and: [filter, ...] } | { or: [filter, ...] } | { field, op, value }
+// e.g. { "and": [
+//   { "field": "status", "op": "in", "value": ["pending", "in-progress"] },
+//   { "or": [
+//     { "field": "priority", "op": "eq", "value": "high" },
+//     { "field": "noStaffReplyDays", "op": "gte", "value": 3 }
+//   ] }
+// ] }
+class ComplaintFilter {
+	constructor() {
+		this.fields = FIELDS;
+		this.operators = OPERATORS;
+		this.sorts = Object.keys(SORTS);
+	}
+
+	// Sort options for a sort name; newest first by default
+	sortFor(name) {
+		return SORTS[name] || SORTS.newest;
+	}
+
+	// Parses a filter given as JSON text or an object; throws ApiError(400) when invalid
+	parse(input) {
+		let filter = input;
+		if (typeof input === 'string') {
+			try {
+				filter = JSON.parse(input);
+			} catch (error) {
+				throw new ApiError(400, 'Filter is not valid JSON');
+			}
+		}
+
+		const counter = { conditions: 0 };
+		this.validate(filter, 1, counter);
+		return filter;
+	}
+
+	validate(node, depth, counter) {
+		if (!node || typeof node !== 'object' || Array.isArray(node)) {
+			throw new ApiError(400, 'Filter nodes must be objects');
+		}
+		if (depth > MAX_DEPTH) {
+			throw new ApiError(400, `Filters can be nested at most ${MAX_DEPTH} levels deep`);
+		}
+
+		for (const group of ['and', 'or']) {
+			if (node[group] !== undefined) {
+				if (!Array.isArray(node[group]) || node[group].length === 0) {
+					throw new ApiError(400, `"${group}" must be a non-empty list of filters`);
+				}
+				node[group].forEach(child => this.validate(child, depth + 1, counter));
+				return;
+			}
+		}
+
+		counter.conditions++;
+		if (counter.conditions > MAX_CONDITIONS) {
+			throw new ApiError(400, `Filters can have at most ${MAX_CONDITIONS} conditions`);
+		}
+		this.validateCondition(node);
+	}
+
+	validateCondition({ field, op, value }) {
+		const definition = FIELDS[field];
+		if (!definition) {
+			throw new ApiError(400, `Unknown filter field: ${field}`);
+		}
+		if (!OPERATORS[definition.kind].includes(op)) {
+			throw new ApiError(400, `Operator "${op}" is not supported for ${field} (use ${OPERATORS[definition.kind].join(', ')})`);
+		}
+
+		const invalid = (expected) => new ApiError(400, `Invalid value for ${field} ${op}: expected ${expected}`);
+		const values = ['in', 'nin', 'all'].includes(op) ? value : [value];
+		if (!Array.isArray(values) || values.length === 0) {
+			throw invalid('a non-empty list');
+		}
+
+		switch (definition.kind) {
+			case 'enum':
+				if (!values.every(v => definition.values.includes(v))) throw invalid(definition.values.join(', '));
+				break;
+			case 'id':
+				if (!values.every(v => mongoose.isValidObjectId(v) || (definition.nullable && v === null))) {
+					throw invalid(definition.nullable ? 'ids or null' : 'ids');
+				}
+				break;
+			case 'tags':
+				if (!values.every(v => typeof v === 'string' && v)) throw invalid('tags');
+				break;
+			case 'date':
+				if (op === 'between') {
+					if (!Array.isArray(value) || value.length !== 2 || value.some(v => Number.isNaN(Date.parse(v)))) {
+						throw invalid('[from, to] dates');
+					}
+				} else if (op === 'withinDays' || op === 'olderThanDays') {
+					if (!(typeof value === 'number' && value > 0)) throw invalid('a number of days');
+				} else if (Number.isNaN(Date.parse(value))) {
+					throw invalid('a date');
+				}
+				break;
+			case 'boolean':
+				if (typeof value !== 'boolean') throw invalid('true or false');
+				break;
+			case 'days':
+				if (!(typeof value === 'number' && value >= 0)) throw invalid('a number of days');
+				break;
+			case 'text':
+				if (typeof value !== 'string' || !value.trim() || value.length > 200) throw invalid('text');
+				break;
+		}
+	}
+
+	// MongoDB query for a parsed filter; relative dates are resolved against `now`
+	toQuery(node, now = new Date()) {
+		if (node.and) return { $and: node.and.map(child => this.toQuery(child, now)) };
+		if (node.or) return { $or: node.or.map(child => this.toQuery(child, now)) };
+		return this.conditionToQuery(node, now);
+	}
+
+	conditionToQuery({ field, op, value }, now) {
+		const definition = FIELDS[field];
+		const { path } = definition;
+		const daysAgo = (days) => new Date(now.getTime() - days * DAY);
+
+		switch (definition.kind) {
+			case 'enum':
+			case 'id':
+			case 'tags': {
+				const cast = definition.kind === 'id'
+					? (v => (v === null ? null : new mongoose.Types.ObjectId(v)))
+					: (v => v);
+				if (op === 'eq') return { [path]: cast(value) };
+				if (op === 'ne') return { [path]: { $ne: cast(value) } };
+				return { [path]: { [`$${op}`]: value.map(cast) } };
+			}
+			case 'date':
+				if (op === 'before') return { [path]: { $lt: new Date(value) } };
+				if (op === 'after') return { [path]: { $gte: new Date(value) } };
+				if (op === 'between') return { [path]: { $gte: new Date(value[0]), $lte: new Date(value[1]) } };
+				if (op === 'withinDays') return { [path]: { $gte: daysAgo(value) } };
+				return { [path]: { $lt: daysAgo(value) } };
+			case 'boolean': {
+				const hasAttachments = {
+					$or: [
+						{ 'attachments.0': { $exists: true } },
+						{ 'comments.attachments.0': { $exists: true } }
+					]
+				};
+				return value ? hasAttachments : { $nor: [hasAttachments] };
+			}
+			case 'days': {
+				const cutoff = daysAgo(value);
+				return {
+					$or: [
+						{ lastStaffReplyAt: { $lt: cutoff } },
+						{ lastStaffReplyAt: null, createdAt: { $lt: cutoff } }
+					]
+				};
+			}
+			case 'text': {
+				const pattern = complaintSearch.escapeRegex(value.trim());
+				return {
+					$or: [
+						{ title: { $regex: pattern, $options: 'i' } },
+						{ description: { $regex: pattern, $options: 'i' } }
+					]
+				};
+			}
+		}
+		return {};
+	}
+}
+
+module.exports = new ComplaintFilter();
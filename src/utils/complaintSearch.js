@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+const Complaint = require('../models/Complaint');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { getAccessFilter, canSeeComment } = require('./complaintAccess');
+const { escapeHtml } = require('./templateEngine');
+
+// Facet name -> complaint field
+const FACETS = {
+	status: 'status',
+	priority: 'priority',
+	category: 'category',
+	subCategory: 'subCategory',
+	assignedTo: 'assignedTo'
+};
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'resolution.date'];
+const SNIPPET_LENGTH = 160;
+const MAX_COMMENT_HIGHLIGHTS = 3;
+// Endings dropped from search terms so highlights also cover the forms the
+// (stemming) text index matched, e.g. "lights" -> "light"
+const SUFFIX_PATTERN = /(ing|ed|es|s)$/;
+
+const RESULT_FIELDS = {
+	title: 1,
+	description: 1,
+	status: 1,
+	priority: 1,
+	category: 1,
+	subCategory: 1,
+	user: 1,
+	assignedTo: 1,
+	'sla.state': 1,
+	'resolution.text': 1,
+	'comments._id': 1,
+	'comments.text': 1,
+	'comments.internal': 1,
+	'comments.deletedAt': 1,
+	createdAt: 1,
+	updatedAt: 1,
+	score: 1
+};
+
+const toObjectIds = (values) => values
+	.filter(value => mongoose.isValidObjectId(value))
+	.map(value => new mongoose.Types.ObjectId(value));
+
+// Comma-separated query parameter as a list
+const listOf = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+// Full-text search over complaints (title, description, resolution and public
+// comments) with relevance ranking, highlights and facet counts
+class ComplaintSearch {
+	// Literal text for use in a regular expression
+	escapeRegex(text) {
+		return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+	}
+
+	// Words and "quoted phrases" of a query, without negated (-word) terms
+	parseTerms(q) {
+		const terms = [];
+		const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+		for (const match of q.matchAll(pattern)) {
+			const negated = match[1] || match[3];
+			const term = (match[2] || match[4]).toLowerCase();
+			if (!negated && term.length > 1) terms.push(term);
+		}
+		return [...new Set(terms)];
+	}
+
+	// Regex matching the terms at word starts, or null when there are none
+	termPattern(terms) {
+		if (terms.length === 0) return null;
+		const alternatives = terms.map(term => {
+			const stem = term.includes(' ') || term.length <= 4 ? term : term.replace(SUFFIX_PATTERN, '');
+			return `${this.escapeRegex(stem)}\\w*`;
+		});
+		return new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+	}
+
+	// HTML-escaped excerpt around the first match with every match in <mark>,
+	// or null when the text does not match
+	highlight(text, pattern) {
+		if (!text || !pattern) return null;
+		pattern.lastIndex = 0;
+		const first = pattern.exec(text);
+		if (!first) return null;
+
+		let start = Math.max(0, first.index - SNIPPET_LENGTH / 2);
+		let end = Math.min(text.length, start + SNIPPET_LENGTH);
+		start = Math.max(0, end - SNIPPET_LENGTH);
+		const excerpt = text.slice(start, end);
+
+		let result = '';
+		let last = 0;
+		pattern.lastIndex = 0;
+		for (const match of excerpt.matchAll(pattern)) {
+			result += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+			last = match.index + match[0].length;
+		}
+		result += escapeHtml(excerpt.slice(last));
+
+		return `${start > 0 ? '…' : ''}${result}${end < text.length ? '…' : ''}`;
+	}
+
+	highlightsFor(complaint, pattern, user) {
+		const comments = (complaint.comments || [])
+			.filter(comment => !comment.deletedAt && canSeeComment(comment, user))
+			.map(comment => ({ _id: comment._id, text: this.highlight(comment.text, pattern) }))
+			.filter(comment => comment.text)
+			.slice(0, MAX_COMMENT_HIGHLIGHTS);
+
+		return {
+			title: this.highlight(complaint.title, pattern),
+			description: this.highlight(complaint.description, pattern),
+			resolution: this.highlight(complaint.resolution?.text, pattern),
+			comments
+		};
+	}
+
+	// params: { q, status, priority, category, subCategory, assignedTo (ids or "none"),
+	//   from, to, dateField }; list filters take comma-separated values
+	async buildQuery(user, params) {
+		const query = {
+			$text: { $search: params.q },
+			$and: [await getAccessFilter(user)]
+		};
+
+		const statuses = listOf(params.status);
+		if (statuses.length) query.status = { $in: statuses };
+		const priorities = listOf(params.priority);
+		if (priorities.length) query.priority = { $in: priorities };
+		const categories = listOf(params.category);
+		if (categories.length) query.category = { $in: toObjectIds(categories) };
+		const subCategories = listOf(params.subCategory);
+		if (subCategories.length) query.subCategory = { $in: toObjectIds(subCategories) };
+
+		const assignees = listOf(params.assignedTo);
+		if (assignees.length) {
+			const ids = toObjectIds(assignees);
+			query.assignedTo = { $in: assignees.includes('none') ? [...ids, null] : ids };
+		}
+
+		if (params.from || params.to) {
+			const dateField = DATE_FIELDS.includes(params.dateField) ? params.dateField : 'createdAt';
+			query[dateField] = {};
+			if (params.from) query[dateField].$gte = new Date(params.from);
+			if (params.to) query[dateField].$lte = new Date(params.to);
+		}
+
+		return query;
+	}
+
+	// Names for the category, subcategory and assignee facet buckets
+	async labelFacets(facets) {
+		const categoryIds = [...facets.category, ...facets.subCategory].map(bucket => bucket.value).filter(Boolean);
+		const categories = await Category.find({
+			$or: [{ _id: { $in: categoryIds } }, { 'subCategories._id': { $in: categoryIds } }]
+		}).select('name subCategories._id subCategories.name');
+		const names = new Map();
+		categories.forEach(category => {
+			names.set(category._id.toString(), category.name);
+			category.subCategories.forEach(sub => names.set(sub._id.toString(), sub.name));
+		});
+
+		const users = await User.find({ _id: { $in: facets.assignedTo.map(bucket => bucket.value).filter(Boolean) } })
+			.select('name');
+		users.forEach(user => names.set(user._id.toString(), user.name));
+
+		for (const facet of ['category', 'subCategory', 'assignedTo']) {
+			facets[facet].forEach(bucket => {
+				bucket.label = bucket.value ? names.get(bucket.value.toString()) || null : null;
+			});
+		}
+		return facets;
+	}
+
+	async search(user, params) {
+		const page = parseInt(params.page) || 1;
+		const limit = Math.min(parseInt(params.limit) || 10, 100);
+		const skip = (page - 1) * limit;
+
+		const facetStages = {};
+		for (const [name, field] of Object.entries(FACETS)) {
+			facetStages[name] = [
+				{ $group: { _id: `$${field}`, count: { $sum: 1 } } },
+				{ $sort: { count: -1 } }
+			];
+		}
+
+		const [result] = await Complaint.aggregate([
+			{ $match: await this.buildQuery(user, params) },
+			{ $addFields: { score: { $meta: 'textScore' } } },
+			{
+				$facet: {
+					results: [
+						{ $sort: { score: -1, createdAt: -1 } },
+						{ $skip: skip },
+						{ $limit: limit },
+						{ $project: RESULT_FIELDS }
+					],
+					total: [{ $count: 'count' }],
+					...facetStages
+				}
+			}
+		]);
+
+		const results = await Complaint.populate(result.results, [
+			{ path: 'user', select: 'name email' },
+			{ path: 'assignedTo', select: 'name email' },
+			{ path: 'category', select: 'name' }
+		]);
+		const pattern = this.termPattern(this.parseTerms(params.q));
+		const facets = {};
+		for (const name of Object.keys(FACETS)) {
+			facets[name] = result[name].map(bucket => ({ value: bucket._id, count: bucket.count }));
+		}
+		const total = result.total[0]?.count || 0;
+
+		return {
+			results: results.map(({ comments, resolution, ...complaint }) => ({
+				...complaint,
+				highlights: this.highlightsFor({ ...complaint, comments, resolution }, pattern, user)
+			})),
+			facets: await this.labelFacets(facets),
+			currentPage: page,
+			totalPages: Math.ceil(total / limit),
+			total
+		};
+	}
+}
+
+module.exports = new ComplaintSearch();
@@ -0,0 +1,275 @@
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const aiService = require('./aiService');
+const emailService = require('./emailService');
+const notificationDispatcher = require('./notificationDispatcher');
+const complaintWorkflow = require('./complaintWorkflow');
+const routingService = require('./routingService');
+const slaService = require('./slaService');
+const eventBus = require('./eventBus');
+const attachmentProcessor = require('./attachmentProcessor');
+const attachmentService = require('./attachmentService');
+const { isStaff, canComment, canSeeComment, formatComment } = require('./complaintAccess');
+const ApiError = require('./ApiError');
+
+// @[Display Name](<user id>), as inserted by the comment editor
+const MENTION_PATTERN = /@\[[^\]]*\]\(([a-f0-9]{24})\)/gi;
+
+// Complaint intake and comments, shared by the API and inbound email
+class ComplaintService {
+	// Tell the (new) assignee about a complaint; assignedBy is null for automatic routing
+	async notifyAssignee(complaint, assignedBy) {
+		return notificationDispatcher.notify(complaint.assignedTo, 'assignment', {
+			inApp: {
+				title: assignedBy ? `${assignedBy.name} assigned you a complaint` : 'A complaint was routed to you',
+				message: complaint.title
+			},
+			data: { complaintId: complaint._id.toString() }
+		}, { idempotencyKey: `assignment:${complaint._id}:${complaint.updatedAt.getTime()}` });
+	}
+
+	// Create a complaint for a user: route it, apply the SLA policy, record history,
+	// notify and start AI analysis.
+	// data: { title, description, category, subCategory, priority, attachments, source }
+	async create(user, data) {
+		const complaint = new Complaint({
+			user: user._id,
+			title: data.title,
+			description: data.description,
+			category: data.category,
+			subCategory: data.subCategory,
+			priority: data.priority || 'medium',
+			attachments: data.attachments || [],
+			attachmentsProcessing: (data.attachments || []).length > 0,
+			source: data.source,
+			aiResponse: { status: 'pending' }
+		});
+
+		// Auto-route to an agent from the matching category queue
+		const before = complaintWorkflow.snapshot(complaint);
+		const route = await routingService.routeComplaint(complaint);
+		if (route) {
+			complaint.assignedTo = route.agent;
+		}
+
+		// Set first-response and resolution due times from the matching SLA policy
+		await slaService.applyPolicy(complaint);
+
+		await complaint.save();
+
+		// Categorization, sentiment, tags and summary are filled in in the background,
+		// whatever happens with the notifications below
+		aiService.processComplaint(complaint._id).catch(aiError => {
+			console.error('AI intake failed:', aiError);
+		});
+		this.processAttachments(complaint);
+
+		await complaintWorkflow.recordCreation(complaint, user);
+		if (route) {
+			await complaintWorkflow.recordChanges(complaint, before, null, `Auto-routed via queue ${route.queue.name}`);
+		}
+
+		await eventBus.publishComplaintEvent('complaint.created', complaint, {
+			title: complaint.title,
+			status: complaint.status,
+			assignedTo: complaint.assignedTo
+		});
+		if (route) {
+			await this.notifyAssignee(complaint, null);
+		}
+
+		// Notify the owner on the channels they opted into (delivered by the outbox worker)
+		await notificationDispatcher.notify(user, 'complaint-created', {
+			email: emailService.buildComplaintCreationEmail(user.email, complaint, user.language),
+			push: { title: 'Complaint received', body: complaint.title },
+			data: { complaintId: complaint._id.toString() }
+		}, { idempotencyKey: `complaint-created:${complaint._id}` });
+
+		return complaint;
+	}
+
+	// Attachments are checked and cleaned in the background (see attachmentProcessor)
+	processAttachments(complaint) {
+		if (!complaint.attachmentsProcessing) return;
+
+		attachmentProcessor.processComplaint(complaint._id).catch(error => {
+			console.error('Attachment processing failed:', error);
+		});
+	}
+
+	// Staff users mentioned in the text as @[Name](userId) or passed explicitly
+	async resolveMentions(text, userIds = []) {
+		const ids = new Set(userIds.map(String));
+		for (const match of text.matchAll(MENTION_PATTERN)) {
+			ids.add(match[1]);
+		}
+		if (ids.size === 0) return [];
+
+		return User.find({ _id: { $in: [...ids] }, role: { $in: ['agent', 'admin'] } }).select('name email language notifications');
+	}
+
+	getComment(complaint, commentId) {
+		const comment = complaint.comments.id(commentId);
+		if (!comment) {
+			throw new ApiError(404, 'Comment not found');
+		}
+		return comment;
+	}
+
+	async notifyMentions(complaint, comment, author, mentioned) {
+		for (const user of mentioned) {
+			if (user._id.equals(author._id)) continue;
+
+			await notificationDispatcher.notify(user, 'mention', {
+				inApp: { title: `${author.name} mentioned you on "${complaint.title}"`, message: comment.text },
+				email: emailService.buildMentionEmail(user.email, complaint, comment, author, user.language),
+				data: { complaintId: complaint._id.toString(), commentId: comment._id.toString() }
+			}, { idempotencyKey: `mention:${comment._id}:${user._id}:${comment.revisions.length}` });
+		}
+	}
+
+	// Checks and saves a new comment; returns { internal, mentioned }
+	async saveComment(complaint, author, { text, parent, internal, attachments, mentions }) {
+		if (!canComment(complaint, author)) {
+			throw new ApiError(403, 'You cannot comment on this complaint');
+		}
+		if (internal && !isStaff(author)) {
+			throw new ApiError(403, 'Only agents and admins can add internal notes');
+		}
+
+		if (parent) {
+			const parentComment = complaint.comments.id(parent);
+			if (!parentComment || parentComment.deletedAt || !canSeeComment(parentComment, author)) {
+				throw new ApiError(400, 'Parent comment not found');
+			}
+			// Replies to an internal note stay internal
+			internal = internal || parentComment.internal;
+		}
+
+		const mentioned = await this.resolveMentions(text, mentions);
+		complaint.comments.push({
+			text,
+			user: author._id,
+			parent,
+			internal,
+			attachments,
+			mentions: mentioned.map(user => user._id)
+		});
+		if (attachments.length > 0) {
+			complaint.attachmentsProcessing = true;
+		}
+
+		// A public reply from staff is the first response for the SLA
+		if (isStaff(author) && !internal) {
+			slaService.recordResponse(complaint);
+			complaint.lastStaffReplyAt = new Date();
+		}
+		await complaint.save();
+		return { internal, mentioned };
+	}
+
+	// Add a comment and notify whoever did not write it: the owner (public comments only),
+	// the assigned agent and mentioned staff. complaint.user must be populated
+	// (name, email, language). Returns the comment as sent to clients.
+	// data: { text, parent, internal, attachments, mentions (user ids) }
+	async addComment(complaint, author, { text, parent = null, internal = false, attachments = [], mentions = [] }) {
+		let mentioned;
+		try {
+			({ internal, mentioned } = await this.saveComment(complaint, author, { text, parent, internal, attachments, mentions }));
+		} catch (error) {
+			// The comment was not added, so files stored for it belong to nothing
+			await attachmentService.remove(attachments);
+			throw error;
+		}
+
+		// Populate the user information for the new comment
+		const populatedComplaint = await Complaint.findById(complaint._id)
+			.populate('comments.user', 'name email');
+		const newComment = populatedComplaint.comments[populatedComplaint.comments.length - 1];
+
+		await eventBus.publishComplaintEvent('complaint.comment', complaint, {
+			comment: formatComment(newComment)
+		}, [], { staffOnly: internal });
+
+		const notification = {
+			inApp: {
+				title: internal ? `New internal note on "${complaint.title}"` : `New comment on "${complaint.title}"`,
+				message: newComment.text
+			},
+			data: { complaintId: complaint._id.toString(), commentId: newComment._id.toString() }
+		};
+		const mentionedIds = mentioned.map(user => user._id.toString());
+
+		if (!internal && !complaint.user._id.equals(author._id)) {
+			await notificationDispatcher.notify(complaint.user._id, 'new-comment', {
+				...notification,
+				email: emailService.buildNewCommentEmail(complaint, newComment)
+			}, { idempotencyKey: `comment:${newComment._id}` });
+		}
+
+		// The assigned agent sees new comments in their inbox (unless mentioned, see below)
+		if (complaint.assignedTo && !complaint.assignedTo.equals(author._id)
+			&& !mentionedIds.includes(complaint.assignedTo.toString())) {
+			await notificationDispatcher.notify(complaint.assignedTo, 'new-comment', notification, {
+				idempotencyKey: `comment:${newComment._id}`
+			});
+		}
+
+		await this.notifyMentions(complaint, newComment, author, mentioned);
+		this.processAttachments(complaint);
+
+		return formatComment(newComment);
+	}
+
+	// Edit a comment (author only); the previous text is kept as a revision
+	async editComment(complaint, commentId, author, { text, mentions = [] }) {
+		const comment = this.getComment(complaint, commentId);
+		if (!comment.user.equals(author._id)) {
+			throw new ApiError(403, 'Only the author can edit a comment');
+		}
+		if (comment.deletedAt) {
+			throw new ApiError(400, 'Deleted comments cannot be edited');
+		}
+
+		const now = new Date();
+		comment.revisions.push({ text: comment.text, editedAt: now });
+		comment.text = text;
+		comment.editedAt = now;
+
+		// Only staff mentioned for the first time are notified
+		const previous = comment.mentions.map(String);
+		const mentioned = await this.resolveMentions(text, mentions);
+		comment.mentions = mentioned.map(user => user._id);
+		await complaint.save();
+
+		await eventBus.publishComplaintEvent('complaint.comment.updated', complaint, {
+			comment: formatComment(comment)
+		}, [], { staffOnly: comment.internal });
+		await this.notifyMentions(complaint, comment, author, mentioned.filter(user => !previous.includes(user._id.toString())));
+
+		return comment;
+	}
+
+	// Soft-delete a comment (author or admin); replies stay in the thread
+	async deleteComment(complaint, commentId, user) {
+		const comment = this.getComment(complaint, commentId);
+		if (!comment.user.equals(user._id) && user.role !== 'admin') {
+			throw new ApiError(403, 'Only the author or an admin can delete a comment');
+		}
+		if (comment.deletedAt) {
+			return comment;
+		}
+
+		comment.deletedAt = new Date();
+		comment.deletedBy = user._id;
+		await complaint.save();
+
+		await eventBus.publishComplaintEvent('complaint.comment.deleted', complaint, {
+			commentId: comment._id.toString()
+		}, [], { staffOnly: comment.internal });
+
+		return comment;
+	}
+}
+
+module.exports = new ComplaintService();
\ No newline at end of file
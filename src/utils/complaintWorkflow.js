@@ -0,0 +1,111 @@
+const ComplaintHistory = require('../models/ComplaintHistory');
+const ApiError = require('./ApiError');
+const workflowConfig = require('../config/workflow');
+
+// Normalize ids and populated documents so values can be compared and stored
+const toValue = (value) => {
+	if (value === undefined || value === null) return null;
+	if (value._id) return value._id.toString();
+	if (typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+	return value;
+};
+
+class ComplaintWorkflow {
+	constructor(config = workflowConfig) {
+		this.statuses = config.statuses;
+		this.openStatuses = config.openStatuses;
+		this.transitions = config.transitions;
+		this.trackedFields = config.trackedFields;
+	}
+
+	// Roles the user holds on a given complaint
+	getActorRoles(complaint, user) {
+		const roles = [];
+		if (user.role === 'admin') roles.push('admin');
+		if (user.role === 'agent' && toValue(complaint.assignedTo) === user._id.toString()) roles.push('agent');
+		if (toValue(complaint.user) === user._id.toString()) roles.push('owner');
+		return roles;
+	}
+
+	getAllowedTransitions(complaint, user) {
+		const roles = this.getActorRoles(complaint, user);
+		const options = this.transitions[complaint.status] || {};
+
+		return Object.entries(options)
+			.filter(([, rule]) => rule.roles.some(role => roles.includes(role)))
+			.map(([status, rule]) => ({ status, requiresReason: !!rule.requiresReason }));
+	}
+
+	// Validate a status change and apply it to the document (caller saves)
+	applyTransition(complaint, status, user, { reason, resolution } = {}) {
+		const rule = this.transitions[complaint.status]?.[status];
+		if (!rule) {
+			throw new ApiError(400, `Cannot change status from ${complaint.status} to ${status}`);
+		}
+
+		const roles = this.getActorRoles(complaint, user);
+		if (!rule.roles.some(role => roles.includes(role))) {
+			throw new ApiError(403, 'Not authorized to update complaint status');
+		}
+
+		if (rule.requiresReason && !reason) {
+			throw new ApiError(400, `A reason is required to change status to ${status}`);
+		}
+
+		complaint.status = status;
+		if (resolution) {
+			complaint.resolution = {
+				text: resolution,
+				by: user._id,
+				date: new Date()
+			};
+		}
+	}
+
+	// Capture tracked field values before a change
+	snapshot(complaint) {
+		return this.trackedFields.reduce((values, field) => {
+			values[field] = field === 'resolution'
+				? complaint.resolution?.text || null
+				: toValue(complaint[field]);
+			return values;
+		}, {});
+	}
+
+	// Append a history entry for every tracked field that differs from the snapshot
+	async recordChanges(complaint, before, user, reason) {
+		const after = this.snapshot(complaint);
+		const entries = this.trackedFields
+			.filter(field => before[field] !== after[field])
+			.map(field => ({
+				complaint: complaint._id,
+				action: field,
+				from: before[field],
+				to: after[field],
+				reason,
+				by: user?._id
+			}));
+
+		if (entries.length > 0) {
+			await ComplaintHistory.insertMany(entries);
+		}
+		return entries;
+	}
+
+	async recordCreation(complaint, user) {
+		return ComplaintHistory.create({
+			complaint: complaint._id,
+			action: 'created',
+			to: complaint.status,
+			by: user?._id
+		});
+	}
+
+	async getTimeline(complaintId) {
+		return ComplaintHistory.find({ complaint: complaintId })
+			.sort({ createdAt: 1 })
+			.populate('by', 'name email');
+	}
+}
+
+module.exports = new ComplaintWorkflow();
\ No newline at end of file
@@ -0,0 +1,156 @@
+const Complaint = require('../models/Complaint');
+const DigestEntry = require('../models/DigestEntry');
+const User = require('../models/User');
+const UserSettings = require('../models/UserSettings');
+const emailService = require('./emailService');
+const notificationOutbox = require('./notificationOutbox');
+const notificationDispatcher = require('./notificationDispatcher');
+const complaintWorkflow = require('./complaintWorkflow');
+const { getLocalTime } = require('./timezone');
+
+const MINUTE = 60 * 1000;
+// Weekly digests go out on Mondays (local time)
+const WEEKLY_DIGEST_DAY = 1;
+const ADMIN_DIGEST_LIMIT = 50;
+
+// Sends daily/weekly summary emails in place of per-event status and comment
+// emails, plus the optional daily admin overview
+class DigestService {
+	constructor() {
+		this.interval = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS) || 15 * MINUTE;
+		this.timer = null;
+		this.running = false;
+	}
+
+	// A digest is due once per local day (or week) after the user's digest hour
+	isDue(settings, frequency, lastSentAt, now) {
+		const timezone = settings.preferences.timezone;
+		const local = getLocalTime(now, timezone);
+
+		if (local.hour < settings.notifications.email.digestHour) return false;
+		if (frequency === 'weekly' && local.weekday !== WEEKLY_DIGEST_DAY) return false;
+		return !lastSentAt || getLocalTime(lastSentAt, timezone).date !== local.date;
+	}
+
+	// Group pending entries by complaint: status updates, comments and resolutions
+	groupEntries(entries) {
+		const groups = new Map();
+		for (const entry of entries) {
+			if (!entry.complaint) continue;
+
+			const id = entry.complaint._id.toString();
+			if (!groups.has(id)) {
+				groups.set(id, { complaint: entry.complaint, updates: [], comments: [], resolved: false });
+			}
+			const group = groups.get(id);
+
+			if (entry.event === 'new-comment') {
+				group.comments.push(entry);
+			} else {
+				group.updates.push(entry);
+				if (entry.data?.status === 'resolved') group.resolved = true;
+			}
+		}
+		return [...groups.values()];
+	}
+
+	// Send everything pending for a user in one email (also used to flush the
+	// queue when a user switches back to immediate emails)
+	async sendUserDigest(settings, now = new Date(), frequency = settings.notifications.email.digest) {
+		const user = await User.findById(settings.user).select('email language');
+		const entries = await DigestEntry.find({ user: settings.user, sentAt: null })
+			.sort({ createdAt: 1 })
+			.populate('complaint', 'title status');
+
+		if (user && entries.length > 0) {
+			const complaints = this.groupEntries(entries);
+			if (complaints.length > 0) {
+				const mailOptions = emailService.buildDigestEmail(user.email, {
+					frequency,
+					complaints
+				}, user.language);
+				await notificationOutbox.enqueueEmail(
+					'digest',
+					notificationDispatcher.withUnsubscribe(mailOptions, user, 'all'),
+					// Keyed on the batch, so a retry after a crash does not send it twice
+					{ idempotencyKey: `digest:${user._id}:${entries[entries.length - 1]._id}` }
+				);
+			}
+			await DigestEntry.updateMany({ _id: { $in: entries.map(e => e._id) } }, { $set: { sentAt: now } });
+		}
+
+		await UserSettings.updateOne({ _id: settings._id }, { $set: { 'notifications.digestSentAt': now } });
+	}
+
+	async sendAdminDigest(settings, now = new Date()) {
+		const admin = await User.findOne({ _id: settings.user, role: 'admin' }).select('email language');
+		if (admin) {
+			const open = { status: { $in: complaintWorkflow.openStatuses } };
+			const find = (query) => Complaint.find(query)
+				.select('title priority status')
+				.sort({ createdAt: -1 })
+				.limit(ADMIN_DIGEST_LIMIT);
+
+			const [newComplaints, unassigned, breached] = await Promise.all([
+				find({ createdAt: { $gte: new Date(now - 24 * 60 * MINUTE) } }),
+				find({ ...open, assignedTo: null }),
+				find({ ...open, 'sla.state': 'breached' })
+			]);
+
+			const date = getLocalTime(now, settings.preferences.timezone).date;
+			await notificationOutbox.enqueueEmail(
+				'admin-digest',
+				emailService.buildAdminDigestEmail(admin.email, { date, newComplaints, unassigned, breached }, admin.language),
+				{ idempotencyKey: `admin-digest:${admin._id}:${date}` }
+			);
+		}
+
+		await UserSettings.updateOne({ _id: settings._id }, { $set: { 'notifications.adminDigestSentAt': now } });
+	}
+
+	// Send every digest that is due
+	async runDue(now = new Date()) {
+		if (this.running) return;
+		this.running = true;
+
+		try {
+			const candidates = await UserSettings.find({
+				$or: [
+					{ 'notifications.email.digest': { $in: ['daily', 'weekly'] } },
+					{ 'notifications.email.adminDigest': true }
+				]
+			});
+
+			for (const settings of candidates) {
+				const { email, digestSentAt, adminDigestSentAt } = settings.notifications;
+				try {
+					if (email.digest !== 'immediate' && this.isDue(settings, email.digest, digestSentAt, now)) {
+						await this.sendUserDigest(settings, now);
+					}
+					if (email.adminDigest && this.isDue(settings, 'daily', adminDigestSentAt, now)) {
+						await this.sendAdminDigest(settings, now);
+					}
+				} catch (error) {
+					console.error(`Digest for user ${settings.user} failed:`, error);
+				}
+			}
+		} catch (error) {
+			console.error('Digest run failed:', error);
+		} finally {
+			this.running = false;
+		}
+	}
+
+	startScheduler() {
+		if (this.timer) return;
+		this.timer = setInterval(() => this.runDue(), this.interval);
+		this.timer.unref();
+	}
+
+	stopScheduler() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+}
+
+module.exports = new DigestService();
\ No newline at end of file
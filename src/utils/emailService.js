@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const winston = require('winston');
+const templateEngine = require('./templateEngine');
 
 class EmailService {
 	constructor() {
@@ -20,217 +21,124 @@ class EmailService {
 		}
 
 		// Configure nodemailer
-		this.transporter = nodemailer.createTransport({
-			service: process.env.EMAIL_SERVICE,
-			auth: {
-				user: process.env.EMAIL_USER,
-				pass: process.env.EMAIL_PASS
-			}
-		});
+		this.transporter = nodemailer.createTransport(this.getTransportOptions());
 
 		// Verify transporter
-		this.transporter.verify((error, success) => {
-			if (error) {
-				this.logger.error('Email service error:', error);
-			} else {
-				this.logger.info('Email service is ready');
-			}
-		});
+		if (process.env.EMAIL_TRANSPORT !== 'json') {
+			this.transporter.verify((error, success) => {
+				if (error) {
+					this.logger.error('Email service error:', error);
+				} else {
+					this.logger.info('Email service is ready');
+				}
+			});
+		}
 	}
 
-	async sendVerificationEmail(email, token) {
-		try {
-			const verificationUrl = `${process.env.FRONTEND_URL}/verify-email/${token}`;
-
-			const mailOptions = {
-				from: `"Speak Up" <${process.env.EMAIL_USER}>`,
-				to: email,
-				subject: 'Verify Your Email - Speak Up',
-				html: `
-					<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-						<h1 style="color: #FF5A5F;">Welcome to Speak Up!</h1>
-						<p>Thank you for registering. Please verify your email address by clicking the button below:</p>
-						<div style="text-align: center; margin: 30px 0;">
-							<a href="${verificationUrl}" 
-								style="background-color: #FF5A5F; 
-								color: white; 
-								padding: 12px 24px; 
-								text-decoration: none; 
-								border-radius: 4px;
-								display: inline-block;">
-								Verify Email
-							</a>
-						</div>
-						<p>Or copy and paste this link in your browser:</p>
-						<p>${verificationUrl}</p>
-						<p>This link will expire in 24 hours.</p>
-						<p>If you didn't create an account, please ignore this email.</p>
-						<hr style="border: 1px solid #eee; margin: 20px 0;">
-						<p style="color: #666; font-size: 12px;">
-							This is an automated message, please do not reply to this email.
-						</p>
-					</div>
-				`
+	// EMAIL_TRANSPORT=json renders messages without sending them (development and tests),
+	// SMTP_HOST points at any SMTP server (e.g. a local stand-in), otherwise EMAIL_SERVICE is used
+	getTransportOptions() {
+		if (process.env.EMAIL_TRANSPORT === 'json') {
+			return { jsonTransport: true };
+		}
+
+		const auth = process.env.EMAIL_USER
+			? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+			: undefined;
+
+		if (process.env.SMTP_HOST) {
+			return {
+				host: process.env.SMTP_HOST,
+				port: parseInt(process.env.SMTP_PORT) || 587,
+				secure: process.env.SMTP_SECURE === 'true',
+				auth
 			};
+		}
 
+		return {
+			service: process.env.EMAIL_SERVICE,
+			auth
+		};
+	}
+
+	// Send a message built by one of the build*Email methods
+	async deliver(mailOptions) {
+		try {
 			const info = await this.transporter.sendMail(mailOptions);
-			this.logger.info('Verification email sent:', info.messageId);
+			this.logger.info(`Email sent: ${mailOptions.subject}`, { messageId: info.messageId });
 			return info;
 		} catch (error) {
-			this.logger.error('Error sending verification email:', error);
+			this.logger.error(`Error sending email: ${mailOptions.subject}`, { error: error.message });
 			throw error;
 		}
 	}
 
-	async sendPasswordResetEmail(email, token) {
-		const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${token}`;
-
-		// console.log(resetUrl)
+	// Render a template (see templates/emails) into nodemailer mail options.
+	// locale is the recipient's language (User.language); English is the fallback.
+	buildEmail(template, to, data, locale) {
+		const { subject, html, text } = templateEngine.render(template, data, locale);
 
-		const mailOptions = {
-			from: process.env.EMAIL_USER,
-			to: email,
-			subject: 'Reset Your Password - Speak Up',
-			html: `
-        <h1>Password Reset Request</h1>
-        <p>You requested to reset your password. Click the link below to reset it:</p>
-        <a href="${resetUrl}">Reset Password</a>
-        <p>If you didn't request this, please ignore this email.</p>
-        <p>This link will expire in 1 hour.</p>
-      `
+		return {
+			from: `"Speak Up" <${process.env.EMAIL_USER}>`,
+			to,
+			subject,
+			html,
+			text
 		};
+	}
 
-		return this.transporter.sendMail(mailOptions);
-	}
-
-	async sendPasswordResetConfirmationEmail(email) {
-		const mailOptions = {
-			from: process.env.EMAIL_USER,
-			to: email,
-			subject: 'Password Reset Successful - Speak Up',
-			html: `
-				<h1>Password Reset Successful</h1>
-				<p>Your password has been successfully reset.</p>
-				<p>If you did not perform this action, please contact our support team immediately.</p>
-				<p>You can now log in with your new password.</p>
-				<a href="${process.env.FRONTEND_URL}/login">Login to your account</a>
-			`
-		};
+	buildVerificationEmail(email, token, locale) {
+		return this.buildEmail('verification', email, { token }, locale);
+	}
 
-		return this.transporter.sendMail(mailOptions);
+	buildPasswordResetEmail(email, token, locale) {
+		return this.buildEmail('password-reset', email, { token }, locale);
 	}
 
-	async sendComplaintShareEmail(to, complaint, sharedBy) {
-		const complaintUrl = `${process.env.FRONTEND_URL}/complaints/${complaint._id}`;
+	buildPasswordResetConfirmationEmail(email, locale) {
+		return this.buildEmail('password-reset-confirmation', email, {}, locale);
+	}
 
-		const mailOptions = {
-			from: process.env.EMAIL_USER,
-			to,
-			subject: `Complaint Shared: ${complaint.title}`,
-			html: `
-        <h1>Complaint Details</h1>
-        <p><strong>Shared by:</strong> ${sharedBy.name} (${sharedBy.email})</p>
-        <p><strong>Title:</strong> ${complaint.title}</p>
-        <p><strong>Category:</strong> ${complaint.category}</p>
-        <p><strong>Status:</strong> ${complaint.status}</p>
-        <p><strong>Description:</strong></p>
-        <p>${complaint.description}</p>
-        <p>View the complete complaint here:</p>
-        <a href="${complaintUrl}">View Complaint</a>
-      `
-		};
+	// lockout: { attempts, minutes }
+	buildAccountLockedEmail(email, lockout, locale) {
+		return this.buildEmail('account-locked', email, lockout, locale);
+	}
 
-		return this.transporter.sendMail(mailOptions);
+	// Sent to someone outside the system, so it uses the sharer's language
+	buildComplaintShareEmail(to, complaint, sharedBy) {
+		return this.buildEmail('complaint-share', to, { complaint, sharedBy }, sharedBy.language);
 	}
 
-	async sendStatusUpdateEmail(complaint) {
-		const complaintUrl = `${process.env.FRONTEND_URL}/complaints/${complaint._id}`;
+	// complaint.user must be populated (email, language)
+	buildStatusUpdateEmail(complaint) {
+		return this.buildEmail('status-update', complaint.user.email, { complaint }, complaint.user.language);
+	}
 
-		const mailOptions = {
-			from: process.env.EMAIL_USER,
-			to: complaint.user.email,
-			subject: `Complaint Status Updated: ${complaint.title}`,
-			html: `
-        <h1>Complaint Status Update</h1>
-        <p>Your complaint status has been updated.</p>
-        <p><strong>Title:</strong> ${complaint.title}</p>
-        <p><strong>New Status:</strong> ${complaint.status}</p>
-        <p>View the complete complaint here:</p>
-        <a href="${complaintUrl}">View Complaint</a>
-      `
-		};
+	// complaint.user and comment.user must be populated
+	buildNewCommentEmail(complaint, comment) {
+		return this.buildEmail('new-comment', complaint.user.email, { complaint, comment }, complaint.user.language);
+	}
 
-		return this.transporter.sendMail(mailOptions);
-	}
-
-	async sendNewCommentEmail(complaint, comment) {
-		const complaintUrl = `${process.env.FRONTEND_URL}/complaints/${complaint._id}`;
-
-		const mailOptions = {
-			from: process.env.EMAIL_USER,
-			to: complaint.user.email,
-			subject: `New Comment on Your Complaint: ${complaint.title}`,
-			html: `
-        <h1>New Comment</h1>
-        <p>A new comment has been added to your complaint.</p>
-        <p><strong>Title:</strong> ${complaint.title}</p>
-        <p><strong>Comment:</strong> ${comment.text}</p>
-        <p><strong>By:</strong> ${comment.user.name}</p>
-        <p>View the complete complaint here:</p>
-        <a href="${complaintUrl}">View Complaint</a>
-      `
-		};
+	buildMentionEmail(email, complaint, comment, author, locale) {
+		return this.buildEmail('mention', email, { complaint, comment, author }, locale);
+	}
 
-		return this.transporter.sendMail(mailOptions);
+	buildSlaEscalationEmail(to, complaint, breach, locale) {
+		return this.buildEmail('sla-escalation', to, { complaint, breach }, locale);
 	}
 
-	async sendComplaintCreationEmail(email, complaint) {
-		try {
-			const complaintUrl = `${process.env.FRONTEND_URL}/complaints/${complaint._id}`;
-
-			const mailOptions = {
-				from: `"Speak Up" <${process.env.EMAIL_USER}>`,
-				to: email,
-				subject: `Complaint Created: ${complaint.title}`,
-				html: `
-					<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-						<h1 style="color: #FF5A5F;">Complaint Created Successfully</h1>
-						<p>Your complaint has been successfully created and is being processed.</p>
-						<div style="background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 20px 0;">
-							<p><strong>Title:</strong> ${complaint.title}</p>
-							<p><strong>Category:</strong> ${complaint.category}</p>
-							<p><strong>Status:</strong> ${complaint.status}</p>
-							<p><strong>Reference ID:</strong> ${complaint._id}</p>
-						</div>
-						<p>You can track your complaint status by clicking the button below:</p>
-						<div style="text-align: center; margin: 30px 0;">
-							<a href="${complaintUrl}" 
-								style="background-color: #FF5A5F; 
-								color: white; 
-								padding: 12px 24px; 
-								text-decoration: none; 
-								border-radius: 4px;
-								display: inline-block;">
-								View Complaint
-							</a>
-						</div>
-						<p>Or copy and paste this link in your browser:</p>
-						<p>${complaintUrl}</p>
-						<hr style="border: 1px solid #eee; margin: 20px 0;">
-						<p style="color: #666; font-size: 12px;">
-							This is an automated message, please do not reply to this email.
-						</p>
-					</div>
-				`
-			};
+	buildComplaintCreationEmail(email, complaint, locale) {
+		return this.buildEmail('complaint-created', email, { complaint }, locale);
+	}
 
-			const info = await this.transporter.sendMail(mailOptions);
-			this.logger.info('Complaint creation email sent:', info.messageId);
-			return info;
-		} catch (error) {
-			this.logger.error('Error sending complaint creation email:', error);
-			throw error;
-		}
+	// digest: { frequency: 'daily' | 'weekly', complaints: [{ complaint, updates, comments, resolved }] }
+	buildDigestEmail(email, digest, locale) {
+		return this.buildEmail('digest', email, digest, locale);
+	}
+
+	// digest: { date, newComplaints, unassigned, breached } (lists of complaints)
+	buildAdminDigestEmail(email, digest, locale) {
+		return this.buildEmail('admin-digest', email, digest, locale);
 	}
 }
 
@@ -0,0 +1,86 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const redisClient = require('./redisClient');
+
+const CHANNEL = 'speakup:events';
+
+// Fans complaint events out to every server instance through Redis pub/sub,
+// or within this process when Redis is not available
+class EventBus {
+	constructor() {
+		this.emitter = new EventEmitter();
+		this.emitter.setMaxListeners(0);
+		this.publisher = null;
+		this.ready = null;
+	}
+
+	async init() {
+		if (!this.ready) {
+			this.ready = (async () => {
+				try {
+					const subscriber = await redisClient.createSubscriber();
+					if (!subscriber) return;
+
+					await subscriber.subscribe(CHANNEL, (message) => {
+						try {
+							this.emitter.emit('event', JSON.parse(message));
+						} catch (error) {
+							console.error('Invalid event received:', error);
+						}
+					});
+					this.publisher = await redisClient.getClient();
+				} catch (error) {
+					console.error('Event bus falling back to in-memory delivery:', error.message);
+					this.publisher = null;
+				}
+			})();
+		}
+		return this.ready;
+	}
+
+	async publish(type, payload) {
+		const event = {
+			id: crypto.randomUUID(),
+			type,
+			at: new Date().toISOString(),
+			...payload
+		};
+
+		await this.init();
+		if (this.publisher) {
+			try {
+				// Delivered back to this instance through the subscription
+				await this.publisher.publish(CHANNEL, JSON.stringify(event));
+				return event;
+			} catch (error) {
+				console.error('Failed to publish event to Redis:', error.message);
+			}
+		}
+
+		this.emitter.emit('event', event);
+		return event;
+	}
+
+	// Returns a function that removes the listener
+	subscribe(listener) {
+		this.init();
+		this.emitter.on('event', listener);
+		return () => this.emitter.off('event', listener);
+	}
+
+	// Complaint events are delivered to the owner, the assigned agent(s) and admins.
+	// staffOnly events (e.g. internal notes) are not delivered to the owner.
+	async publishComplaintEvent(type, complaint, data = {}, extraUsers = [], { staffOnly = false } = {}) {
+		const users = [complaint.user, complaint.assignedTo, ...extraUsers]
+			.filter(Boolean)
+			.map(id => (id._id || id).toString());
+
+		return this.publish(type, {
+			complaintId: complaint._id.toString(),
+			audience: { users: [...new Set(users)], staffOnly },
+			data
+		});
+	}
+}
+
+module.exports = new EventBus();
\ No newline at end of file
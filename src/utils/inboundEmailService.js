@@ -0,0 +1,344 @@
+const { simpleParser } = require('mailparser');
+const addressparser = require('nodemailer/lib/addressparser');
+const InboundMessage = require('../models/InboundMessage');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const aiService = require('./aiService');
+const attachmentService = require('./attachmentService');
+const complaintService = require('./complaintService');
+const recategorizationService = require('./recategorizationService');
+const { canComment } = require('./complaintAccess');
+const ApiError = require('./ApiError');
+
+// "[#<complaint id>]" in the subject of a reply (added to complaint notification subjects)
+const REFERENCE_PATTERN = /\[#([a-f0-9]{24})\]/i;
+const REPLY_PREFIX_PATTERN = /^\s*((re|fw|fwd|aw|wg|sv|tr|rv)\s*:\s*)+/i;
+// Lines where the quoted original message starts in common mail clients
+const QUOTE_HEADER_PATTERNS = [
+	/^On .+ wrote:$/,
+	/^-{2,}\s*Original Message\s*-{2,}$/i,
+	/^From: .+$/,
+	/^_{10,}$/
+];
+const PRIORITIES = ['low', 'medium', 'high'];
+const verdictPattern = (method) => new RegExp(`\\b${method}=(\\w+)`, 'i');
+
+// Turns inbound email into complaints (known senders) or comments (replies that
+// reference a complaint); everything else waits for moderation. Only mail the
+// receiving server authenticated (DKIM or DMARC pass) is acted on for a user.
+// Attachments are stored for messages that became a complaint or comment, and
+// quarantined on messages waiting for moderation until they are approved or rejected.
+class InboundEmailService {
+	// Normalized message: { from: { address, name }, to, subject, text, messageId, inReplyTo,
+	//   authentication: { spf, dkim, dmarc }, attachments }
+	async parseMime(raw) {
+		const mail = await simpleParser(raw);
+		const from = mail.from?.value?.[0] || {};
+		// The topmost header is the one added by the receiving server
+		const results = [].concat(mail.headers.get('authentication-results') || [])[0] || '';
+
+		return {
+			from: { address: from.address, name: from.name },
+			authentication: {
+				spf: results.match(verdictPattern('spf'))?.[1],
+				dkim: results.match(verdictPattern('dkim'))?.[1],
+				dmarc: results.match(verdictPattern('dmarc'))?.[1]
+			},
+			to: mail.to?.text,
+			subject: mail.subject || '',
+			text: mail.text || '',
+			messageId: mail.messageId,
+			inReplyTo: mail.inReplyTo,
+			// Inline images (e.g. signature logos) are not attachments
+			attachments: (mail.attachments || []).filter(attachment => !attachment.related).map(attachment => ({
+				filename: attachment.filename,
+				contentType: attachment.contentType,
+				content: attachment.content
+			}))
+		};
+	}
+
+	// Webhook JSON: { from, to, subject, text, html, messageId, inReplyTo, spf, dkim, dmarc,
+	//   attachments: [{ filename, contentType, content (base64) }] }
+	// `from` may be an address string ("Jane <jane@example.com>") or { address, name }.
+	// spf, dkim and dmarc are the provider's verdicts ("pass", "fail", ...).
+	parseWebhook(payload) {
+		const from = typeof payload.from === 'string'
+			? addressparser(payload.from)[0] || {}
+			: payload.from || {};
+
+		return {
+			from: { address: from.address, name: from.name },
+			authentication: {
+				spf: payload.spf,
+				dkim: payload.dkim,
+				dmarc: payload.dmarc
+			},
+			to: payload.to,
+			subject: payload.subject || '',
+			text: payload.text || this.htmlToText(payload.html || ''),
+			messageId: payload.messageId,
+			inReplyTo: payload.inReplyTo,
+			attachments: (payload.attachments || []).map(attachment => ({
+				filename: attachment.filename,
+				contentType: attachment.contentType,
+				content: Buffer.from(attachment.content || '', 'base64')
+			}))
+		};
+	}
+
+	htmlToText(html) {
+		return html
+			.replace(/<br\s*\/?>/gi, '\n')
+			.replace(/<\/(p|div|li|h\d)>/gi, '\n')
+			.replace(/<[^>]+>/g, '')
+			.replace(/&nbsp;/g, ' ')
+			.replace(/&lt;/g, '<')
+			.replace(/&gt;/g, '>')
+			.replace(/&quot;/g, '"')
+			.replace(/&#39;/g, "'")
+			.replace(/&amp;/g, '&')
+			.trim();
+	}
+
+	// The new part of a reply, without the quoted original message
+	extractReply(text) {
+		const lines = text.replace(/\r\n/g, '\n').split('\n');
+		const end = lines.findIndex(line => QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line.trim())));
+
+		return (end === -1 ? lines : lines.slice(0, end))
+			.filter(line => !line.startsWith('>'))
+			.join('\n')
+			.trim();
+	}
+
+	getComplaintReference(subject) {
+		return subject.match(REFERENCE_PATTERN)?.[1] || null;
+	}
+
+	cleanSubject(subject) {
+		return subject.replace(REFERENCE_PATTERN, '').replace(REPLY_PREFIX_PATTERN, '').trim();
+	}
+
+	// Whether the receiving server vouches for the From address: DMARC decides when
+	// it was checked, otherwise DKIM has to pass (SPF only covers the envelope sender)
+	isAuthenticated(authentication = {}) {
+		const passed = (verdict) => String(verdict || '').toLowerCase() === 'pass';
+		return authentication.dmarc ? passed(authentication.dmarc) : passed(authentication.dkim);
+	}
+
+	async storeAttachments(inbound, files = []) {
+		const { stored, rejected } = await attachmentService.storeBuffers(files);
+		inbound.attachments = stored;
+		inbound.rejectedAttachments = rejected;
+	}
+
+	// Handle a parsed message. Returns the InboundMessage record.
+	async ingest(message, source) {
+		if (message.messageId) {
+			const existing = await InboundMessage.findOne({ messageId: message.messageId });
+			if (existing) return existing;
+		}
+
+		const inbound = new InboundMessage({
+			source,
+			messageId: message.messageId,
+			inReplyTo: message.inReplyTo,
+			from: message.from,
+			to: message.to,
+			subject: message.subject,
+			text: message.text,
+			authentication: message.authentication
+		});
+		const files = message.attachments || [];
+
+		try {
+			const sender = message.from.address
+				? await User.findOne({ email: message.from.address.toLowerCase() })
+				: null;
+
+			if (!sender) {
+				inbound.reason = 'unknown-sender';
+			} else if (!sender.isVerified) {
+				inbound.user = sender._id;
+				inbound.reason = 'unverified-sender';
+			} else if (!this.isAuthenticated(message.authentication)) {
+				// Anyone can put a user's address in From
+				inbound.user = sender._id;
+				inbound.reason = 'unauthenticated-sender';
+			} else {
+				inbound.user = sender._id;
+				const reference = this.getComplaintReference(message.subject);
+				if (!reference) {
+					await this.createComplaint(inbound, sender, { files });
+				} else {
+					const complaint = await this.findReferencedComplaint(reference, sender);
+					if (complaint) {
+						await this.addComment(inbound, complaint, sender, files);
+					} else {
+						inbound.reason = 'unknown-reference';
+					}
+				}
+			}
+		} catch (error) {
+			inbound.status = 'failed';
+			inbound.error = error.message;
+			// Stored for a complaint or comment that was not created
+			await attachmentService.remove(inbound.attachments);
+			inbound.attachments = [];
+		}
+
+		if (inbound.status === 'pending') {
+			// Only moderators see these; they reach a complaint (and the processing
+			// pipeline) when the message is approved and are deleted when it is rejected
+			await this.storeAttachments(inbound, files);
+		} else if (!inbound.action) {
+			inbound.rejectedAttachments = files.map(file => ({
+				filename: file.filename,
+				reason: 'Not stored for messages that failed'
+			}));
+		}
+
+		try {
+			await inbound.save();
+		} catch (error) {
+			// Lost a race with a retry of the same message
+			if (error.code === 11000 && message.messageId) {
+				return InboundMessage.findOne({ messageId: message.messageId });
+			}
+			throw error;
+		}
+		return inbound;
+	}
+
+	// The referenced complaint, if the sender may comment on it
+	async findReferencedComplaint(id, sender) {
+		const complaint = await Complaint.findById(id).populate('user', 'name email language');
+		return complaint && canComment(complaint, sender) ? complaint : null;
+	}
+
+	async addComment(inbound, complaint, sender, files = []) {
+		const text = this.extractReply(inbound.text);
+		if (!text) {
+			throw new Error('Reply has no text');
+		}
+		await this.storeAttachments(inbound, files);
+
+		// The files now belong to the comment (and may be replaced when they are
+		// processed); addComment removes them when the comment is not added
+		const attachments = inbound.attachments.map(a => a.toObject());
+		inbound.attachments = [];
+		await complaintService.addComment(complaint, sender, { text, attachments });
+
+		inbound.status = 'processed';
+		inbound.action = 'comment';
+		inbound.complaint = complaint._id;
+	}
+
+	// Create a complaint from the message; the category comes from AI categorization
+	// unless given. Uncategorizable messages are left for moderation.
+	// `files` are the message's attachments, stored once the complaint can be created.
+	async createComplaint(inbound, user, { category, subCategory, files = [] } = {}) {
+		const title = this.cleanSubject(inbound.subject) || `Email from ${inbound.from.address}`;
+		const description = inbound.text.trim() || title;
+		let priority;
+
+		if (!category || !subCategory) {
+			const tree = await recategorizationService.getCategoryTree();
+			const result = await aiService.categorizeComplaint(title, description, tree);
+			const pair = recategorizationService.resolvePair(tree, result.categoryId, result.subCategoryId);
+			if (!pair) {
+				inbound.status = 'pending';
+				inbound.reason = 'uncategorized';
+				return null;
+			}
+			category = pair.category.id;
+			subCategory = pair.subCategory.id;
+			priority = PRIORITIES.includes(result.priority) ? result.priority : undefined;
+		}
+		if (files.length > 0) {
+			await this.storeAttachments(inbound, files);
+		}
+
+		const complaint = await complaintService.create(user, {
+			title,
+			description,
+			category,
+			subCategory,
+			priority,
+			attachments: inbound.attachments.map(a => a.toObject()),
+			source: 'email'
+		});
+
+		// The files now belong to the complaint (and may be replaced when they are processed)
+		inbound.attachments = [];
+		inbound.status = inbound.reviewedBy ? 'approved' : 'processed';
+		inbound.action = 'complaint';
+		inbound.reason = undefined;
+		inbound.user = user._id;
+		inbound.complaint = complaint._id;
+		return complaint;
+	}
+
+	// Moderation: create a complaint from a queued message.
+	// userId is required when the sender is not a known user.
+	async approve(id, reviewer, { userId, category, subCategory } = {}) {
+		// Claimed first, so two moderators approving at once cannot both create a complaint
+		const inbound = await InboundMessage.findOneAndUpdate(
+			{ _id: id, status: 'pending' },
+			{ $set: { status: 'approving' } },
+			{ new: true }
+		);
+		if (!inbound) {
+			if (!await InboundMessage.exists({ _id: id })) {
+				throw new ApiError(404, 'Inbound message not found');
+			}
+			throw new ApiError(409, 'Inbound message has already been handled');
+		}
+
+		try {
+			const user = await User.findById(userId || inbound.user);
+			if (!user) {
+				throw new ApiError(400, 'A user to file the complaint for is required');
+			}
+			if (category || subCategory) {
+				const tree = await recategorizationService.getCategoryTree();
+				if (!recategorizationService.resolvePair(tree, category, subCategory)) {
+					throw new ApiError(400, 'Invalid category or subcategory');
+				}
+			}
+
+			inbound.reviewedBy = reviewer._id;
+			inbound.reviewedAt = new Date();
+			await this.createComplaint(inbound, user, { category, subCategory });
+			if (inbound.status === 'pending') {
+				throw new ApiError(400, 'Category and subcategory are required');
+			}
+
+			await inbound.save();
+			return inbound;
+		} catch (error) {
+			// Back in the queue, unless the complaint was created
+			if (!inbound.complaint) {
+				await InboundMessage.updateOne({ _id: inbound._id, status: 'approving' }, { $set: { status: 'pending' } });
+			}
+			throw error;
+		}
+	}
+
+	// Rejected messages do not keep their attachments
+	async reject(id, reviewer, reason) {
+		const previous = await InboundMessage.findOneAndUpdate(
+			{ _id: id, status: 'pending' },
+			{ $set: { status: 'rejected', reason, reviewedBy: reviewer._id, reviewedAt: new Date(), attachments: [] } }
+		);
+		if (!previous) {
+			throw new ApiError(404, 'Pending inbound message not found');
+		}
+
+		await attachmentService.remove(previous.attachments);
+		return InboundMessage.findById(id);
+	}
+}
+
+module.exports = new InboundEmailService();
\ No newline at end of file
@@ -0,0 +1,171 @@
+const redisClient = require('./redisClient');
+
+const KEY_PREFIX = 'speakup:';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// In-process stand-in for the few Redis commands used here. Entries live
+// until their TTL runs out (checked on access and swept every minute).
+class MemoryStore {
+	constructor() {
+		this.entries = new Map();
+		this.timer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+		this.timer.unref();
+	}
+
+	read(key) {
+		const entry = this.entries.get(key);
+		if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+			this.entries.delete(key);
+			return null;
+		}
+		return entry || null;
+	}
+
+	write(key, value, ttlSeconds) {
+		this.entries.set(key, { value, expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+	}
+
+	sweep() {
+		const now = Date.now();
+		for (const [key, entry] of this.entries) {
+			if (entry.expiresAt && entry.expiresAt <= now) this.entries.delete(key);
+		}
+	}
+
+	async get(key) {
+		return this.read(key)?.value ?? null;
+	}
+
+	async set(key, value, ttlSeconds, { onlyIfExists = false, onlyIfMissing = false } = {}) {
+		if (onlyIfExists && !this.read(key)) return false;
+		if (onlyIfMissing && this.read(key)) return false;
+		this.write(key, String(value), ttlSeconds);
+		return true;
+	}
+
+	async del(key) {
+		this.entries.delete(key);
+	}
+
+	async getDel(key) {
+		const value = this.read(key)?.value ?? null;
+		this.entries.delete(key);
+		return value;
+	}
+
+	async incr(key, ttlSeconds) {
+		const entry = this.read(key);
+		const value = (entry ? parseInt(entry.value) : 0) + 1;
+		if (entry) {
+			entry.value = String(value);
+		} else {
+			this.write(key, String(value), ttlSeconds);
+		}
+		return value;
+	}
+
+	async setAdd(key, member, ttlSeconds) {
+		const entry = this.read(key);
+		const members = entry ? entry.value : new Set();
+		members.add(member);
+		this.write(key, members, ttlSeconds);
+	}
+
+	async setRemove(key, member) {
+		this.read(key)?.value.delete(member);
+	}
+
+	async setMembers(key) {
+		return [...(this.read(key)?.value || [])];
+	}
+}
+
+// Small key-value store for short-lived shared state (sessions, counters).
+// Lives in Redis when REDIS_URL is set, so every server instance sees the same
+// data; otherwise in this process's memory, which is lost on restart.
+// Values are strings; TTLs are in seconds.
+class KeyValueStore {
+	constructor() {
+		this.memory = null;
+	}
+
+	async backend() {
+		const client = await redisClient.getClient();
+		if (client) return { client };
+
+		if (!this.memory) {
+			this.memory = new MemoryStore();
+		}
+		return { memory: this.memory };
+	}
+
+	async get(key) {
+		const { client, memory } = await this.backend();
+		return client ? client.get(KEY_PREFIX + key) : memory.get(key);
+	}
+
+	// Stores a value; without a TTL it never expires. With onlyIfExists, keys
+	// that are missing (e.g. deleted meanwhile) are not recreated; with
+	// onlyIfMissing existing keys are kept (e.g. for locks).
+	// Returns whether the value was written.
+	async set(key, value, ttlSeconds, { onlyIfExists = false, onlyIfMissing = false } = {}) {
+		const { client, memory } = await this.backend();
+		if (!client) return memory.set(key, value, ttlSeconds, { onlyIfExists, onlyIfMissing });
+
+		const options = {};
+		if (ttlSeconds) options.EX = ttlSeconds;
+		if (onlyIfExists) options.XX = true;
+		if (onlyIfMissing) options.NX = true;
+		return (await client.set(KEY_PREFIX + key, String(value), options)) === 'OK';
+	}
+
+	async del(key) {
+		const { client, memory } = await this.backend();
+		if (!client) return memory.del(key);
+
+		await client.del(KEY_PREFIX + key);
+	}
+
+	// Reads and deletes a value in one step, so only one caller can get it
+	async getDel(key) {
+		const { client, memory } = await this.backend();
+		return client ? client.getDel(KEY_PREFIX + key) : memory.getDel(key);
+	}
+
+	// Increments a counter; the TTL is set when the counter is created
+	async incr(key, ttlSeconds) {
+		const { client, memory } = await this.backend();
+		if (!client) return memory.incr(key, ttlSeconds);
+
+		const value = await client.incr(KEY_PREFIX + key);
+		if (value === 1 && ttlSeconds) {
+			await client.expire(KEY_PREFIX + key, ttlSeconds);
+		}
+		return value;
+	}
+
+	// Adds to a set and (re)sets the TTL of the whole set
+	async setAdd(key, member, ttlSeconds) {
+		const { client, memory } = await this.backend();
+		if (!client) return memory.setAdd(key, member, ttlSeconds);
+
+		await client.sAdd(KEY_PREFIX + key, member);
+		if (ttlSeconds) {
+			await client.expire(KEY_PREFIX + key, ttlSeconds);
+		}
+	}
+
+	async setRemove(key, member) {
+		const { client, memory } = await this.backend();
+		if (!client) return memory.setRemove(key, member);
+
+		await client.sRem(KEY_PREFIX + key, member);
+	}
+
+	async setMembers(key) {
+		const { client, memory } = await this.backend();
+		return client ? client.sMembers(KEY_PREFIX + key) : memory.setMembers(key);
+	}
+}
+
+module.exports = new KeyValueStore();
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UserSettings = require('../models/UserSettings');
+const Notification = require('../models/Notification');
+const DigestEntry = require('../models/DigestEntry');
+const notificationOutbox = require('./notificationOutbox');
+const eventBus = require('./eventBus');
+const templateEngine = require('./templateEngine');
+const { getLocalTime } = require('./timezone');
+
+const UNSUBSCRIBE_AUDIENCE = 'unsubscribe';
+// Links in old emails stop working after this
+const UNSUBSCRIBE_TOKEN_TTL = '180d';
+
+// Notification events and the preference toggle (UserSettings.notifications.*.types) that controls them
+const EVENT_TYPES = {
+	'complaint-created': 'statusUpdates',
+	'status-update': 'statusUpdates',
+	'new-comment': 'newComments',
+	'mention': 'newComments',
+	'assignment': 'statusUpdates',
+	'complaint-shared': 'systemUpdates',
+	'sla-escalation': 'systemUpdates'
+};
+
+// Events whose emails can be batched into a daily/weekly digest
+const DIGEST_EVENTS = ['status-update', 'new-comment'];
+
+const toMinutes = (time) => {
+	const [hours, minutes] = String(time).split(':').map(Number);
+	return hours * 60 + (minutes || 0);
+};
+
+// Sends user-facing notifications: always to the in-app inbox, and by email/push
+// only on the channels the user opted into, held back during quiet hours
+class NotificationDispatcher {
+	constructor() {
+		this.eventTypes = EVENT_TYPES;
+	}
+
+	// Effective preferences combine the master switches on User with the per-type
+	// toggles in UserSettings (defaults apply when the user never saved settings)
+	async getPreferences(user) {
+		const settings = await UserSettings.findOne({ user: user._id }) || new UserSettings({ user: user._id });
+		const { email, push } = settings.notifications;
+
+		return {
+			email: {
+				enabled: user.notifications?.email !== false && email.enabled,
+				types: email.types,
+				digest: email.digest
+			},
+			push: {
+				enabled: user.notifications?.push !== false && push.enabled && Boolean(push.token),
+				types: push.types,
+				token: push.token
+			},
+			timezone: settings.preferences.timezone,
+			quietHours: settings.preferences.quietHours
+		};
+	}
+
+	isChannelEnabled(preferences, channel, type) {
+		const channelPrefs = preferences[channel];
+		return Boolean(channelPrefs?.enabled && channelPrefs.types?.[type] !== false);
+	}
+
+	// When a notification may be delivered: now, or the end of the current quiet hours
+	getDeliveryTime(preferences, now = new Date()) {
+		const quietHours = preferences.quietHours;
+		if (!quietHours?.enabled) return now;
+
+		const start = toMinutes(quietHours.start);
+		const end = toMinutes(quietHours.end);
+		const current = getLocalTime(now, preferences.timezone).minutes;
+
+		// Windows may wrap around midnight (e.g. 22:00-07:00)
+		const inQuietHours = start <= end
+			? current >= start && current < end
+			: current >= start || current < end;
+		if (!inQuietHours) return now;
+
+		const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+		const delivery = new Date(now.getTime() + minutesLeft * 60 * 1000);
+		delivery.setSeconds(0, 0);
+		return delivery;
+	}
+
+	// Unsubscribe links are signed with their own key (UNSUBSCRIBE_SECRET, or one
+	// derived from JWT_SECRET) and audience, and name the user as `sub` rather
+	// than `userId`, so they can never pass as login tokens
+	unsubscribeSecret() {
+		return process.env.UNSUBSCRIBE_SECRET
+			|| crypto.createHmac('sha256', process.env.JWT_SECRET).update('unsubscribe-links').digest('hex');
+	}
+
+	createUnsubscribeToken(userId, type) {
+		return jwt.sign({ type, purpose: 'unsubscribe' }, this.unsubscribeSecret(), {
+			subject: userId.toString(),
+			audience: UNSUBSCRIBE_AUDIENCE,
+			expiresIn: UNSUBSCRIBE_TOKEN_TTL
+		});
+	}
+
+	// type: a preference type (e.g. "newComments") or "all"
+	verifyUnsubscribeToken(token) {
+		const decoded = jwt.verify(token, this.unsubscribeSecret(), { audience: UNSUBSCRIBE_AUDIENCE });
+		if (decoded.purpose !== 'unsubscribe' || !decoded.sub) {
+			throw new Error('Invalid unsubscribe token');
+		}
+		return { userId: decoded.sub, type: decoded.type };
+	}
+
+	getUnsubscribeUrl(userId, type) {
+		const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+		return `${baseUrl}/api/settings/unsubscribe/${this.createUnsubscribeToken(userId, type)}`;
+	}
+
+	// Add one-click unsubscribe headers (RFC 8058) and a footer link in the user's language
+	withUnsubscribe(mailOptions, user, type) {
+		const url = this.getUnsubscribeUrl(user._id, type);
+
+		return {
+			...templateEngine.addUnsubscribeFooter(mailOptions, url, user.language),
+			list: { unsubscribe: { url, comment: 'Unsubscribe' } },
+			headers: {
+				...mailOptions.headers,
+				'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+			}
+		};
+	}
+
+	// Store an in-app notification and push it to the user's open sessions
+	async createInApp(user, event, content, idempotencyKey) {
+		const key = idempotencyKey && `${idempotencyKey}:${user._id}`;
+		if (key) {
+			const existing = await Notification.findOne({ idempotencyKey: key });
+			if (existing) return existing;
+		}
+
+		let notification;
+		try {
+			notification = await Notification.create({
+				user: user._id,
+				type: event,
+				title: content.inApp.title,
+				message: content.inApp.message,
+				complaint: content.data?.complaintId,
+				data: content.data || {},
+				idempotencyKey: key
+			});
+		} catch (error) {
+			if (error.code === 11000 && key) {
+				return Notification.findOne({ idempotencyKey: key });
+			}
+			throw error;
+		}
+
+		await this.publishInboxUpdate(user._id, 'notification.created', { notification });
+		return notification;
+	}
+
+	// Hold an email notification back for the user's next digest (sent by digestService)
+	async addToDigest(user, event, content, idempotencyKey) {
+		const key = idempotencyKey && `${idempotencyKey}:${user._id}:digest`;
+		if (key) {
+			const existing = await DigestEntry.findOne({ idempotencyKey: key });
+			if (existing) return existing;
+		}
+
+		try {
+			return await DigestEntry.create({
+				user: user._id,
+				event,
+				complaint: content.data?.complaintId,
+				title: content.inApp?.title || content.email.subject,
+				message: content.inApp?.message || content.push?.body,
+				data: content.data || {},
+				idempotencyKey: key
+			});
+		} catch (error) {
+			if (error.code === 11000 && key) {
+				return DigestEntry.findOne({ idempotencyKey: key });
+			}
+			throw error;
+		}
+	}
+
+	// Real-time inbox update for the bell icon, sent to the user only
+	async publishInboxUpdate(userId, type, data = {}) {
+		const unreadCount = await Notification.countDocuments({ user: userId, read: false });
+		return eventBus.publish(type, {
+			audience: { users: [userId.toString()], exclusive: true },
+			data: { ...data, unreadCount }
+		});
+	}
+
+	// Notify a user about an event. The same idempotencyKey may be used for several
+	// recipients of one event; every key below is made per user.
+	// content: { inApp: { title, message }, email: mail options, push: { title, body }, data }
+	// Returns what was created, per channel (inApp notification, outbox jobs for email/push).
+	async notify(userOrId, event, content, { idempotencyKey } = {}) {
+		const type = this.eventTypes[event];
+		if (!type) {
+			throw new Error(`Unknown notification event: ${event}`);
+		}
+
+		const user = userOrId?.notifications ? userOrId : await User.findById(userOrId);
+		if (!user) return {};
+
+		const jobs = {};
+		// The inbox is the source of truth and is not affected by channel preferences
+		if (content.inApp) {
+			jobs.inApp = await this.createInApp(user, event, content, idempotencyKey);
+		}
+
+		const preferences = await this.getPreferences(user);
+		const availableAt = this.getDeliveryTime(preferences);
+
+		if (content.email && this.isChannelEnabled(preferences, 'email', type)) {
+			if (DIGEST_EVENTS.includes(event) && preferences.email.digest !== 'immediate') {
+				jobs.digest = await this.addToDigest(user, event, content, idempotencyKey);
+			} else {
+				jobs.email = await notificationOutbox.enqueueEmail(
+					event,
+					this.withUnsubscribe(content.email, user, type),
+					{ idempotencyKey: idempotencyKey && `${idempotencyKey}:${user._id}:email`, availableAt }
+				);
+			}
+		}
+
+		if (this.isChannelEnabled(preferences, 'push', type)) {
+			jobs.push = await notificationOutbox.enqueue('push', event, {
+				token: preferences.push.token,
+				title: content.push?.title || content.inApp?.title || content.email?.subject,
+				body: content.push?.body || content.inApp?.message || '',
+				data: content.data || {}
+			}, { idempotencyKey: idempotencyKey && `${idempotencyKey}:${user._id}:push`, availableAt });
+		}
+
+		return jobs;
+	}
+}
+
+module.exports = new NotificationDispatcher();
\ No newline at end of file
@@ -0,0 +1,176 @@
+const NotificationJob = require('../models/NotificationJob');
+const emailService = require('./emailService');
+const pushService = require('./pushService');
+
+const SECOND = 1000;
+// Tokens in links (email verification, password reset, unsubscribe): long runs
+// of token characters in a URL path or query
+const LINK_TOKEN_PATTERN = /([/=])[\w.~-]{32,}/g;
+
+// Durable notification outbox: routes enqueue jobs, the worker delivers them
+// with exponential backoff and moves them to "dead" after maxAttempts
+class NotificationOutbox {
+	constructor() {
+		this.pollInterval = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 5 * SECOND;
+		this.baseDelay = parseInt(process.env.OUTBOX_BACKOFF_MS) || 30 * SECOND;
+		this.maxDelay = 60 * 60 * SECOND;
+		this.maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 5;
+		// A job stuck in "processing" this long is assumed to belong to a crashed worker
+		this.lockTimeout = 5 * 60 * SECOND;
+		this.batchSize = 20;
+
+		this.handlers = {
+			email: (job) => emailService.deliver(job.message),
+			push: (job) => pushService.send(job.message)
+		};
+
+		this.timer = null;
+		this.running = false;
+	}
+
+	// Enqueue a notification. Jobs with an idempotency key are only created once;
+	// enqueueing the same key again returns the existing job.
+	async enqueue(channel, type, message, { idempotencyKey, availableAt } = {}) {
+		if (idempotencyKey) {
+			const existing = await NotificationJob.findOne({ idempotencyKey });
+			if (existing) return existing;
+		}
+
+		try {
+			const job = await NotificationJob.create({
+				channel,
+				type,
+				message,
+				idempotencyKey,
+				maxAttempts: this.maxAttempts,
+				nextAttemptAt: availableAt || new Date()
+			});
+
+			// Deliver right away instead of waiting for the next poll
+			if (this.timer) {
+				setImmediate(() => this.processDue());
+			}
+			return job;
+		} catch (error) {
+			// Lost a race with another request enqueueing the same key
+			if (error.code === 11000 && idempotencyKey) {
+				return NotificationJob.findOne({ idempotencyKey });
+			}
+			throw error;
+		}
+	}
+
+	async enqueueEmail(type, mailOptions, options = {}) {
+		const message = { ...mailOptions };
+		// Lets receiving mail servers drop duplicates if a job is ever sent twice
+		if (options.idempotencyKey && !message.messageId) {
+			message.messageId = `<${options.idempotencyKey.replace(/[^\w.-]/g, '.')}@speakup>`;
+		}
+		return this.enqueue('email', type, message, options);
+	}
+
+	// What is kept of a message once it was sent
+	summarize(job) {
+		const { to, subject, title, messageId } = job.message || {};
+		return job.channel === 'push' ? { title } : { to, subject, messageId };
+	}
+
+	// A job for admins to inspect, with the tokens in its message's links removed
+	redact(job) {
+		const data = job.toObject();
+		data.message = JSON.parse(JSON.stringify(data.message ?? null).replace(LINK_TOKEN_PATTERN, '$1[redacted]'));
+		return data;
+	}
+
+	getBackoff(attempts) {
+		return Math.min(this.baseDelay * 2 ** (attempts - 1), this.maxDelay);
+	}
+
+	async claimNext() {
+		const now = new Date();
+		return NotificationJob.findOneAndUpdate(
+			{
+				$or: [
+					{ status: 'pending', nextAttemptAt: { $lte: now } },
+					{ status: 'processing', lockedAt: { $lte: new Date(now - this.lockTimeout) } }
+				]
+			},
+			{ $set: { status: 'processing', lockedAt: now, updatedAt: now }, $inc: { attempts: 1 } },
+			{ sort: { nextAttemptAt: 1 }, new: true }
+		);
+	}
+
+	async deliver(job) {
+		try {
+			const handler = this.handlers[job.channel];
+			if (!handler) {
+				throw new Error(`No handler for channel ${job.channel}`);
+			}
+
+			const info = await handler(job);
+			job.status = 'sent';
+			job.sentAt = new Date();
+			job.message = this.summarize(job);
+			job.providerMessageId = info?.messageId;
+			job.lastError = undefined;
+		} catch (error) {
+			job.lastError = error.message;
+			if (job.attempts >= job.maxAttempts) {
+				job.status = 'dead';
+			} else {
+				job.status = 'pending';
+				job.nextAttemptAt = new Date(Date.now() + this.getBackoff(job.attempts));
+			}
+		}
+
+		job.lockedAt = undefined;
+		await job.save();
+		return job;
+	}
+
+	// Deliver due jobs, up to one batch per call
+	async processDue() {
+		if (this.running) return 0;
+		this.running = true;
+
+		let processed = 0;
+		try {
+			while (processed < this.batchSize) {
+				const job = await this.claimNext();
+				if (!job) break;
+				await this.deliver(job);
+				processed++;
+			}
+		} catch (error) {
+			console.error('Notification outbox error:', error);
+		} finally {
+			this.running = false;
+		}
+		return processed;
+	}
+
+	// Put a dead job back in the queue with a fresh set of attempts
+	async retry(jobId) {
+		return NotificationJob.findOneAndUpdate(
+			{ _id: jobId, status: 'dead' },
+			{
+				$set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), updatedAt: new Date() },
+				$unset: { lastError: 1 }
+			},
+			{ new: true }
+		);
+	}
+
+	startWorker() {
+		if (this.timer) return;
+		this.timer = setInterval(() => this.processDue(), this.pollInterval);
+		this.timer.unref();
+	}
+
+	stopWorker() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+}
+
+module.exports = new NotificationOutbox();
\ No newline at end of file
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const client = require('openid-client');
+const User = require('../models/User');
+const keyValueStore = require('./keyValueStore');
+const ApiError = require('./ApiError');
+
+// Time the user has to sign in at the identity provider
+const STATE_TTL_SECONDS = 10 * 60;
+// Time the frontend has to exchange the one-time login code after the redirect
+const LOGIN_CODE_TTL_SECONDS = 60;
+const ROLE_RANK = { user: 0, agent: 1, admin: 2 };
+// Holds a hash of the state of the sign-in the browser started
+const STATE_COOKIE = 'oidc_state';
+const STATE_COOKIE_PATH = '/api/auth/oidc';
+
+const stateKey = (state) => `oidc-state:${state}`;
+const loginCodeKey = (code) => `oidc-login:${code}`;
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const envList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Provider settings from OIDC_<ID>_* variables, for every id in OIDC_PROVIDERS
+const loadProviders = () => {
+	const providers = new Map();
+	for (const id of envList(process.env.OIDC_PROVIDERS).map(item => item.toLowerCase())) {
+		const env = (name) => process.env[`OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${name}`];
+		if (!env('ISSUER') || !env('CLIENT_ID')) {
+			console.error(`OIDC provider "${id}" is missing its ISSUER or CLIENT_ID and is disabled`);
+			continue;
+		}
+
+		providers.set(id, {
+			id,
+			name: env('NAME') || id,
+			issuer: env('ISSUER'),
+			clientId: env('CLIENT_ID'),
+			clientSecret: env('CLIENT_SECRET'),
+			scopes: env('SCOPES') || 'openid email profile',
+			// Create accounts for unknown users on their first sign-in
+			provisioning: env('JIT_PROVISIONING') !== 'false',
+			// Only these email domains may sign in (all when empty)
+			allowedDomains: envList(env('ALLOWED_DOMAINS')).map(domain => domain.toLowerCase()),
+			// Claim holding the user's groups or roles, and "value:role" pairs mapping them
+			roleClaim: env('ROLE_CLAIM') || 'groups',
+			roleMap: envList(env('ROLE_MAP')).map(pair => {
+				const index = pair.lastIndexOf(':');
+				return { value: pair.slice(0, index), role: pair.slice(index + 1) };
+			}).filter(({ role }) => role in ROLE_RANK),
+			defaultRole: env('DEFAULT_ROLE') in ROLE_RANK ? env('DEFAULT_ROLE') : 'user',
+			// Apply the role mapping on every sign-in, not only when the account is created
+			syncRole: env('SYNC_ROLE') === 'true'
+		});
+	}
+	return providers;
+};
+
+// Single sign-on with OpenID Connect providers (authorization code flow with
+// PKCE). Providers are configured through environment variables (see
+// .env.example); each one is discovered from its issuer on first use.
+// External identities (provider + subject) are linked to users: on sign-in a
+// user is found by a linked identity, then by verified email (the identity is
+// linked), and otherwise created when the provider allows provisioning.
+class OidcService {
+	constructor() {
+		this.providers = loadProviders();
+		this.configurations = new Map();
+	}
+
+	list() {
+		return [...this.providers.values()].map(({ id, name }) => ({ id, name }));
+	}
+
+	getProvider(id) {
+		const provider = this.providers.get(String(id).toLowerCase());
+		if (!provider) {
+			throw new ApiError(404, 'Unknown identity provider');
+		}
+		return provider;
+	}
+
+	redirectUri(provider) {
+		return `${process.env.API_URL || 'http://localhost:5000'}/api/auth/oidc/${provider.id}/callback`;
+	}
+
+	// Discovered provider metadata and client settings (cached; retried after a failure)
+	async configuration(provider) {
+		if (!this.configurations.has(provider.id)) {
+			const issuer = new URL(provider.issuer);
+			// Plain HTTP issuers (e.g. a local mock provider) are only accepted outside production
+			const options = issuer.protocol === 'http:' && process.env.NODE_ENV !== 'production'
+				? { execute: [client.allowInsecureRequests] }
+				: undefined;
+			const discovery = client.discovery(
+				issuer,
+				provider.clientId,
+				provider.clientSecret,
+				provider.clientSecret ? undefined : client.None(),
+				options
+			);
+			this.configurations.set(provider.id, discovery);
+			discovery.catch(() => this.configurations.delete(provider.id));
+		}
+		return this.configurations.get(provider.id);
+	}
+
+	// URL of the provider's sign-in page and the state of the sign-in (for
+	// setStateCookie). `link` is the id of a signed-in user who connects this
+	// provider to their account.
+	async authorizationUrl(providerId, { link = null } = {}) {
+		const provider = this.getProvider(providerId);
+		const config = await this.configuration(provider);
+
+		const codeVerifier = client.randomPKCECodeVerifier();
+		const state = client.randomState();
+		const nonce = client.randomNonce();
+		await keyValueStore.set(stateKey(state), JSON.stringify({
+			provider: provider.id,
+			codeVerifier,
+			nonce,
+			link: link ? link.toString() : null
+		}), STATE_TTL_SECONDS);
+
+		const url = client.buildAuthorizationUrl(config, {
+			redirect_uri: this.redirectUri(provider),
+			scope: provider.scopes,
+			code_challenge: await client.calculatePKCECodeChallenge(codeVerifier),
+			code_challenge_method: 'S256',
+			state,
+			nonce
+		}).href;
+		return { url, state };
+	}
+
+	// Binds a sign-in to the browser that started it. The callback only accepts
+	// a state whose hash is in this cookie, so a callback URL from a sign-in
+	// someone else started (login CSRF, linking another person's identity) fails.
+	setStateCookie(res, state) {
+		res.cookie(STATE_COOKIE, hashValue(state), {
+			httpOnly: true,
+			sameSite: 'lax',
+			secure: (process.env.API_URL || '').startsWith('https:'),
+			path: STATE_COOKIE_PATH,
+			maxAge: STATE_TTL_SECONDS * 1000
+		});
+	}
+
+	clearStateCookie(res) {
+		res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+	}
+
+	// State hash from the request's cookies (there is no cookie parser)
+	stateCookie(req) {
+		const cookie = (req.headers.cookie || '').split(';')
+			.map(item => item.trim().split('='))
+			.find(([name]) => name === STATE_COOKIE);
+		return cookie ? cookie[1] : null;
+	}
+
+	// Completes the redirect back from the provider (`search` is its query string,
+	// `stateHash` the value of the state cookie): exchanges the code and validates
+	// the ID token. Returns { provider, claims, link }.
+	async handleCallback(providerId, search, { stateHash } = {}) {
+		const provider = this.getProvider(providerId);
+		const callbackUrl = new URL(this.redirectUri(provider));
+		callbackUrl.search = search;
+		const state = callbackUrl.searchParams.get('state');
+		const expectedHash = state ? Buffer.from(hashValue(state)) : null;
+		if (!expectedHash || !stateHash || Buffer.byteLength(stateHash) !== expectedHash.length
+			|| !crypto.timingSafeEqual(Buffer.from(stateHash), expectedHash)) {
+			throw new ApiError(400, 'Sign-in was started in another browser, please try again');
+		}
+
+		const data = await keyValueStore.get(stateKey(state));
+		await keyValueStore.del(stateKey(state));
+		const pending = data ? JSON.parse(data) : null;
+		if (pending?.provider !== provider.id) {
+			throw new ApiError(400, 'Sign-in request expired, please try again');
+		}
+
+		const config = await this.configuration(provider);
+		let claims;
+		try {
+			const tokens = await client.authorizationCodeGrant(config, callbackUrl, {
+				pkceCodeVerifier: pending.codeVerifier,
+				expectedState: state,
+				expectedNonce: pending.nonce,
+				idTokenExpected: true
+			});
+			claims = tokens.claims();
+			// Some providers only put email or groups in the userinfo response
+			if (!claims.email || (provider.roleMap.length > 0 && claims[provider.roleClaim] === undefined)) {
+				claims = { ...await client.fetchUserInfo(config, tokens.access_token, claims.sub), ...claims };
+			}
+		} catch (error) {
+			throw new ApiError(401, `Sign-in with ${provider.name} failed: ${error.error_description || error.message}`);
+		}
+
+		return { provider, claims, link: pending.link };
+	}
+
+	// Role for a user from the provider's role claim; the highest mapped role wins
+	mapRole(provider, claims) {
+		const values = [].concat(claims[provider.roleClaim] ?? []).map(String);
+		return provider.roleMap
+			.filter(({ value }) => values.includes(value))
+			.reduce((role, mapping) => (ROLE_RANK[mapping.role] > ROLE_RANK[role] ? mapping.role : role), provider.defaultRole);
+	}
+
+	// Finds, links or creates the user for a provider sign-in
+	async resolveUser(provider, claims) {
+		const identity = { provider: provider.id, subject: claims.sub };
+		let user = await User.findOne({ identities: { $elemMatch: identity } });
+		const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : null;
+
+		if (!user) {
+			// Emails are only trusted once the provider has verified them
+			if (!email || claims.email_verified !== true) {
+				throw new ApiError(403, `${provider.name} did not provide a verified email address`);
+			}
+			if (provider.allowedDomains.length > 0 && !provider.allowedDomains.includes(email.split('@')[1])) {
+				throw new ApiError(403, `Accounts from this email domain cannot sign in with ${provider.name}`);
+			}
+
+			user = await User.findOne({ email });
+			if (user && !user.isVerified) {
+				// Someone registered the address without confirming it; whoever set
+				// that password must not keep access to the verified owner's account
+				user.password = undefined;
+			}
+			if (!user) {
+				if (!provider.provisioning) {
+					throw new ApiError(403, `No account exists for ${email}`);
+				}
+				user = new User({
+					email,
+					name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+					role: this.mapRole(provider, claims)
+				});
+			}
+			user.identities.push({ ...identity, email });
+		} else if (provider.syncRole) {
+			user.role = this.mapRole(provider, claims);
+		}
+
+		// The provider vouches for the address, so no verification email is needed
+		if (email && claims.email_verified === true && email === user.email) {
+			user.isVerified = true;
+			user.verificationToken = undefined;
+		}
+		const linked = user.identities.find(item => item.provider === identity.provider && item.subject === identity.subject);
+		linked.lastLoginAt = new Date();
+		await user.save();
+		return user;
+	}
+
+	// Connects a provider identity to a signed-in user
+	async linkIdentity(userId, provider, claims) {
+		const identity = { provider: provider.id, subject: claims.sub };
+		const owner = await User.findOne({ identities: { $elemMatch: identity } });
+		if (owner && owner._id.toString() !== userId) {
+			throw new ApiError(409, `This ${provider.name} account is already linked to another user`);
+		}
+
+		const user = await User.findById(userId);
+		if (!user) {
+			throw new ApiError(404, 'User not found');
+		}
+		if (!owner) {
+			if (user.identities.some(item => item.provider === provider.id)) {
+				throw new ApiError(409, `Another ${provider.name} account is already linked`);
+			}
+			user.identities.push({ ...identity, email: typeof claims.email === 'string' ? claims.email.toLowerCase() : undefined });
+			await user.save();
+		}
+		return user;
+	}
+
+	async unlinkIdentity(user, identityId) {
+		const identity = user.identities.id(identityId);
+		if (!identity) {
+			throw new ApiError(404, 'Linked account not found');
+		}
+		// Users without a password or passkey would have no way left to sign in
+		if (!user.password && user.identities.length === 1 && !(user.webauthn?.credentials || []).length) {
+			throw new ApiError(400, 'Set a password before removing your only sign-in method');
+		}
+		identity.deleteOne();
+		await user.save();
+	}
+
+	// One-time code the frontend exchanges for the login result, so tokens never
+	// appear in redirect URLs
+	async createLoginCode(user) {
+		const code = client.randomState();
+		await keyValueStore.set(loginCodeKey(code), user._id.toString(), LOGIN_CODE_TTL_SECONDS);
+		return code;
+	}
+
+	// Id of the user a login code was issued for; the code stops working
+	async redeemLoginCode(code) {
+		const userId = code ? await keyValueStore.get(loginCodeKey(code)) : null;
+		await keyValueStore.del(loginCodeKey(code));
+		if (!userId) {
+			throw new ApiError(401, 'Invalid or expired sign-in code');
+		}
+		return userId;
+	}
+}
+
+module.exports = new OidcService();
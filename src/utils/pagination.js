@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const ApiError = require('./ApiError');
+
+const MAX_LIMIT = 100;
+
+// Cursor pagination for list endpoints. A cursor holds the sort key values of
+// the last item of a page; the next page starts strictly after it, so rows
+// created, deleted or moved in between are neither repeated nor skipped.
+// _id is added as the last sort key so every order is total.
+
+// Whether the request asked for cursor pagination (?pagination=cursor or a cursor)
+const isCursorMode = (query) => query.pagination === 'cursor' || query.cursor !== undefined;
+
+// Sort with _id as tie-breaker
+const stableSort = (sort) => {
+	const keys = Object.keys(sort);
+	if (keys.includes('_id')) return sort;
+	return { ...sort, _id: sort[keys[keys.length - 1]] || 1 };
+};
+
+const valueAt = (doc, path) => (typeof doc.get === 'function'
+	? doc.get(path)
+	: path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc));
+
+// Dates and ids are tagged so they decode to the types they are compared with
+const encodeValue = (value) => {
+	if (value instanceof Date) return { $date: value.toISOString() };
+	if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+	if (value && value._id instanceof mongoose.Types.ObjectId) return { $oid: value._id.toString() }; // populated
+	return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+	if (value && typeof value === 'object') {
+		if (typeof value.$date === 'string' && !Number.isNaN(Date.parse(value.$date))) return new Date(value.$date);
+		if (mongoose.isValidObjectId(value.$oid)) return new mongoose.Types.ObjectId(value.$oid);
+		throw new Error('Unexpected cursor value');
+	}
+	return value;
+};
+
+const encodeCursor = (doc, sort) => {
+	const keys = Object.keys(sort);
+	const payload = { s: keys.map(key => `${key}:${sort[key]}`).join(','), v: keys.map(key => encodeValue(valueAt(doc, key))) };
+	return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Values of a cursor; it must have been issued for the same sort
+const decodeCursor = (cursor, sort) => {
+	const keys = Object.keys(sort);
+	try {
+		const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+		if (payload.s !== keys.map(key => `${key}:${sort[key]}`).join(',')) {
+			throw new ApiError(400, 'Cursor does not match the sort order');
+		}
+		if (!Array.isArray(payload.v) || payload.v.length !== keys.length) {
+			throw new Error('Unexpected cursor values');
+		}
+		return payload.v.map(decodeValue);
+	} catch (error) {
+		if (error instanceof ApiError) throw error;
+		throw new ApiError(400, 'Invalid cursor');
+	}
+};
+
+// Condition for a single key coming after a value in the given direction.
+// MongoDB sorts null/missing values first in ascending order.
+const afterValue = (key, value, direction) => {
+	if (value === null) {
+		return direction === 1 ? { [key]: { $ne: null } } : null;
+	}
+	return direction === 1
+		? { [key]: { $gt: value } }
+		: { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+// Documents after the cursor position: (k1 > v1) or (k1 = v1 and k2 > v2) or ...
+const afterCursor = (sort, values) => {
+	const keys = Object.keys(sort);
+	const branches = [];
+	keys.forEach((key, index) => {
+		const after = afterValue(key, values[index], sort[key]);
+		if (!after) return;
+
+		const equal = keys.slice(0, index).map((previous, i) => ({ [previous]: values[i] }));
+		branches.push(equal.length ? { $and: [...equal, after] } : after);
+	});
+	// Nothing can come after the cursor
+	return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+// Runs a mongoose find query one page at a time.
+// Returns { items, nextCursor, hasMore }; nextCursor is null on the last page.
+const paginateByCursor = async (findQuery, { sort, cursor, limit }) => {
+	const order = stableSort(sort);
+	const pageSize = Math.min(parseInt(limit) || 10, MAX_LIMIT);
+
+	if (cursor) {
+		findQuery.and([afterCursor(order, decodeCursor(cursor, order))]);
+	}
+	// The sort keys are needed to build the next cursor
+	if (findQuery.selectedInclusively()) {
+		findQuery.select(Object.keys(order).join(' '));
+	}
+
+	const docs = await findQuery.sort(order).limit(pageSize + 1);
+	const hasMore = docs.length > pageSize;
+	const items = docs.slice(0, pageSize);
+
+	return {
+		items,
+		nextCursor: hasMore ? encodeCursor(items[items.length - 1], order) : null,
+		hasMore
+	};
+};
+
+// ?fields=a,b,c as a select string, or null when not given; only allowed fields may be requested
+const parseFields = (value, allowed) => {
+	if (!value) return null;
+
+	const fields = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+	const unknown = fields.filter(field => !allowed.includes(field));
+	if (unknown.length) {
+		throw new ApiError(400, `Unknown fields: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+	}
+	return fields.length ? fields.join(' ') : null;
+};
+
+module.exports = {
+	isCursorMode,
+	encodeCursor,
+	decodeCursor,
+	paginateByCursor,
+	parseFields
+};
@@ -0,0 +1,42 @@
+// Push notification delivery. PUSH_PROVIDER selects the adapter:
+//   log     - note the notification on the console, without its content
+//             (default outside production, for development)
+//   webhook - POST the notification as JSON to PUSH_WEBHOOK_URL (e.g. a push gateway)
+class PushService {
+	constructor() {
+		this.providers = {
+			log: async (message) => {
+				// Only the ids in data; titles and bodies quote complaints and comments
+				console.log('Push notification:', JSON.stringify(message.data || {}));
+				return { messageId: `log-${Date.now()}` };
+			},
+			webhook: async (message) => {
+				const response = await fetch(process.env.PUSH_WEBHOOK_URL, {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify(message)
+				});
+				if (!response.ok) {
+					throw new Error(`Push gateway responded with ${response.status}`);
+				}
+				const result = await response.json().catch(() => ({}));
+				return { messageId: result.id };
+			}
+		};
+		this.provider = process.env.PUSH_PROVIDER || (process.env.NODE_ENV !== 'production' ? 'log' : null);
+	}
+
+	// message: { token, title, body, data }
+	async send(message) {
+		if (!this.provider) {
+			throw new Error('No push provider configured (PUSH_PROVIDER)');
+		}
+		const provider = this.providers[this.provider];
+		if (!provider) {
+			throw new Error(`Unknown push provider: ${this.provider}`);
+		}
+		return provider(message);
+	}
+}
+
+module.exports = new PushService();
\ No newline at end of file
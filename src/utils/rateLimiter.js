@@ -0,0 +1,43 @@
+const keyValueStore = require('./keyValueStore');
+
+// Sliding-window rate limiting. Requests are counted per fixed window; the
+// count over the last `windowSeconds` is estimated from the current window and
+// the previous one, weighted by how much of it still overlaps the sliding
+// window. Counters live in the key-value store (Redis or memory).
+class RateLimiter {
+	windowKey(name, id, windowSeconds, index) {
+		return `rate:${name}:${id}:${windowSeconds}:${index}`;
+	}
+
+	// Counts a hit for `id` under the limit `name` (e.g. "login-ip") and checks it.
+	// Returns { allowed, count, retryAfter (seconds, when not allowed) }
+	async hit(name, id, { windowSeconds, max }, now = Date.now()) {
+		const windowMs = windowSeconds * 1000;
+		const index = Math.floor(now / windowMs);
+		const elapsed = (now % windowMs) / windowMs;
+
+		const current = await keyValueStore.incr(this.windowKey(name, id, windowSeconds, index), windowSeconds * 2);
+		const previous = parseInt(await keyValueStore.get(this.windowKey(name, id, windowSeconds, index - 1))) || 0;
+		const count = current + previous * (1 - elapsed);
+
+		if (count <= max) {
+			return { allowed: true, count };
+		}
+
+		// When the weighted count drops back to the limit, assuming no further hits
+		let retryAfter = Math.ceil((1 - elapsed) * windowSeconds);
+		if (current <= max && previous > 0) {
+			retryAfter = Math.ceil(((count - max) / previous) * windowSeconds);
+		}
+		return { allowed: false, count, retryAfter: Math.max(retryAfter, 1) };
+	}
+
+	// Forgets the hits for `id` under a limit (e.g. when an admin unlocks an account)
+	async reset(name, id, { windowSeconds }, now = Date.now()) {
+		const index = Math.floor(now / (windowSeconds * 1000));
+		await keyValueStore.del(this.windowKey(name, id, windowSeconds, index));
+		await keyValueStore.del(this.windowKey(name, id, windowSeconds, index - 1));
+	}
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,142 @@
+const Category = require('../models/Category');
+const Complaint = require('../models/Complaint');
+const CategorySuggestion = require('../models/CategorySuggestion');
+const complaintWorkflow = require('./complaintWorkflow');
+const ApiError = require('./ApiError');
+
+class RecategorizationService {
+	constructor() {
+		const threshold = parseFloat(process.env.AI_AUTO_APPLY_THRESHOLD);
+		this.autoApplyThreshold = Number.isNaN(threshold) ? 0.85 : threshold;
+	}
+
+	// Category tree in the shape the AI providers expect (icons left out)
+	async getCategoryTree() {
+		const categories = await Category.find()
+			.select('name description subCategories._id subCategories.name subCategories.description')
+			.lean();
+
+		return categories.map(category => ({
+			id: category._id.toString(),
+			name: category.name,
+			description: category.description,
+			subCategories: category.subCategories.map(sub => ({
+				id: sub._id.toString(),
+				name: sub.name,
+				description: sub.description
+			}))
+		}));
+	}
+
+	// Resolve AI-returned ids against the tree; null when they are not a real pair
+	resolvePair(tree, categoryId, subCategoryId) {
+		const category = tree.find(c => c.id === String(categoryId));
+		const subCategory = category?.subCategories.find(s => s.id === String(subCategoryId));
+		return subCategory ? { category, subCategory } : null;
+	}
+
+	async applyCategory(complaint, categoryId, subCategoryId, user, reason) {
+		const before = complaintWorkflow.snapshot(complaint);
+		complaint.category = categoryId;
+		complaint.subCategory = subCategoryId;
+		await complaint.save();
+		await complaintWorkflow.recordChanges(complaint, before, user, reason);
+	}
+
+	// Record the AI suggestion for a complaint and auto-apply it when confident enough
+	async handleSuggestion(complaint, categorization, provider) {
+		const { categoryId, subCategoryId } = categorization || {};
+		const confidence = categorization?.confidence || 0;
+		if (!categoryId || !subCategoryId) return null;
+
+		await CategorySuggestion.updateMany(
+			{ complaint: complaint._id, status: 'pending' },
+			{ $set: { status: 'superseded' } }
+		);
+
+		const suggestion = new CategorySuggestion({
+			complaint: complaint._id,
+			fromCategory: complaint.category,
+			fromSubCategory: complaint.subCategory,
+			suggestedCategory: categoryId,
+			suggestedSubCategory: subCategoryId,
+			confidence,
+			provider
+		});
+
+		const sameCategory = complaint.category?.toString() === String(categoryId)
+			&& complaint.subCategory?.toString() === String(subCategoryId);
+
+		if (sameCategory) {
+			suggestion.status = 'matched';
+		} else if (confidence >= this.autoApplyThreshold) {
+			await this.applyCategory(complaint, categoryId, subCategoryId, null,
+				`AI recategorization (confidence ${confidence})`);
+			suggestion.status = 'auto-applied';
+		} else {
+			suggestion.status = 'pending';
+		}
+
+		await suggestion.save();
+		return suggestion;
+	}
+
+	async decide(suggestionId, accepted, user, reason) {
+		const suggestion = await CategorySuggestion.findById(suggestionId);
+		if (!suggestion) {
+			throw new ApiError(404, 'Suggestion not found');
+		}
+		if (suggestion.status !== 'pending') {
+			throw new ApiError(400, `Suggestion is already ${suggestion.status}`);
+		}
+
+		if (accepted) {
+			const complaint = await Complaint.findById(suggestion.complaint);
+			if (!complaint) {
+				throw new ApiError(404, 'Complaint not found');
+			}
+			await this.applyCategory(complaint, suggestion.suggestedCategory, suggestion.suggestedSubCategory, user,
+				reason || 'Accepted AI category suggestion');
+		}
+
+		suggestion.status = accepted ? 'accepted' : 'rejected';
+		suggestion.decidedBy = user._id;
+		suggestion.decidedAt = new Date();
+		suggestion.reason = reason;
+		await suggestion.save();
+		return suggestion;
+	}
+
+	// Per suggested category: how often admins accepted vs rejected the suggestion
+	async getAccuracyReport() {
+		const rows = await CategorySuggestion.aggregate([
+			{ $match: { status: { $ne: 'superseded' } } },
+			{ $group: { _id: { category: '$suggestedCategory', status: '$status' }, count: { $sum: 1 } } }
+		]);
+
+		const categories = await Category.find({ _id: { $in: rows.map(r => r._id.category) } }).select('name');
+		const names = new Map(categories.map(c => [c._id.toString(), c.name]));
+
+		const report = new Map();
+		rows.forEach(({ _id, count }) => {
+			const id = _id.category.toString();
+			if (!report.has(id)) {
+				report.set(id, {
+					category: { _id: id, name: names.get(id) || null },
+					matched: 0, 'auto-applied': 0, pending: 0, accepted: 0, rejected: 0
+				});
+			}
+			report.get(id)[_id.status] = count;
+		});
+
+		return [...report.values()].map(entry => {
+			const decided = entry.accepted + entry.rejected;
+			return {
+				...entry,
+				accuracy: decided > 0 ? Math.round((entry.accepted / decided) * 1000) / 1000 : null
+			};
+		});
+	}
+}
+
+module.exports = new RecategorizationService();
\ No newline at end of file
@@ -0,0 +1,64 @@
+const { createClient } = require('redis');
+
+// Shared Redis connection. Only used when REDIS_URL is set; callers fall back
+// to in-memory implementations when getClient() resolves to null.
+class RedisClient {
+	constructor() {
+		this.url = process.env.REDIS_URL;
+		this.connecting = null;
+	}
+
+	isConfigured() {
+		return Boolean(this.url);
+	}
+
+	createConnection() {
+		let connected = false;
+		const client = createClient({
+			url: this.url,
+			socket: {
+				// Give up quickly if Redis is unreachable at startup, keep retrying once it has been up
+				reconnectStrategy: (retries) => {
+					if (!connected && retries >= 3) {
+						return new Error('Redis unavailable');
+					}
+					return Math.min(retries * 200, 5000);
+				}
+			}
+		});
+
+		client.on('error', (error) => console.error('Redis error:', error.message));
+		client.on('ready', () => { connected = true; });
+		return client;
+	}
+
+	// Resolves to a connected client, or null when Redis is not configured or unreachable
+	async getClient() {
+		if (!this.isConfigured()) return null;
+
+		if (!this.connecting) {
+			const client = this.createConnection();
+			this.connecting = client.connect()
+				.then(() => client)
+				.catch((error) => {
+					console.error('Redis connection failed, using in-memory fallback:', error.message);
+					return null;
+				});
+		}
+
+		return this.connecting;
+	}
+
+	// Pub/sub needs a dedicated connection
+	async createSubscriber() {
+		const client = await this.getClient();
+		if (!client) return null;
+
+		const subscriber = client.duplicate();
+		subscriber.on('error', (error) => console.error('Redis subscriber error:', error.message));
+		await subscriber.connect();
+		return subscriber;
+	}
+}
+
+module.exports = new RedisClient();
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Queue = require('../models/Queue');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const { openStatuses } = require('../config/workflow');
+
+class RoutingService {
+	constructor() {
+		this.strategies = {
+			'round-robin': (queue, agents) => this.pickRoundRobin(queue, agents),
+			'least-loaded': (queue, agents) => this.pickLeastLoaded(agents)
+		};
+	}
+
+	// A queue listing the subcategory wins over a queue covering the whole category
+	async findQueue(complaint) {
+		const queues = await Queue.find({ category: complaint.category, isActive: true }).sort({ createdAt: 1 });
+		const subCategory = complaint.subCategory?.toString();
+
+		return queues.find(q => q.subCategories.some(id => id.toString() === subCategory))
+			|| queues.find(q => q.subCategories.length === 0)
+			|| null;
+	}
+
+	// Queue members that still hold a staff role
+	async getEligibleAgents(queue, exclude = []) {
+		const excluded = exclude.filter(Boolean).map(id => id.toString());
+		const users = await User.find({
+			_id: { $in: queue.agents },
+			role: { $in: ['agent', 'admin'] }
+		}).select('_id');
+		const eligible = new Set(users.map(u => u._id.toString()));
+
+		// Keep the queue's own ordering so round-robin is predictable
+		return queue.agents
+			.map(id => id.toString())
+			.filter(id => eligible.has(id) && !excluded.includes(id));
+	}
+
+	async pickRoundRobin(queue, agents) {
+		const previous = await Queue.findByIdAndUpdate(queue._id, { $inc: { cursor: 1 } });
+		return agents[(previous?.cursor || 0) % agents.length];
+	}
+
+	async pickLeastLoaded(agents) {
+		const loads = await this.getAgentLoads(agents);
+		return agents.reduce((best, id) => (loads[id] < loads[best] ? id : best), agents[0]);
+	}
+
+	// Number of open complaints assigned to each agent
+	async getAgentLoads(agentIds) {
+		const counts = await Complaint.aggregate([
+			{ $match: { assignedTo: { $in: agentIds.map(id => new mongoose.Types.ObjectId(id)) }, status: { $in: openStatuses } } },
+			{ $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+		]);
+
+		const loads = {};
+		agentIds.forEach(id => { loads[id.toString()] = 0; });
+		counts.forEach(c => { loads[c._id.toString()] = c.count; });
+		return loads;
+	}
+
+	// Returns { agent, queue } for a complaint, or null when no queue/agent matches
+	async routeComplaint(complaint, { exclude = [] } = {}) {
+		const queue = await this.findQueue(complaint);
+		if (!queue) return null;
+
+		const agents = await this.getEligibleAgents(queue, exclude);
+		if (agents.length === 0) return null;
+
+		const pick = this.strategies[queue.strategy] || this.strategies['round-robin'];
+		const agent = await pick(queue, agents);
+		return { agent, queue };
+	}
+
+	// Filters matching the complaints covered by the queues an agent belongs to
+	async getQueueScopes(agentId) {
+		const queues = await Queue.find({ agents: agentId, isActive: true });
+		return queues.map(q => (q.subCategories.length > 0
+			? { category: q.category, subCategory: { $in: q.subCategories } }
+			: { category: q.category }));
+	}
+}
+
+module.exports = new RoutingService();
\ No newline at end of file
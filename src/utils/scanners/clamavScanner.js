@@ -0,0 +1,50 @@
+const net = require('net');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Scans through a ClamAV daemon (clamd) using the INSTREAM command
+class ClamAVScanner {
+	constructor({ host, port, timeout } = {}) {
+		this.name = 'clamav';
+		this.host = host || '127.0.0.1';
+		this.port = parseInt(port) || 3310;
+		this.timeout = parseInt(timeout) || 30000;
+	}
+
+	scan(content) {
+		return new Promise((resolve, reject) => {
+			const socket = net.createConnection({ host: this.host, port: this.port });
+			let response = '';
+
+			socket.setTimeout(this.timeout, () => {
+				socket.destroy(new Error('ClamAV scan timed out'));
+			});
+			socket.on('error', reject);
+			socket.on('data', (data) => {
+				response += data.toString();
+			});
+			socket.on('end', () => {
+				// "stream: OK" or "stream: <signature> FOUND"
+				const result = response.replace(/\0/g, '').trim();
+				const found = result.match(/^stream: (.+) FOUND$/);
+				if (found) return resolve({ clean: false, signature: found[1] });
+				if (/^stream: OK$/.test(result)) return resolve({ clean: true });
+				reject(new Error(`Unexpected ClamAV response: ${result}`));
+			});
+
+			socket.on('connect', () => {
+				socket.write('zINSTREAM\0');
+				for (let offset = 0; offset < content.length; offset += CHUNK_SIZE) {
+					const chunk = content.subarray(offset, offset + CHUNK_SIZE);
+					const size = Buffer.alloc(4);
+					size.writeUInt32BE(chunk.length);
+					socket.write(size);
+					socket.write(chunk);
+				}
+				socket.write(Buffer.alloc(4));
+			});
+		});
+	}
+}
+
+module.exports = ClamAVScanner;
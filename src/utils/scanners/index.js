@@ -0,0 +1,34 @@
+const ClamAVScanner = require('./clamavScanner');
+const StubScanner = require('./stubScanner');
+
+// Virus scanners share one interface:
+//   scan(content: Buffer) -> { clean, signature }
+const scanners = {
+	clamav: ClamAVScanner,
+	stub: StubScanner
+};
+
+// Defaults to ClamAV when a daemon is configured. The stub is the default only
+// outside production; there it has to be chosen explicitly (VIRUS_SCANNER=stub).
+const createScanner = (name = process.env.VIRUS_SCANNER, options = {}) => {
+	const scannerName = name || (process.env.CLAMAV_HOST ? 'clamav' : process.env.NODE_ENV !== 'production' && 'stub');
+	if (!scannerName) {
+		throw new Error('No virus scanner configured: set CLAMAV_HOST, or VIRUS_SCANNER=stub to accept unscanned uploads');
+	}
+	const Scanner = scanners[scannerName];
+	if (!Scanner) {
+		throw new Error(`Unknown virus scanner: ${scannerName}`);
+	}
+
+	return new Scanner({
+		host: process.env.CLAMAV_HOST,
+		port: process.env.CLAMAV_PORT,
+		timeout: process.env.CLAMAV_TIMEOUT_MS,
+		...options
+	});
+};
+
+module.exports = {
+	scanners,
+	createScanner
+};
@@ -0,0 +1,17 @@
+// Scanner for development and tests: only detects the EICAR test file
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+class StubScanner {
+	constructor() {
+		this.name = 'stub';
+	}
+
+	async scan(content) {
+		if (content.includes(EICAR)) {
+			return { clean: false, signature: 'Eicar-Test-Signature' };
+		}
+		return { clean: true };
+	}
+}
+
+module.exports = StubScanner;
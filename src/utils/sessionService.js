@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const keyValueStore = require('./keyValueStore');
+const eventBus = require('./eventBus');
+const ApiError = require('./ApiError');
+
+const DAY_SECONDS = 24 * 60 * 60;
+// Access tokens are short-lived; clients renew them with the refresh token
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+// A session ends when its refresh token is not used for this long
+const REFRESH_TOKEN_TTL_SECONDS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * DAY_SECONDS;
+// Refresh tokens replaced by rotation that are still recognised (as reuse)
+const MAX_PREVIOUS_TOKENS = 10;
+// lastSeenAt is written at most this often per session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const sessionKey = (sessionId) => `session:${sessionId}`;
+const userSessionsKey = (userId) => `user-sessions:${userId}`;
+// Last use of a session ({ lastSeenAt, ip }), kept apart from the session so
+// that recording it never writes back a refresh token hash that was rotated meanwhile
+const lastSeenKey = (sessionId) => `session-seen:${sessionId}`;
+// Held while a session's refresh token is rotated
+const refreshLockKey = (sessionId) => `session-refresh-lock:${sessionId}`;
+const REFRESH_LOCK_TTL_SECONDS = 10;
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Short device description from a User-Agent header, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+	const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+	const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+	const browser = browsers.find(([token]) => userAgent.includes(token))?.[1];
+	const system = systems.find(([token]) => userAgent.includes(token))?.[1];
+
+	if (browser && system) return `${browser} on ${system}`;
+	return browser || system || 'Unknown device';
+};
+
+// Login sessions. Each login creates a session holding the hash of its current
+// refresh token. Access tokens (JWT) name their session and are only accepted
+// while it exists, so revoking a session locks out its access tokens at once.
+// Refresh tokens are single-use: every refresh rotates the token, and presenting
+// an already rotated token again revokes the session (it has leaked).
+class SessionService {
+	constructor() {
+		this.accessTokenTtl = ACCESS_TOKEN_TTL_SECONDS;
+	}
+
+	async getSession(sessionId) {
+		const data = await keyValueStore.get(sessionKey(sessionId));
+		return data ? JSON.parse(data) : null;
+	}
+
+	// Writes a session; existing sessions are only updated while they have not
+	// been revoked. Returns false when the session is gone.
+	async saveSession(session, { isNew = false } = {}) {
+		const saved = await keyValueStore.set(sessionKey(session.id), JSON.stringify(session), REFRESH_TOKEN_TTL_SECONDS, {
+			onlyIfExists: !isNew
+		});
+		if (saved) {
+			await keyValueStore.setAdd(userSessionsKey(session.userId), session.id, REFRESH_TOKEN_TTL_SECONDS);
+		}
+		return saved;
+	}
+
+	signAccessToken(session) {
+		return jwt.sign(
+			{ userId: session.userId, sid: session.id, type: 'access' },
+			process.env.JWT_SECRET,
+			{ expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+		);
+	}
+
+	// New refresh token for a session (the session is not saved)
+	rotateRefreshToken(session) {
+		const secret = crypto.randomBytes(32).toString('base64url');
+		if (session.refreshTokenHash) {
+			session.previousTokenHashes = [session.refreshTokenHash, ...(session.previousTokenHashes || [])]
+				.slice(0, MAX_PREVIOUS_TOKENS);
+		}
+		session.refreshTokenHash = hashToken(secret);
+		return `${session.id}.${secret}`;
+	}
+
+	tokens(session, refreshToken) {
+		return {
+			token: this.signAccessToken(session),
+			refreshToken,
+			expiresIn: ACCESS_TOKEN_TTL_SECONDS
+		};
+	}
+
+	// Starts a session for a user who just logged in.
+	// Returns { token, refreshToken, expiresIn, sessionId }
+	async create(user, { ip, userAgent, deviceName } = {}) {
+		const now = new Date().toISOString();
+		const session = {
+			id: crypto.randomUUID(),
+			userId: user._id.toString(),
+			device: deviceName || describeDevice(userAgent),
+			userAgent,
+			ip,
+			createdAt: now,
+			lastSeenAt: now
+		};
+		const refreshToken = this.rotateRefreshToken(session);
+		await this.saveSession(session, { isNew: true });
+
+		return { ...this.tokens(session, refreshToken), sessionId: session.id };
+	}
+
+	// Exchanges a refresh token for a new access token and refresh token
+	async refresh(refreshToken, { ip, userAgent } = {}) {
+		const [sessionId, secret] = String(refreshToken || '').split('.');
+		if (!sessionId || !secret || !await this.getSession(sessionId)) {
+			throw new ApiError(401, 'Invalid refresh token');
+		}
+
+		// Compare and rotate under a lock, so two requests with the same token
+		// cannot both get new tokens; the loser sees the rotated hash afterwards
+		if (!await keyValueStore.set(refreshLockKey(sessionId), '1', REFRESH_LOCK_TTL_SECONDS, { onlyIfMissing: true })) {
+			throw new ApiError(409, 'The session is already being refreshed');
+		}
+		try {
+			return await this.rotate(sessionId, secret, { ip, userAgent });
+		} finally {
+			await keyValueStore.del(refreshLockKey(sessionId));
+		}
+	}
+
+	async rotate(sessionId, secret, { ip, userAgent }) {
+		const session = await this.getSession(sessionId);
+		if (!session) {
+			throw new ApiError(401, 'Invalid refresh token');
+		}
+
+		const hash = hashToken(secret);
+		if (hash !== session.refreshTokenHash) {
+			if ((session.previousTokenHashes || []).includes(hash)) {
+				console.warn(`Refresh token reuse detected, revoking session ${session.id} of user ${session.userId}`);
+				await this.revoke(session.userId, session.id);
+				throw new ApiError(401, 'Refresh token has already been used; the session has been revoked');
+			}
+			throw new ApiError(401, 'Invalid refresh token');
+		}
+
+		const newRefreshToken = this.rotateRefreshToken(session);
+		Object.assign(session, {
+			ip: ip || session.ip,
+			userAgent: userAgent || session.userAgent,
+			lastSeenAt: new Date().toISOString()
+		});
+		if (!await this.saveSession(session)) {
+			throw new ApiError(401, 'Session has been revoked');
+		}
+
+		return { ...this.tokens(session, newRefreshToken), sessionId: session.id };
+	}
+
+	// Checks an access token and its session. Returns { userId, sessionId };
+	// throws when the token is invalid or the session has been revoked.
+	async verifyAccessToken(token, { ip } = {}) {
+		const decoded = jwt.verify(token, process.env.JWT_SECRET);
+		if (decoded.type !== 'access' || !decoded.sid) {
+			throw new ApiError(401, 'Invalid authentication token');
+		}
+
+		const session = await this.getSession(decoded.sid);
+		if (!session || session.userId !== decoded.userId) {
+			throw new ApiError(401, 'Session has been revoked');
+		}
+
+		const seen = await this.getLastSeen(session);
+		if (Date.now() - Date.parse(seen.lastSeenAt) > LAST_SEEN_RESOLUTION_MS) {
+			await keyValueStore.set(lastSeenKey(session.id), JSON.stringify({
+				lastSeenAt: new Date().toISOString(),
+				ip: ip || seen.ip
+			}), REFRESH_TOKEN_TTL_SECONDS);
+		}
+
+		return { userId: decoded.userId, sessionId: session.id };
+	}
+
+	// Latest of the session's own lastSeenAt (login, refresh) and its last access
+	async getLastSeen(session) {
+		const data = await keyValueStore.get(lastSeenKey(session.id));
+		const seen = data ? JSON.parse(data) : null;
+		if (seen && Date.parse(seen.lastSeenAt) > Date.parse(session.lastSeenAt)) {
+			return seen;
+		}
+		return { lastSeenAt: session.lastSeenAt, ip: session.ip };
+	}
+
+	// Active sessions of a user, most recently used first
+	async list(userId) {
+		const ids = await keyValueStore.setMembers(userSessionsKey(userId));
+		const sessions = [];
+		for (const id of ids) {
+			const session = await this.getSession(id);
+			if (session) {
+				const { refreshTokenHash, previousTokenHashes, ...data } = session;
+				sessions.push({ ...data, ...await this.getLastSeen(session) });
+			} else {
+				// Expired
+				await keyValueStore.setRemove(userSessionsKey(userId), id);
+			}
+		}
+		return sessions.sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt));
+	}
+
+	// Ends one session of a user; false when it does not exist
+	async revoke(userId, sessionId) {
+		const session = await this.getSession(sessionId);
+		if (!session || session.userId !== userId.toString()) {
+			return false;
+		}
+
+		await keyValueStore.del(sessionKey(sessionId));
+		await keyValueStore.del(lastSeenKey(sessionId));
+		await keyValueStore.setRemove(userSessionsKey(userId), sessionId);
+		await this.publishRevoked(userId, [sessionId]);
+		return true;
+	}
+
+	// Ends every session of a user (e.g. after a password reset), optionally
+	// keeping the one the request came from. Returns the number revoked.
+	async revokeAll(userId, { except } = {}) {
+		const ids = await keyValueStore.setMembers(userSessionsKey(userId));
+		const revokedIds = ids.filter(id => id !== except);
+		for (const id of revokedIds) {
+			await keyValueStore.del(sessionKey(id));
+			await keyValueStore.del(lastSeenKey(id));
+			await keyValueStore.setRemove(userSessionsKey(userId), id);
+		}
+		await this.publishRevoked(userId, revokedIds);
+		return revokedIds.length;
+	}
+
+	// Lets every instance close the event streams opened with revoked sessions
+	// (see routes/events.js); streams are only authenticated when they connect
+	async publishRevoked(userId, sessionIds) {
+		if (sessionIds.length === 0) return;
+		try {
+			await eventBus.publish('session.revoked', {
+				audience: { users: [userId.toString()], exclusive: true },
+				data: { sessionIds }
+			});
+		} catch (error) {
+			console.error('Failed to publish session revocation:', error.message);
+		}
+	}
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,203 @@
+const SlaPolicy = require('../models/SlaPolicy');
+const Complaint = require('../models/Complaint');
+const User = require('../models/User');
+const complaintWorkflow = require('./complaintWorkflow');
+const routingService = require('./routingService');
+const emailService = require('./emailService');
+const notificationDispatcher = require('./notificationDispatcher');
+const eventBus = require('./eventBus');
+
+const MINUTE = 60 * 1000;
+const CLOSED_STATUSES = ['resolved', 'rejected'];
+const RAISED_PRIORITY = { low: 'medium', medium: 'high', high: 'high' };
+
+class SlaService {
+	constructor() {
+		this.interval = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || MINUTE;
+		this.timer = null;
+		this.running = false;
+	}
+
+	// Category-specific policy first, then the default policy for the priority
+	async findPolicy(complaint) {
+		const policies = await SlaPolicy.find({
+			category: { $in: [complaint.category, null] },
+			priority: complaint.priority,
+			isActive: true
+		});
+
+		return policies.find(p => p.category) || policies[0] || null;
+	}
+
+	// Compute due dates for a new complaint (caller saves)
+	async applyPolicy(complaint) {
+		const policy = await this.findPolicy(complaint);
+		if (!policy) return null;
+
+		const start = (complaint.createdAt || new Date()).getTime();
+		complaint.sla = {
+			policy: policy._id,
+			firstResponseDueAt: new Date(start + policy.firstResponseMinutes * MINUTE),
+			resolutionDueAt: new Date(start + policy.resolutionMinutes * MINUTE),
+			state: 'on-track'
+		};
+		return policy;
+	}
+
+	// Targets already missed at the given time
+	getBreachedTargets(complaint, now = new Date()) {
+		const { sla } = complaint;
+		const targets = [];
+
+		const respondedAt = sla.firstRespondedAt || now;
+		if (sla.firstResponseDueAt && respondedAt > sla.firstResponseDueAt) {
+			targets.push('first response');
+		}
+
+		const resolvedAt = sla.resolvedAt || now;
+		if (sla.resolutionDueAt && resolvedAt > sla.resolutionDueAt) {
+			targets.push('resolution');
+		}
+
+		return targets;
+	}
+
+	computeState(complaint, policy, now = new Date()) {
+		const { sla } = complaint;
+		if (!sla?.state) return undefined;
+
+		// A breach is permanent even if the complaint is later resolved
+		if (sla.state === 'breached' || this.getBreachedTargets(complaint, now).length > 0) {
+			return 'breached';
+		}
+
+		if (sla.resolvedAt) return 'met';
+
+		const start = complaint.createdAt.getTime();
+		const threshold = (policy?.atRiskPercent || 80) / 100;
+		const pendingDeadlines = [sla.resolutionDueAt];
+		if (!sla.firstRespondedAt) pendingDeadlines.push(sla.firstResponseDueAt);
+
+		const atRisk = pendingDeadlines
+			.filter(Boolean)
+			.some(due => (now.getTime() - start) / (due.getTime() - start) >= threshold);
+
+		return atRisk ? 'at-risk' : 'on-track';
+	}
+
+	// Record the first staff response (caller saves)
+	recordResponse(complaint, at = new Date()) {
+		if (complaint.sla?.state && !complaint.sla.firstRespondedAt) {
+			complaint.sla.firstRespondedAt = at;
+		}
+	}
+
+	// Keep the resolution clock in step with the status (caller saves)
+	async syncStatus(complaint, at = new Date()) {
+		if (!complaint.sla?.state) return;
+
+		if (CLOSED_STATUSES.includes(complaint.status)) {
+			// Closing a complaint also counts as the first response
+			complaint.sla.firstRespondedAt = complaint.sla.firstRespondedAt || at;
+			complaint.sla.resolvedAt = complaint.sla.resolvedAt || at;
+		} else {
+			complaint.sla.resolvedAt = undefined;
+		}
+
+		const policy = await SlaPolicy.findById(complaint.sla.policy);
+		complaint.sla.state = this.computeState(complaint, policy, at);
+	}
+
+	async escalate(complaint, policy, targets) {
+		// Claim the escalation so several server instances never escalate twice
+		const claim = await Complaint.updateOne(
+			{ _id: complaint._id, 'sla.escalatedAt': null },
+			{ $set: { 'sla.escalatedAt': new Date(), 'sla.state': 'breached' } }
+		);
+		if (claim.modifiedCount === 0) return;
+
+		const actions = policy?.escalation?.actions || [];
+		const applied = [];
+		const reason = `SLA breached: ${targets.join(', ')}`;
+		const before = complaintWorkflow.snapshot(complaint);
+
+		if (actions.includes('raise-priority') && complaint.priority !== 'high') {
+			complaint.priority = RAISED_PRIORITY[complaint.priority];
+			applied.push(`priority raised to ${complaint.priority}`);
+		}
+
+		if (actions.includes('reassign')) {
+			const route = await routingService.routeComplaint(complaint, { exclude: [complaint.assignedTo] });
+			if (route) {
+				complaint.assignedTo = route.agent;
+				applied.push(`reassigned via queue ${route.queue.name}`);
+			}
+		}
+
+		complaint.sla.state = 'breached';
+		complaint.sla.escalatedAt = new Date();
+		await complaint.save();
+		await complaintWorkflow.recordChanges(complaint, before, null, reason);
+
+		await eventBus.publishComplaintEvent('complaint.escalated', complaint, {
+			targets,
+			actions: applied
+		}, [before.assignedTo]);
+
+		if (actions.includes('notify-admins')) {
+			const admins = await User.find({ role: 'admin' }).select('email language notifications');
+			for (const admin of admins) {
+				await notificationDispatcher.notify(admin, 'sla-escalation', {
+					email: emailService.buildSlaEscalationEmail(admin.email, complaint, { targets, actions: applied }, admin.language),
+					push: { title: 'SLA breached', body: complaint.title },
+					data: { complaintId: complaint._id.toString(), targets }
+				}, { idempotencyKey: `sla-escalation:${complaint._id}:${complaint.sla.escalatedAt.getTime()}:${admin._id}` });
+			}
+		}
+	}
+
+	// Re-evaluate every open complaint with an SLA and escalate new breaches
+	async checkAll(now = new Date()) {
+		if (this.running) return;
+		this.running = true;
+
+		try {
+			const complaints = await Complaint.find({
+				status: { $nin: CLOSED_STATUSES },
+				'sla.state': { $in: ['on-track', 'at-risk', 'breached'] },
+				'sla.escalatedAt': null
+			});
+
+			const policies = await SlaPolicy.find({ _id: { $in: complaints.map(c => c.sla.policy) } });
+			const policyById = new Map(policies.map(p => [p._id.toString(), p]));
+
+			for (const complaint of complaints) {
+				const policy = policyById.get(complaint.sla.policy?.toString());
+				const state = this.computeState(complaint, policy, now);
+
+				if (state === 'breached') {
+					await this.escalate(complaint, policy, this.getBreachedTargets(complaint, now));
+				} else if (state !== complaint.sla.state) {
+					await Complaint.updateOne({ _id: complaint._id }, { $set: { 'sla.state': state } });
+				}
+			}
+		} catch (error) {
+			console.error('SLA check failed:', error);
+		} finally {
+			this.running = false;
+		}
+	}
+
+	startScheduler() {
+		if (this.timer) return;
+		this.timer = setInterval(() => this.checkAll(), this.interval);
+		this.timer.unref();
+	}
+
+	stopScheduler() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+}
+
+module.exports = new SlaService();
\ No newline at end of file
@@ -0,0 +1,97 @@
+const path = require('path');
+const { Readable } = require('stream');
+const cloudinary = require('../cloudinaryConfig');
+
+const RESOURCE_TYPES = ['image', 'raw', 'video'];
+const DELIVERY_TYPES = ['upload', 'authenticated'];
+// Lifetime of the signed URLs files are downloaded through
+const DOWNLOAD_URL_TTL_SECONDS = 60;
+
+// Cloudinary media storage. New files are uploaded as "authenticated", so they
+// can only be fetched with a signed URL. Cloudinary picks the resource type on
+// upload, so the stored key is "<resource type>/authenticated/<public id>"
+// ("<resource type>/<public id>" for older, public uploads).
+class CloudinaryDriver {
+	constructor({ deliveryType } = {}) {
+		this.name = 'cloudinary';
+		this.deliveryType = deliveryType || 'authenticated';
+	}
+
+	parseKey(key) {
+		const [resourceType, ...rest] = key.split('/');
+		if (!RESOURCE_TYPES.includes(resourceType) || rest.length === 0) {
+			throw new Error(`Invalid storage key: ${key}`);
+		}
+		const type = rest.length > 1 && DELIVERY_TYPES.includes(rest[0]) ? rest.shift() : 'upload';
+		return { resourceType, type, publicId: rest.join('/') };
+	}
+
+	toKey(resourceType, type, publicId) {
+		return type === 'upload' ? `${resourceType}/${publicId}` : `${resourceType}/${type}/${publicId}`;
+	}
+
+	put(key, content) {
+		// Cloudinary keeps the format separately, so the id has no extension
+		const publicId = key.slice(0, key.length - path.extname(key).length);
+
+		return new Promise((resolve, reject) => {
+			const upload = cloudinary.uploader.upload_stream(
+				{ public_id: publicId, resource_type: 'auto', type: this.deliveryType, overwrite: false },
+				(error, result) => {
+					if (error) return reject(error);
+					resolve({
+						key: this.toKey(result.resource_type, result.type, result.public_id),
+						// Authenticated files have no public URL
+						url: result.type === 'upload' ? result.secure_url : null
+					});
+				}
+			);
+			upload.end(content);
+		});
+	}
+
+	// The format is needed to address the file; it is taken from the file name
+	async get(key, { filename } = {}) {
+		const { resourceType, type, publicId } = this.parseKey(key);
+		const format = path.extname(filename || '').slice(1).toLowerCase().replace('jpeg', 'jpg');
+		const url = cloudinary.utils.private_download_url(publicId, format, {
+			resource_type: resourceType,
+			type,
+			expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS
+		});
+
+		const response = await fetch(url);
+		if (!response.ok) {
+			throw new Error(`Cloudinary download failed with status ${response.status}`);
+		}
+		return Readable.fromWeb(response.body);
+	}
+
+	async delete(key) {
+		const { resourceType, type, publicId } = this.parseKey(key);
+		await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, type, invalidate: true });
+	}
+
+	async *list(prefix = '') {
+		for (const resourceType of RESOURCE_TYPES) {
+			for (const type of DELIVERY_TYPES) {
+				let cursor;
+				do {
+					const page = await cloudinary.api.resources({
+						type,
+						resource_type: resourceType,
+						prefix,
+						max_results: 500,
+						next_cursor: cursor
+					});
+					for (const resource of page.resources) {
+						yield { key: this.toKey(resourceType, type, resource.public_id), lastModified: new Date(resource.created_at) };
+					}
+					cursor = page.next_cursor;
+				} while (cursor);
+			}
+		}
+	}
+}
+
+module.exports = CloudinaryDriver;
@@ -0,0 +1,51 @@
+const LocalDriver = require('./localDriver');
+const S3Driver = require('./s3Driver');
+const CloudinaryDriver = require('./cloudinaryDriver');
+
+// Storage drivers share one interface:
+//   put(key, content: Buffer, { contentType }) -> { key, url }  (url is null when not public)
+//   get(key, { filename }) -> readable stream
+//   delete(key)  (deleting a missing object is not an error)
+//   list(prefix) -> async iterator of { key, lastModified }
+// Drivers that can hand out expiring download links also implement
+//   getSignedUrl(key, { expiresIn (seconds), contentType, contentDisposition }) -> url
+const drivers = {
+	local: LocalDriver,
+	s3: S3Driver,
+	cloudinary: CloudinaryDriver
+};
+
+const driverOptions = () => ({
+	local: {
+		root: process.env.STORAGE_LOCAL_DIR
+	},
+	s3: {
+		bucket: process.env.S3_BUCKET,
+		region: process.env.S3_REGION,
+		endpoint: process.env.S3_ENDPOINT,
+		accessKeyId: process.env.S3_ACCESS_KEY_ID,
+		secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+		forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+		publicUrl: process.env.S3_PUBLIC_URL
+	},
+	cloudinary: {}
+});
+
+// Defaults to Cloudinary when it is configured, otherwise the local filesystem
+const createDriver = (name = process.env.STORAGE_DRIVER, options = {}) => {
+	const driverName = name || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+	const Driver = drivers[driverName];
+	if (!Driver) {
+		throw new Error(`Unknown storage driver: ${driverName}`);
+	}
+
+	return new Driver({
+		...driverOptions()[driverName],
+		...options
+	});
+};
+
+module.exports = {
+	drivers,
+	createDriver
+};
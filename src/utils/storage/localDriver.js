@@ -0,0 +1,73 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Files on the local filesystem under `root`. Objects have no public URL;
+// they are served through the API.
+class LocalDriver {
+	constructor({ root } = {}) {
+		this.name = 'local';
+		this.root = path.resolve(root || 'storage');
+	}
+
+	// Keys are relative paths; anything escaping the root is refused
+	resolve(key) {
+		const file = path.resolve(this.root, key);
+		if (!file.startsWith(this.root + path.sep)) {
+			throw new Error(`Invalid storage key: ${key}`);
+		}
+		return file;
+	}
+
+	async put(key, content) {
+		const file = this.resolve(key);
+		await fsp.mkdir(path.dirname(file), { recursive: true });
+		await fsp.writeFile(file, content);
+		return { key, url: null };
+	}
+
+	async get(key) {
+		const file = this.resolve(key);
+		await fsp.access(file);
+		return fs.createReadStream(file);
+	}
+
+	async delete(key) {
+		try {
+			await fsp.unlink(this.resolve(key));
+		} catch (error) {
+			if (error.code !== 'ENOENT') throw error;
+		}
+	}
+
+	// Yields { key, lastModified } for every object under prefix
+	async *list(prefix = '') {
+		const walk = async function* (dir) {
+			let entries;
+			try {
+				entries = await fsp.readdir(dir, { withFileTypes: true });
+			} catch (error) {
+				if (error.code === 'ENOENT') return;
+				throw error;
+			}
+			for (const entry of entries) {
+				const file = path.join(dir, entry.name);
+				if (entry.isDirectory()) {
+					yield* walk(file);
+				} else {
+					const stat = await fsp.stat(file);
+					yield { file, lastModified: stat.mtime };
+				}
+			}
+		};
+
+		for await (const { file, lastModified } of walk(this.root)) {
+			const key = path.relative(this.root, file).split(path.sep).join('/');
+			if (key.startsWith(prefix)) {
+				yield { key, lastModified };
+			}
+		}
+	}
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,74 @@
+const {
+	S3Client,
+	PutObjectCommand,
+	GetObjectCommand,
+	DeleteObjectCommand,
+	ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+// Amazon S3 or any S3-compatible service (MinIO, R2, ...). Set `endpoint` and
+// `forcePathStyle` for services other than AWS.
+class S3Driver {
+	constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl } = {}) {
+		if (!bucket) {
+			throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+		}
+		this.name = 's3';
+		this.bucket = bucket;
+		// Base URL objects are publicly readable at, if any (e.g. a CDN in front of the bucket)
+		this.publicUrl = publicUrl ? publicUrl.replace(/\/$/, '') : null;
+		this.client = new S3Client({
+			region: region || 'us-east-1',
+			endpoint: endpoint || undefined,
+			forcePathStyle: Boolean(forcePathStyle),
+			credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+		});
+	}
+
+	async put(key, content, { contentType } = {}) {
+		await this.client.send(new PutObjectCommand({
+			Bucket: this.bucket,
+			Key: key,
+			Body: content,
+			ContentType: contentType
+		}));
+		return { key, url: this.publicUrl ? `${this.publicUrl}/${key}` : null };
+	}
+
+	async get(key) {
+		const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+		return result.Body;
+	}
+
+	// Presigned GET that makes S3 answer with the given headers
+	async getSignedUrl(key, { expiresIn, contentType, contentDisposition } = {}) {
+		return getSignedUrl(this.client, new GetObjectCommand({
+			Bucket: this.bucket,
+			Key: key,
+			ResponseContentType: contentType,
+			ResponseContentDisposition: contentDisposition
+		}), { expiresIn });
+	}
+
+	async delete(key) {
+		await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+	}
+
+	async *list(prefix = '') {
+		let ContinuationToken;
+		do {
+			const page = await this.client.send(new ListObjectsV2Command({
+				Bucket: this.bucket,
+				Prefix: prefix,
+				ContinuationToken
+			}));
+			for (const object of page.Contents || []) {
+				yield { key: object.Key, lastModified: object.LastModified };
+			}
+			ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+		} while (ContinuationToken);
+	}
+}
+
+module.exports = S3Driver;
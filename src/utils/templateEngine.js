@@ -0,0 +1,131 @@
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const LOCALE_DIR = path.join(__dirname, '..', 'templates', 'locales');
+
+const LOCALES = ['en', 'es', 'fr', 'de', 'hi'];
+const DEFAULT_LOCALE = 'en';
+
+const TEMPLATES = [
+	'verification',
+	'password-reset',
+	'password-reset-confirmation',
+	'account-locked',
+	'complaint-share',
+	'complaint-created',
+	'status-update',
+	'new-comment',
+	'mention',
+	'sla-escalation',
+	'digest',
+	'admin-digest'
+];
+
+// Marker in the layout where the unsubscribe footer goes (see addUnsubscribeFooter)
+const UNSUBSCRIBE_MARKER = '<!-- unsubscribe -->';
+
+// Markup that is already safe and is inserted as-is by the html tag
+class SafeHtml {
+	constructor(value) {
+		this.value = value;
+	}
+
+	toString() {
+		return this.value;
+	}
+}
+
+const escapeHtml = (value) => String(value)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;')
+	.replace(/'/g, '&#39;');
+
+const toHtml = (value) => {
+	if (value === null || value === undefined || value === false) return '';
+	if (value instanceof SafeHtml) return value.value;
+	if (Array.isArray(value)) return value.map(toHtml).join('');
+	return escapeHtml(value);
+};
+
+// Tagged template that escapes every interpolated value unless it is SafeHtml
+// (e.g. the result of another html`` call). Arrays are joined, null/false render nothing.
+const html = (strings, ...values) => new SafeHtml(
+	strings.reduce((result, string, i) => result + string + (i < values.length ? toHtml(values[i]) : ''), '')
+);
+
+const raw = (value) => new SafeHtml(String(value));
+
+const resolveLocale = (locale) => (LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+const lookup = (strings, key) => key.split('.').reduce((node, part) => node?.[part], strings);
+
+// Translation function for a locale. Strings use {name} placeholders and fall
+// back to English, then to the key itself.
+const translator = (locale) => {
+	const strings = require(path.join(LOCALE_DIR, resolveLocale(locale)));
+	const fallback = require(path.join(LOCALE_DIR, DEFAULT_LOCALE));
+
+	return (key, params = {}) => {
+		const template = lookup(strings, key) ?? lookup(fallback, key) ?? key;
+		return String(template).replace(/\{(\w+)\}/g, (match, name) => (
+			params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+		));
+	};
+};
+
+const loadTemplate = (name) => {
+	if (!TEMPLATES.includes(name)) {
+		throw new Error(`Unknown email template: ${name}`);
+	}
+	return require(path.join(TEMPLATE_DIR, name));
+};
+
+// Render a template in a locale: { subject, html, text }
+const render = (name, data, locale) => {
+	const template = loadTemplate(name);
+	const layout = require(path.join(TEMPLATE_DIR, 'layout'));
+	const context = { t: translator(locale), locale: resolveLocale(locale) };
+
+	const content = template.render(data, context);
+	return {
+		subject: content.subject,
+		html: layout.html(content, context).toString(),
+		text: layout.text(content, context)
+	};
+};
+
+// Add a localized unsubscribe link to rendered mail options
+const addUnsubscribeFooter = (mailOptions, url, locale) => {
+	const partials = require(path.join(TEMPLATE_DIR, 'partials'));
+	const context = { t: translator(locale), locale: resolveLocale(locale) };
+	const footer = partials.unsubscribe(url, context);
+
+	let htmlBody = mailOptions.html;
+	if (htmlBody) {
+		htmlBody = htmlBody.includes(UNSUBSCRIBE_MARKER)
+			? htmlBody.replace(UNSUBSCRIBE_MARKER, footer.toString())
+			: htmlBody + footer;
+	}
+
+	return {
+		...mailOptions,
+		html: htmlBody,
+		text: mailOptions.text && `${mailOptions.text}\n\n${partials.unsubscribeText(url, context)}`
+	};
+};
+
+module.exports = {
+	LOCALES,
+	TEMPLATES,
+	UNSUBSCRIBE_MARKER,
+	SafeHtml,
+	escapeHtml,
+	html,
+	raw,
+	translator,
+	loadTemplate,
+	render,
+	addUnsubscribeFooter
+};
\ No newline at end of file
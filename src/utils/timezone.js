@@ -0,0 +1,39 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const isValidTimezone = (timezone) => {
+	try {
+		new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+		return true;
+	} catch (error) {
+		return false;
+	}
+};
+
+// Wall-clock time of a date in a timezone (UTC if the timezone is invalid):
+// { date: 'YYYY-MM-DD', weekday: 0-6 (Sunday = 0), hour, minutes (since midnight) }
+const getLocalTime = (date, timezone) => {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+		weekday: 'short',
+		hour: '2-digit',
+		minute: '2-digit',
+		hourCycle: 'h23'
+	}).formatToParts(date);
+	const value = (type) => parts.find(p => p.type === type).value;
+
+	const hour = Number(value('hour'));
+	return {
+		date: `${value('year')}-${value('month')}-${value('day')}`,
+		weekday: WEEKDAYS.indexOf(value('weekday')),
+		hour,
+		minutes: hour * 60 + Number(value('minute'))
+	};
+};
+
+module.exports = {
+	isValidTimezone,
+	getLocalTime
+};
\ No newline at end of file
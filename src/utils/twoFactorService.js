@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const speakeasy = require('speakeasy');
+const User = require('../models/User');
+const keyValueStore = require('./keyValueStore');
+const webauthnService = require('./webauthnService');
+const ApiError = require('./ApiError');
+
+const TOTP_STEP_SECONDS = 30;
+// Codes from one step before or after the current one are accepted (clock drift)
+const TOTP_WINDOW = 1;
+const BACKUP_CODE_COUNT = 10;
+// Unambiguous characters (no 0/O, 1/I/L) for codes users type in
+const BACKUP_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const BACKUP_CODE_LENGTH = 10;
+// Login tickets: how long the second step may take and how many codes may be tried
+const LOGIN_TICKET_TTL_SECONDS = 5 * 60;
+const LOGIN_TICKET_MAX_ATTEMPTS = 5;
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const loginTicketKey = (ticket) => `login-ticket:${hashValue(ticket)}`;
+const loginTicketAttemptsKey = (ticket) => `login-ticket-attempts:${hashValue(ticket)}`;
+// Backup codes are compared without formatting: "abcde-12345" matches "ABCDE12345"
+const normalizeBackupCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Second factor checks: TOTP codes (each accepted at most once) and single-use
+// backup codes stored as hashes, plus the short-lived tickets that connect the
+// two login steps and the policy requiring 2FA for admins. Security keys and
+// passkeys (utils/webauthnService.js) count as a second factor too.
+class TwoFactorService {
+	constructor() {
+		this.loginTicketTtl = LOGIN_TICKET_TTL_SECONDS;
+	}
+
+	// Whether admins must use 2FA; on unless REQUIRE_ADMIN_2FA=false
+	get adminPolicyEnabled() {
+		return process.env.REQUIRE_ADMIN_2FA !== 'false';
+	}
+
+	// TOTP or at least one security key or passkey
+	hasSecondFactor(user) {
+		return Boolean(user.twoFactorAuth?.enabled) || webauthnService.hasCredentials(user);
+	}
+
+	// Users who have to set up 2FA before they can use their role
+	requiresSetup(user) {
+		return this.adminPolicyEnabled && user.role === 'admin' && !this.hasSecondFactor(user);
+	}
+
+	// Second factors a user can finish logging in with
+	methods(user) {
+		return [
+			...(user.twoFactorAuth?.enabled ? ['totp', 'backup-code'] : []),
+			...(webauthnService.hasCredentials(user) ? ['webauthn'] : [])
+		];
+	}
+
+	// Checks a TOTP code and spends it: a code (or an older one) that was already
+	// accepted is rejected, so an intercepted code cannot be replayed.
+	async verifyTotp(user, token, now = Date.now()) {
+		if (!user.twoFactorAuth?.secret || !token) return false;
+
+		const match = speakeasy.totp.verifyDelta({
+			secret: user.twoFactorAuth.secret,
+			encoding: 'base32',
+			token: String(token),
+			window: TOTP_WINDOW,
+			step: TOTP_STEP_SECONDS,
+			time: Math.floor(now / 1000)
+		});
+		if (!match) return false;
+
+		const step = Math.floor(now / 1000 / TOTP_STEP_SECONDS) + match.delta;
+		// Conditional update, so two requests racing with the same code cannot both pass
+		const result = await User.updateOne(
+			{
+				_id: user._id,
+				$or: [
+					{ 'twoFactorAuth.lastUsedStep': { $lt: step } },
+					{ 'twoFactorAuth.lastUsedStep': null }
+				]
+			},
+			{ $set: { 'twoFactorAuth.lastUsedStep': step } }
+		);
+		if (result.modifiedCount !== 1) return false;
+
+		user.twoFactorAuth.lastUsedStep = step;
+		return true;
+	}
+
+	// New backup codes. Returns { codes (shown to the user once), backupCodes (to store) }
+	generateBackupCodes(count = BACKUP_CODE_COUNT) {
+		const codes = [];
+		for (let i = 0; i < count; i++) {
+			let code = '';
+			for (let j = 0; j < BACKUP_CODE_LENGTH; j++) {
+				code += BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)];
+			}
+			codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+		}
+
+		return {
+			codes,
+			backupCodes: codes.map(code => ({ hash: this.hashBackupCode(code) }))
+		};
+	}
+
+	hashBackupCode(code) {
+		return hashValue(normalizeBackupCode(code));
+	}
+
+	// Replaces the backup codes of a user; returns the new codes
+	async regenerateBackupCodes(user) {
+		const { codes, backupCodes } = this.generateBackupCodes();
+		user.twoFactorAuth.backupCodes = backupCodes;
+		await user.save();
+		return codes;
+	}
+
+	// Uses up a backup code; false when it is unknown or was used before
+	async redeemBackupCode(user, code) {
+		const hash = this.hashBackupCode(code || '');
+		const result = await User.updateOne(
+			{ _id: user._id, 'twoFactorAuth.backupCodes': { $elemMatch: { hash, usedAt: null } } },
+			{ $set: { 'twoFactorAuth.backupCodes.$.usedAt': new Date() } }
+		);
+		if (result.modifiedCount !== 1) return false;
+
+		const used = user.twoFactorAuth.backupCodes.find(backup => backup.hash === hash);
+		if (used) used.usedAt = new Date();
+		return true;
+	}
+
+	remainingBackupCodes(user) {
+		return (user.twoFactorAuth?.backupCodes || []).filter(code => !code.usedAt).length;
+	}
+
+	// Checks the second factor of a request: a TOTP `token` or a `backupCode`.
+	// Returns the method used ('totp' or 'backup-code'), or null when neither is valid.
+	async verify(user, { token, backupCode } = {}) {
+		if (!user.twoFactorAuth?.enabled) return null;
+
+		if (token && await this.verifyTotp(user, token)) return 'totp';
+		if (backupCode && await this.redeemBackupCode(user, backupCode)) return 'backup-code';
+		return null;
+	}
+
+	// Confirms a signed-in user before a second factor is removed: the current
+	// password, a TOTP or backup code, or a security key or passkey answering
+	// options from webauthnService.authenticationOptions(user, { purpose: 'confirmation' })
+	async confirmUser(user, { password, token, backupCode, webauthnResponse } = {}) {
+		if (password && await user.comparePassword(password)) return true;
+		if ((token || backupCode) && await this.verify(user, { token, backupCode })) return true;
+		if (webauthnResponse && webauthnService.hasCredentials(user)) {
+			const { verified } = await webauthnService.authenticate(webauthnResponse, { user, purpose: 'confirmation' });
+			return verified;
+		}
+		return false;
+	}
+
+	// Ticket for the second login step, issued once the password was accepted.
+	// `data` (e.g. the device name) is handed back when the ticket is redeemed.
+	async createLoginTicket(user, data = {}) {
+		const ticket = crypto.randomBytes(32).toString('base64url');
+		await keyValueStore.set(loginTicketKey(ticket), JSON.stringify({
+			...data,
+			userId: user._id.toString(),
+			expiresAt: Date.now() + LOGIN_TICKET_TTL_SECONDS * 1000
+		}), LOGIN_TICKET_TTL_SECONDS);
+		return ticket;
+	}
+
+	// Data of a pending login ticket; throws 401 when it is invalid or expired
+	async getLoginTicket(ticket) {
+		const data = ticket ? await keyValueStore.get(loginTicketKey(ticket)) : null;
+		if (!data) {
+			throw new ApiError(401, 'Invalid or expired login ticket');
+		}
+		return JSON.parse(data);
+	}
+
+	// Spends one of a ticket's attempts before a code is checked, so requests
+	// sent in parallel cannot try more codes than allowed. Throws 401 (and drops
+	// the ticket) once they are used up.
+	async useTicketAttempt(ticket, data) {
+		const ttl = Math.max(Math.ceil((data.expiresAt - Date.now()) / 1000), 1);
+		const attempts = await keyValueStore.incr(loginTicketAttemptsKey(ticket), ttl);
+		if (attempts > LOGIN_TICKET_MAX_ATTEMPTS) {
+			await keyValueStore.del(loginTicketKey(ticket));
+			throw new ApiError(401, 'Too many attempts, please log in again');
+		}
+	}
+
+	// Tickets are single-use: returns the ticket's data, or null when it was
+	// already used (e.g. by a parallel request) or has expired
+	async consumeLoginTicket(ticket) {
+		const data = await keyValueStore.getDel(loginTicketKey(ticket));
+		return data ? JSON.parse(data) : null;
+	}
+}
+
+module.exports = new TwoFactorService();
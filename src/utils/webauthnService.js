@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const {
+	generateRegistrationOptions,
+	verifyRegistrationResponse,
+	generateAuthenticationOptions,
+	verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { decodeClientDataJSON } = require('@simplewebauthn/server/helpers');
+const User = require('../models/User');
+const keyValueStore = require('./keyValueStore');
+const ApiError = require('./ApiError');
+
+// Time the browser has to complete a ceremony
+const CEREMONY_TIMEOUT_SECONDS = 5 * 60;
+const MAX_CREDENTIALS = 10;
+
+const challengeKey = (challenge) => `webauthn-challenge:${challenge}`;
+
+// The relying party is the frontend: its origin(s) and host name
+const relyingParty = () => {
+	const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+	const origins = (process.env.WEBAUTHN_ORIGINS || frontendUrl).split(',').map(origin => origin.trim()).filter(Boolean);
+	return {
+		id: process.env.WEBAUTHN_RP_ID || new URL(origins[0]).hostname,
+		name: process.env.WEBAUTHN_RP_NAME || 'SpeakUp',
+		origins
+	};
+};
+
+const formatCredential = (credential) => ({
+	id: credential._id,
+	name: credential.name,
+	deviceType: credential.deviceType,
+	backedUp: credential.backedUp,
+	transports: credential.transports,
+	createdAt: credential.createdAt,
+	lastUsedAt: credential.lastUsedAt
+});
+
+// WebAuthn registration and authentication ceremonies for security keys and
+// passkeys. Each ceremony has two steps: options (with a random challenge,
+// remembered for a few minutes) for the browser's navigator.credentials call,
+// then verification of what the authenticator returned. A challenge can be
+// answered once. Authentication either confirms a known user (second factor)
+// or identifies the user from a discoverable passkey (passwordless login).
+class WebAuthnService {
+	// Whether a user has registered at least one credential
+	hasCredentials(user) {
+		return (user.webauthn?.credentials || []).length > 0;
+	}
+
+	list(user) {
+		return (user.webauthn?.credentials || []).map(formatCredential);
+	}
+
+	async rememberChallenge(challenge, data) {
+		await keyValueStore.set(challengeKey(challenge), JSON.stringify(data), CEREMONY_TIMEOUT_SECONDS);
+	}
+
+	// Takes the challenge a response answers; throws when it was not issued for
+	// this kind of ceremony, has expired or was already used
+	async takeChallenge(response, purpose) {
+		if (typeof response?.id !== 'string') {
+			throw new ApiError(400, 'Malformed WebAuthn response');
+		}
+
+		let challenge;
+		try {
+			challenge = decodeClientDataJSON(response.response.clientDataJSON).challenge;
+		} catch (error) {
+			throw new ApiError(400, 'Malformed WebAuthn response');
+		}
+
+		// Read and deleted in one step, so parallel responses cannot share a challenge
+		const data = await keyValueStore.getDel(challengeKey(challenge));
+		const pending = data ? JSON.parse(data) : null;
+		if (pending?.purpose !== purpose) {
+			throw new ApiError(400, 'Unknown or expired WebAuthn challenge');
+		}
+		return { challenge, ...pending };
+	}
+
+	// Options for registering a new credential for a signed-in user
+	async registrationOptions(user) {
+		if (user.webauthn?.credentials?.length >= MAX_CREDENTIALS) {
+			throw new ApiError(400, `At most ${MAX_CREDENTIALS} security keys and passkeys can be registered`);
+		}
+		if (!user.webauthn?.userHandle) {
+			user.set('webauthn.userHandle', crypto.randomBytes(32).toString('base64url'));
+			await user.save();
+		}
+
+		const rp = relyingParty();
+		const options = await generateRegistrationOptions({
+			rpName: rp.name,
+			rpID: rp.id,
+			userName: user.email,
+			userDisplayName: user.name,
+			userID: Buffer.from(user.webauthn.userHandle, 'base64url'),
+			timeout: CEREMONY_TIMEOUT_SECONDS * 1000,
+			attestationType: 'none',
+			// The same authenticator cannot be registered twice
+			excludeCredentials: user.webauthn.credentials.map(credential => ({
+				id: credential.credentialId,
+				transports: credential.transports
+			})),
+			// Prefer discoverable credentials (passkeys) so they also work without a password
+			authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' }
+		});
+
+		await this.rememberChallenge(options.challenge, { purpose: 'registration', userId: user._id.toString() });
+		return options;
+	}
+
+	// Verifies a registration response and stores the credential. Returns it.
+	async register(user, response, { name } = {}) {
+		const pending = await this.takeChallenge(response, 'registration');
+		if (pending.userId !== user._id.toString()) {
+			throw new ApiError(400, 'Unknown or expired WebAuthn challenge');
+		}
+
+		const rp = relyingParty();
+		let verification;
+		try {
+			verification = await verifyRegistrationResponse({
+				response,
+				expectedChallenge: pending.challenge,
+				expectedOrigin: rp.origins,
+				expectedRPID: rp.id,
+				requireUserVerification: false
+			});
+		} catch (error) {
+			throw new ApiError(400, `WebAuthn registration failed: ${error.message}`);
+		}
+		if (!verification.verified) {
+			throw new ApiError(400, 'WebAuthn registration failed');
+		}
+
+		const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+		if (await User.exists({ 'webauthn.credentials.credentialId': credential.id })) {
+			throw new ApiError(409, 'This security key or passkey is already registered');
+		}
+
+		user.webauthn.credentials.push({
+			credentialId: credential.id,
+			publicKey: Buffer.from(credential.publicKey),
+			counter: credential.counter,
+			transports: credential.transports || response.response.transports,
+			deviceType: credentialDeviceType,
+			backedUp: credentialBackedUp,
+			name: name || (credentialDeviceType === 'multiDevice' ? 'Passkey' : 'Security key')
+		});
+		await user.save();
+
+		return formatCredential(user.webauthn.credentials[user.webauthn.credentials.length - 1]);
+	}
+
+	// Options for signing in. With a user (second factor) only their credentials
+	// are allowed; without one any discoverable passkey for this site is.
+	// purpose 'confirmation' is for a signed-in user confirming a sensitive change.
+	async authenticationOptions(user = null, { purpose = 'authentication' } = {}) {
+		const rp = relyingParty();
+		const options = await generateAuthenticationOptions({
+			rpID: rp.id,
+			timeout: CEREMONY_TIMEOUT_SECONDS * 1000,
+			allowCredentials: user
+				? user.webauthn.credentials.map(credential => ({
+					id: credential.credentialId,
+					transports: credential.transports
+				}))
+				: [],
+			// Passwordless login relies on the authenticator checking the user (PIN, biometrics)
+			userVerification: user ? 'preferred' : 'required'
+		});
+
+		await this.rememberChallenge(options.challenge, {
+			purpose,
+			userId: user ? user._id.toString() : null
+		});
+		return options;
+	}
+
+	// Verifies an authentication response. For a second factor pass the user the
+	// options were made for; otherwise the user is found from the credential.
+	// Returns { verified, user, credential }; throws when the credential is unknown.
+	// A failed signature check returns verified: false, so it can count as a failed sign-in.
+	async authenticate(response, { user = null, purpose = 'authentication' } = {}) {
+		const pending = await this.takeChallenge(response, purpose);
+		if (pending.userId !== (user ? user._id.toString() : null)) {
+			throw new ApiError(400, 'Unknown or expired WebAuthn challenge');
+		}
+
+		const owner = user || await User.findOne({ 'webauthn.credentials.credentialId': response.id });
+		const credential = owner?.webauthn?.credentials.find(item => item.credentialId === response.id);
+		if (!credential) {
+			throw new ApiError(401, 'Unknown security key or passkey');
+		}
+		// A passkey names the account it belongs to
+		const userHandle = response.response.userHandle;
+		if (!user && userHandle && userHandle !== owner.webauthn.userHandle) {
+			throw new ApiError(401, 'Unknown security key or passkey');
+		}
+
+		const rp = relyingParty();
+		let verified;
+		let authenticationInfo;
+		try {
+			({ verified, authenticationInfo } = await verifyAuthenticationResponse({
+				response,
+				expectedChallenge: pending.challenge,
+				expectedOrigin: rp.origins,
+				expectedRPID: rp.id,
+				credential: {
+					id: credential.credentialId,
+					publicKey: new Uint8Array(credential.publicKey),
+					counter: credential.counter,
+					transports: credential.transports
+				},
+				requireUserVerification: !user
+			}));
+		} catch (error) {
+			// Bad signature, wrong origin, missing user verification, counter gone backwards...
+			verified = false;
+		}
+		if (!verified) {
+			return { verified: false, user: owner };
+		}
+
+		credential.counter = authenticationInfo.newCounter;
+		credential.backedUp = authenticationInfo.credentialBackedUp;
+		credential.lastUsedAt = new Date();
+		await User.updateOne(
+			{ _id: owner._id, 'webauthn.credentials._id': credential._id },
+			{
+				$set: {
+					'webauthn.credentials.$.counter': credential.counter,
+					'webauthn.credentials.$.backedUp': credential.backedUp,
+					'webauthn.credentials.$.lastUsedAt': credential.lastUsedAt
+				}
+			}
+		);
+
+		return { verified: true, user: owner, credential: formatCredential(credential) };
+	}
+
+	async rename(user, credentialId, name) {
+		const credential = user.webauthn?.credentials.id(credentialId);
+		if (!credential) {
+			throw new ApiError(404, 'Security key or passkey not found');
+		}
+		credential.name = name;
+		await user.save();
+		return formatCredential(credential);
+	}
+
+	async remove(user, credentialId) {
+		const credential = user.webauthn?.credentials.id(credentialId);
+		if (!credential) {
+			throw new ApiError(404, 'Security key or passkey not found');
+		}
+		credential.deleteOne();
+		await user.save();
+	}
+}
+
+module.exports = new WebAuthnService();
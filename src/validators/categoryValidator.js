@@ -11,12 +11,16 @@ const categorySchema = Joi.object({
 			'string.min': 'Category name must be at least 2 characters long',
 			'string.max': 'Category name cannot exceed 50 characters'
 		}),
-	icon: Joi.string()
+	// An uploaded asset (POST /api/assets) or a base64 encoded image
+	icon: Joi.alternatives()
+		.try(
+			Joi.string().hex().length(24),
+			Joi.string().pattern(/^data:image\/[a-zA-Z+]+;base64,/)
+		)
 		.required()
-		.pattern(/^data:image\/[a-zA-Z+]+;base64,/)
 		.messages({
-			'string.empty': 'Category icon is required',
-			'string.pattern.base': 'Invalid image format. Must be a base64 encoded image'
+			'any.required': 'Category icon is required',
+			'alternatives.match': 'Invalid icon. Must be an asset id or a base64 encoded image'
 		}),
 	isFrequentlyUsed: Joi.boolean()
 		.default(false),
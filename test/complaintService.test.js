@@ -0,0 +1,51 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Complaint = require('../src/models/Complaint');
+const attachmentService = require('../src/utils/attachmentService');
+const complaintService = require('../src/utils/complaintService');
+
+const owner = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+const attachments = [{ name: 'photo.jpg', driver: 'local', key: 'comments/photo.jpg' }];
+const complaintOf = (user, save) => ({ _id: new mongoose.Types.ObjectId(), user, comments: [], save });
+
+let removed;
+const stubs = [];
+const stub = (object, name, value) => {
+	stubs.push([object, name, object[name]]);
+	object[name] = value;
+};
+
+beforeEach(() => {
+	removed = [];
+	stub(attachmentService, 'remove', async (files) => { removed.push(...files); });
+});
+
+afterEach(() => {
+	while (stubs.length > 0) {
+		const [object, name, original] = stubs.pop();
+		object[name] = original;
+	}
+});
+
+test('files of a comment that is refused are removed', async () => {
+	const complaint = complaintOf({ _id: new mongoose.Types.ObjectId() }, async () => {});
+
+	await assert.rejects(complaintService.addComment(complaint, owner, { text: 'Hi', attachments }), { statusCode: 403 });
+	assert.deepStrictEqual(removed, attachments);
+});
+
+test('files of a comment that fails to save are removed', async () => {
+	const complaint = complaintOf(owner, async () => { throw new Error('write failed'); });
+
+	await assert.rejects(complaintService.addComment(complaint, owner, { text: 'Hi', attachments }), /write failed/);
+	assert.deepStrictEqual(removed, attachments);
+});
+
+test('files of a saved comment are kept when a later step fails', async () => {
+	const complaint = complaintOf(owner, async () => {});
+	stub(Complaint, 'findById', () => ({ populate: async () => { throw new Error('read failed'); } }));
+
+	await assert.rejects(complaintService.addComment(complaint, owner, { text: 'Hi', attachments }), /read failed/);
+	assert.deepStrictEqual(removed, []);
+});
@@ -0,0 +1,121 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const InboundMessage = require('../src/models/InboundMessage');
+const User = require('../src/models/User');
+const aiService = require('../src/utils/aiService');
+const attachmentService = require('../src/utils/attachmentService');
+const complaintService = require('../src/utils/complaintService');
+const recategorizationService = require('../src/utils/recategorizationService');
+const inboundEmailService = require('../src/utils/inboundEmailService');
+
+const TREE = [{ id: 'c1', name: 'Billing', subCategories: [{ id: 's1', name: 'Refunds' }] }];
+const sender = new User({ _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', name: 'Jane', isVerified: true });
+const moderator = { _id: new mongoose.Types.ObjectId() };
+const message = (fields = {}) => ({
+	from: { address: 'jane@example.com', name: 'Jane' },
+	subject: 'Refund please',
+	text: 'I would like a refund.',
+	authentication: { dkim: 'pass' },
+	attachments: [{ filename: 'receipt.pdf', contentType: 'application/pdf', content: Buffer.from('%PDF-1.4') }],
+	...fields
+});
+
+// Messages live in this map instead of MongoDB
+let messages;
+let complaints;
+const stubs = [];
+const stub = (object, name, value) => {
+	stubs.push([object, name, object[name]]);
+	object[name] = value;
+};
+
+beforeEach(() => {
+	messages = new Map();
+	complaints = [];
+	const write = async (doc) => {
+		messages.set(doc._id.toString(), doc);
+		return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+	};
+	stub(InboundMessage.prototype, 'save', async function () { await write(this); return this; });
+	stub(InboundMessage, 'findOneAndUpdate', async (filter, update) => {
+		const doc = messages.get(filter._id.toString());
+		if (!doc || doc.status !== filter.status) return null;
+		Object.assign(doc, update.$set);
+		return doc;
+	});
+	stub(InboundMessage, 'updateOne', async (filter, update) => {
+		const doc = messages.get(filter._id.toString());
+		if (doc && doc.status === filter.status) Object.assign(doc, update.$set);
+	});
+	stub(InboundMessage, 'exists', async (filter) => messages.has(filter._id.toString()));
+	stub(User, 'findOne', async ({ email }) => (email === sender.email ? sender : null));
+	stub(User, 'findById', async (id) => (String(id) === String(sender._id) ? sender : null));
+	stub(recategorizationService, 'getCategoryTree', async () => TREE);
+	stub(aiService, 'categorizeComplaint', async () => ({ categoryId: null, subCategoryId: null }));
+	stub(attachmentService, 'storeBuffers', async (files) => ({
+		stored: files.map(file => ({ name: file.filename, driver: 'local', key: `inbound/${file.filename}` })),
+		rejected: []
+	}));
+	stub(complaintService, 'create', async (user, data) => {
+		// Slow enough for a second approval to arrive meanwhile
+		await new Promise(resolve => setTimeout(resolve, 10));
+		const complaint = { _id: new mongoose.Types.ObjectId(), ...data };
+		complaints.push(complaint);
+		return complaint;
+	});
+});
+afterEach(() => {
+	while (stubs.length > 0) {
+		const [object, name, value] = stubs.pop();
+		object[name] = value;
+	}
+});
+
+test('a message waiting for moderation keeps its attachments quarantined', async () => {
+	const inbound = await inboundEmailService.ingest(message(), 'webhook');
+
+	assert.strictEqual(inbound.status, 'pending');
+	assert.strictEqual(inbound.reason, 'uncategorized');
+	assert.deepStrictEqual(inbound.attachments.map(a => a.name), ['receipt.pdf']);
+	assert.strictEqual(complaints.length, 0);
+});
+
+test('an unauthenticated sender is moderated instead of acted on', async () => {
+	const inbound = await inboundEmailService.ingest(message({ authentication: { dkim: 'fail' } }), 'webhook');
+
+	assert.strictEqual(inbound.reason, 'unauthenticated-sender');
+	assert.strictEqual(complaints.length, 0);
+});
+
+test('an approved message becomes a complaint with its attachments', async () => {
+	const inbound = await inboundEmailService.ingest(message(), 'webhook');
+
+	const approved = await inboundEmailService.approve(inbound._id, moderator, { category: 'c1', subCategory: 's1' });
+
+	assert.strictEqual(approved.status, 'approved');
+	assert.strictEqual(complaints.length, 1);
+	assert.deepStrictEqual(complaints[0].attachments.map(a => a.name), ['receipt.pdf']);
+	assert.strictEqual(approved.attachments.length, 0);
+});
+
+test('two moderators approving at once create one complaint', async () => {
+	const inbound = await inboundEmailService.ingest(message(), 'webhook');
+
+	const results = await Promise.allSettled([
+		inboundEmailService.approve(inbound._id, moderator, { category: 'c1', subCategory: 's1' }),
+		inboundEmailService.approve(inbound._id, moderator, { category: 'c1', subCategory: 's1' })
+	]);
+
+	assert.strictEqual(complaints.length, 1);
+	assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+	assert.strictEqual(results.find(r => r.status === 'rejected').reason.statusCode, 409);
+});
+
+test('a failed approval puts the message back in the queue', async () => {
+	const inbound = await inboundEmailService.ingest(message(), 'webhook');
+
+	await assert.rejects(inboundEmailService.approve(inbound._id, moderator, { category: 'c1', subCategory: 'nope' }), { statusCode: 400 });
+
+	assert.strictEqual(messages.get(inbound._id.toString()).status, 'pending');
+});
@@ -0,0 +1,73 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const NotificationJob = require('../src/models/NotificationJob');
+const notificationOutbox = require('../src/utils/notificationOutbox');
+
+// Jobs are saved in memory: these tests cover the worker's decisions, not MongoDB
+const createJob = (fields = {}) => {
+	const job = new NotificationJob({
+		channel: 'email',
+		type: 'password-reset',
+		message: {
+			to: 'jane@example.com',
+			subject: 'Reset your password',
+			html: '<a href="http://localhost:3000/reset-password/3f9a1c2b3d4e5f60718293a4b5c6d7e8f9012345">Reset</a>'
+		},
+		maxAttempts: 3,
+		...fields
+	});
+	job.save = async () => job;
+	return job;
+};
+
+let handlers;
+beforeEach(() => {
+	handlers = { ...notificationOutbox.handlers };
+	notificationOutbox.handlers.email = async () => { throw new Error('SMTP unavailable'); };
+});
+afterEach(() => {
+	notificationOutbox.handlers = handlers;
+});
+
+test('a failed delivery is retried later with exponential backoff', async () => {
+	const job = createJob({ attempts: 2 });
+	const before = Date.now();
+	await notificationOutbox.deliver(job);
+
+	assert.strictEqual(job.status, 'pending');
+	assert.strictEqual(job.lastError, 'SMTP unavailable');
+	const delay = job.nextAttemptAt.getTime() - before;
+	assert.ok(delay >= notificationOutbox.baseDelay * 2 && delay < notificationOutbox.baseDelay * 2 + 1000);
+});
+
+test('backoff doubles per attempt and is capped', () => {
+	assert.strictEqual(notificationOutbox.getBackoff(1), notificationOutbox.baseDelay);
+	assert.strictEqual(notificationOutbox.getBackoff(3), notificationOutbox.baseDelay * 4);
+	assert.strictEqual(notificationOutbox.getBackoff(100), notificationOutbox.maxDelay);
+});
+
+test('a job that used up its attempts is dead-lettered', async () => {
+	const job = createJob({ attempts: 3 });
+	await notificationOutbox.deliver(job);
+
+	assert.strictEqual(job.status, 'dead');
+	assert.strictEqual(job.lastError, 'SMTP unavailable');
+	assert.strictEqual(job.lockedAt, undefined);
+});
+
+test('a sent job keeps only a summary of its message', async () => {
+	notificationOutbox.handlers.email = async () => ({ messageId: '<sent@example.com>' });
+	const job = createJob({ attempts: 1 });
+	await notificationOutbox.deliver(job);
+
+	assert.strictEqual(job.status, 'sent');
+	assert.ok(job.sentAt instanceof Date);
+	assert.strictEqual(job.providerMessageId, '<sent@example.com>');
+	assert.deepStrictEqual(Object.keys(job.message).sort(), ['messageId', 'subject', 'to']);
+});
+
+test('link tokens are redacted for admins', () => {
+	const redacted = notificationOutbox.redact(createJob());
+	assert.match(redacted.message.html, /reset-password\/\[redacted\]/);
+	assert.doesNotMatch(redacted.message.html, /3f9a1c2b/);
+});
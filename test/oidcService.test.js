@@ -0,0 +1,102 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const oidcService = require('../src/utils/oidcService');
+
+const provider = {
+	id: 'acme',
+	name: 'Acme SSO',
+	provisioning: true,
+	allowedDomains: [],
+	roleClaim: 'groups',
+	roleMap: [],
+	defaultRole: 'user',
+	syncRole: false
+};
+const claims = { sub: 'acme-123', email: 'Jane@Example.com', email_verified: true, name: 'Jane' };
+
+// Users live in this list instead of MongoDB; saves run the schema's hooks
+let users;
+let saved;
+const original = {};
+const matches = (user, query) => {
+	if (query.email) return user.email === query.email;
+	const { provider: id, subject } = query.identities.$elemMatch;
+	return user.identities.some(identity => identity.provider === id && identity.subject === subject);
+};
+
+beforeEach(() => {
+	users = [];
+	saved = [];
+	Object.assign(original, { findOne: User.findOne, findById: User.findById });
+	User.findOne = async (query) => users.find(user => matches(user, query)) || null;
+	User.findById = async (id) => users.find(user => user._id.toString() === id.toString()) || null;
+	const write = async (...args) => {
+		saved.push(args);
+		return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+	};
+	User.collection.insertOne = write;
+	User.collection.updateOne = write;
+});
+afterEach(() => {
+	User.findOne = original.findOne;
+	User.findById = original.findById;
+	delete User.collection.insertOne;
+	delete User.collection.updateOne;
+});
+
+const existingUser = (fields) => {
+	const user = User.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'Jane', role: 'user', identities: [], ...fields });
+	users.push(user);
+	return user;
+};
+
+test('signing in links an unverified local account and drops its password', async () => {
+	const user = existingUser({ email: 'jane@example.com', password: '$2a$10$abcdefghijklmnopqrstuv', isVerified: false, verificationToken: 'token' });
+
+	const resolved = await oidcService.resolveUser(provider, claims);
+
+	assert.strictEqual(resolved, user);
+	assert.strictEqual(user.password, undefined);
+	assert.strictEqual(user.isVerified, true);
+	assert.strictEqual(user.verificationToken, undefined);
+	assert.deepStrictEqual(user.identities.map(({ provider: id, subject }) => ({ id, subject })), [{ id: 'acme', subject: 'acme-123' }]);
+	assert.strictEqual(saved.length, 1);
+	assert.ok(saved[0][1].$unset && 'password' in saved[0][1].$unset);
+});
+
+test('signing in links a verified local account and keeps its password', async () => {
+	const user = existingUser({ email: 'jane@example.com', password: '$2a$10$abcdefghijklmnopqrstuv', isVerified: true });
+
+	await oidcService.resolveUser(provider, claims);
+
+	assert.strictEqual(user.password, '$2a$10$abcdefghijklmnopqrstuv');
+	assert.strictEqual(user.identities.length, 1);
+});
+
+test('an unverified provider email is not linked to an account', async () => {
+	existingUser({ email: 'jane@example.com', isVerified: true });
+
+	await assert.rejects(
+		oidcService.resolveUser(provider, { ...claims, email_verified: false }),
+		{ statusCode: 403 }
+	);
+	assert.strictEqual(saved.length, 0);
+});
+
+test('a signed-in user links an identity from settings', async () => {
+	const user = existingUser({ email: 'jane@example.com', isVerified: true });
+
+	await oidcService.linkIdentity(user._id.toString(), provider, claims);
+
+	assert.strictEqual(user.identities[0].subject, 'acme-123');
+	assert.strictEqual(user.identities[0].email, 'jane@example.com');
+});
+
+test('an identity linked to someone else cannot be linked again', async () => {
+	existingUser({ email: 'other@example.com', identities: [{ provider: 'acme', subject: 'acme-123' }] });
+	const user = existingUser({ email: 'jane@example.com', isVerified: true });
+
+	await assert.rejects(oidcService.linkIdentity(user._id.toString(), provider, claims), { statusCode: 409 });
+});
@@ -0,0 +1,37 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const pushService = require('../src/utils/pushService');
+
+const PushService = pushService.constructor;
+const env = { NODE_ENV: process.env.NODE_ENV, PUSH_PROVIDER: process.env.PUSH_PROVIDER };
+const originalLog = console.log;
+
+afterEach(() => {
+	console.log = originalLog;
+	for (const [name, value] of Object.entries(env)) {
+		if (value === undefined) delete process.env[name];
+		else process.env[name] = value;
+	}
+});
+
+const message = { token: 't', title: 'New comment on "My rent"', body: 'My landlord kept the deposit', data: { complaintId: 'c1' } };
+
+test('the log provider does not log the content of notifications', async () => {
+	process.env.NODE_ENV = 'development';
+	delete process.env.PUSH_PROVIDER;
+	const lines = [];
+	console.log = (...args) => lines.push(args.join(' '));
+
+	await new PushService().send(message);
+
+	assert.strictEqual(lines.length, 1);
+	assert.match(lines[0], /c1/);
+	assert.doesNotMatch(lines[0], /landlord|My rent/);
+});
+
+test('production needs a push provider', async () => {
+	process.env.NODE_ENV = 'production';
+	delete process.env.PUSH_PROVIDER;
+
+	await assert.rejects(new PushService().send(message), /No push provider configured/);
+});
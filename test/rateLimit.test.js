@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { body } = require('express-validator');
+const { rateLimit, LIMITS } = require('../src/middleware/rateLimit');
+
+const request = async (token) => {
+	const req = { ip: '203.0.113.7', user: { _id: 'user-1' }, body: { token } };
+	await body('token').isLength({ min: 6, max: 6 }).isNumeric().run(req);
+	return req;
+};
+const send = async (req) => {
+	const res = {
+		statusCode: 200,
+		set() { return this; },
+		status(code) { this.statusCode = code; return this; },
+		json() { return this; }
+	};
+	let passed = false;
+	await rateLimit('2fa-validate')(req, res, () => { passed = true; });
+	return passed ? 'passed' : res.statusCode;
+};
+
+test('malformed requests do not use up the attempts of a user', async () => {
+	const max = LIMITS['2fa-validate'].account.max;
+	// Validation failed, so the route answers these with a 400 itself
+	for (let i = 0; i < max + 3; i++) {
+		assert.strictEqual(await send(await request('not-a-code')), 'passed');
+	}
+
+	for (let i = 0; i < max; i++) {
+		assert.strictEqual(await send(await request('123456')), 'passed');
+	}
+	assert.strictEqual(await send(await request('123456')), 429);
+});
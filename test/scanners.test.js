@@ -0,0 +1,37 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createScanner } = require('../src/utils/scanners');
+
+const env = { ...process.env };
+
+afterEach(() => {
+	for (const name of ['NODE_ENV', 'CLAMAV_HOST', 'VIRUS_SCANNER']) {
+		if (env[name] === undefined) delete process.env[name];
+		else process.env[name] = env[name];
+	}
+});
+
+const configure = (values) => {
+	for (const name of ['NODE_ENV', 'CLAMAV_HOST', 'VIRUS_SCANNER']) delete process.env[name];
+	Object.assign(process.env, values);
+};
+
+test('ClamAV is used when a daemon is configured', () => {
+	configure({ NODE_ENV: 'production', CLAMAV_HOST: 'clamav' });
+	assert.strictEqual(createScanner().name, 'clamav');
+});
+
+test('production needs a scanner', () => {
+	configure({ NODE_ENV: 'production' });
+	assert.throws(() => createScanner(), /No virus scanner configured/);
+});
+
+test('the stub is used in production only when chosen', () => {
+	configure({ NODE_ENV: 'production', VIRUS_SCANNER: 'stub' });
+	assert.strictEqual(createScanner().name, 'stub');
+});
+
+test('the stub is the default outside production', () => {
+	configure({ NODE_ENV: 'development' });
+	assert.strictEqual(createScanner().name, 'stub');
+});
@@ -0,0 +1,28 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const sessionService = require('../src/utils/sessionService');
+
+before(() => {
+	process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+});
+
+test('a refresh token rotates once, even when used by parallel requests', async () => {
+	const { refreshToken, sessionId } = await sessionService.create({ _id: 'user-1' });
+
+	const results = await Promise.allSettled([
+		sessionService.refresh(refreshToken),
+		sessionService.refresh(refreshToken)
+	]);
+
+	assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+	assert.ok(await sessionService.getSession(sessionId));
+});
+
+test('using a rotated refresh token again revokes the session', async () => {
+	const { refreshToken, sessionId } = await sessionService.create({ _id: 'user-2' });
+	const rotated = await sessionService.refresh(refreshToken);
+
+	await assert.rejects(sessionService.refresh(refreshToken), { statusCode: 401 });
+	assert.strictEqual(await sessionService.getSession(sessionId), null);
+	await assert.rejects(sessionService.refresh(rotated.refreshToken), { statusCode: 401 });
+});
@@ -0,0 +1,44 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const twoFactorService = require('../src/utils/twoFactorService');
+
+let user;
+let updateOne;
+beforeEach(async () => {
+	const { codes, backupCodes } = twoFactorService.generateBackupCodes(2);
+	user = User.hydrate({
+		_id: new mongoose.Types.ObjectId(),
+		email: 'jane@example.com',
+		password: await bcrypt.hash('correct horse', 4),
+		twoFactorAuth: { enabled: true, secret: 'JBSWY3DPEHPK3PXP', backupCodes }
+	});
+	user.backupCode = codes[0];
+	// Stands in for the conditional update that spends a backup code
+	updateOne = User.updateOne;
+	User.updateOne = async (filter) => {
+		const hash = filter['twoFactorAuth.backupCodes']?.$elemMatch.hash;
+		return { modifiedCount: user.twoFactorAuth.backupCodes.some(code => code.hash === hash && !code.usedAt) ? 1 : 0 };
+	};
+});
+afterEach(() => {
+	User.updateOne = updateOne;
+});
+
+test('a user confirms a change with their password', async () => {
+	assert.strictEqual(await twoFactorService.confirmUser(user, { password: 'correct horse' }), true);
+	assert.strictEqual(await twoFactorService.confirmUser(user, { password: 'wrong' }), false);
+});
+
+test('a user confirms a change with a backup code', async () => {
+	assert.strictEqual(await twoFactorService.confirmUser(user, { backupCode: user.backupCode }), true);
+	assert.strictEqual(await twoFactorService.confirmUser(user, { backupCode: 'AAAAA-AAAAA' }), false);
+});
+
+test('a change is not confirmed without proof', async () => {
+	assert.strictEqual(await twoFactorService.confirmUser(user, {}), false);
+	// Security keys only count for users who have one
+	assert.strictEqual(await twoFactorService.confirmUser(user, { webauthnResponse: { id: 'x' } }), false);
+});
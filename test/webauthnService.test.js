@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const webauthnService = require('../src/utils/webauthnService');
+
+const responseFor = (challenge) => ({
+	id: 'credential-id',
+	response: {
+		clientDataJSON: Buffer.from(JSON.stringify({ type: 'webauthn.get', challenge, origin: 'http://localhost:3000' })).toString('base64url')
+	}
+});
+
+test('a challenge can be answered once, even by parallel responses', async () => {
+	await webauthnService.rememberChallenge('challenge-1', { purpose: 'authentication', userId: null });
+
+	const results = await Promise.allSettled([
+		webauthnService.takeChallenge(responseFor('challenge-1'), 'authentication'),
+		webauthnService.takeChallenge(responseFor('challenge-1'), 'authentication')
+	]);
+
+	assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+	assert.strictEqual(results.find(r => r.status === 'fulfilled').value.challenge, 'challenge-1');
+});
+
+test('a challenge is only accepted for the ceremony it was issued for', async () => {
+	await webauthnService.rememberChallenge('challenge-2', { purpose: 'registration', userId: 'u1' });
+
+	await assert.rejects(webauthnService.takeChallenge(responseFor('challenge-2'), 'authentication'), { statusCode: 400 });
+	// ...and is used up by the attempt
+	await assert.rejects(webauthnService.takeChallenge(responseFor('challenge-2'), 'registration'), { statusCode: 400 });
+});
+
+test('a malformed response is rejected', async () => {
+	await assert.rejects(webauthnService.takeChallenge({ id: 'x', response: { clientDataJSON: 'not json' } }, 'authentication'), { statusCode: 400 });
+	await assert.rejects(webauthnService.takeChallenge(null, 'authentication'), { statusCode: 400 });
+});